@@ -0,0 +1,80 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  widestGap,
+  hasCrossingWindow,
+  ensureCrossingWindow,
+  longestWaitForRide,
+} from "./src/systems/LaneSafety.js";
+import { Random } from "./src/systems/Random.js";
+
+const crosser = { width: 2, crossingTime: 0.75 };
+
+function lane(vehicles, speed = 4) {
+  return { vehicles, length: 40, speed };
+}
+
+test("an empty lane is one big gap", () => {
+  assert.equal(widestGap(lane([])), 40);
+  assert.equal(hasCrossingWindow(lane([]), crosser), true);
+});
+
+test("a single vehicle leaves the rest of the lane open", () => {
+  assert.equal(widestGap(lane([{ x: 10, length: 4 }])), 36);
+});
+
+test("the gap across the end of the lane counts", () => {
+  // Vehicles at 13..17 and 31..37: the widest gap runs from 37 round to 13
+  const vehicles = [
+    { x: 15, length: 4 },
+    { x: 34, length: 6 },
+  ];
+  assert.equal(widestGap(lane(vehicles)), 16);
+
+  // Positions outside the lane wrap the same way
+  assert.equal(widestGap(lane([{ x: 55, length: 4 }, { x: -6, length: 6 }])), 16);
+});
+
+test("a lane without a wide enough gap is thinned, last vehicle first", () => {
+  // Gaps of 6 between vehicles: at speed 4 crossing takes 2 + 4 * 0.75 = 5
+  const spaced = [0, 10, 20, 30].map((x) => ({ x, length: 4 }));
+  assert.equal(widestGap(lane(spaced)), 6);
+  assert.equal(hasCrossingWindow(lane(spaced), crosser), true);
+  assert.deepEqual(ensureCrossingWindow(spaced, lane([]), crosser), spaced);
+
+  // Faster traffic needs 2 + 8 * 0.75 = 8
+  const kept = ensureCrossingWindow(spaced, lane([], 8), crosser);
+  assert.deepEqual(kept, spaced.slice(0, 3));
+  assert.equal(hasCrossingWindow(lane(kept, 8), crosser), true);
+});
+
+test("a lane that can't be crossed at any spacing ends up empty", () => {
+  const vehicles = [{ x: 0, length: 4 }];
+  assert.deepEqual(ensureCrossingWindow(vehicles, lane([], 100), crosser), []);
+});
+
+test("lanes generated from the same (seed, row) come out the same", () => {
+  const generate = (seed, row) => {
+    const random = Random.derive(seed, row);
+    const speed = random.range(2, 8);
+    const vehicles = Array.from({ length: 6 }, () => ({
+      x: random.range(0, 40),
+      length: random.pick([2, 4]),
+    }));
+    return lane(ensureCrossingWindow(vehicles, { length: 40, speed }, crosser), speed);
+  };
+
+  assert.deepEqual(generate(42, 3), generate(42, 3));
+  for (let row = 1; row <= 50; row++) {
+    assert.equal(hasCrossingWindow(generate(42, row), crosser), true);
+  }
+});
+
+test("a river's longest wait is its widest gap drifting past", () => {
+  const logs = [
+    { x: 5, length: 6 },
+    { x: 25, length: 6 },
+  ];
+  // Gaps of 14 between the logs, drifting at 4 a second
+  assert.equal(longestWaitForRide(lane(logs, 4)), 3.5);
+});
@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Random } from "./src/systems/Random.js";
+
+const PINNED_NUMBERS = ["0.07391377", "0.26225965", "0.56131807"];
+
+function firstNumbers(random, count) {
+  return Array.from({ length: count }, () => random.next());
+}
+
+test("the same seed gives the same numbers", () => {
+  assert.deepEqual(firstNumbers(new Random(42), 5), firstNumbers(new Random(42), 5));
+  assert.notDeepEqual(firstNumbers(new Random(42), 5), firstNumbers(new Random(43), 5));
+});
+
+test("the same (seed, row) derives the same generator, whatever came before", () => {
+  const before = Random.derive(42, 7);
+  Random.derive(42, 6).next();
+  const after = Random.derive(42, 7);
+
+  assert.deepEqual(firstNumbers(before, 5), firstNumbers(after, 5));
+  assert.notDeepEqual(firstNumbers(Random.derive(42, 7), 5), firstNumbers(Random.derive(42, 8), 5));
+  assert.notDeepEqual(firstNumbers(Random.derive(42, 7), 5), firstNumbers(Random.derive(43, 7), 5));
+});
+
+// Pinned so a change to the generator (which would change every seeded road) doesn't go unnoticed
+test("derived numbers don't change between versions", () => {
+  const random = Random.derive(12345, 3);
+  assert.deepEqual(
+    firstNumbers(random, 3).map((value) => value.toFixed(8)),
+    PINNED_NUMBERS
+  );
+});
+
+test("int and pick stay in range", () => {
+  const random = new Random(7);
+  for (let i = 0; i < 1000; i++) {
+    const value = random.int(-8, 8);
+    assert.ok(Number.isInteger(value) && value >= -8 && value <= 8);
+    assert.ok(["a", "b", "c"].includes(random.pick(["a", "b", "c"])));
+  }
+});
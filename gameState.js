@@ -0,0 +1,323 @@
+/*
+
+The rules of the road game, without Three.js or the DOM. The whole game is one plain,
+JSON-serializable state object; tick() moves it on in fixed steps and the renderer in
+index.js only reads it. That way the rules also run in Node (e.g. in unit tests).
+
+*/
+
+import { Random } from "./src/systems/Random.js";
+import { ensureCrossingWindow } from "./src/systems/LaneSafety.js";
+
+export const minTileIndex = -8;
+export const maxTileIndex = 8;
+export const tilesPerRow = maxTileIndex - minTileIndex + 1;
+export const tileSize = 42;
+
+// Vehicles wrap around two tiles past either edge of the board
+export const laneLength = (tilesPerRow + 3) * tileSize;
+export const carLength = 60;
+export const truckLength = 100;
+const vehicleWidths = { car: 33, truck: 35 }; // Across the lane, wheels included
+const playerSize = 15;
+// The player steps into a lane and out again before the next vehicle arrives
+const playerCrossing = { width: 15, crossingTime: 0.5 };
+
+export const stepTime = 0.2; // Seconds it takes to take a step
+export const fixedStep = 1 / 60; // Seconds simulated per update, however often tick() is called
+export const maxTickTime = 0.25; // A tab coming back from the background would otherwise replay every second it missed
+
+export function createGame(seed) {
+  const state = {
+    seed,
+    status: "playing", // Then "over" once the player is hit
+    time: 0,
+    accumulator: 0, // Time passed to tick() that hasn't been simulated yet
+    rows: [], // rows[0] is row 1, the first one past the starting grass
+    position: { currentRow: 0, currentTile: 0 },
+    movesQueue: [],
+    stepProgress: 0, // 0 to 1 through the move at the front of the queue
+    score: 0,
+  };
+
+  addRows(state);
+  return state;
+}
+
+// Queue a step, unless it would end up off the board or in a tree.
+// Returns whether the move was queued.
+export function queueMove(state, direction) {
+  if (state.status !== "playing") return false;
+
+  const isValidMove = endsUpInValidPosition(
+    state,
+    {
+      rowIndex: state.position.currentRow,
+      tileIndex: state.position.currentTile,
+    },
+    [...state.movesQueue, direction]
+  );
+
+  if (!isValidMove) return false;
+
+  state.movesQueue.push(direction);
+  return true;
+}
+
+// Advance the game by dt seconds (at most maxTickTime), in steps of fixedStep
+export function tick(state, dt) {
+  state.accumulator += Math.min(dt, maxTickTime);
+
+  while (state.accumulator >= fixedStep) {
+    state.accumulator -= fixedStep;
+    update(state, fixedStep);
+  }
+}
+
+function update(state, dt) {
+  if (state.status !== "playing") return;
+
+  state.time += dt;
+  moveVehicles(state, dt);
+  movePlayer(state, dt);
+  hitTest(state);
+}
+
+function moveVehicles(state, dt) {
+  const beginningOfRow = (minTileIndex - 2) * tileSize;
+  const endOfRow = (maxTileIndex + 2) * tileSize;
+
+  state.rows.forEach((rowData) => {
+    if (rowData.type !== "car" && rowData.type !== "truck") return;
+
+    rowData.vehicles.forEach((vehicle) => {
+      // Wrapping by the lane length keeps the gaps between vehicles (and the crossing window)
+      if (rowData.direction) {
+        vehicle.x =
+          vehicle.x > endOfRow
+            ? vehicle.x - laneLength
+            : vehicle.x + rowData.speed * dt;
+      } else {
+        vehicle.x =
+          vehicle.x < beginningOfRow
+            ? vehicle.x + laneLength
+            : vehicle.x - rowData.speed * dt;
+      }
+    });
+  });
+}
+
+function movePlayer(state, dt) {
+  if (!state.movesQueue.length) return;
+
+  state.stepProgress = Math.min(1, state.stepProgress + dt / stepTime);
+
+  // Once a step has ended
+  if (state.stepProgress >= 1) {
+    stepCompleted(state);
+    state.stepProgress = 0;
+  }
+}
+
+function stepCompleted(state) {
+  const direction = state.movesQueue.shift();
+  const position = state.position;
+
+  if (direction === "forward") position.currentRow += 1;
+  if (direction === "backward") position.currentRow -= 1;
+  if (direction === "left") position.currentTile -= 1;
+  if (direction === "right") position.currentTile += 1;
+
+  state.score = position.currentRow;
+
+  // Add new rows if the player is running out of them
+  if (position.currentRow > state.rows.length - 10) addRows(state);
+}
+
+// Where the player is drawn: between tiles while stepping, with a little hop
+export function getPlayerPosition(state) {
+  const { currentRow, currentTile } = state.position;
+  const progress = state.stepProgress;
+  const direction = state.movesQueue[0];
+
+  let x = currentTile * tileSize;
+  let y = currentRow * tileSize;
+  if (direction === "left") x -= tileSize * progress;
+  if (direction === "right") x += tileSize * progress;
+  if (direction === "forward") y += tileSize * progress;
+  if (direction === "backward") y -= tileSize * progress;
+
+  return { x, y, hop: Math.sin(progress * Math.PI) * 8 };
+}
+
+// The player's box (where they are right now) against the vehicles on their row
+function hitTest(state) {
+  const rowIndex = state.position.currentRow;
+  const row = state.rows[rowIndex - 1];
+  if (!row) return;
+
+  if (row.type === "car" || row.type === "truck") {
+    const player = getPlayerPosition(state);
+    const vehicleWidth = vehicleWidths[row.type];
+    const rowY = rowIndex * tileSize;
+
+    const hit = row.vehicles.some(
+      (vehicle) =>
+        Math.abs(player.x - vehicle.x) < (playerSize + vehicle.length) / 2 &&
+        Math.abs(player.y - rowY) < (playerSize + vehicleWidth) / 2
+    );
+
+    if (hit) state.status = "over";
+  }
+}
+
+function calculateFinalPosition(currentPosition, moves) {
+  return moves.reduce((position, direction) => {
+    if (direction === "forward")
+      return {
+        rowIndex: position.rowIndex + 1,
+        tileIndex: position.tileIndex,
+      };
+    if (direction === "backward")
+      return {
+        rowIndex: position.rowIndex - 1,
+        tileIndex: position.tileIndex,
+      };
+    if (direction === "left")
+      return {
+        rowIndex: position.rowIndex,
+        tileIndex: position.tileIndex - 1,
+      };
+    if (direction === "right")
+      return {
+        rowIndex: position.rowIndex,
+        tileIndex: position.tileIndex + 1,
+      };
+    return position;
+  }, currentPosition);
+}
+
+function endsUpInValidPosition(state, currentPosition, moves) {
+  // Calculate where the player would end up after the move
+  const finalPosition = calculateFinalPosition(currentPosition, moves);
+
+  // Detect if we hit the edge of the board
+  if (
+    finalPosition.rowIndex === -1 ||
+    finalPosition.tileIndex === minTileIndex - 1 ||
+    finalPosition.tileIndex === maxTileIndex + 1
+  ) {
+    // Invalid move, ignore move command
+    return false;
+  }
+
+  // Detect if we hit a tree
+  const finalRow = state.rows[finalPosition.rowIndex - 1];
+  if (
+    finalRow &&
+    finalRow.type === "forest" &&
+    finalRow.trees.some((tree) => tree.tileIndex === finalPosition.tileIndex)
+  ) {
+    // Invalid move, ignore move command
+    return false;
+  }
+
+  return true;
+}
+
+function addRows(state) {
+  state.rows.push(...generateRows(state.seed, state.rows.length + 1, 20));
+}
+
+function generateRows(seed, firstRowIndex, amount) {
+  const rows = [];
+  for (let i = 0; i < amount; i++) {
+    const rowData = generateRow(seed, firstRowIndex + i);
+    rows.push(rowData);
+  }
+  return rows;
+}
+
+// Each row has its own generator, so a row is the same for a seed however many rows came before
+function generateRow(seed, rowIndex) {
+  const random = Random.derive(seed, rowIndex);
+  const type = random.pick(["car", "truck", "forest"]);
+  if (type === "car") return generateCarLaneMetadata(random);
+  if (type === "truck") return generateTruckLaneMetadata(random);
+  return generateForesMetadata(random);
+}
+
+function generateForesMetadata(random) {
+  const occupiedTiles = new Set();
+  const trees = Array.from({ length: 4 }, () => {
+    let tileIndex;
+    do {
+      tileIndex = random.int(minTileIndex, maxTileIndex);
+    } while (occupiedTiles.has(tileIndex));
+    occupiedTiles.add(tileIndex);
+
+    const height = random.pick([20, 45, 60]);
+
+    return { tileIndex, height };
+  });
+
+  return { type: "forest", trees };
+}
+
+function generateCarLaneMetadata(random) {
+  const direction = random.pick([true, false]);
+  const speed = random.pick([125, 156, 188]);
+
+  const occupiedTiles = new Set();
+
+  const vehicles = Array.from({ length: 3 }, () => {
+    let initialTileIndex;
+    do {
+      initialTileIndex = random.int(minTileIndex, maxTileIndex);
+    } while (occupiedTiles.has(initialTileIndex));
+    occupiedTiles.add(initialTileIndex - 1);
+    occupiedTiles.add(initialTileIndex);
+    occupiedTiles.add(initialTileIndex + 1);
+
+    const color = random.pick([0xa52523, 0xbdb638, 0x78b14b]);
+
+    return { initialTileIndex, color, x: initialTileIndex * tileSize, length: carLength };
+  });
+
+  return {
+    type: "car",
+    direction,
+    speed,
+    vehicles: ensureCrossingWindow(vehicles, { length: laneLength, speed }, playerCrossing),
+  };
+}
+
+function generateTruckLaneMetadata(random) {
+  const direction = random.pick([true, false]);
+  const speed = random.pick([125, 156, 188]);
+
+  const occupiedTiles = new Set();
+
+  const vehicles = Array.from({ length: 2 }, () => {
+    let initialTileIndex;
+    do {
+      initialTileIndex = random.int(minTileIndex, maxTileIndex);
+    } while (occupiedTiles.has(initialTileIndex));
+    occupiedTiles.add(initialTileIndex - 2);
+    occupiedTiles.add(initialTileIndex - 1);
+    occupiedTiles.add(initialTileIndex);
+    occupiedTiles.add(initialTileIndex + 1);
+    occupiedTiles.add(initialTileIndex + 2);
+
+    const color = random.pick([0xa52523, 0xbdb638, 0x78b14b]);
+
+    return { initialTileIndex, color, x: initialTileIndex * tileSize, length: truckLength };
+  });
+
+  return {
+    type: "truck",
+    direction,
+    speed,
+    vehicles: ensureCrossingWindow(vehicles, { length: laneLength, speed }, playerCrossing),
+  };
+}
@@ -0,0 +1,134 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  createGame,
+  queueMove,
+  tick,
+  getPlayerPosition,
+  carLength,
+  fixedStep,
+  maxTickTime,
+  tileSize,
+} from "./gameState.js";
+
+// A game whose first row is the given lane instead of a generated one
+function gameWithFirstRow(row) {
+  const state = createGame(1);
+  state.rows[0] = row;
+  return state;
+}
+
+function parkedCar(tileIndex) {
+  return { x: tileIndex * tileSize, length: carLength };
+}
+
+test("the same seed generates the same rows", () => {
+  assert.deepEqual(createGame(42).rows, createGame(42).rows);
+  assert.notDeepEqual(createGame(42).rows, createGame(43).rows);
+});
+
+test("tick simulates whole fixed steps and keeps the rest for later", () => {
+  const state = createGame(1);
+
+  tick(state, fixedStep / 2);
+  assert.equal(state.time, 0);
+
+  tick(state, fixedStep / 2);
+  assert.equal(state.time, fixedStep);
+});
+
+test("tick doesn't catch up on more than maxTickTime at once", () => {
+  const state = createGame(1);
+
+  tick(state, 30); // e.g. the tab was in the background
+  assert.ok(state.time <= maxTickTime);
+  assert.ok(state.time > maxTickTime - fixedStep);
+  assert.ok(state.accumulator < fixedStep);
+});
+
+test("a queued step is taken over stepTime", () => {
+  const state = gameWithFirstRow({ type: "forest", trees: [] });
+
+  assert.equal(queueMove(state, "forward"), true);
+  tick(state, 0.1);
+  assert.equal(state.position.currentRow, 0);
+  assert.ok(getPlayerPosition(state).y > 0);
+
+  tick(state, 0.15);
+  assert.equal(state.position.currentRow, 1);
+  assert.equal(state.movesQueue.length, 0);
+});
+
+test("moves off the board or into a tree are not queued", () => {
+  const state = gameWithFirstRow({
+    type: "forest",
+    trees: [{ tileIndex: 0, height: 20 }],
+  });
+
+  assert.equal(queueMove(state, "backward"), false);
+  assert.equal(queueMove(state, "forward"), false);
+  assert.equal(queueMove(state, "left"), true);
+  assert.equal(queueMove(state, "forward"), true);
+});
+
+test("the score is the row the player is on", () => {
+  const state = gameWithFirstRow({ type: "forest", trees: [] });
+
+  queueMove(state, "forward");
+  tick(state, 0.25);
+  assert.equal(state.score, 1);
+
+  queueMove(state, "backward");
+  tick(state, 0.25);
+  assert.equal(state.score, 0);
+});
+
+test("stepping into a car ends the game", () => {
+  const state = gameWithFirstRow({
+    type: "car",
+    direction: true,
+    speed: 0,
+    vehicles: [parkedCar(0)],
+  });
+
+  queueMove(state, "forward");
+  tick(state, 0.25);
+  assert.equal(state.status, "over");
+
+  // Nothing moves once the game is over
+  const time = state.time;
+  tick(state, 0.25);
+  assert.equal(state.time, time);
+  assert.equal(queueMove(state, "forward"), false);
+});
+
+test("cars in other tiles of the row miss the player", () => {
+  const state = gameWithFirstRow({
+    type: "car",
+    direction: true,
+    speed: 0,
+    vehicles: [parkedCar(-2), parkedCar(2)],
+  });
+
+  queueMove(state, "forward");
+  tick(state, 0.25);
+  assert.equal(state.position.currentRow, 1);
+  assert.equal(state.status, "playing");
+});
+
+test("a car driving into the player ends the game", () => {
+  const state = gameWithFirstRow({
+    type: "car",
+    direction: true,
+    speed: 125,
+    vehicles: [parkedCar(-3)],
+  });
+
+  queueMove(state, "forward");
+  tick(state, 0.25);
+  assert.equal(state.status, "playing");
+
+  // 3 tiles at 125 a second is about a second away
+  for (let i = 0; i < 8; i++) tick(state, 0.25);
+  assert.equal(state.status, "over");
+});
@@ -12,11 +12,22 @@ https://javascriptgametutorials.com/
 
 
 import * as THREE from "three";
-
-const minTileIndex = -8;
-const maxTileIndex = 8;
-const tilesPerRow = maxTileIndex - minTileIndex + 1;
-const tileSize = 42;
+import { inputManager } from "./src/systems/InputManager";
+import { getSeedFromUrl, randomSeed } from "./src/systems/Random";
+import {
+  createGame,
+  tick,
+  queueMove,
+  getPlayerPosition,
+  tilesPerRow,
+  tileSize,
+} from "./gameState";
+
+// The map is generated from this seed - pass ?seed= in the URL to replay a map
+const urlSeed = getSeedFromUrl();
+
+// The rules live in gameState.js - everything here just draws that state
+let game = null;
 
 function Camera() {
   const size = 300;
@@ -174,13 +185,16 @@ function Grass(rowIndex) {
   return grass;
 }
 
-const metadata = [];
-
 const map = new THREE.Group();
 
+// Meshes for the game's rows so far, and its vehicles in the same order
+let renderedRows = 0;
+const vehicleRefs = [];
+
 function initializeMap() {
   // Remove all rows
-  metadata.length = 0;
+  renderedRows = 0;
+  vehicleRefs.length = 0;
   map.remove(...map.children);
 
   // Add new rows
@@ -191,14 +205,12 @@ function initializeMap() {
   addRows();
 }
 
+// Build meshes for rows the game has added since the last time
 function addRows() {
-  const newMetadata = generateRows(20);
-
-  const startIndex = metadata.length;
-  metadata.push(...newMetadata);
+  const newMetadata = game.rows.slice(renderedRows);
 
   newMetadata.forEach((rowData, index) => {
-    const rowIndex = startIndex + index + 1;
+    const rowIndex = renderedRows + index + 1;
 
     if (rowData.type === "forest") {
       const row = Grass(rowIndex);
@@ -208,41 +220,31 @@ function addRows() {
         row.add(three);
       });
 
+      vehicleRefs.push([]);
       map.add(row);
     }
 
-    if (rowData.type === "car") {
-      const row = Road(rowIndex);
-
-      rowData.vehicles.forEach((vehicle) => {
-        const car = Car(
-          vehicle.initialTileIndex,
-          rowData.direction,
-          vehicle.color
-        );
-        vehicle.ref = car;
-        row.add(car);
-      });
-
-      map.add(row);
-    }
-
-    if (rowData.type === "truck") {
+    if (rowData.type === "car" || rowData.type === "truck") {
       const row = Road(rowIndex);
-
-      rowData.vehicles.forEach((vehicle) => {
-        const truck = Truck(
-          vehicle.initialTileIndex,
-          rowData.direction,
-          vehicle.color
-        );
-        vehicle.ref = truck;
-        row.add(truck);
-      });
+      const Vehicle = rowData.type === "car" ? Car : Truck;
+
+      vehicleRefs.push(
+        rowData.vehicles.map((vehicle) => {
+          const ref = Vehicle(
+            vehicle.initialTileIndex,
+            rowData.direction,
+            vehicle.color
+          );
+          row.add(ref);
+          return ref;
+        })
+      );
 
       map.add(row);
     }
   });
+
+  renderedRows = game.rows.length;
 }
 
 const player = Player();
@@ -280,54 +282,12 @@ function Player() {
   return playerContainer;
 }
 
-const position = {
-  currentRow: 0,
-  currentTile: 0,
-};
-
-const movesQueue = [];
-
 function initializePlayer() {
   // Initialize the Three.js player object
   player.position.x = 0;
   player.position.y = 0;
   player.children[0].position.z = 0;
-
-  // Initialize metadata
-  position.currentRow = 0;
-  position.currentTile = 0;
-
-  // Clear the moves queue
-  movesQueue.length = 0;
-}
-
-function queueMove(direction) {
-  const isValidMove = endsUpInValidPosition(
-    {
-      rowIndex: position.currentRow,
-      tileIndex: position.currentTile,
-    },
-    [...movesQueue, direction]
-  );
-
-  if (!isValidMove) return;
-
-  movesQueue.push(direction);
-}
-
-function stepCompleted() {
-  const direction = movesQueue.shift();
-
-  if (direction === "forward") position.currentRow += 1;
-  if (direction === "backward") position.currentRow -= 1;
-  if (direction === "left") position.currentTile -= 1;
-  if (direction === "right") position.currentTile += 1;
-
-  // Add new rows if the player is running out of them
-  if (position.currentRow > metadata.length - 10) addRows();
-
-  const scoreDOM = document.getElementById("score");
-  if (scoreDOM) scoreDOM.innerText = position.currentRow.toString();
+  player.children[0].rotation.z = 0;
 }
 
 function Renderer() {
@@ -473,187 +433,21 @@ function Wheel(x) {
   return wheel;
 }
 
-function calculateFinalPosition(currentPosition, moves) {
-  return moves.reduce((position, direction) => {
-    if (direction === "forward")
-      return {
-        rowIndex: position.rowIndex + 1,
-        tileIndex: position.tileIndex,
-      };
-    if (direction === "backward")
-      return {
-        rowIndex: position.rowIndex - 1,
-        tileIndex: position.tileIndex,
-      };
-    if (direction === "left")
-      return {
-        rowIndex: position.rowIndex,
-        tileIndex: position.tileIndex - 1,
-      };
-    if (direction === "right")
-      return {
-        rowIndex: position.rowIndex,
-        tileIndex: position.tileIndex + 1,
-      };
-    return position;
-  }, currentPosition);
-}
-
-function endsUpInValidPosition(currentPosition, moves) {
-  // Calculate where the player would end up after the move
-  const finalPosition = calculateFinalPosition(currentPosition, moves);
-
-  // Detect if we hit the edge of the board
-  if (
-    finalPosition.rowIndex === -1 ||
-    finalPosition.tileIndex === minTileIndex - 1 ||
-    finalPosition.tileIndex === maxTileIndex + 1
-  ) {
-    // Invalid move, ignore move command
-    return false;
-  }
-
-  // Detect if we hit a tree
-  const finalRow = metadata[finalPosition.rowIndex - 1];
-  if (
-    finalRow &&
-    finalRow.type === "forest" &&
-    finalRow.trees.some((tree) => tree.tileIndex === finalPosition.tileIndex)
-  ) {
-    // Invalid move, ignore move command
-    return false;
-  }
-
-  return true;
-}
-
-function generateRows(amount) {
-  const rows = [];
-  for (let i = 0; i < amount; i++) {
-    const rowData = generateRow();
-    rows.push(rowData);
-  }
-  return rows;
-}
-
-function generateRow() {
-  const type = randomElement(["car", "truck", "forest"]);
-  if (type === "car") return generateCarLaneMetadata();
-  if (type === "truck") return generateTruckLaneMetadata();
-  return generateForesMetadata();
-}
-
-function randomElement(array) {
-  return array[Math.floor(Math.random() * array.length)];
-}
-
-function generateForesMetadata() {
-  const occupiedTiles = new Set();
-  const trees = Array.from({ length: 4 }, () => {
-    let tileIndex;
-    do {
-      tileIndex = THREE.MathUtils.randInt(minTileIndex, maxTileIndex);
-    } while (occupiedTiles.has(tileIndex));
-    occupiedTiles.add(tileIndex);
-
-    const height = randomElement([20, 45, 60]);
-
-    return { tileIndex, height };
-  });
+function updatePlayer() {
+  const { x, y, hop } = getPlayerPosition(game);
+  player.position.x = x;
+  player.position.y = y;
+  player.children[0].position.z = hop;
 
-  return { type: "forest", trees };
-}
-
-function generateCarLaneMetadata() {
-  const direction = randomElement([true, false]);
-  const speed = randomElement([125, 156, 188]);
-
-  const occupiedTiles = new Set();
-
-  const vehicles = Array.from({ length: 3 }, () => {
-    let initialTileIndex;
-    do {
-      initialTileIndex = THREE.MathUtils.randInt(minTileIndex, maxTileIndex);
-    } while (occupiedTiles.has(initialTileIndex));
-    occupiedTiles.add(initialTileIndex - 1);
-    occupiedTiles.add(initialTileIndex);
-    occupiedTiles.add(initialTileIndex + 1);
-
-    const color = randomElement([0xa52523, 0xbdb638, 0x78b14b]);
-
-    return { initialTileIndex, color };
-  });
-
-  return { type: "car", direction, speed, vehicles };
-}
-
-function generateTruckLaneMetadata() {
-  const direction = randomElement([true, false]);
-  const speed = randomElement([125, 156, 188]);
-
-  const occupiedTiles = new Set();
-
-  const vehicles = Array.from({ length: 2 }, () => {
-    let initialTileIndex;
-    do {
-      initialTileIndex = THREE.MathUtils.randInt(minTileIndex, maxTileIndex);
-    } while (occupiedTiles.has(initialTileIndex));
-    occupiedTiles.add(initialTileIndex - 2);
-    occupiedTiles.add(initialTileIndex - 1);
-    occupiedTiles.add(initialTileIndex);
-    occupiedTiles.add(initialTileIndex + 1);
-    occupiedTiles.add(initialTileIndex + 2);
-
-    const color = randomElement([0xa52523, 0xbdb638, 0x78b14b]);
-
-    return { initialTileIndex, color };
-  });
-
-  return { type: "truck", direction, speed, vehicles };
-}
-
-const moveClock = new THREE.Clock(false);
-
-function animatePlayer() {
-  if (!movesQueue.length) return;
-
-  if (!moveClock.running) moveClock.start();
-
-  const stepTime = 0.2; // Seconds it takes to take a step
-  const progress = Math.min(1, moveClock.getElapsedTime() / stepTime);
-
-  setPosition(progress);
-  setRotation(progress);
-
-  // Once a step has ended
-  if (progress >= 1) {
-    stepCompleted();
-    moveClock.stop();
-  }
-}
-
-function setPosition(progress) {
-  const startX = position.currentTile * tileSize;
-  const startY = position.currentRow * tileSize;
-  let endX = startX;
-  let endY = startY;
-
-  if (movesQueue[0] === "left") endX -= tileSize;
-  if (movesQueue[0] === "right") endX += tileSize;
-  if (movesQueue[0] === "forward") endY += tileSize;
-  if (movesQueue[0] === "backward") endY -= tileSize;
-
-  player.position.x = THREE.MathUtils.lerp(startX, endX, progress);
-  player.position.y = THREE.MathUtils.lerp(startY, endY, progress);
-  player.children[0].position.z = Math.sin(progress * Math.PI) * 8;
+  if (game.movesQueue.length) setRotation(game.stepProgress);
 }
 
 function setRotation(progress) {
   let endRotation = 0;
-  if (movesQueue[0] == "forward") endRotation = 0;
-  if (movesQueue[0] == "left") endRotation = Math.PI / 2;
-  if (movesQueue[0] == "right") endRotation = -Math.PI / 2;
-  if (movesQueue[0] == "backward") endRotation = Math.PI;
+  if (game.movesQueue[0] == "forward") endRotation = 0;
+  if (game.movesQueue[0] == "left") endRotation = Math.PI / 2;
+  if (game.movesQueue[0] == "right") endRotation = -Math.PI / 2;
+  if (game.movesQueue[0] == "backward") endRotation = Math.PI;
 
   player.children[0].rotation.z = THREE.MathUtils.lerp(
     player.children[0].rotation.z,
@@ -664,88 +458,37 @@ function setRotation(progress) {
 
 const clock = new THREE.Clock();
 
-function animateVehicles() {
-  const delta = clock.getDelta();
+function updateVehicles() {
+  game.rows.forEach((rowData, rowIndex) => {
+    if (rowData.type !== "car" && rowData.type !== "truck") return;
 
-  // Animate cars and trucks
-  metadata.forEach((rowData) => {
-    if (rowData.type === "car" || rowData.type === "truck") {
-      const beginningOfRow = (minTileIndex - 2) * tileSize;
-      const endOfRow = (maxTileIndex + 2) * tileSize;
-
-      rowData.vehicles.forEach(({ ref }) => {
-        if (!ref) throw Error("Vehicle reference is missing");
-
-        if (rowData.direction) {
-          ref.position.x =
-            ref.position.x > endOfRow
-              ? beginningOfRow
-              : ref.position.x + rowData.speed * delta;
-        } else {
-          ref.position.x =
-            ref.position.x < beginningOfRow
-              ? endOfRow
-              : ref.position.x - rowData.speed * delta;
-        }
-      });
-    }
+    rowData.vehicles.forEach((vehicle, index) => {
+      vehicleRefs[rowIndex][index].position.x = vehicle.x;
+    });
   });
 }
 
 document
   .getElementById("forward")
-  ?.addEventListener("click", () => queueMove("forward"));
+  ?.addEventListener("click", () => queueMove(game, "forward"));
 
 document
   .getElementById("backward")
-  ?.addEventListener("click", () => queueMove("backward"));
+  ?.addEventListener("click", () => queueMove(game, "backward"));
 
 document
   .getElementById("left")
-  ?.addEventListener("click", () => queueMove("left"));
+  ?.addEventListener("click", () => queueMove(game, "left"));
 
 document
   .getElementById("right")
-  ?.addEventListener("click", () => queueMove("right"));
-
-window.addEventListener("keydown", (event) => {
-  if (event.key === "ArrowUp") {
-    event.preventDefault(); // Avoid scrolling the page
-    queueMove("forward");
-  } else if (event.key === "ArrowDown") {
-    event.preventDefault(); // Avoid scrolling the page
-    queueMove("backward");
-  } else if (event.key === "ArrowLeft") {
-    event.preventDefault(); // Avoid scrolling the page
-    queueMove("left");
-  } else if (event.key === "ArrowRight") {
-    event.preventDefault(); // Avoid scrolling the page
-    queueMove("right");
-  }
-});
-
-function hitTest() {
-  const row = metadata[position.currentRow - 1];
-  if (!row) return;
-
-  if (row.type === "car" || row.type === "truck") {
-    const playerBoundingBox = new THREE.Box3();
-    playerBoundingBox.setFromObject(player);
+  ?.addEventListener("click", () => queueMove(game, "right"));
 
-    row.vehicles.forEach(({ ref }) => {
-      if (!ref) throw Error("Vehicle reference is missing");
-
-      const vehicleBoundingBox = new THREE.Box3();
-      vehicleBoundingBox.setFromObject(ref);
-
-      if (playerBoundingBox.intersectsBox(vehicleBoundingBox)) {
-        if (!resultDOM || !finalScoreDOM) return;
-        resultDOM.style.visibility = "visible";
-        finalScoreDOM.innerText = position.currentRow.toString();
-      }
-    });
-  }
-}
+// Keyboard and gamepad go through the shared input layer (it also stops arrows from scrolling the page)
+inputManager.on("moveForward", () => queueMove(game, "forward"));
+inputManager.on("moveBackward", () => queueMove(game, "backward"));
+inputManager.on("moveLeft", () => queueMove(game, "left"));
+inputManager.on("moveRight", () => queueMove(game, "right"));
 
 const scene = new THREE.Scene();
 scene.add(player);
@@ -770,6 +513,11 @@ initializeGame();
 document.querySelector("#retry")?.addEventListener("click", initializeGame);
 
 function initializeGame() {
+  // Same map again on retry when the seed came from the URL, a new one otherwise
+  const seed = urlSeed ?? randomSeed();
+  console.log(`🎲 Seed: ${seed} (add ?seed=${seed} to the URL to replay this map)`);
+
+  game = createGame(seed);
   initializePlayer();
   initializeMap();
 
@@ -778,13 +526,25 @@ function initializeGame() {
   if (resultDOM) resultDOM.style.visibility = "hidden";
 }
 
+function updateUI() {
+  if (scoreDOM) scoreDOM.innerText = game.score.toString();
+
+  if (game.status === "over" && resultDOM && finalScoreDOM) {
+    resultDOM.style.visibility = "visible";
+    finalScoreDOM.innerText = game.score.toString();
+  }
+}
+
 const renderer = Renderer();
 renderer.setAnimationLoop(animate);
 
 function animate() {
-  animateVehicles();
-  animatePlayer();
-  hitTest();
+  tick(game, clock.getDelta());
+
+  if (game.rows.length > renderedRows) addRows();
+  updateVehicles();
+  updatePlayer();
+  updateUI();
 
   renderer.render(scene, camera);
 }
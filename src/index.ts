@@ -1,18 +1,39 @@
 import * as THREE from 'three';
 import { SceneManager } from './systems/SceneManager';
+import { SceneTransitions } from './systems/SceneTransitions';
+import type { TransitionOptions } from './systems/SceneTransitions';
 import { DialogueSystem } from './systems/DialogueSystem';
 import { InteractionSystem } from './systems/InteractionSystem';
-import { AssetLoader } from './systems/AssetLoader';
+import { TouchControls } from './systems/TouchControls';
+import { InteractionPrompt } from './systems/InteractionPrompt';
+import { LoadingScreen } from './systems/LoadingScreen';
+import { MemoryJournal } from './systems/MemoryJournal';
+import { assetLoader } from './systems/AssetLoader';
+import type { AssetScope } from './systems/AssetLoader';
 import { KenneyCharacterController } from './systems/KenneyCharacterController';
+import { loadAppearance, saveAppearance, getSkinOption } from './systems/CharacterAppearance';
 import { CollisionManager } from './systems/CollisionManager';
+import { SaveSystem } from './systems/SaveSystem';
+import { CutscenePlayer } from './systems/CutscenePlayer';
+import { StoryFlags } from './systems/StoryFlags';
+import { getSeedFromUrl } from './systems/Random';
+import { audioManager } from './systems/AudioManager';
+import type { AudioBus } from './systems/AudioManager';
+import { inputManager, describeBinding, INPUT_ACTIONS } from './systems/InputManager';
+import type { InputAction } from './systems/InputManager';
+import type { SaveData, SaveSlotId } from './systems/SaveSystem';
+import type { GridPosition } from './systems/GridMovementController';
 import { TestScene } from './scenes/TestScene';
 import { OfficeScene } from './scenes/OfficeScene';
 import { ApartmentScene } from './scenes/ApartmentScene';
 import { CrossyRoadScene } from './scenes/CrossyRoadScene';
+import { EndlessCrossyRoadScene } from './scenes/EndlessCrossyRoadScene';
 import { OfficeBuildingScene } from './scenes/OfficeBuildingScene';
 import { OfficeFloorScene } from './scenes/OfficeFloorScene';
 import { TitleScreen } from './scenes/TitleScreen';
-import type { Memory } from './types';
+import type { Scene } from './scenes/Scene';
+import type { CharacterOptions, Memory } from './types';
+import { gameEvents } from './systems/EventBus';
 
 // Core game class
 class RelationshipStoryGame {
@@ -20,11 +41,20 @@ class RelationshipStoryGame {
   private scene: THREE.Scene;
   private camera: THREE.PerspectiveCamera;
   private sceneManager: SceneManager;
+  private sceneTransitions: SceneTransitions;
   private dialogueSystem: DialogueSystem;
   private interactionSystem: InteractionSystem;
-  private assetLoader: AssetLoader;
+  private touchControls: TouchControls;
+  private interactionPrompt: InteractionPrompt;
+  private assetLoader: AssetScope; // The player's assets - held for the whole session
   private characterController: KenneyCharacterController;
   private collisionManager: CollisionManager;
+  private saveSystem: SaveSystem;
+  private memoryJournal: MemoryJournal;
+  private cutscenePlayer: CutscenePlayer;
+  private storyFlags: StoryFlags;
+  private titleScreen: TitleScreen | null = null;
+  private playerAppearance: CharacterOptions;
   private clock: THREE.Clock;
   private cameraDistance: number = 5;
   private cameraHeight: number = 8;
@@ -32,10 +62,12 @@ class RelationshipStoryGame {
   private cameraLookAtLerpFactor: number = 0.08; // Separate factor for look-at smoothing
   private currentLookAtTarget: THREE.Vector3 = new THREE.Vector3();
   private debugPanel: HTMLDivElement | null = null;
+  private paused: boolean = false;
+  private pauseOverlay: HTMLDivElement | null = null;
   
   // Camera locking for cinematic sequences
   private cameraLocked: boolean = false;
-  private cameraLockTarget: THREE.Group | null = null;
+  private cameraLockTarget: THREE.Object3D | null = null;
   private cameraLockZoom: number = 1.0;
   private cameraLockTimeout: number | null = null;
   private cameraTransitioning: boolean = false;
@@ -43,6 +75,12 @@ class RelationshipStoryGame {
   private cameraTransitionTimer: number = 0;
   private cameraTransitionStartPos: THREE.Vector3 = new THREE.Vector3();
   private cameraTransitionStartLookAt: THREE.Vector3 = new THREE.Vector3();
+  
+  // Camera shake (e.g. hit by a car), added on top of wherever the camera is for each frame
+  private cameraShakeTimer: number = 0;
+  private cameraShakeDuration: number = 0;
+  private cameraShakeIntensity: number = 0;
+  private cameraShakeOffset: THREE.Vector3 = new THREE.Vector3();
 
   constructor() {
     // Initialize Three.js core
@@ -57,12 +95,40 @@ class RelationshipStoryGame {
     this.camera = this.createCamera();
 
     // Initialize systems
-    this.assetLoader = new AssetLoader();
+    this.assetLoader = assetLoader.scope('player');
     this.sceneManager = new SceneManager();
-    this.dialogueSystem = new DialogueSystem();
+    this.sceneTransitions = new SceneTransitions(this.renderer);
+    this.sceneTransitions.setFocus(() => this.characterController.getSmoothPosition());
+    this.sceneManager.setTransitions(this.sceneTransitions);
+    this.sceneManager.setLoadingScreen(new LoadingScreen());
+    this.storyFlags = new StoryFlags();
+    this.dialogueSystem = new DialogueSystem(this.storyFlags);
+    this.dialogueSystem.setCamera(this.camera);
+    audioManager.init(this.camera);
     this.interactionSystem = new InteractionSystem(this.camera, this.dialogueSystem);
+    this.touchControls = new TouchControls(this.dialogueSystem, this.interactionSystem);
+    this.interactionPrompt = new InteractionPrompt();
     this.characterController = new KenneyCharacterController(this.assetLoader);
+    this.playerAppearance = loadAppearance();
     this.collisionManager = new CollisionManager();
+    this.saveSystem = new SaveSystem();
+    this.memoryJournal = new MemoryJournal(this.dialogueSystem, this.saveSystem);
+    this.memoryJournal.setChapters([
+      { scene: 'apartment-scene', title: 'Her Apartment' },
+      { scene: 'crossy-road', title: 'Getting to Work' },
+      { scene: 'office-building', title: 'The Lobby' },
+      { scene: 'office-floor', title: 'The Office' }
+    ]);
+    this.cutscenePlayer = new CutscenePlayer(this.dialogueSystem, {
+      lockCamera: (target, zoomLevel) => this.lockCameraOnTarget(target, zoomLevel, 0),
+      releaseCamera: () => this.releaseCameraLock(),
+      lockPlayerMovement: (locked) => {
+        gameEvents.emit('lockPlayerMovement', { locked });
+      },
+      applyScreenFilter: (type, intensity, duration) => this.applyScreenFilter(type, intensity, duration),
+      showModal: (title, message, type, persistent) => this.showModal(title, message, type, persistent),
+      loadScene: (sceneName, transition) => this.loadScene(sceneName, undefined, transition)
+    });
     this.clock = new THREE.Clock();
 
     // Connect collision manager to character controll
@@ -117,116 +183,123 @@ class RelationshipStoryGame {
   private setupEventListeners(): void {
     window.addEventListener('resize', this.onWindowResize.bind(this));
 
-    // Keyboard controls
-    window.addEventListener('keydown', (e) => {
-      // Toggle debug panel with 'D' key
-      if (e.key === 'd' || e.key === 'D') {
-        this.toggleDebugPanel();
-      }
+    // Game-level input actions
+    inputManager.on('debug', () => this.toggleDebugPanel());
+    inputManager.on('pause', () => this.togglePause());
+    inputManager.on('journal', () => this.toggleJournal());
+
+    // The open journal takes the game's input; pause closes it
+    const journalBlocks: InputAction[] = ['moveForward', 'moveBackward', 'moveLeft', 'moveRight', 'interact', 'advance', 'pause'];
+    journalBlocks.forEach(action => {
+      inputManager.on(action, () => {
+        if (!this.memoryJournal.isOpen()) return false;
+        if (action === 'pause') {
+          this.toggleJournal();
+        }
+        return true;
+      }, 20);
     });
 
     // Listen for memory triggered events
-    window.addEventListener('memoryTriggered', ((event: CustomEvent) => {
-      console.log('Memory triggered:', event.detail);
+    gameEvents.on('memoryTriggered', (event) => {
+      console.log('Memory triggered:', event);
       this.dialogueSystem.notify('Memory discovered!', 2000);
       
       // Follow character with camera when moving
-      if (event.detail.memory) {
+      if (event.memory) {
         this.smoothCameraFollow(0.016); // Pass approximate frame time
         
+        // Persist the discovery
+        const memory = event.memory;
+        this.recordMemoryDiscovery(memory);
+        const currentScene = this.sceneManager.getCurrentScene();
+        if (currentScene) {
+          this.memoryJournal.recordDiscovery(currentScene.name, memory);
+        }
+        
         // Check if this is an exit door
-        const memory = event.detail.memory as Memory;
         if (memory.object.userData.isExitDoor) {
           const nextScene = memory.object.userData.nextScene;
           if (nextScene) {
             // Add a delay before transitioning
             setTimeout(() => {
-              this.loadScene(nextScene);
+              this.loadScene(nextScene, undefined, memory.object.userData.transition);
             }, 2000);
           }
         }
       }
-    }) as EventListener);
+    });
 
-    // Listen for vehicle collision events
-    window.addEventListener('vehicleCollision', ((event: CustomEvent) => {
-      console.log('Vehicle collision:', event.detail);
-      this.dialogueSystem.show(event.detail.message, 3000);
-    }) as EventListener);
+    // Hit by traffic or fallen in the river
+    gameEvents.on('playerHit', (event) => {
+      console.log('Player hit:', event);
+      this.dialogueSystem.show(event.message, 3000);
+      if (event.kind !== 'water') {
+        this.shakeCamera(event.kind === 'train' ? 0.8 : 0.4, 0.5);
+      }
+    });
 
     // Listen for door reached events
-    window.addEventListener('doorReached', ((event: CustomEvent) => {
-      console.log('Door reached:', event.detail);
-      this.dialogueSystem.show(event.detail.message, 2000);
-    }) as EventListener);
+    gameEvents.on('doorReached', (event) => {
+      console.log('Door reached:', event);
+      this.dialogueSystem.show(event.message, 2000);
+    });
+
+    // Scenes asking to move on (e.g. leaving the endless road for the title screen)
+    gameEvents.on('sceneRequested', (event) => {
+      this.loadScene(event.sceneName);
+    });
 
     // Listen for goal reached events
-    window.addEventListener('goalReached', ((event: CustomEvent) => {
-      console.log('Goal reached:', event.detail);
-      this.dialogueSystem.show(event.detail.message, 2000);
-    }) as EventListener);
+    gameEvents.on('goalReached', (event) => {
+      console.log('Goal reached:', event);
+      this.dialogueSystem.show(event.message, 2000);
+    });
 
     // Listen for elevator reached events
-    window.addEventListener('elevatorReached', ((event: CustomEvent) => {
-      console.log('Elevator reached:', event.detail);
-      this.dialogueSystem.show(event.detail.message, 2000);
-    }) as EventListener);
+    gameEvents.on('elevatorReached', (event) => {
+      console.log('Elevator reached:', event);
+      this.dialogueSystem.show(event.message, 2000);
+    });
 
     // Listen for story narration events
-    window.addEventListener('storyNarration', ((event: CustomEvent) => {
-      console.log('Story narration:', event.detail);
-      this.dialogueSystem.show(event.detail.message, 4000);
-    }) as EventListener);
+    gameEvents.on('storyNarration', (event) => {
+      console.log('Story narration:', event);
+      this.dialogueSystem.show(event.message, 4000);
+    });
 
     // Listen for camera lock events
-    window.addEventListener('lockCameraOnTarget', ((event: CustomEvent) => {
-      console.log('🎥 Camera lock requested:', event.detail);
-      console.log('🎥 Target object:', event.detail.target);
-      console.log('🎥 Target position:', event.detail.target?.position);
-      this.lockCameraOnTarget(event.detail.target, event.detail.zoomLevel, event.detail.duration);
-    }) as EventListener);
+    gameEvents.on('lockCameraOnTarget', (event) => {
+      console.log('🎥 Camera lock requested:', event);
+      this.lockCameraOnTarget(event.target, event.zoomLevel, event.duration);
+    });
 
     // Listen for camera release events
-    window.addEventListener('releaseCameraLock', (() => {
+    gameEvents.on('releaseCameraLock', () => {
       console.log('🎥 Camera lock release requested');
       this.releaseCameraLock();
-    }) as EventListener);
+    });
 
     // Listen for force move to position events (for desk sitting)
-    window.addEventListener('forceMoveToPosition', ((event: CustomEvent) => {
-      console.log('🚶 Force move to position:', event.detail);
-      const { worldX, worldZ } = event.detail;
-      // Convert world position to grid position
-      const gridX = Math.round(worldX / 2);
-      const gridZ = Math.round(worldZ / 2);
-      this.characterController.setPosition(worldX, 0, worldZ);
-    }) as EventListener);
-
-    // Listen for interaction prompt events
-    window.addEventListener('showInteractionPrompt', ((event: CustomEvent) => {
-      console.log('💬 Show interaction prompt:', event.detail);
-      this.dialogueSystem.show(event.detail.message, null); // Stay until hidden
-    }) as EventListener);
-
-    window.addEventListener('hideInteractionPrompt', (() => {
-      console.log('💬 Hide interaction prompt');
-      this.dialogueSystem.hide();
-    }) as EventListener);
+    gameEvents.on('forceMoveToPosition', (event) => {
+      console.log('🚶 Force move to position:', event);
+      this.characterController.setPosition(event.worldX, 0, event.worldZ);
+    });
 
     // Mouse wheel zoom
     window.addEventListener('wheel', (e) => this.handleWheel(e));
 
     // Listen for screen filter events
-    window.addEventListener('applyScreenFilter', ((event: CustomEvent) => {
-      console.log('🎬 Screen filter requested:', event.detail);
-      this.applyScreenFilter(event.detail.type, event.detail.intensity, event.detail.duration);
-    }) as EventListener);
+    gameEvents.on('applyScreenFilter', (event) => {
+      console.log('🎬 Screen filter requested:', event);
+      this.applyScreenFilter(event.type, event.intensity, event.duration);
+    });
 
     // Listen for modal events
-    window.addEventListener('showModal', ((event: CustomEvent) => {
-      console.log('📋 Modal requested:', event.detail);
-      this.showModal(event.detail.title, event.detail.message, event.detail.type, event.detail.persistent);
-    }) as EventListener);
+    gameEvents.on('showModal', (event) => {
+      console.log('📋 Modal requested:', event);
+      this.showModal(event.title, event.message, event.type, event.persistent);
+    });
   }
 
   private onWindowResize(): void {
@@ -239,12 +312,10 @@ class RelationshipStoryGame {
     // Register all scenes
     this.registerScenes();
 
-    // Load character with FBX Animated Woman model (blonde/light skin)
+    // Load the rigged Kenney character so she can walk, sit and lie down, dressed as customized
     // But don't add to scene yet - will be added when game starts
-    this.characterController.loadFBXCharacter(
-      'models/Animated Woman/Animated Woman.fbx',
-      'models/Animated Woman/LightSkin.png'
-    );
+    this.applyPlayerAppearance(this.playerAppearance);
+    this.characterController.loadFBXCharacter('basicCharacterRigged', 'skinWoman');
 
     // Load the title screen first
     this.loadScene('title-screen');
@@ -258,11 +329,12 @@ class RelationshipStoryGame {
 
   // Method called when "Begin your day" is clicked
   private startGame(): void {
+    // A new day starts a fresh run; saved slots stay untouched until the next autosave
+    this.saveSystem.startNewGame();
+    this.storyFlags.clear();
+
     // Add character to scene when game starts
-    const character = this.characterController.getCharacter();
-    if (character) {
-      this.scene.add(character);
-    }
+    this.addCharacterToScene();
 
     // Show welcome message
     this.dialogueSystem.show(
@@ -270,8 +342,95 @@ class RelationshipStoryGame {
       3000
     );
 
-    // Load the apartment scene for Day We Met story
-    this.loadScene('apartment-scene');
+    // Load the apartment scene for Day We Met story - drifting into the memory
+    this.loadScene('apartment-scene', undefined, { type: 'dream', duration: 2400 });
+  }
+
+  // Method called when "Continue" is clicked
+  private continueGame(): void {
+    const save = this.saveSystem.loadLatest();
+    if (!save) {
+      console.warn('💾 No save found - starting a new game instead');
+      this.startGame();
+      return;
+    }
+
+    this.resumeFromSave(save);
+  }
+
+  // Method called when "Endless Road" is clicked - a bonus run that never touches the story save
+  private startEndlessRoad(): void {
+    this.addCharacterToScene();
+    this.loadScene('crossy-road-endless');
+  }
+
+  private loadSaveSlot(slot: SaveSlotId): void {
+    const save = this.saveSystem.load(slot);
+    if (!save) {
+      this.dialogueSystem.notify(`No save in ${slot}`, 2000);
+      return;
+    }
+
+    this.resumeFromSave(save);
+  }
+
+  private resumeFromSave(save: SaveData): void {
+    this.storyFlags.load(save.flags);
+    this.addCharacterToScene();
+    this.loadScene(save.sceneName, save.playerPosition || undefined, {}, true);
+  }
+
+  // Dress the player and show their name and face in dialogue
+  private applyPlayerAppearance(appearance: CharacterOptions): void {
+    this.playerAppearance = appearance;
+    this.characterController.setAppearance(appearance);
+    this.dialogueSystem.setPortrait('Me', getSkinOption(appearance.skin).face);
+    this.dialogueSystem.setSpeakerName('Me', appearance.name || null);
+  }
+
+  private addCharacterToScene(): void {
+    const character = this.characterController.getCharacter();
+    if (character && character.parent !== this.scene) {
+      this.scene.add(character);
+    }
+  }
+
+  private removeCharacterFromScene(): void {
+    this.characterController.getCharacter()?.removeFromParent();
+  }
+
+  // Copy the current scene's story state and the player's position into the save system
+  private captureProgress(): void {
+    const currentScene = this.sceneManager.getCurrentScene();
+    if (!currentScene || !this.isStoryScene(currentScene.name)) return;
+
+    this.saveSystem.recordSceneState(currentScene.name, currentScene.getStoryState());
+    this.saveSystem.setLocation(currentScene.name, this.characterController.getGridPosition());
+    this.saveSystem.setFlags(this.storyFlags.toJSON());
+  }
+
+  private recordMemoryDiscovery(memory: Memory): void {
+    const currentScene = this.sceneManager.getCurrentScene();
+    if (!currentScene || !this.isStoryScene(currentScene.name)) return;
+
+    if (memory.id) {
+      this.saveSystem.recordMemory(currentScene.name, memory.id);
+    }
+    this.captureProgress();
+    this.saveSystem.autosave();
+  }
+
+  // Only the story is saved - not the title screen or bonus modes
+  private isStoryScene(sceneName: string): boolean {
+    return sceneName !== 'title-screen' && sceneName !== 'crossy-road-endless';
+  }
+
+  private saveToSlot(slot: SaveSlotId): void {
+    this.captureProgress();
+    if (this.saveSystem.save(slot)) {
+      this.dialogueSystem.notify(`Saved to ${slot}`, 2000);
+      this.updateSaveSlotLabels();
+    }
   }
 
   private registerScenes(): void {
@@ -280,124 +439,222 @@ class RelationshipStoryGame {
     titleScreen.setOnBeginCallback(() => {
       this.startGame();
     });
-    this.sceneManager.registerScene('title-screen', titleScreen);
+    titleScreen.setOnContinueCallback(() => {
+      this.continueGame();
+    });
+    titleScreen.setOnCustomizeCallback((appearance) => {
+      saveAppearance(appearance);
+      this.applyPlayerAppearance(appearance);
+    });
+    titleScreen.setOnEndlessCallback(() => {
+      this.startEndlessRoad();
+    });
+    this.titleScreen = titleScreen;
+    this.registerScene('title-screen', titleScreen);
     
     // Register test scene
-    this.sceneManager.registerScene('test-scene', new TestScene());
+    this.registerScene('test-scene', new TestScene());
     
     // Register office scene
-    this.sceneManager.registerScene('office-scene', new OfficeScene());
+    this.registerScene('office-scene', new OfficeScene());
     
     // Register apartment scene (Day We Met - Act 1)
-    this.sceneManager.registerScene('apartment-scene', new ApartmentScene());
+    this.registerScene('apartment-scene', new ApartmentScene());
     
+    // Roads are generated from ?seed= when given, so a layout can be replayed
+    const roadSeed = getSeedFromUrl();
+
     // Register crossy road scene (Day We Met - Act 2)
-    this.sceneManager.registerScene('crossy-road', new CrossyRoadScene());
+    const crossyRoad = new CrossyRoadScene();
+    crossyRoad.setSeed(roadSeed);
+    this.registerScene('crossy-road', crossyRoad);
 
     // Register office building scene (Day We Met - Act 2.5)
-    this.sceneManager.registerScene('office-building', new OfficeBuildingScene());
+    this.registerScene('office-building', new OfficeBuildingScene());
 
     // Register office floor scene (Day We Met - Act 3: The Meeting)
-    this.sceneManager.registerScene('office-floor', new OfficeFloorScene());
+    this.registerScene('office-floor', new OfficeFloorScene());
+
+    // Register the endless crossy road (bonus mode from the title screen)
+    const endlessRoad = new EndlessCrossyRoadScene();
+    endlessRoad.setSeed(roadSeed);
+    this.registerScene('crossy-road-endless', endlessRoad);
   }
 
-  private async loadScene(sceneName: string): Promise<void> {
+  private registerScene(name: string, scene: Scene): void {
+    this.sceneManager.registerScene(name, scene);
+    scene.setCutscenePlayer(this.cutscenePlayer);
+  }
+
+  // `resuming`: a save has just been read - the scene being left must not be captured over it
+  private async loadScene(sceneName: string, spawn?: GridPosition, transition: TransitionOptions = {}, resuming: boolean = false): Promise<void> {
     // Release any camera lock when changing scenes
     if (this.cameraLocked) {
       console.log('🎥 Releasing camera lock due to scene change');
       this.releaseCameraLock();
     }
     
+    // Cinematic movement locks never carry over into the next scene
+    gameEvents.emit('lockPlayerMovement', { locked: false });
+    
+    // Conversations belong to the scene they started in
+    this.dialogueSystem.stopConversation();
+    
+    // Remember the story state of the scene we are leaving
+    if (!resuming) {
+      this.captureProgress();
+    }
+    
+    let scene: Scene | undefined;
+    try {
+      scene = await this.sceneManager.loadScene(
+        sceneName,
+        transition,
+        loaded => this.setupScene(sceneName, loaded, spawn)
+      );
+    } catch (error) {
+      console.error(`❌ Could not load scene ${sceneName}:`, error);
+      // The scene we were in is already gone - the title screen beats an empty world
+      if (sceneName !== 'title-screen') {
+        this.dialogueSystem.notify('Something went wrong - back to the title screen');
+        await this.loadScene('title-screen');
+      }
+      return;
+    }
+    if (scene) {
+      // Autosave on every scene change
+      if (this.isStoryScene(sceneName)) {
+        this.saveSystem.setLocation(sceneName, this.characterController.getGridPosition());
+        this.saveSystem.autosave();
+        this.updateSaveSlotLabels();
+      }
+    }
+  }
+
+  // Runs while the new scene is still covered by the transition
+  private setupScene(sceneName: string, scene: Scene, spawn?: GridPosition): void {
     // Handle background for title screen
     if (sceneName === 'title-screen') {
       this.scene.background = null; // Remove background for title screen
+      this.titleScreen?.setContinueAvailable(this.saveSystem.hasSave());
+      this.titleScreen?.setAppearance(this.playerAppearance);
+      this.removeCharacterFromScene(); // Back from a game - she'd stand in front of the title art
     } else {
       this.scene.background = new THREE.Color(0x87CEEB); // Restore sky blue for game scenes
     }
     
-    const scene = await this.sceneManager.loadScene(sceneName);
-    if (scene) {
-      // Set collision manager for the scene BEFORE doing anything else
-      scene.setCollisionManager(this.collisionManager);
-      
-      // Set the current scene on the character controller for vehicle collision detection
-      this.characterController.setCurrentScene(scene);
-      
-      this.interactionSystem.setScene(scene);
+    // Set collision manager for the scene BEFORE doing anything else
+    scene.setCollisionManager(this.collisionManager);
+    
+    // Set the current scene on the character controller for vehicle collision detection
+    this.characterController.setCurrentScene(scene);
+    
+    this.interactionSystem.setScene(scene);
+    
+    // Click/tap-to-move everywhere except the title screen
+    this.interactionSystem.setMover(sceneName === 'title-screen' ? null : this.characterController);
+    this.touchControls.setEnabled(sceneName !== 'title-screen');
+    
+    // Adjust camera for the scene if needed
+    this.adjustCameraForScene(scene);
+    
+    // Show scene title
+    this.showSceneTitle(scene.name, scene.description);
+    
+    // Special handling for apartment scene
+    if (sceneName === 'apartment-scene') {
+      // Set bed position (bedroom is at -6, 0)
+      this.characterController.setBedPosition(-3, 0); // Grid position for bed
       
-      // Adjust camera for the scene if needed
-      this.adjustCameraForScene(scene);
+      // Start character in bed
+      this.characterController.setPosition(-6, 0, 0); // World position
+      this.characterController.setInBed(true);
       
-      // Show scene title
-      this.showSceneTitle(scene.name, scene.description);
+      // Show morning narration
+      setTimeout(() => {
+        this.dialogueSystem.show(
+          "Another morning... Time to start the day.",
+          3000
+        );
+      }, 1000);
+    }
+    // For all other scenes, clear bed position to prevent unwanted bed interactions
+    else {
+      // Clear bed position - bed interactions should only work in apartment
+      this.characterController.clearBedPosition();
+    }
+    
+    // Special handling for crossy road scene
+    if (sceneName === 'crossy-road') {
+      // Start character at the beginning of the crossy road in the safe area
+      this.characterController.setPosition(0, 0, -4); // World position (starting safe grass area)
+      this.characterController.setInBed(false);
       
-      // Special handling for apartment scene
-      if (sceneName === 'apartment-scene') {
-        // Set bed position (bedroom is at -6, 0)
-        this.characterController.setBedPosition(-3, 0); // Grid position for bed
-        
-        // Start character in bed
-        this.characterController.setPosition(-6, 0, 0); // World position
-        this.characterController.setInBed(true);
-        
-        // Show morning narration
-        setTimeout(() => {
-          this.dialogueSystem.show(
-            "Another morning... Time to start the day.",
-            3000
-          );
-        }, 1000);
-      }
-      // For all other scenes, clear bed position to prevent unwanted bed interactions
-      else {
-        // Clear bed position - bed interactions should only work in apartment
-        this.characterController.clearBedPosition();
-      }
+      // Show crossy road instructions
+      setTimeout(() => {
+        this.dialogueSystem.show(
+          "I need to cross the street to get to the office. Watch out for traffic!",
+          4000
+        );
+      }, 1000);
+    }
+    
+    // Special handling for the endless crossy road
+    if (sceneName === 'crossy-road-endless') {
+      this.characterController.setPosition(0, 0, -4); // World position (starting safe grass area)
+      this.characterController.setInBed(false);
       
-      // Special handling for crossy road scene
-      if (sceneName === 'crossy-road') {
-        // Start character at the beginning of the crossy road in the safe area
-        this.characterController.setPosition(0, 0, -4); // World position (starting safe grass area)
-        this.characterController.setInBed(false);
-        
-        // Show crossy road instructions
-        setTimeout(() => {
-          this.dialogueSystem.show(
-            "I need to cross the street to get to the office. Watch out for traffic!",
-            4000
-          );
-        }, 1000);
-      }
+      setTimeout(() => {
+        this.dialogueSystem.show(
+          "How far can I get before I'm late? Three hearts - mind the traffic!",
+          4000
+        );
+      }, 1000);
+    }
+    
+    // Special handling for office building scene
+    if (sceneName === 'office-building') {
+      // Start character at the lobby entrance
+      this.characterController.setPosition(0, 0, 6); // World position (lobby entrance)
+      this.characterController.setInBed(false);
       
-      // Special handling for office building scene
-      if (sceneName === 'office-building') {
-        // Start character at the lobby entrance
-        this.characterController.setPosition(0, 0, 6); // World position (lobby entrance)
-        this.characterController.setInBed(false);
-        
-        // Show office building narrative
-        setTimeout(() => {
-          this.dialogueSystem.show(
-            "The office building lobby. Another typical workday... or so I thought.",
-            4000
-          );
-        }, 1000);
-      }
+      // Show office building narrative
+      setTimeout(() => {
+        this.dialogueSystem.show(
+          "The office building lobby. Another typical workday... or so I thought.",
+          4000
+        );
+      }, 1000);
+    }
+    
+    // Special handling for office floor scene
+    if (sceneName === 'office-floor') {
+      // Start character at the elevator entrance
+      this.characterController.setPosition(0, 0, -8); // World position (closer to back wall where desks are)
+      this.characterController.setInBed(false);
       
-      // Special handling for office floor scene
-      if (sceneName === 'office-floor') {
-        // Start character at the elevator entrance
-        this.characterController.setPosition(0, 0, -8); // World position (closer to back wall where desks are)
-        this.characterController.setInBed(false);
-        
-        // Show office floor arrival
-        setTimeout(() => {
-          this.dialogueSystem.show(
-            "The office floor. Time to start another day...",
-            3000
-          );
-        }, 1000);
-      }
+      // Show office floor arrival
+      setTimeout(() => {
+        this.dialogueSystem.show(
+          "The office floor. Time to start another day...",
+          3000
+        );
+      }, 1000);
+    }
+    
+    // Restore discovered memories and story progress for this scene
+    scene.restoreMemories(this.saveSystem.getTriggeredMemories(sceneName));
+    this.memoryJournal.catalogScene(scene);
+    const storyState = this.saveSystem.getSceneState(sceneName);
+    if (storyState) {
+      scene.restoreStoryState(storyState);
+    }
+    
+    // Saved spawn position overrides the scene's default start
+    if (spawn) {
+      this.characterController.setPosition(spawn.x * 2, 0, spawn.z * 2);
+      this.characterController.setInBed(false);
+      this.adjustCameraForScene(scene);
     }
   }
 
@@ -515,7 +772,7 @@ class RelationshipStoryGame {
     this.camera.lookAt(this.currentLookAtTarget);
   }
 
-  private lockCameraOnTarget(target: THREE.Group, zoomLevel: number = 1.0, duration: number = 5000): void {
+  private lockCameraOnTarget(target: THREE.Object3D, zoomLevel: number = 1.0, duration: number = 5000): void {
     console.log('🎥 Locking camera on target with zoom:', zoomLevel, 'duration:', duration);
     console.log('🎥 Target is valid:', !!target);
     console.log('🎥 Target position:', target?.position);
@@ -608,12 +865,28 @@ class RelationshipStoryGame {
       `<button class="scene-nav-btn" data-scene="${sceneName}">${this.getSceneDisplayName(sceneName)}</button>`
     ).join('');
     
+    // Create save slot section (autosave can only be loaded)
+    const saveSlots = SaveSystem.slots.map(slot => `
+      <div class="debug-line"><span class="label">${slot}:</span> <span data-slot-label="${slot}">empty</span></div>
+      <div class="save-slot-actions">
+        ${slot !== 'autosave' ? `<button class="scene-nav-btn" data-save-slot="${slot}">Save</button>` : ''}
+        <button class="scene-nav-btn" data-load-slot="${slot}">Load</button>
+      </div>
+    `).join('');
+    
+    // Create rebinding section (one button per action, showing its keyboard keys)
+    const controls = INPUT_ACTIONS.map(action => `
+      <div class="debug-line"><span class="label">${action}:</span></div>
+      <button class="scene-nav-btn" data-rebind="${action}"></button>
+    `).join('');
+    
     this.debugPanel.innerHTML = `
       <div class="debug-section">
         <div class="debug-section-title">Character Debug</div>
         <div class="debug-line"><span class="label">Grid Pos:</span> <span id="grid-pos">0, 0</span></div>
         <div class="debug-line"><span class="label">Queue:</span> <span id="queue-length">0</span></div>
         <div class="debug-line"><span class="label">Moving:</span> <span id="is-moving">false</span></div>
+        <div class="debug-line" title="Add ?seed=<seed> to the URL to replay this road"><span class="label">Road Seed:</span> <span id="road-seed">-</span></div>
       </div>
       <div class="debug-section">
         <div class="debug-section-title">Scene Navigation</div>
@@ -621,6 +894,28 @@ class RelationshipStoryGame {
           ${sceneNavigation}
         </div>
       </div>
+      <div class="debug-section">
+        <div class="debug-section-title">Save Slots</div>
+        <div class="scene-nav-container">
+          ${saveSlots}
+        </div>
+      </div>
+      <div class="debug-section">
+        <div class="debug-section-title">Audio</div>
+        <div class="debug-line"><span class="label">Music:</span> <input type="range" min="0" max="100" data-volume="music" value="${Math.round(audioManager.getVolume('music') * 100)}"></div>
+        <div class="debug-line"><span class="label">SFX:</span> <input type="range" min="0" max="100" data-volume="sfx" value="${Math.round(audioManager.getVolume('sfx') * 100)}"></div>
+      </div>
+      <div class="debug-section">
+        <div class="debug-section-title">Controls</div>
+        <div class="scene-nav-container">
+          ${controls}
+          <button class="scene-nav-btn" data-reset-bindings>Reset to defaults</button>
+        </div>
+      </div>
+      <div class="debug-section">
+        <div class="debug-section-title">Event Log</div>
+        <div id="event-log" class="event-log"></div>
+      </div>
     `;
     
     // Add click listeners to scene navigation buttons
@@ -628,13 +923,97 @@ class RelationshipStoryGame {
       button.addEventListener('click', (e) => {
         const sceneName = (e.target as HTMLElement).getAttribute('data-scene');
         if (sceneName) {
-          this.loadScene(sceneName);
+          this.loadScene(sceneName, undefined, { type: 'crossfade' });
         }
       });
     });
     
+    // Add click listeners to save slot buttons
+    this.debugPanel.querySelectorAll('[data-save-slot]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.saveToSlot(button.getAttribute('data-save-slot') as SaveSlotId);
+      });
+    });
+    this.debugPanel.querySelectorAll('[data-load-slot]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.loadSaveSlot(button.getAttribute('data-load-slot') as SaveSlotId);
+      });
+    });
+    
+    // Rebinding: the next key, mouse or pad button pressed becomes the binding
+    this.debugPanel.querySelectorAll<HTMLButtonElement>('[data-rebind]').forEach(button => {
+      button.addEventListener('click', async () => {
+        const action = button.getAttribute('data-rebind') as InputAction;
+        button.textContent = 'Press a key... (Esc cancels)';
+        await inputManager.rebind(action);
+        this.updateBindingLabels();
+      });
+    });
+    this.debugPanel.querySelector('[data-reset-bindings]')?.addEventListener('click', () => {
+      inputManager.resetBindings();
+      this.updateBindingLabels();
+    });
+    
+    // Volume sliders
+    this.debugPanel.querySelectorAll<HTMLInputElement>('[data-volume]').forEach(slider => {
+      slider.addEventListener('input', () => {
+        audioManager.setVolume(slider.getAttribute('data-volume') as AudioBus, Number(slider.value) / 100);
+      });
+    });
+    
     document.body.appendChild(this.debugPanel);
     this.debugPanel.style.display = 'none';
+    this.updateSaveSlotLabels();
+    this.updateBindingLabels();
+    
+    // Keep the event log current while the panel is open
+    gameEvents.onLog(() => {
+      if (this.debugPanel && this.debugPanel.style.display !== 'none') {
+        this.updateEventLog();
+      }
+    });
+  }
+
+  private updateBindingLabels(): void {
+    this.debugPanel?.querySelectorAll('[data-rebind]').forEach(button => {
+      const action = button.getAttribute('data-rebind') as InputAction;
+      const bindings = inputManager.getBindings(action).map(binding => describeBinding(binding));
+      button.textContent = bindings.join(', ') || '(unbound)';
+    });
+  }
+
+  private updateEventLog(): void {
+    const logElement = this.debugPanel?.querySelector('#event-log');
+    if (!logElement) return;
+
+    // Newest events first
+    const entries = gameEvents.getLog().slice(-12).reverse();
+    logElement.innerHTML = '';
+    entries.forEach(entry => {
+      const line = document.createElement('div');
+      line.className = 'event-log-line';
+      if (entry.listenerCount === 0) {
+        line.classList.add('unheard'); // Nobody was subscribed
+      }
+      const time = new Date(entry.time).toLocaleTimeString();
+      line.textContent = `${time} ${entry.name} ${entry.summary}`;
+      logElement.appendChild(line);
+    });
+  }
+
+  private updateSaveSlotLabels(): void {
+    if (!this.debugPanel) return;
+
+    const filledSlots = this.saveSystem.listSlots();
+    SaveSystem.slots.forEach(slot => {
+      const label = this.debugPanel!.querySelector(`[data-slot-label="${slot}"]`);
+      if (!label) return;
+
+      const info = filledSlots.find(filled => filled.slot === slot);
+      label.textContent = info
+        ? `${this.getSceneDisplayName(info.sceneName)} ${new Date(info.savedAt).toLocaleTimeString()}`
+        : 'empty';
+    });
   }
 
   private getSceneDisplayName(sceneName: string): string {
@@ -645,6 +1024,7 @@ class RelationshipStoryGame {
       'office-scene': 'Office Scene', 
       'apartment-scene': 'Apartment',
       'crossy-road': 'Crossy Road',
+      'crossy-road-endless': 'Endless Road',
       'office-building': 'Office Building',
       'office-floor': 'Office Floor'
     };
@@ -666,6 +1046,11 @@ class RelationshipStoryGame {
     if (gridPosElement) gridPosElement.textContent = `${gridPos.x}, ${gridPos.z}`;
     if (queueElement) queueElement.textContent = queueLength.toString();
     if (movingElement) movingElement.textContent = isMoving ? 'true' : 'false';
+
+    // Only the road scenes are generated from a seed
+    const seedElement = this.debugPanel.querySelector('#road-seed');
+    const currentScene = this.sceneManager.getCurrentScene();
+    if (seedElement) seedElement.textContent = currentScene instanceof CrossyRoadScene ? currentScene.getSeed().toString() : '-';
   }
 
   private animate(): void {
@@ -673,19 +1058,53 @@ class RelationshipStoryGame {
 
     const deltaTime = this.clock.getDelta();
 
+    // Keep drawing while paused, but let nothing move
+    if (this.paused) {
+      this.sceneTransitions.render(this.scene, this.camera);
+      return;
+    }
+
     // Update systems
     this.sceneManager.update(deltaTime);
     this.interactionSystem.update();
     this.characterController.update(deltaTime, this.camera);
+    this.collisionManager.update(deltaTime);
 
     // Camera follows character smoothly
     this.smoothCameraFollow(deltaTime);
+    
+    // Speech bubbles follow their speaker after the camera has moved
+    this.dialogueSystem.update();
+    this.touchControls.update();
 
     // Update debug panel
     this.updateDebugPanel();
 
-    // Render the scene
-    this.renderer.render(this.scene, this.camera);
+    // Render the scene (with any scene transition on top), shaken for this frame only
+    // so the camera follow isn't thrown off
+    const shake = this.getCameraShake(deltaTime);
+    this.camera.position.add(shake);
+    this.sceneTransitions.render(this.scene, this.camera);
+    this.camera.position.sub(shake);
+  }
+
+  private shakeCamera(intensity: number, duration: number): void {
+    this.cameraShakeIntensity = intensity;
+    this.cameraShakeDuration = duration;
+    this.cameraShakeTimer = duration;
+  }
+
+  // A random offset that dies down over the shake
+  private getCameraShake(deltaTime: number): THREE.Vector3 {
+    if (this.cameraShakeTimer <= 0) return this.cameraShakeOffset.set(0, 0, 0);
+
+    this.cameraShakeTimer = Math.max(0, this.cameraShakeTimer - deltaTime);
+    const strength = this.cameraShakeIntensity * (this.cameraShakeTimer / this.cameraShakeDuration);
+    return this.cameraShakeOffset.set(
+      (Math.random() * 2 - 1) * strength,
+      (Math.random() * 2 - 1) * strength,
+      (Math.random() * 2 - 1) * strength
+    );
   }
 
   private handleWheel(event: WheelEvent): void {
@@ -702,8 +1121,8 @@ class RelationshipStoryGame {
   }
 
   // Public methods for scene navigation
-  public async goToScene(sceneName: string): Promise<void> {
-    await this.loadScene(sceneName);
+  public async goToScene(sceneName: string, transition?: TransitionOptions): Promise<void> {
+    await this.loadScene(sceneName, undefined, transition);
   }
 
   public showDialogue(text: string, duration?: number): void {
@@ -717,6 +1136,55 @@ class RelationshipStoryGame {
   private toggleDebugPanel(): void {
     if (this.debugPanel) {
       this.debugPanel.style.display = this.debugPanel.style.display === 'none' ? 'block' : 'none';
+      this.updateEventLog();
+    }
+  }
+
+  private togglePause(): void {
+    // Nothing to pause on the title screen
+    if (!this.paused && this.sceneManager.getCurrentScene()?.name === 'title-screen') return;
+
+    this.paused = !this.paused;
+    if (this.paused) {
+      this.cutscenePlayer.pause();
+    } else {
+      this.cutscenePlayer.resume();
+    }
+
+    if (!this.pauseOverlay) {
+      this.pauseOverlay = document.createElement('div');
+      this.pauseOverlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0, 0, 0, 0.4);
+        color: white;
+        font-family: 'Press Start 2P', cursive;
+        font-size: 20px;
+        pointer-events: none;
+        z-index: 1800;
+      `;
+      document.body.appendChild(this.pauseOverlay);
+    }
+    this.pauseOverlay.textContent = `Paused - ${inputManager.getBindingLabel('pause')} to resume`;
+    this.pauseOverlay.style.display = this.paused ? 'flex' : 'none';
+    console.log(this.paused ? '⏸️ Game paused' : '▶️ Game resumed');
+  }
+
+  private toggleJournal(): void {
+    // No journal before the story starts, or over the pause screen
+    if (!this.memoryJournal.isOpen() && (this.paused || this.sceneManager.getCurrentScene()?.name === 'title-screen')) return;
+
+    this.memoryJournal.toggle();
+    const open = this.memoryJournal.isOpen();
+    this.interactionSystem.setEnabled(!open);
+    if (open) {
+      this.characterController.cancelWalk();
     }
   }
 
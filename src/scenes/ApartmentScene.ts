@@ -1,45 +1,65 @@
 import * as THREE from 'three';
 import { Scene } from './Scene';
-import { AssetLoader } from '../systems/AssetLoader';
+import { PAINTINGS } from '../systems/AssetRegistry';
+import type { PaintingAsset, TextureId } from '../systems/AssetRegistry';
+import { PaintingViewer } from '../systems/PaintingViewer';
 import type { Memory } from '../types';
+import { gameEvents } from '../systems/EventBus';
+import type { EventScope } from '../systems/EventBus';
+
+interface PaintingSlot {
+  position: { x: number, y: number, z: number };
+  size: { width: number, height: number };
+  name: string;
+  painting?: string; // File in public/assets/paintings that belongs here
+  color?: number; // Plain canvas when no painting is left for this spot
+}
+
+const MALLE_Y = 2.5; // Same height as other paintings
+const MALLE_SIZE = { width: 1.2, height: 1.2 }; // Square format
+
+// Wall spots for her paintings, filled in order
+const PAINTING_SLOTS: PaintingSlot[] = [
+  // Bedroom, above the bed
+  { position: { x: -6, y: 2.5, z: -3.5 }, size: { width: 2.25, height: 1.5 }, name: 'kilk-artwork', painting: 'kilk.jpeg' },
+  { position: { x: -3, y: 2.5, z: -3.5 }, size: { width: 1, height: 1 }, name: 'june3rd-painting', painting: 'june3rd.jpg' },
+  // Left wall - malle series in a row
+  { position: { x: -11.8, y: MALLE_Y, z: 1.5 }, size: MALLE_SIZE, name: 'malle-1-painting', painting: 'malle 1.jpeg' },
+  { position: { x: -11.8, y: MALLE_Y, z: 0 }, size: MALLE_SIZE, name: 'malle-2-painting', painting: 'malle2.jpeg' },
+  { position: { x: -11.8, y: MALLE_Y, z: -1.5 }, size: MALLE_SIZE, name: 'malle-3-painting', painting: 'malle3.jpeg' },
+  // Free spots for new paintings
+  { position: { x: 9, y: 2.5, z: 2 }, size: { width: 2, height: 1.2 }, name: 'living-room-painting', color: 0xFF8C00 },
+  { position: { x: -3, y: 2.2, z: -12 }, size: { width: 1.2, height: 0.8 }, name: 'kitchen-painting', color: 0x228B22 },
+  { position: { x: 12, y: 2.8, z: -6 }, size: { width: 1, height: 1.5 }, name: 'hallway-painting', color: 0x9932CC },
+  { position: { x: -11.8, y: MALLE_Y, z: 3.5 }, size: MALLE_SIZE, name: 'left-wall-painting-1' },
+  { position: { x: -11.8, y: MALLE_Y, z: 5 }, size: MALLE_SIZE, name: 'left-wall-painting-2' },
+  { position: { x: 11.8, y: 2.5, z: 2 }, size: { width: 1.5, height: 1.2 }, name: 'right-wall-painting-1' },
+  { position: { x: 11.8, y: 2.5, z: 4.5 }, size: { width: 1.5, height: 1.2 }, name: 'right-wall-painting-2' }
+];
 
 export class ApartmentScene extends Scene {
-  private assetLoader: AssetLoader;
   private exitDoor: THREE.Mesh | null = null;
+  private leaving: boolean = false;
   private walls: THREE.Mesh[] = [];
+  private paintingViewer: PaintingViewer | null = null;
 
   constructor() {
     super('apartment-scene', 'Tuesday Morning - Her Apartment');
-    this.assetLoader = new AssetLoader();
-    
-    // Listen for character movement to check for door triggers
-    this.setupGridMovementListener();
+    this.music = 'apartment';
+    // Her paintings - preloaded with the scene so they're on the walls when it appears
+    this.assets = { textures: PAINTINGS.map(painting => painting.id) };
+    this.nextScene = 'crossy-road';
   }
 
-  private setupGridMovementListener(): void {
-    const handleGridMovement = (event: CustomEvent) => {
-      const { position } = event.detail;
-      console.log(`🚶‍♀️ Character moved to grid position: (${position.x}, ${position.z})`);
-      
-      // Check if character reached the door
-      this.checkGridPositionTriggers(position.x, position.z);
-    };
-    
-    window.addEventListener('gridMoveComplete', handleGridMovement as EventListener);
-    
-    // Store reference to remove listener later
-    (this as any).gridMovementListener = handleGridMovement;
+  protected subscribeEvents(events: EventScope): void {
+    // Coming back to the apartment (e.g. from a save) lets us leave again
+    this.leaving = false;
   }
 
-  // Override unload to clean up event listener
   unload(): void {
     super.unload();
-    
-    // Remove the grid movement listener
-    if ((this as any).gridMovementListener) {
-      window.removeEventListener('gridMoveComplete', (this as any).gridMovementListener);
-      (this as any).gridMovementListener = null;
-    }
+    this.paintingViewer?.dispose();
+    this.paintingViewer = null;
   }
 
   protected async loadAssets(): Promise<void> {
@@ -466,6 +486,7 @@ export class ApartmentScene extends Scene {
     if (this.exitDoor) {
       this.exitDoor.userData.isExitDoor = true;
       this.exitDoor.userData.nextScene = 'crossy-road';
+      this.exitDoor.userData.transition = { type: 'iris' };
       
       this.addMemory(
         this.exitDoor,
@@ -501,93 +522,60 @@ export class ApartmentScene extends Scene {
     this.addPaintings();
   }
 
+  // Known paintings keep their spot; any other image in public/assets/paintings takes the next free spot.
+  // Spots left over show a plain colored canvas (or stay bare).
   private addPaintings(): void {
-    // Custom user artwork - kilk.jpeg in bedroom
-    const kilkTexturePath = 'assets/paintings/kilk.jpeg'; // Try without leading slash
-    console.log('Attempting to load painting from:', kilkTexturePath);
-    console.log('Full URL would be:', window.location.origin + '/' + kilkTexturePath);
-    
-    // Test if image is accessible
-    const testImg = new Image();
-    testImg.onload = () => console.log('✅ Image loaded successfully via HTML Image element');
-    testImg.onerror = (e) => console.error('❌ Image failed to load via HTML Image element:', e);
-    testImg.src = kilkTexturePath;
-    
-    this.createPainting({
-      position: { x: -6, y: 2.5, z: -3.5 }, // Moved further away from wall to prevent z-fighting
-      size: { width: 2.25, height: 1.5 }, // 1.5x bigger: 1.5*1.5=2.25, 1*1.5=1.5
-      texture: kilkTexturePath,
-      name: 'kilk-artwork'
-    });
-
-    // Living room painting - warm orange
-    this.createPainting({
-      position: { x: 9, y: 2.5, z: 2 },
-      size: { width: 2, height: 1.2 },
-      color: 0xFF8C00, // Dark orange
-      name: 'living-room-painting'
-    });
-
-    // June 3rd custom artwork behind the bed
-    this.createPainting({
-      position: { x: -3, y: 2.5, z: -3.5 }, // Behind the bed wall
-      size: { width: 1, height: 1 },
-      texture: 'assets/paintings/june3rd.jpg',
-      name: 'june3rd-painting'
-    });
-
-    // Kitchen painting - green nature
-    this.createPainting({
-      position: { x: -3, y: 2.2, z: -12 },
-      size: { width: 1.2, height: 0.8 },
-      color: 0x228B22, // Forest green
-      name: 'kitchen-painting'
-    });
-
-    // Hallway painting - purple abstract
-    this.createPainting({
-      position: { x: 12, y: 2.8, z: -6 },
-      size: { width: 1, height: 1.5 },
-      color: 0x9932CC, // Dark orchid
-      name: 'hallway-painting'
+    const hung = new Map<PaintingSlot, PaintingAsset>();
+    const unplaced = PAINTINGS.filter(painting => {
+      const slot = PAINTING_SLOTS.find(candidate => candidate.painting === painting.file);
+      if (slot) {
+        hung.set(slot, painting);
+      }
+      return !slot;
     });
 
-    // Left wall paintings - malle series in a row
-    const malleY = 2.5; // Same height as other paintings
-    const malleSize = { width: 1.2, height: 1.2 }; // Square format
-    
-    // Malle 1 painting (now third)
-    this.createPainting({
-      position: { x: -11.8, y: malleY, z: 1.5 }, // Rightmost
-      size: malleSize,
-      texture: 'assets/paintings/' + encodeURIComponent('malle 1.jpeg'),
-      name: 'malle-1-painting'
+    PAINTING_SLOTS.forEach(slot => {
+      if (!hung.has(slot) && unplaced.length > 0) {
+        hung.set(slot, unplaced.shift()!);
+      }
     });
+    if (unplaced.length > 0) {
+      console.warn(`🖼️ No free wall for ${unplaced.map(painting => painting.file).join(', ')} - add more PAINTING_SLOTS`);
+    }
 
-    // Malle 2 painting (middle, unchanged)
-    this.createPainting({
-      position: { x: -11.8, y: malleY, z: 0 }, // Center
-      size: malleSize,
-      texture: 'assets/paintings/malle2.jpeg',
-      name: 'malle-2-painting'
+    PAINTING_SLOTS.forEach(slot => {
+      const painting = hung.get(slot);
+      if (painting) {
+        const group = this.createPainting({
+          position: slot.position,
+          size: slot.size,
+          texture: painting.id,
+          name: slot.name,
+          fit: painting.file !== slot.painting // Picked for this spot - keep its proportions
+        });
+        this.addClickable(group, () => this.viewPainting(painting));
+      } else if (slot.color !== undefined) {
+        this.createPainting({ position: slot.position, size: slot.size, color: slot.color, name: slot.name });
+      }
     });
+  }
 
-    // Malle 3 painting (now first)
-    this.createPainting({
-      position: { x: -11.8, y: malleY, z: -1.5 }, // Leftmost
-      size: malleSize,
-      texture: 'assets/paintings/malle3.jpeg',
-      name: 'malle-3-painting'
-    });
+  // Full-screen view, browsing through the whole collection
+  private viewPainting(painting: PaintingAsset): void {
+    if (!this.paintingViewer) {
+      this.paintingViewer = new PaintingViewer();
+    }
+    this.paintingViewer.open(PAINTINGS, PAINTINGS.indexOf(painting));
   }
 
   private createPainting(config: {
     position: { x: number, y: number, z: number },
     size: { width: number, height: number },
     color?: number,
-    texture?: string,
-    name?: string
-  }): void {
+    texture?: TextureId,
+    name?: string,
+    fit?: boolean // Shrink to the image's aspect ratio within the size once loaded
+  }): THREE.Group {
     const paintingGroup = new THREE.Group();
 
     // Frame
@@ -628,12 +616,9 @@ export class ApartmentScene extends Scene {
       const canvasMesh = canvas;
       const materialToUpdate = canvasMaterial as THREE.MeshBasicMaterial;
       
-      // Load texture asynchronously
-      const textureLoader = new THREE.TextureLoader();
-      textureLoader.load(
-        config.texture,
-        // onLoad callback - texture loaded successfully
-        (texture) => {
+      // Load texture asynchronously - preloaded scenes already have it cached
+      this.assetLoader.loadTexture(config.texture)
+        .then((texture) => {
           console.log(`Successfully loaded texture: ${config.texture}`);
           console.log('Texture dimensions:', texture.image.width, 'x', texture.image.height);
           
@@ -654,18 +639,24 @@ export class ApartmentScene extends Scene {
           materialToUpdate.transparent = false; // Ensure no transparency issues
           materialToUpdate.alphaTest = 0; // Disable alpha testing
           
+          if (config.fit) {
+            const aspect = texture.image.width / texture.image.height;
+            const width = Math.min(config.size.width, config.size.height * aspect);
+            const height = width / aspect;
+            canvasMesh.scale.set(width / config.size.width, height / config.size.height, 1);
+            frame.scale.set(
+              (width + frameThickness * 2) / (config.size.width + frameThickness * 2),
+              (height + frameThickness * 2) / (config.size.height + frameThickness * 2),
+              1
+            );
+          }
+          
           console.log('Material updated with texture');
-        },
-        // onProgress callback
-        (xhr) => {
-          console.log(`Loading ${config.texture}: ${(xhr.loaded / xhr.total * 100)}% loaded`);
-        },
-        // onError callback
-        (error) => {
+        })
+        .catch((error) => {
           console.error(`Failed to load texture: ${config.texture}`, error);
           // Keep gray color on error
-        }
-      );
+        });
     } else {
       // Use default color with MeshBasicMaterial for consistency
       canvasMaterial = new THREE.MeshBasicMaterial({ 
@@ -708,19 +699,20 @@ export class ApartmentScene extends Scene {
     }
 
     this.add(paintingGroup);
+    return paintingGroup;
   }
 
-  // Method to add custom PNG painting
+  // Method to add a painting somewhere other than the wall spots (e.g. a colored placeholder texture)
   public addCustomPainting(
     position: { x: number, y: number, z: number },
     size: { width: number, height: number },
-    texturePath: string,
+    texture: TextureId,
     name?: string
   ): void {
     this.createPainting({
       position,
       size,
-      texture: texturePath,
+      texture,
       name
     });
   }
@@ -817,8 +809,36 @@ export class ApartmentScene extends Scene {
     registerWallCollision('bedroom-bathroom-wall', -6, -4, 8, 0.3);
     registerWallCollision('kitchen-living-separator', 3, -4, 0.3, 8);
 
+    // The bed can be walked onto - GridMovementController lies the player down on arrival
+    this.collisionManager.addInteractableCollider({
+      type: 'interactable',
+      interactionType: 'bed',
+      gridPositions: [{ x: -3, z: 0 }],
+      name: 'bed',
+      prompt: 'Five more minutes...',
+      blocks: []
+    });
+
+    // The exit door sits in the gap of the front wall (world x = 3, z = 8)
+    this.collisionManager.addInteractableCollider({
+      type: 'interactable',
+      interactionType: 'door',
+      gridPositions: [{ x: 1, z: 4 }, { x: 2, z: 4 }],
+      name: 'exit-door',
+      prompt: 'Leave for work',
+      triggerOnBump: true,
+      onInteract: () => this.leaveApartment()
+    });
+
+    // Stepping onto the doormat (world (3, 6)) in front of the door leaves as well
+    this.collisionManager.addTriggerZone({
+      name: 'doormat',
+      gridPositions: [{ x: 1, z: 3 }, { x: 2, z: 3 }],
+      once: true,
+      onEnter: () => this.leaveApartment()
+    });
+
     // Register major furniture with appropriate sizes
-    // Bed interaction is handled separately by GridMovementController, not collision system
     
     // Kitchen counter
     registerWallCollision('kitchen-counter', 0, -8, 6, 2);
@@ -840,37 +860,31 @@ export class ApartmentScene extends Scene {
     console.log('📍 Occupied positions:', occupiedPositions);
   }
 
-  // Add method to check for door trigger based on grid position
-  checkGridPositionTriggers(gridX: number, gridZ: number): void {
-    // Doormat is at world position (3, 6), which is grid position (1.5, 3)
-    // Exit zone is at world position (3, 7), which is grid position (1.5, 3.5)
-    // Trigger when character reaches grid positions around the door area
-    if ((gridX === 1 || gridX === 2) && (gridZ === 3 || gridZ === 4)) {
-      console.log('🚪 Player reached door area - triggering scene transition');
-      
-      // Add a brief delay and message before transition
-      window.dispatchEvent(new CustomEvent('doorReached', { 
-        detail: { message: 'Leaving for work...' }
-      }));
-      
-      // Trigger the memory event that will cause scene transition after delay
-      setTimeout(() => {
-        if (this.exitDoor) {
-          const event = {
+  private leaveApartment(): void {
+    // The doormat and the door itself can both fire
+    if (this.leaving) return;
+    this.leaving = true;
+    
+    // Add a brief delay and message before transition
+    gameEvents.emit('doorReached', { message: 'Leaving for work...' });
+    
+    // Trigger the memory event that will cause scene transition after delay
+    setTimeout(() => {
+      if (this.exitDoor) {
+        const event = {
+          object: this.exitDoor,
+          point: new THREE.Vector3(3, 0, 8),
+          memory: {
             object: this.exitDoor,
-            point: new THREE.Vector3(3, 0, 8),
-            memory: {
-              object: this.exitDoor,
-              text: "Time to head to work. I'll need to cross the street to get to the office building.",
-              triggered: true
-            }
-          };
-          
-          // Dispatch the memory triggered event
-          window.dispatchEvent(new CustomEvent('memoryTriggered', { detail: event }));
-        }
-      }, 1000); // 1 second delay
-    }
+            text: "Time to head to work. I'll need to cross the street to get to the office building.",
+            triggered: true
+          }
+        };
+        
+        // Dispatch the memory triggered event
+        gameEvents.emit('memoryTriggered', event);
+      }
+    }, 1000); // 1 second delay
   }
 
   update(deltaTime: number): void {
@@ -1,38 +1,171 @@
 import * as THREE from 'three';
 import { Scene } from './Scene';
 import type { Memory } from '../types';
+import { gameEvents } from '../systems/EventBus';
+import type { EventScope } from '../systems/EventBus';
+import { audioManager } from '../systems/AudioManager';
+import type { AttachedSound } from '../systems/AudioManager';
+import type { GridPosition, MovingPlatform } from '../systems/GridMovementController';
+import type { ColliderHandle } from '../systems/CollisionManager';
+import { Random, randomSeed } from '../systems/Random';
+import { ensureCrossingWindow, longestWaitForRide } from '../systems/LaneSafety';
+import type { Crosser, LaneVehicle } from '../systems/LaneSafety';
+import { RoadHud } from '../systems/RoadHud';
+
+export type LaneType = 'grass' | 'road' | 'river' | 'rail';
+export type HazardKind = 'vehicle' | 'train' | 'water';
 
 interface Vehicle {
   mesh: THREE.Group;
   speed: number;
   direction: number; // 1 for right, -1 for left
+  length: number;
   initialX: number;
+  engine?: AttachedSound;
+  collider?: ColliderHandle;
+  hornCooldown: number; // Seconds until this vehicle may honk again
+}
+
+// A vehicle as generated, before it is built
+interface VehiclePlan {
+  kind: 'car' | 'truck';
+  color: number;
+  x: number; // Starting centre along the road
+  length: number;
+}
+
+// A log floating down the river - the player rides it
+interface Log extends MovingPlatform {
+  mesh: THREE.Mesh;
+  length: number;
+}
+
+// One fast train every so often, announced by flashing lights and a bell
+interface Train {
+  mesh: THREE.Group;
+  length: number;
+  timer: number; // Seconds until the next train sets off
+  passing: boolean;
+  lights: THREE.Mesh[];
+  bellTimer: number;
 }
 
-interface Row {
-  type: 'grass' | 'road';
+// Zebra crossing with a pedestrian light. 'clearing' waits for the crossing to be free of
+// vehicles, then the whole lane halts for 'walk'.
+interface Crossing {
+  x: number; // Grid column
+  phase: 'traffic' | 'clearing' | 'walk';
+  timer: number;
+  lamp?: THREE.MeshLambertMaterial;
+}
+
+const HORN_DISTANCE = 5; // Vehicles this close (along the road) to the player may honk
+const HORN_COOLDOWN = 4;
+
+const VEHICLE_COLORS = [0xFF4444, 0x4444FF, 0x44FF44, 0xFFFF44, 0xFF44FF, 0x44FFFF];
+const VEHICLE_LENGTHS = { car: 3, truck: 5 }; // Along X, cabin included
+const MIN_VEHICLE_SPACING = 8; // Centre to centre
+const MAX_LANES_IN_A_ROW = 3; // Then a verge to stop on
+
+// Chance of each kind of lane; the rest is grass
+export interface LaneChances {
+  road: number;
+  river: number;
+  rail: number;
+}
+const LANE_CHANCES: LaneChances = { road: 0.45, river: 0.15, rail: 0.08 };
+
+const GROUND_COLORS: Record<LaneType, number> = {
+  grass: 0x7FC241,
+  road: 0x444444,
+  river: 0x3A8DDE,
+  rail: 0x8B7D6B
+};
+
+const LOG_LENGTHS = [4, 6]; // Two or three tiles
+const LOG_SLOT = { min: 7, max: 10 }; // Logs are spread out one to each stretch of river this long
+const MIN_LOG_GAP = 1;
+const MAX_LOG_WAIT = 6; // Seconds the player may have to wait on the bank for a log
+const LOG_LEEWAY = 0.3; // Landing just off the end of a log still counts
+
+const TRAIN_SPEED = 28;
+const TRAIN_CARRIAGE_LENGTH = 5;
+const TRAIN_WARNING = 2; // Seconds of flashing lights before the train sets off
+const TRAIN_INTERVAL = { min: 5, max: 10 };
+const WARNING_COLOR = 0xFF2200;
+
+const CROSSING_CHANCE = 0.3; // Of a road getting a zebra crossing
+const TRAFFIC_TIME = 5; // Seconds of traffic between walk phases
+const WALK_TIME = 4;
+const WALK_COLOR = 0x22FF44;
+const DONT_WALK_COLOR = 0xFF2200;
+
+const MAX_LIVES = 3;
+
+// The player steps into a lane and out again (two 0.25s steps), with a little slack
+const PLAYER_CROSSING: Crosser = { width: 2, crossingTime: 0.75 };
+
+export interface Row {
+  type: LaneType;
   y: number;
-  vehicles?: Vehicle[];
   direction?: number;
+  speed?: number; // Shared by the lane's vehicles (or logs), so the gaps between them never change
+  traffic?: VehiclePlan[];
+  vehicles?: Vehicle[];
+  crossing?: Crossing; // Roads only
+  logPlans?: LaneVehicle[]; // Rivers, as generated
+  logs?: Log[];
+  train?: Train; // Railways
+  random?: Random; // Railways: train timings carry on from the row's generator
+  objects?: THREE.Object3D[]; // Ground and markings, so the row can be removed again
+}
+
+// Whatever the player just ran into (or fell in)
+export interface Hazard {
+  kind: HazardKind;
+  direction: number; // The way it was going, 1 for right, -1 for left (0 for water)
+  message: string;
+}
+
+// How busy a road is
+export interface Traffic {
+  count: number;
+  speedScale: number; // Multiplies the vehicles' base speed
 }
 
 export class CrossyRoadScene extends Scene {
-  private rows: Row[] = [];
-  private vehicles: Vehicle[] = [];
-  private tileSize: number = 2; // Grid size matching GridMovementController
-  private mapWidth: number = 32; // 16 tiles on each side
+  protected rows: Row[] = [];
+  protected vehicles: Vehicle[] = [];
+  protected tileSize: number = 2; // Grid size matching GridMovementController
+  protected mapWidth: number = 32; // 16 tiles on each side
   private minVisibleRow: number = -5;
-  private maxVisibleRow: number = 20;
+  protected maxVisibleRow: number = 20;
   private officeBuildingRow: number = 18; // Goal row
   private officeDoor: THREE.Mesh | null = null;
-  private rowUpdateThreshold: number = 10; // Add more rows when player is this close to the end
+  protected playerPosition: { x: number; z: number } = { x: 0, z: 0 }; // Grid position, for honking
+  protected startPosition: GridPosition = { x: 0, z: -2 }; // On the safe grass at the back
+  protected lastSafePosition: GridPosition = { x: 0, z: 0 }; // Last grass the player stood on - respawn here after a hit
+  protected lives: number = MAX_LIVES;
+  protected hud: RoadHud | null = null;
+  private hazardBox: THREE.Box3 = new THREE.Box3();
+  private playerCenter: THREE.Vector3 = new THREE.Vector3();
+  protected seed: number = 0; // Everything about the road is generated from this
+  private fixedSeed: number | null = null;
 
-  constructor() {
-    super('crossy-road', 'Outside - Getting to Work');
-    this.generateInitialRows();
-    
-    // Listen for character movement to check for goal area
-    this.setupGridMovementListener();
+  constructor(name: string = 'crossy-road', description: string = 'Outside - Getting to Work') {
+    super(name, description);
+    this.music = 'street';
+    this.nextScene = 'office-building';
+  }
+
+  // Build the road from this seed every time (e.g. from the URL), or null for a new road each time
+  setSeed(seed: number | null): void {
+    this.fixedSeed = seed;
+  }
+
+  // Seed of the road currently laid out
+  getSeed(): number {
+    return this.seed;
   }
 
   protected async loadAssets(): Promise<void> {
@@ -41,11 +174,15 @@ export class CrossyRoadScene extends Scene {
       this.setupLighting();
       
       // Generate the world
+      this.resetRoad();
       this.generateWorld();
       
       // Add the office building at the goal
       this.createOfficeBuilding();
       
+      this.hud = this.createHud();
+      this.resetLives();
+      
       console.log('CrossyRoadScene assets loaded successfully');
     } catch (error) {
       console.error('Failed to load CrossyRoadScene assets:', error);
@@ -72,7 +209,16 @@ export class CrossyRoadScene extends Scene {
     this.add(ambientLight);
   }
 
-  private generateInitialRows(): void {
+  // Clear the road and lay out a new one from a fresh (or the fixed) seed
+  protected resetRoad(): void {
+    this.rows.forEach(row => this.removeRowFromWorld(row));
+    this.rows = [];
+    
+    this.seed = this.fixedSeed ?? randomSeed();
+    this.generateInitialRows();
+  }
+
+  protected generateInitialRows(): void {
     // Generate starting area (safe grass)
     for (let i = -2; i <= 0; i++) {
       this.rows.push({
@@ -87,7 +233,9 @@ export class CrossyRoadScene extends Scene {
     }
   }
 
-  private generateRow(rowIndex: number): Row {
+  // Rows are generated in order, each from its own generator - row N is the same for a seed
+  // however far the road has been generated
+  protected generateRow(rowIndex: number): Row {
     // More grass near the office
     if (rowIndex >= this.officeBuildingRow - 2) {
       return {
@@ -96,49 +244,196 @@ export class CrossyRoadScene extends Scene {
       };
     }
 
-    // Random pattern of roads and grass
-    const isRoad = Math.random() < 0.6; // 60% chance of road
+    return this.generateLane(rowIndex, Random.derive(this.seed, rowIndex));
+  }
+
+  // A random kind of lane, or grass - always grass after a few lanes in a row
+  protected generateLane(rowIndex: number, random: Random): Row {
+    const chances = this.getLaneChances(rowIndex);
+    const roll = random.next();
     
-    if (isRoad) {
-      const direction = Math.random() < 0.5 ? 1 : -1;
-      return {
-        type: 'road',
-        y: rowIndex,
-        direction,
-        vehicles: []
-      };
-    } else {
-      return {
-        type: 'grass',
-        y: rowIndex
-      };
+    if (!this.needsVerge()) {
+      if (roll < chances.road) {
+        return this.generateRoad(rowIndex, random);
+      }
+      if (roll < chances.road + chances.river) {
+        return this.generateRiver(rowIndex, random);
+      }
+      if (roll < chances.road + chances.river + chances.rail) {
+        return this.generateRail(rowIndex, random);
+      }
     }
+    
+    return {
+      type: 'grass',
+      y: rowIndex
+    };
   }
 
-  private generateWorld(): void {
-    this.rows.forEach(row => {
-      this.createRowVisuals(row);
-      
-      if (row.type === 'road') {
-        this.spawnVehiclesForRow(row);
+  protected getLaneChances(rowIndex: number): LaneChances {
+    return LANE_CHANCES;
+  }
+
+  // After a few lanes in a row the next row is grass, to stop on
+  protected needsVerge(): boolean {
+    const recent = this.rows.slice(-MAX_LANES_IN_A_ROW);
+    return recent.length === MAX_LANES_IN_A_ROW && recent.every(row => row.type !== 'grass');
+  }
+
+  // A lane of traffic spread out along the road, thinned out if needed so it can always be crossed
+  protected generateRoad(rowIndex: number, random: Random): Row {
+    const direction = random.chance(0.5) ? 1 : -1;
+    const traffic = this.getTraffic(rowIndex, random);
+    const speed = random.range(1, 3) * traffic.speedScale; // 1-3 units/second before scaling
+    const laneLength = this.getLaneLength();
+    
+    const plans: VehiclePlan[] = [];
+    let x = random.range(-laneLength / 2, laneLength / 2);
+    for (let i = 0; i < traffic.count; i++) {
+      const kind = random.chance(0.7) ? 'car' : 'truck';
+      plans.push({
+        kind,
+        color: random.pick(VEHICLE_COLORS),
+        x: this.wrapToLane(x),
+        length: VEHICLE_LENGTHS[kind]
+      });
+      x += MIN_VEHICLE_SPACING + random.range(0, 6);
+    }
+    
+    // Some roads have a zebra crossing near the middle, their lights out of step with each other
+    const crossing: Crossing | undefined = random.chance(CROSSING_CHANCE)
+      ? { x: random.int(-3, 3), phase: 'traffic', timer: random.range(0, TRAFFIC_TIME) }
+      : undefined;
+    
+    return {
+      type: 'road',
+      y: rowIndex,
+      direction,
+      speed,
+      traffic: ensureCrossingWindow(plans, { length: laneLength, speed }, PLAYER_CROSSING),
+      vehicles: [],
+      crossing
+    };
+  }
+
+  // Logs one to a stretch of river, somewhere within it. If that leaves too long a wait
+  // for the next log anywhere, they are evened out to the start of their stretch.
+  protected generateRiver(rowIndex: number, random: Random): Row {
+    const direction = random.chance(0.5) ? 1 : -1;
+    const speed = random.range(1.2, 2.5);
+    const laneLength = this.getLaneLength();
+    const count = Math.floor(laneLength / random.range(LOG_SLOT.min, LOG_SLOT.max));
+    const slot = laneLength / count;
+    const start = random.range(-laneLength / 2, laneLength / 2);
+    
+    const lengths = Array.from({ length: count }, () => random.pick(LOG_LENGTHS));
+    const offsets = lengths.map(length => random.range(0, slot - length - MIN_LOG_GAP));
+    const placeLogs = (spread: boolean): LaneVehicle[] => lengths.map((length, i) => ({
+      x: this.wrapToLane(start + i * slot + (spread ? offsets[i] : 0) + length / 2),
+      length
+    }));
+    
+    let logPlans = placeLogs(true);
+    if (longestWaitForRide({ vehicles: logPlans, length: laneLength, speed }) > MAX_LOG_WAIT) {
+      logPlans = placeLogs(false);
+    }
+    
+    return {
+      type: 'river',
+      y: rowIndex,
+      direction,
+      speed,
+      logPlans,
+      logs: []
+    };
+  }
+
+  // A railway with a train every so often, from either side
+  protected generateRail(rowIndex: number, random: Random): Row {
+    return {
+      type: 'rail',
+      y: rowIndex,
+      direction: random.chance(0.5) ? 1 : -1,
+      speed: TRAIN_SPEED,
+      random
+    };
+  }
+
+  // Vehicles drive off one end of the road and come back in at the other
+  private getLaneLength(): number {
+    return this.mapWidth + 30;
+  }
+
+  private wrapToLane(x: number): number {
+    const length = this.getLaneLength();
+    return ((x + length / 2) % length + length) % length - length / 2;
+  }
+
+  protected generateWorld(): void {
+    this.rows.forEach(row => this.addRowToWorld(row));
+  }
+
+  protected addRowToWorld(row: Row): void {
+    this.createRowVisuals(row);
+    
+    if (row.type === 'road') {
+      this.spawnVehiclesForRow(row);
+      if (row.crossing) {
+        this.addCrossing(row, row.crossing);
+      }
+    } else if (row.type === 'river') {
+      this.spawnLogsForRow(row);
+    } else if (row.type === 'rail') {
+      this.addRailway(row);
+    }
+  }
+
+  // Take a row and its traffic out of the world again (logs and trains are row objects)
+  protected removeRowFromWorld(row: Row): void {
+    (row.objects || []).forEach(object => {
+      this.remove(object);
+      this.disposeObject(object);
+    });
+    row.objects = [];
+    row.logs = [];
+    row.train = undefined;
+    
+    (row.vehicles || []).forEach(vehicle => {
+      vehicle.engine?.stop();
+      if (vehicle.collider && this.collisionManager) {
+        this.collisionManager.removeCollider(vehicle.collider);
+      }
+      this.remove(vehicle.mesh);
+      this.disposeObject(vehicle.mesh);
+      this.vehicles.splice(this.vehicles.indexOf(vehicle), 1);
+    });
+    row.vehicles = [];
+  }
+
+  private disposeObject(object: THREE.Object3D): void {
+    object.traverse(child => {
+      if (child instanceof THREE.Mesh) {
+        child.geometry.dispose();
+        (child.material as THREE.Material).dispose();
       }
     });
   }
 
+  private addToRow(row: Row, object: THREE.Object3D): void {
+    this.add(object);
+    if (!row.objects) row.objects = [];
+    row.objects.push(object);
+  }
+
   private createRowVisuals(row: Row): void {
     const geometry = new THREE.BoxGeometry(this.mapWidth, 0.1, this.tileSize);
-    let material: THREE.Material;
-    
-    if (row.type === 'grass') {
-      material = new THREE.MeshLambertMaterial({ color: 0x7FC241 });
-    } else {
-      material = new THREE.MeshLambertMaterial({ color: 0x444444 });
-    }
+    const material = new THREE.MeshLambertMaterial({ color: GROUND_COLORS[row.type] });
     
     const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.set(0, 0, row.y * this.tileSize);
+    // The river's surface sits a little lower, so the logs float in it
+    mesh.position.set(0, row.type === 'river' ? -0.15 : 0, row.y * this.tileSize);
     mesh.receiveShadow = true;
-    this.add(mesh);
+    this.addToRow(row, mesh);
 
     // Add road markings for roads
     if (row.type === 'road') {
@@ -152,7 +447,7 @@ export class CrossyRoadScene extends Scene {
     const lineMaterial = new THREE.MeshLambertMaterial({ color: 0xFFFFFF });
     const centerLine = new THREE.Mesh(lineGeometry, lineMaterial);
     centerLine.position.set(0, 0.01, row.y * this.tileSize);
-    this.add(centerLine);
+    this.addToRow(row, centerLine);
 
     // Dashed lines on sides of the road
     for (let x = -this.mapWidth/2; x < this.mapWidth/2; x += 4) {
@@ -161,30 +456,26 @@ export class CrossyRoadScene extends Scene {
         lineMaterial.clone()
       );
       dash.position.set(x, 0.01, row.y * this.tileSize + this.tileSize/2 - 0.2);
-      this.add(dash);
+      this.addToRow(row, dash);
       
       const dash2 = new THREE.Mesh(
         new THREE.BoxGeometry(2, 0.11, 0.05),
         lineMaterial.clone()
       );
       dash2.position.set(x, 0.01, row.y * this.tileSize - this.tileSize/2 + 0.2);
-      this.add(dash2);
+      this.addToRow(row, dash2);
     }
   }
 
   private spawnVehiclesForRow(row: Row): void {
-    if (row.type !== 'road' || !row.direction) return;
-
-    const numVehicles = Math.floor(Math.random() * 3) + 1; // 1-3 vehicles
-    const minSpacing = 8;
+    if (row.type !== 'road' || !row.direction || !row.traffic) return;
 
-    for (let i = 0; i < numVehicles; i++) {
-      const vehicle = this.createVehicle(row.direction);
+    row.traffic.forEach(plan => {
+      const vehicle = this.createVehicle(plan, row.direction!, row.speed!);
       
-      // Position vehicles with spacing along the road (X axis)
-      const startX = row.direction === 1 ? -this.mapWidth/2 - 10 : this.mapWidth/2 + 10;
+      // Position vehicles along the road (X axis)
       vehicle.mesh.position.set(
-        startX - (i * minSpacing * row.direction),
+        plan.x,
         0.5, // Y height above ground
         row.y * this.tileSize // Z position on the road
       );
@@ -196,18 +487,166 @@ export class CrossyRoadScene extends Scene {
       
       if (!row.vehicles) row.vehicles = [];
       row.vehicles.push(vehicle);
+      
+      // Every vehicle rumbles where it drives
+      vehicle.engine = audioManager.attachLoop(vehicle.mesh, 'engine', { pitch: 0.8 + Math.random() * 0.4 });
+      
+      // Rows added after loading register their own colliders
+      if (this.loaded) {
+        this.registerVehicleCollider(vehicle);
+      }
+    });
+  }
+
+  private spawnLogsForRow(row: Row): void {
+    if (!row.logPlans || !row.direction) return;
+    
+    // The lane's logs all drift together, and carry the player with them
+    const velocity = new THREE.Vector3(row.speed! * row.direction, 0, 0);
+    row.logs = row.logPlans.map(plan => {
+      const mesh = new THREE.Mesh(
+        new THREE.BoxGeometry(plan.length, 0.3, 1.4),
+        new THREE.MeshLambertMaterial({ color: 0x8B5A2B })
+      );
+      mesh.position.set(plan.x, 0, row.y * this.tileSize);
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+      this.addToRow(row, mesh);
+      return { mesh, length: plan.length, velocity };
+    });
+  }
+
+  // Zebra stripes across the lane and a pedestrian light at the side of it
+  private addCrossing(row: Row, crossing: Crossing): void {
+    const z = row.y * this.tileSize;
+    const centerX = crossing.x * this.tileSize;
+    
+    for (let i = -2; i <= 2; i++) {
+      const stripe = new THREE.Mesh(
+        new THREE.BoxGeometry(0.25, 0.12, this.tileSize * 0.9),
+        new THREE.MeshLambertMaterial({ color: 0xFFFFFF })
+      );
+      stripe.position.set(centerX + i * 0.4, 0.01, z);
+      this.addToRow(row, stripe);
+    }
+    
+    const pole = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.05, 0.05, 2.2, 6),
+      new THREE.MeshLambertMaterial({ color: 0x555555 })
+    );
+    pole.position.set(centerX - 1.2, 1.1, z + 0.95);
+    this.addToRow(row, pole);
+    
+    const lamp = new THREE.Mesh(
+      new THREE.BoxGeometry(0.35, 0.35, 0.2),
+      new THREE.MeshLambertMaterial({ color: 0x222222, emissive: DONT_WALK_COLOR })
+    );
+    lamp.position.set(centerX - 1.2, 2.3, z + 0.95);
+    this.addToRow(row, lamp);
+    crossing.lamp = lamp.material;
+  }
+
+  // Rails on sleepers, a pair of warning lights and the train, waiting off screen
+  private addRailway(row: Row): void {
+    if (!row.direction || !row.random) return;
+    const z = row.y * this.tileSize;
+    
+    for (let x = -this.mapWidth / 2; x < this.mapWidth / 2; x += 1.5) {
+      const sleeper = new THREE.Mesh(
+        new THREE.BoxGeometry(0.4, 0.1, 1.6),
+        new THREE.MeshLambertMaterial({ color: 0x5C4033 })
+      );
+      sleeper.position.set(x, 0.05, z);
+      this.addToRow(row, sleeper);
     }
+    [-0.5, 0.5].forEach(offset => {
+      const rail = new THREE.Mesh(
+        new THREE.BoxGeometry(this.mapWidth, 0.12, 0.1),
+        new THREE.MeshLambertMaterial({ color: 0xAAAAAA })
+      );
+      rail.position.set(0, 0.12, z + offset);
+      this.addToRow(row, rail);
+    });
+    
+    const lights = [-4, 4].map(x => {
+      const pole = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.05, 0.05, 1.8, 6),
+        new THREE.MeshLambertMaterial({ color: 0xEEEEEE })
+      );
+      pole.position.set(x, 0.9, z + 0.95);
+      this.addToRow(row, pole);
+      
+      const light = new THREE.Mesh(
+        new THREE.SphereGeometry(0.18, 8, 8),
+        new THREE.MeshLambertMaterial({ color: 0x330000, emissive: 0x000000 })
+      );
+      light.position.set(x, 1.9, z + 0.95);
+      this.addToRow(row, light);
+      return light;
+    });
+    
+    const { mesh, length } = this.createTrain(row.direction, row.random.int(3, 5));
+    mesh.position.set(-this.getTrainEnd(length) * row.direction, 0, z);
+    this.addToRow(row, mesh);
+    
+    row.train = {
+      mesh,
+      length,
+      timer: row.random.range(TRAIN_INTERVAL.min, TRAIN_INTERVAL.max),
+      passing: false,
+      lights,
+      bellTimer: 0
+    };
   }
 
-  private createVehicle(direction: number): Vehicle {
-    const vehicle = new THREE.Group();
+  // A locomotive pulling a few carriages, facing the way it drives
+  private createTrain(direction: number, carriages: number): { mesh: THREE.Group; length: number } {
+    const train = new THREE.Group();
+    const length = (carriages + 1) * TRAIN_CARRIAGE_LENGTH;
     
-    // Random vehicle type
-    const vehicleType = Math.random() < 0.7 ? 'car' : 'truck';
-    const colors = [0xFF4444, 0x4444FF, 0x44FF44, 0xFFFF44, 0xFF44FF, 0x44FFFF];
-    const color = colors[Math.floor(Math.random() * colors.length)];
+    for (let i = 0; i <= carriages; i++) {
+      const isLocomotive = i === carriages;
+      const carriage = new THREE.Mesh(
+        new THREE.BoxGeometry(TRAIN_CARRIAGE_LENGTH - 0.3, 1.4, 1.6),
+        new THREE.MeshLambertMaterial({ color: isLocomotive ? 0xC0392B : 0x2E5C8A })
+      );
+      carriage.position.set(-length / 2 + (i + 0.5) * TRAIN_CARRIAGE_LENGTH, 0.9, 0);
+      carriage.castShadow = true;
+      train.add(carriage);
+      
+      if (isLocomotive) {
+        const cab = new THREE.Mesh(
+          new THREE.BoxGeometry(1.5, 0.6, 1.4),
+          new THREE.MeshLambertMaterial({ color: 0x333333 })
+        );
+        cab.position.set(carriage.position.x - 1, 1.9, 0);
+        train.add(cab);
+      }
+    }
+    
+    // Built facing right, like the vehicles
+    if (direction === -1) {
+      train.rotation.y = Math.PI;
+    }
+    
+    return { mesh: train, length };
+  }
+
+  // How far off the middle a train waits (and disappears again) - well out of sight
+  private getTrainEnd(length: number): number {
+    return this.getLaneLength() / 2 + length / 2;
+  }
+
+  // 1-3 vehicles at their normal speed
+  protected getTraffic(rowIndex: number, random: Random): Traffic {
+    return { count: random.int(1, 3), speedScale: 1 };
+  }
+
+  private createVehicle(plan: VehiclePlan, direction: number, speed: number): Vehicle {
+    const vehicle = new THREE.Group();
+    const color = plan.color;
     
-    if (vehicleType === 'car') {
+    if (plan.kind === 'car') {
       // Car body - oriented for X-axis movement
       const body = new THREE.Mesh(
         new THREE.BoxGeometry(3, 0.75, 1.5), // Length along X, width along Z
@@ -291,17 +730,17 @@ export class CrossyRoadScene extends Scene {
     }
     // If direction === 1, no rotation needed (facing right by default)
     
-    const speed = (Math.random() * 2 + 1) * direction; // Speed between 1-3 units/second
-    
     return {
       mesh: vehicle,
-      speed,
+      speed: speed * direction,
       direction,
-      initialX: 0
+      length: plan.length,
+      initialX: 0,
+      hornCooldown: 0
     };
   }
 
-  private createOfficeBuilding(): void {
+  protected createOfficeBuilding(): void {
     // Create a simple golden goal area instead of a building
     const goalArea = new THREE.Mesh(
       new THREE.BoxGeometry(4, 0.1, 4), // 4x4 area, thin height
@@ -355,6 +794,7 @@ export class CrossyRoadScene extends Scene {
     this.officeDoor = goalArea; // Use the goal area as the door trigger
     this.officeDoor.userData.isExitDoor = true;
     this.officeDoor.userData.nextScene = 'office-building';
+    this.officeDoor.userData.transition = { type: 'fade', color: 0xFFFFFF };
     
     // Add memory to the goal area
     this.addMemory(
@@ -364,21 +804,78 @@ export class CrossyRoadScene extends Scene {
     );
   }
 
-  private checkPlayerVehicleCollision(): boolean {
-    // Get player position from character controller (if available)
-    // For now, we'll need to get this from the game's character controller
-    // This is a placeholder - the actual collision detection will be handled
-    // by the character controller checking against vehicle positions
-    return false;
+  // Lives only - the endless road adds its score and result screen
+  protected createHud(): RoadHud {
+    return new RoadHud();
   }
 
-  public getVehiclePositions(): { x: number, y: number, width: number, height: number }[] {
-    return this.vehicles.map(vehicle => ({
-      x: vehicle.mesh.position.x,
-      y: vehicle.mesh.position.z, // Use Z position for collision detection
-      width: 3, // Approximate vehicle width
-      height: 1.5 // Approximate vehicle height
-    }));
+  // What the player's box (where she is this frame) ran into: vehicles and trains on or next
+  // to her row, or the river if she is standing in it without a log under her
+  checkPlayerHazard(playerBox: THREE.Box3, grounded: boolean): Hazard | null {
+    const center = playerBox.getCenter(this.playerCenter);
+    
+    for (const vehicle of this.vehicles) {
+      if (Math.abs(vehicle.mesh.position.z - center.z) > this.tileSize) continue;
+      
+      this.hazardBox.setFromObject(vehicle.mesh);
+      if (playerBox.intersectsBox(this.hazardBox)) {
+        return { kind: 'vehicle', direction: vehicle.direction, message: 'Watch out for the traffic! Try again.' };
+      }
+    }
+    
+    for (const row of this.rows) {
+      if (!row.train?.passing || Math.abs(row.y * this.tileSize - center.z) > this.tileSize) continue;
+      
+      this.hazardBox.setFromObject(row.train.mesh);
+      if (playerBox.intersectsBox(this.hazardBox)) {
+        return { kind: 'train', direction: row.direction!, message: "Trains don't stop for anyone - wait for the lights!" };
+      }
+    }
+    
+    const row = this.getRowAt(center.z);
+    if (grounded && row?.type === 'river' && !this.getLogAt(row, center.x)) {
+      return { kind: 'water', direction: 0, message: 'Splash! Stick to the logs next time.' };
+    }
+    
+    return null;
+  }
+
+  private getRowAt(worldZ: number): Row | undefined {
+    const y = Math.round(worldZ / this.tileSize);
+    return this.rows.find(row => row.y === y);
+  }
+
+  // The log at a point along a river, if any. Drifting off the edge of the map is falling in.
+  private getLogAt(row: Row, worldX: number): Log | undefined {
+    if (Math.abs(worldX) > this.mapWidth / 2) return undefined;
+    return row.logs?.find(log => Math.abs(log.mesh.position.x - worldX) <= log.length / 2 + LOG_LEEWAY);
+  }
+
+  // Where the player gets back up after a hit
+  getRespawnPosition(): GridPosition {
+    return { ...this.lastSafePosition };
+  }
+
+  protected resetLives(): void {
+    this.lives = MAX_LIVES;
+    this.lastSafePosition = { ...this.startPosition };
+    this.hud?.setLives(this.lives, MAX_LIVES);
+  }
+
+  protected loseLife(): void {
+    this.lives = Math.max(0, this.lives - 1);
+    this.hud?.setLives(this.lives, MAX_LIVES);
+    console.log(`💔 Hit by traffic - ${this.lives} lives left`);
+    
+    if (this.lives === 0) {
+      this.onOutOfLives();
+    }
+  }
+
+  // Back to the start of the street with full lives
+  protected onOutOfLives(): void {
+    gameEvents.emit('storyNarration', { message: "That's enough traffic for one morning... let's start over from the beginning." });
+    this.resetLives();
   }
 
   protected registerColliders(): void {
@@ -389,27 +886,63 @@ export class CrossyRoadScene extends Scene {
 
     console.log('🚧 Registering CrossyRoadScene collision system');
     
-    // Note: Vehicle collisions are handled dynamically in the update loop
-    // We don't register static colliders for vehicles since they move
+    this.vehicles.forEach(vehicle => this.registerVehicleCollider(vehicle));
     
-    // No static colliders needed for the goal area - it should be accessible
-    // The goal area detection is handled by grid position checking
+    // The goal area is a walkable trigger zone - 3x3 grid squares around world (0, officeBuildingRow * tileSize)
+    if (this.officeDoor) {
+      const goalCells: GridPosition[] = [];
+      for (let x = -1; x <= 1; x++) {
+        for (let z = this.officeBuildingRow - 1; z <= this.officeBuildingRow + 1; z++) {
+          goalCells.push({ x, z });
+        }
+      }
+      this.collisionManager.addTriggerZone({
+        name: 'goal-area',
+        gridPositions: goalCells,
+        once: true,
+        onEnter: () => this.reachGoal()
+      });
+    }
     
     console.log('✅ CrossyRoadScene collision system ready (no static colliders needed)');
   }
 
+  // Vehicles occupy the cells under them as they drive. They don't block the player -
+  // stepping in front of one is a hit, which the character controller checks for.
+  private registerVehicleCollider(vehicle: Vehicle): void {
+    if (!this.collisionManager) return;
+    
+    vehicle.collider = this.collisionManager.addDynamicCollider({
+      name: `vehicle-${vehicle.mesh.id}`,
+      blocks: ['npc'],
+      getGridPositions: () => this.getVehicleCells(vehicle)
+    });
+  }
+
+  // Grid cells covered by a vehicle's body
+  private getVehicleCells(vehicle: Vehicle): GridPosition[] {
+    const halfLength = vehicle.length / 2;
+    const z = Math.round(vehicle.mesh.position.z / this.tileSize);
+    const minX = Math.round((vehicle.mesh.position.x - halfLength) / this.tileSize);
+    const maxX = Math.round((vehicle.mesh.position.x + halfLength) / this.tileSize);
+    
+    const cells: GridPosition[] = [];
+    for (let x = minX; x <= maxX; x++) {
+      cells.push({ x, z });
+    }
+    return cells;
+  }
+
   update(deltaTime: number): void {
     super.update(deltaTime);
     
-    // Update vehicle positions
-    this.vehicles.forEach(vehicle => {
-      vehicle.mesh.position.x += vehicle.speed * deltaTime;
-      
-      // Reset vehicles that have gone off screen
-      const maxDistance = this.mapWidth / 2 + 15;
-      if (Math.abs(vehicle.mesh.position.x) > maxDistance) {
-        vehicle.mesh.position.x = vehicle.direction === 1 ? 
-          -maxDistance : maxDistance;
+    this.rows.forEach(row => {
+      if (row.type === 'road') {
+        this.updateRoad(row, deltaTime);
+      } else if (row.type === 'river') {
+        (row.logs || []).forEach(log => this.driveAlongLane(log.mesh, log.velocity.x * deltaTime, row.direction!));
+      } else if (row.type === 'rail') {
+        this.updateRailway(row, deltaTime);
       }
     });
     
@@ -424,70 +957,169 @@ export class CrossyRoadScene extends Scene {
       const material = (goalArea as THREE.Mesh).material as THREE.MeshLambertMaterial;
       material.opacity = 0.6 + Math.sin(time * 1.5) * 0.2; // Opacity between 0.4 and 0.8
     }
+  }
+
+  private updateRoad(row: Row, deltaTime: number): void {
+    if (row.crossing) {
+      this.updateCrossing(row, row.crossing, deltaTime);
+      if (row.crossing.phase === 'walk') return; // Everyone waits at the red light
+    }
     
-    // Check for collisions with vehicles
-    // This would need to be integrated with the character controller
-    // The character controller should call getVehiclePositions() and check for overlaps
+    (row.vehicles || []).forEach(vehicle => {
+      this.driveAlongLane(vehicle.mesh, vehicle.speed * deltaTime, vehicle.direction);
+      this.updateHorn(vehicle, deltaTime);
+    });
   }
 
-  private setupGridMovementListener(): void {
-    const handleGridMovement = (event: CustomEvent) => {
-      const { position } = event.detail;
-      console.log(`🚶‍♀️ Character moved to grid position: (${position.x}, ${position.z})`);
-      
-      // Check if character reached the goal area
-      this.checkGoalAreaTrigger(position.x, position.z);
-    };
+  // Whatever goes off screen comes back in at the other end, keeping its spacing
+  private driveAlongLane(object: THREE.Object3D, distance: number, direction: number): void {
+    object.position.x += distance;
     
-    window.addEventListener('gridMoveComplete', handleGridMovement as EventListener);
+    const maxDistance = this.getLaneLength() / 2;
+    if (Math.abs(object.position.x) > maxDistance) {
+      object.position.x -= this.getLaneLength() * direction;
+    }
+  }
+
+  // Traffic, then (once nothing is on the crossing) the whole lane stops while the light
+  // shows walk. Stopping together keeps the gaps between vehicles as they were generated.
+  private updateCrossing(row: Row, crossing: Crossing, deltaTime: number): void {
+    crossing.timer -= deltaTime;
     
-    // Store reference to remove listener later
-    (this as any).gridMovementListener = handleGridMovement;
+    if (crossing.phase === 'traffic' && crossing.timer <= 0) {
+      crossing.phase = 'clearing';
+    } else if (crossing.phase === 'clearing' && !this.isCrossingOccupied(row, crossing)) {
+      crossing.phase = 'walk';
+      crossing.timer = WALK_TIME;
+      crossing.lamp?.emissive.setHex(WALK_COLOR);
+    } else if (crossing.phase === 'walk' && crossing.timer <= 0) {
+      crossing.phase = 'traffic';
+      crossing.timer = TRAFFIC_TIME;
+      crossing.lamp?.emissive.setHex(DONT_WALK_COLOR);
+    }
+  }
+
+  private isCrossingOccupied(row: Row, crossing: Crossing): boolean {
+    const centerX = crossing.x * this.tileSize;
+    return (row.vehicles || []).some(vehicle =>
+      Math.abs(vehicle.mesh.position.x - centerX) < vehicle.length / 2 + this.tileSize
+    );
   }
 
-  // Check if character reached the goal area
-  private checkGoalAreaTrigger(gridX: number, gridZ: number): void {
-    // Goal area is at world position (0, officeBuildingRow * tileSize)
-    // Which translates to grid position (0, officeBuildingRow)
-    const goalGridZ = this.officeBuildingRow;
+  // Waiting, warning (lights and bell), then the train comes through at full speed
+  private updateRailway(row: Row, deltaTime: number): void {
+    const train = row.train;
+    if (!train || !row.direction || !row.random) return;
     
-    // Trigger if character is on or near the goal area (2x2 grid squares)
-    if (Math.abs(gridX) <= 1 && Math.abs(gridZ - goalGridZ) <= 1) {
-      console.log('🎯 Player reached goal area - triggering office scene transition');
+    if (train.passing) {
+      train.mesh.position.x += TRAIN_SPEED * row.direction * deltaTime;
       
-      // Add a brief celebration message
-      window.dispatchEvent(new CustomEvent('goalReached', { 
-        detail: { message: 'Safely crossed the street!' }
-      }));
+      const end = this.getTrainEnd(train.length);
+      if (train.mesh.position.x * row.direction > end) {
+        train.passing = false;
+        train.timer = row.random.range(TRAIN_INTERVAL.min, TRAIN_INTERVAL.max);
+        train.mesh.position.x = -end * row.direction;
+      }
+    } else {
+      train.timer -= deltaTime;
+      if (train.timer <= 0) {
+        train.passing = true;
+        audioManager.playSfx('horn', { pitch: 0.5 }, train.mesh);
+      }
+    }
+    
+    // The two lights take turns flashing until the train has gone
+    const warning = train.passing || train.timer <= TRAIN_WARNING;
+    const flash = Math.floor(Date.now() / 300) % 2;
+    train.lights.forEach((light, index) => {
+      const material = light.material as THREE.MeshLambertMaterial;
+      material.emissive.setHex(warning && index % 2 === flash ? WARNING_COLOR : 0x000000);
+    });
+    
+    train.bellTimer = Math.max(0, train.bellTimer - deltaTime);
+    if (warning && train.bellTimer === 0) {
+      train.bellTimer = 0.6;
+      audioManager.playSfx('bell', {}, train.lights[0]);
+    }
+  }
+
+  // Drivers honk when the player is standing on or next to their lane, just ahead of them
+  private updateHorn(vehicle: Vehicle, deltaTime: number): void {
+    vehicle.hornCooldown = Math.max(0, vehicle.hornCooldown - deltaTime);
+    if (vehicle.hornCooldown > 0) return;
+    
+    const row = Math.round(vehicle.mesh.position.z / this.tileSize);
+    const ahead = (this.playerPosition.x * this.tileSize - vehicle.mesh.position.x) * vehicle.direction;
+    if (Math.abs(row - this.playerPosition.z) <= 1 && ahead > 0 && ahead < HORN_DISTANCE) {
+      vehicle.hornCooldown = HORN_COOLDOWN;
+      if (Math.random() < 0.5) {
+        audioManager.playSfx('horn', { pitch: 0.9 + Math.random() * 0.2 }, vehicle.mesh);
+      }
+    }
+  }
+
+  protected subscribeEvents(events: EventScope): void {
+    // Every hit costs a life. Cars honk; water splashes.
+    events.on('playerHit', ({ kind }) => {
+      if (kind === 'vehicle') {
+        audioManager.playSfx('horn');
+      } else if (kind === 'water') {
+        audioManager.playSfx('splash');
+      }
+      this.loseLife();
+    });
+    
+    // Track the player for honking and the last grass they stood on, and give them
+    // a ride if they landed on a log
+    events.on('gridMoveComplete', ({ position }) => {
+      console.log(`🚶‍♀️ Character moved to grid position: (${position.x}, ${position.z})`);
+      this.playerPosition = { ...position };
       
-      // Trigger the memory event that will cause scene transition after delay
-      setTimeout(() => {
-        if (this.officeDoor) {
-          const event = {
-            object: this.officeDoor,
-            point: new THREE.Vector3(0, 0, this.officeBuildingRow * this.tileSize),
-            memory: {
-              object: this.officeDoor,
-              text: "Made it to the office building! Time to head inside.",
-              triggered: true
-            }
-          };
-          
-          // Dispatch the memory triggered event
-          window.dispatchEvent(new CustomEvent('memoryTriggered', { detail: event }));
+      const row = this.getRowAt(position.z * this.tileSize);
+      if (row?.type === 'grass') {
+        this.lastSafePosition = { ...position };
+      } else if (row?.type === 'river') {
+        const log = this.getLogAt(row, position.x * this.tileSize);
+        if (log) {
+          gameEvents.emit('playerPlatform', { platform: log });
         }
-      }, 1500); // 1.5 second delay for celebration
-    }
+      }
+    });
   }
 
-  // Override unload to clean up event listener
   unload(): void {
+    // Engines stop with the scene
+    this.vehicles.forEach(vehicle => {
+      vehicle.engine?.stop();
+      vehicle.engine = undefined;
+    });
+    this.hud?.dispose();
+    this.hud = null;
     super.unload();
+  }
+
+  private reachGoal(): void {
+    console.log('🎯 Player reached goal area - triggering office scene transition');
     
-    // Remove the grid movement listener
-    if ((this as any).gridMovementListener) {
-      window.removeEventListener('gridMoveComplete', (this as any).gridMovementListener);
-      (this as any).gridMovementListener = null;
-    }
+    // Add a brief celebration message
+    gameEvents.emit('goalReached', { message: 'Safely crossed the street!' });
+    
+    // Trigger the memory event that will cause scene transition after delay
+    setTimeout(() => {
+      if (this.officeDoor) {
+        const event = {
+          object: this.officeDoor,
+          point: new THREE.Vector3(0, 0, this.officeBuildingRow * this.tileSize),
+          memory: {
+            object: this.officeDoor,
+            text: "Made it to the office building! Time to head inside.",
+            triggered: true
+          }
+        };
+        
+        // Dispatch the memory triggered event
+        gameEvents.emit('memoryTriggered', event);
+      }
+    }, 1500); // 1.5 second delay for celebration
   }
 } 
\ No newline at end of file
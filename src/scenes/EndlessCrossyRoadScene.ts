@@ -0,0 +1,168 @@
+import { CrossyRoadScene } from './CrossyRoadScene';
+import type { LaneChances, Row, Traffic } from './CrossyRoadScene';
+import { gameEvents } from '../systems/EventBus';
+import type { EventScope } from '../systems/EventBus';
+import type { GridPosition } from '../systems/GridMovementController';
+import { RoadHud } from '../systems/RoadHud';
+import { loadHighScores, recordHighScore } from '../systems/HighScores';
+import { loadAppearance } from '../systems/CharacterAppearance';
+import { Random } from '../systems/Random';
+
+const START_ROW = -2; // The player starts on the safe grass at the back
+const ROWS_BEHIND = 8; // Rows kept behind the player before they are removed
+const MAX_DIFFICULTY_ROW = 150; // Traffic stops getting worse this far out
+
+// Bonus mode: the street never ends. Rows are generated ahead of the player and dropped
+// behind them, and the further they get the more (and faster) the traffic.
+export class EndlessCrossyRoadScene extends CrossyRoadScene {
+  private rowUpdateThreshold: number = 10; // Add more rows when player is this close to the end
+  private score: number = 0; // Furthest row reached
+  private gameOver: boolean = false;
+
+  constructor() {
+    super('crossy-road-endless', 'Bonus - The Endless Commute');
+    this.nextScene = null;
+    this.startPosition = { x: 0, z: START_ROW };
+  }
+
+  protected async loadAssets(): Promise<void> {
+    await super.loadAssets();
+    this.startRun();
+  }
+
+  protected createHud(): RoadHud {
+    return new RoadHud({
+      onRetry: () => this.restartRun(),
+      onQuit: () => gameEvents.emit('sceneRequested', { sceneName: 'title-screen' })
+    });
+  }
+
+  // No office at the end of an endless road
+  protected createOfficeBuilding(): void {}
+
+  protected generateRow(rowIndex: number): Row {
+    if (rowIndex <= 0) {
+      return { type: 'grass', y: rowIndex };
+    }
+    return this.generateLane(rowIndex, Random.derive(this.seed, rowIndex));
+  }
+
+  // Every kind of lane gets more common the further out
+  protected getLaneChances(rowIndex: number): LaneChances {
+    const difficulty = getDifficulty(rowIndex);
+    return {
+      road: 0.4 + difficulty * 0.15,
+      river: 0.1 + difficulty * 0.1,
+      rail: 0.05 + difficulty * 0.1
+    };
+  }
+
+  // From 1-2 vehicles at normal speed up to 1-4 at two and a half times the speed
+  protected getTraffic(rowIndex: number, random: Random): Traffic {
+    const difficulty = getDifficulty(rowIndex);
+    return {
+      count: 1 + Math.floor(random.next() * (2 + difficulty * 2)),
+      speedScale: 1 + difficulty * 1.5
+    };
+  }
+
+  protected registerColliders(): void {
+    super.registerColliders();
+
+    // The road behind is gone - don't let the player walk off the back of it
+    this.collisionManager?.addDynamicCollider({
+      name: 'road-edge',
+      getGridPositions: () => this.getBackEdgeCells()
+    });
+  }
+
+  protected subscribeEvents(events: EventScope): void {
+    super.subscribeEvents(events);
+
+    events.on('gridMoveComplete', ({ position }) => this.advance(position));
+  }
+
+  private startRun(): void {
+    this.score = 0;
+    this.gameOver = false;
+    this.playerPosition = { ...this.startPosition };
+
+    this.resetLives();
+    this.hud?.setScore(this.score);
+  }
+
+  private restartRun(): void {
+    this.hud?.hideResult();
+
+    this.resetRoad();
+    this.generateWorld();
+    this.startRun();
+
+    gameEvents.emit('forceMoveToPosition', { worldX: 0, worldZ: START_ROW * this.tileSize });
+    gameEvents.emit('lockPlayerMovement', { locked: false });
+    console.log('🔁 Endless road restarted');
+  }
+
+  // Score the step, then keep the road ahead long enough and drop what's far behind
+  private advance(position: GridPosition): void {
+    if (this.gameOver) return;
+
+    if (position.z > this.score) {
+      this.score = position.z;
+      this.hud?.setScore(this.score);
+    }
+
+    const lastRow = this.rows[this.rows.length - 1].y;
+    if (lastRow - position.z < this.rowUpdateThreshold) {
+      for (let y = lastRow + 1; y <= position.z + this.maxVisibleRow; y++) {
+        const row = this.generateRow(y);
+        this.rows.push(row);
+        this.addRowToWorld(row);
+      }
+    }
+
+    while (this.rows.length > 0 && this.rows[0].y < position.z - ROWS_BEHIND) {
+      this.removeRowFromWorld(this.rows.shift()!);
+    }
+  }
+
+  protected loseLife(): void {
+    if (this.gameOver) return;
+    super.loseLife();
+  }
+
+  // No starting over on the endless road - the run is scored
+  protected onOutOfLives(): void {
+    this.endRun();
+  }
+
+  private endRun(): void {
+    this.gameOver = true;
+    gameEvents.emit('lockPlayerMovement', { locked: true });
+
+    // Runs that never left the start don't take a place on the board
+    const { scores, rank } = this.score > 0
+      ? recordHighScore(loadAppearance().name || 'Me', this.score)
+      : { scores: loadHighScores(), rank: -1 };
+    this.hud?.showResult(this.score, scores, rank);
+    console.log(`🏁 Endless run over - score ${this.score}`);
+  }
+
+  // One row behind the oldest row still on the road, across its whole width
+  private getBackEdgeCells(): GridPosition[] {
+    if (this.rows.length === 0) return [];
+
+    const z = this.rows[0].y - 1;
+    const halfWidth = this.mapWidth / this.tileSize / 2;
+    const cells: GridPosition[] = [];
+    for (let x = -halfWidth; x <= halfWidth; x++) {
+      cells.push({ x, z });
+    }
+    return cells;
+  }
+}
+
+// 0 at the start, 1 from MAX_DIFFICULTY_ROW on
+function getDifficulty(rowIndex: number): number {
+  return Math.min(1, Math.max(0, rowIndex) / MAX_DIFFICULTY_ROW);
+}
@@ -1,15 +1,19 @@
 import * as THREE from 'three';
 import { Scene } from './Scene';
 import type { Memory } from '../types';
+import { gameEvents } from '../systems/EventBus';
+import type { EventScope } from '../systems/EventBus';
 
 export class OfficeBuildingScene extends Scene {
   private elevatorDoor: THREE.Mesh | null = null;
   private receptionDesk: THREE.Mesh | null = null;
   private elevatorLight: THREE.PointLight | null = null;
+  private takingElevator: boolean = false;
 
   constructor() {
     super('office-building', 'Office Building Lobby');
-    this.setupGridMovementListener();
+    this.music = 'lobby';
+    this.nextScene = 'office-floor';
   }
 
   protected async loadAssets(): Promise<void> {
@@ -408,6 +412,7 @@ export class OfficeBuildingScene extends Scene {
     if (this.elevatorDoor) {
       this.elevatorDoor.userData.isExitDoor = true;
       this.elevatorDoor.userData.nextScene = 'office-floor';
+      this.elevatorDoor.userData.transition = { type: 'fade', duration: 1600 }; // Doors close, doors open
       
       this.addMemory(
         this.elevatorDoor,
@@ -417,51 +422,37 @@ export class OfficeBuildingScene extends Scene {
     }
   }
 
-  private setupGridMovementListener(): void {
-    const handleGridMovement = (event: CustomEvent) => {
-      const { position } = event.detail;
-      console.log(`🚶‍♀️ Character moved to grid position: (${position.x}, ${position.z})`);
-      
-      // Check if character reached the elevator
-      this.checkElevatorTrigger(position.x, position.z);
-    };
-    
-    window.addEventListener('gridMoveComplete', handleGridMovement as EventListener);
-    
-    // Store reference to remove listener later
-    (this as any).gridMovementListener = handleGridMovement;
+  protected subscribeEvents(events: EventScope): void {
+    // Coming back to the lobby lets us take the elevator again
+    this.takingElevator = false;
   }
 
-  // Check if character reached the elevator area
-  private checkElevatorTrigger(gridX: number, gridZ: number): void {
-    // Elevator is at world position (6, -7), which is grid position (3, -3.5)
-    // Trigger when character is near the elevator
-    if (gridX === 3 && (gridZ === -3 || gridZ === -4)) {
-      console.log('🛗 Player reached elevator - triggering office floor transition');
-      
-      // Add elevator message
-      window.dispatchEvent(new CustomEvent('elevatorReached', { 
-        detail: { message: 'Taking the elevator up to the office...' }
-      }));
-      
-      // Trigger the memory event that will cause scene transition after delay
-      setTimeout(() => {
-        if (this.elevatorDoor) {
-          const event = {
+  private takeElevator(): void {
+    // Walking up to the elevator and calling it can both fire
+    if (this.takingElevator) return;
+    this.takingElevator = true;
+    console.log('🛗 Player reached elevator - triggering office floor transition');
+    
+    // Add elevator message
+    gameEvents.emit('elevatorReached', { message: 'Taking the elevator up to the office...' });
+    
+    // Trigger the memory event that will cause scene transition after delay
+    setTimeout(() => {
+      if (this.elevatorDoor) {
+        const event = {
+          object: this.elevatorDoor,
+          point: new THREE.Vector3(6, 0, -7),
+          memory: {
             object: this.elevatorDoor,
-            point: new THREE.Vector3(6, 0, -7),
-            memory: {
-              object: this.elevatorDoor,
-              text: "The elevator to the office floors. Time to head up and start another day.",
-              triggered: true
-            }
-          };
-          
-          // Dispatch the memory triggered event
-          window.dispatchEvent(new CustomEvent('memoryTriggered', { detail: event }));
-        }
-      }, 2000); // 2 second delay for elevator effect
-    }
+            text: "The elevator to the office floors. Time to head up and start another day.",
+            triggered: true
+          }
+        };
+        
+        // Dispatch the memory triggered event
+        gameEvents.emit('memoryTriggered', event);
+      }
+    }, 2000); // 2 second delay for elevator effect
   }
 
   protected registerColliders(): void {
@@ -507,18 +498,26 @@ export class OfficeBuildingScene extends Scene {
     registerCollision('reception-desk', 0, -5, 4, 1.5);
     registerCollision('seating-area', -4, 3, 6, 2);
 
-    console.log('✅ Office building lobby collisions registered');
-  }
+    // The elevator doors are set into the back wall at world (6, -7)
+    this.collisionManager.addInteractableCollider({
+      type: 'interactable',
+      interactionType: 'elevator',
+      gridPositions: [{ x: 3, z: -4 }],
+      name: 'elevator',
+      prompt: 'Take the elevator up',
+      triggerOnBump: true,
+      onInteract: () => this.takeElevator()
+    });
 
-  // Override unload to clean up event listener
-  unload(): void {
-    super.unload();
-    
-    // Remove the grid movement listener
-    if ((this as any).gridMovementListener) {
-      window.removeEventListener('gridMoveComplete', (this as any).gridMovementListener);
-      (this as any).gridMovementListener = null;
-    }
+    // Walking up to the elevator takes it too
+    this.collisionManager.addTriggerZone({
+      name: 'elevator-landing',
+      gridPositions: [{ x: 3, z: -3 }],
+      once: true,
+      onEnter: () => this.takeElevator()
+    });
+
+    console.log('✅ Office building lobby collisions registered');
   }
 
   update(deltaTime: number): void {
@@ -1,16 +1,20 @@
 import * as THREE from 'three';
 import { Scene } from './Scene';
+import { NPCSystem, NPC_ASSETS } from '../systems/NPCSystem';
 import { AssetLoader } from '../systems/AssetLoader';
-import { NPCSystem } from '../systems/NPCSystem';
+import type { ModelId, TextureId } from '../systems/AssetRegistry';
+import type { CollisionManager } from '../systems/CollisionManager';
 import type { Memory } from '../types';
+import { gameEvents } from '../systems/EventBus';
+import type { EventScope } from '../systems/EventBus';
+import { inputManager } from '../systems/InputManager';
 
 export class OfficeFloorScene extends Scene {
   private herDesk: THREE.Group | null = null;
   private targetDesk: THREE.Group | null = null; // The desk across from hers
   private newDeveloper: THREE.Group | null = null;
   private manager: THREE.Group | null = null;
-  private storyPhase: 'arrival' | 'working' | 'developer-arrives' | 'desk-selection' | 'meeting' = 'arrival';
-  private assetLoader: AssetLoader;
+  private storyPhase: StoryPhase = 'arrival';
   private npcSystem: NPCSystem;
   private npcs: THREE.Group[] = []; // Array to hold all NPCs (keeping for backwards compatibility)
   private npcMovementData: NPCMovementData[] = []; // Track movement state for each NPC
@@ -21,9 +25,15 @@ export class OfficeFloorScene extends Scene {
 
   constructor() {
     super('office-floor', 'The Office - September 15th');
-    this.assetLoader = new AssetLoader();
+    this.music = 'office';
+    this.assets = NPC_ASSETS;
     this.npcSystem = new NPCSystem(this, this.assetLoader);
-    this.setupGridMovementListener();
+  }
+
+  setCollisionManager(collisionManager: CollisionManager): void {
+    super.setCollisionManager(collisionManager);
+    this.npcSystem.setPathfinder(this.pathfinder);
+    this.npcSystem.setCollisionManager(collisionManager);
   }
 
   protected async loadAssets(): Promise<void> {
@@ -359,64 +369,22 @@ export class OfficeFloorScene extends Scene {
     console.log('Added target desk highlight ring at her desk (leftmost)');
   }
 
-  private checkDeskInteraction(gridX: number, gridZ: number): void {
-    // Check if player is adjacent to any interactive desk
-    for (const desk of this.interactiveDesks) {
-      const deskGridX = Math.round(desk.position.x / 2);
-      const deskGridZ = Math.round(desk.position.z / 2);
-      
-      // Check if player is adjacent (1 grid cell away) from desk
-      const isAdjacent = (
-        (Math.abs(gridX - deskGridX) === 1 && gridZ === deskGridZ) ||
-        (gridX === deskGridX && Math.abs(gridZ - deskGridZ) === 1)
-      );
-      
-      if (isAdjacent) {
-        // For target desk, sit automatically without spacebar
-        if (desk.userData.deskType === 'target' && !this.playerSittingAt) {
-          console.log('🎯 Auto-sitting at target desk - no spacebar required');
-          this.sitAtDesk(desk);
-          return;
-        } else {
-          this.showDeskInteractionPrompt(desk);
-          return;
-        }
-      }
+  // Prompt shown while the player faces a desk
+  private getDeskPrompt(desk: THREE.Group): string | null {
+    if (this.playerSittingAt) {
+      return this.playerSittingAt === desk && !this.storyCompleted ? 'Stand up' : null;
     }
     
-    // No desk nearby, hide interaction prompt
-    this.hideDeskInteractionPrompt();
-  }
-
-  private showDeskInteractionPrompt(desk: THREE.Group): void {
-    if (this.playerSittingAt) return; // Already sitting
-    
-    const deskType = desk.userData.deskType;
-    let message = '';
-    
-    switch (deskType) {
+    switch (desk.userData.deskType) {
       case 'target':
-        message = 'Press SPACE to sit at my desk - my favorite spot with the perfect view!';
-        break;
+        return 'Sit at my desk - my favorite spot with the perfect view!';
       case 'devon-target':
-        message = 'This empty desk next to mine has a great view too.';
-        break;
+        return 'Sit at the empty desk next to mine';
       case 'occupied':
-        message = 'This is my usual desk - feels good to be back.';
-        break;
+        return 'Sit at my usual desk';
       default:
-        message = 'Press SPACE to sit at this desk.';
-        break;
+        return 'Sit at this desk';
     }
-    
-    // Dispatch interaction prompt event
-    window.dispatchEvent(new CustomEvent('showInteractionPrompt', {
-      detail: { message, desk }
-    }));
-  }
-
-  private hideDeskInteractionPrompt(): void {
-    window.dispatchEvent(new CustomEvent('hideInteractionPrompt'));
   }
 
   private async sitAtDesk(desk: THREE.Group): Promise<void> {
@@ -429,177 +397,145 @@ export class OfficeFloorScene extends Scene {
     const chairZ = desk.position.z + 1; // 1 unit behind desk
     
     // Move player to chair position
-    window.dispatchEvent(new CustomEvent('forceMoveToPosition', {
-      detail: { 
-        worldX: chairX, 
-        worldZ: chairZ,
-        animate: true 
-      }
-    }));
+    gameEvents.emit('forceMoveToPosition', { 
+      worldX: chairX, 
+      worldZ: chairZ,
+      animate: true 
+    });
     
     // Set sitting state
     this.playerSittingAt = desk;
-    
-    // Hide interaction prompt
-    this.hideDeskInteractionPrompt();
+    gameEvents.emit('playerSeated', { seated: true });
     
     // Show sitting message
     const deskType = desk.userData.deskType;
     if (deskType === 'target') {
       console.log('🎯 Player sat at TARGET DESK - triggering cinematic sequence');
       
-      window.dispatchEvent(new CustomEvent('storyNarration', {
-        detail: { message: "Ah, my favorite desk! I love this view of the city. Time to get some work done..." }
-      }));
+      gameEvents.emit('storyNarration', { message: "Ah, my favorite desk! I love this view of the city. Time to get some work done..." });
       
       // Lock player movement for cinematic sequence
-      window.dispatchEvent(new CustomEvent('lockPlayerMovement', {
-        detail: { locked: true }
-      }));
+      gameEvents.emit('lockPlayerMovement', { locked: true });
       
       // Trigger Devon to move to adjacent desk immediately (no delay)
       this.triggerDevonMovement();
     } else {
-      window.dispatchEvent(new CustomEvent('storyNarration', {
-        detail: { message: "Taking a seat at this desk. Nice view from here too." }
-      }));
+      gameEvents.emit('storyNarration', { message: "Taking a seat at this desk. Nice view from here too." });
     }
   }
 
   private triggerDevonMovement(): void {
-    console.log('🎯 Target desk occupied! Triggering Devon to move to adjacent desk...');
-    console.log('🎯 NPCs array length:', this.npcs.length);
-    console.log('🎯 Movement data array length:', this.npcMovementData.length);
-    
-    // Find Devon (he's the first NPC, index 0)
-    const devon = this.npcs[0];
-    const devonMovementData = this.npcMovementData[0];
-    
-    if (!devon || !devonMovementData) {
+    if (!this.npcSystem.getNPC('Devon') || !this.npcMovementData[0]) {
       console.error('❌ Could not find Devon NPC for movement trigger');
       // Unlock player movement if Devon not found
-      window.dispatchEvent(new CustomEvent('lockPlayerMovement', {
-        detail: { locked: false }
-      }));
+      gameEvents.emit('lockPlayerMovement', { locked: false });
       return;
     }
-    
-    // Lock camera on Devon for cinematic effect - permanent until scene change
-    console.log('🎯 Dispatching lockCameraOnTarget event for Devon:', devon);
-    console.log('🎯 Devon position:', devon.position);
-    console.log('🎯 Devon name:', devon.name);
-    
-    window.dispatchEvent(new CustomEvent('lockCameraOnTarget', {
-      detail: { 
-        target: devon,
-        zoomLevel: 1.5, // Zoom in closer
-        duration: 0 // Permanent lock until manual release
+
+    console.log('🎯 Target desk occupied! Playing Devon desk cutscene...');
+    this.playCutscene('devon-takes-the-desk');
+  }
+
+  protected registerCutscenes(): void {
+    // Devon walks over to the desk next to hers - the ending of chapter 1
+    this.registerCutscene('devon-takes-the-desk', [
+      // Lock camera on Devon for cinematic effect - permanent until scene change
+      { type: 'lockCamera', actor: 'Devon', zoomLevel: 1.5 },
+      { type: 'narrate', message: "I notice Devon looking around for a good spot to sit..." },
+      {
+        type: 'moveNPC',
+        actor: 'Devon',
+        path: [
+          new THREE.Vector3(-2, 0, -5), // Intermediate position (step forward)
+          new THREE.Vector3(-2, 0, -6) // Chair position behind his target desk
+        ],
+        speed: 1.5, // Much faster movement for cinematic effect
+        wait: false
+      },
+      { type: 'wait', duration: 800 },
+      { type: 'narrate', message: "Devon gets up and walks over to the desk next to mine..." },
+      { type: 'wait', duration: 4200 },
+      { type: 'narrate', message: "Perfect timing! Devon settles in at the desk right next to mine. This is how we first became desk neighbors..." },
+      { type: 'wait', duration: 4000 },
+      { type: 'narrate', message: "Hi! Mind if I sit here? I'm Devon.", speaker: 'Devon', emotion: 'happy', anchor: 'Devon', duration: 3000 },
+      { type: 'call', run: () => { this.storyPhase = 'meeting'; } },
+      { type: 'wait', duration: 2000 },
+      { type: 'narrate', message: "Little did I know, this moment would change everything...", emotion: 'nostalgic' },
+      { type: 'wait', duration: 3000 },
+      { type: 'narrate', message: "And that's how our story began...", emotion: 'nostalgic' },
+      { type: 'call', run: () => this.completeStory() },
+      { type: 'wait', duration: 2000 },
+      { type: 'narrate', message: "The End. Thank you for playing! 💕", emotion: 'excited', position: 'center' },
+      { type: 'wait', duration: 1500 },
+      { type: 'filter', filter: 'darken', intensity: 0.4, duration: 2000 }, // 40% darker, 2 second fade in
+      { type: 'wait', duration: 1000 }, // Let the filter start before the modal
+      {
+        type: 'modal',
+        title: "Chapter 1: The day we met",
+        message: "Love you musu",
+        modalType: 'ending',
+        persistent: true // Modal stays on screen
       }
-    }));
-    
-    window.dispatchEvent(new CustomEvent('storyNarration', {
-      detail: { message: "I notice Devon looking around for a good spot to sit..." }
-    }));
-    
-    // Create a special movement sequence for Devon to reach the adjacent desk
-    const devonTargetDesk = new THREE.Vector3(-2, 0, -7); // Devon's target desk position
-    const chairPosition = new THREE.Vector3(-2, 0, -6); // Behind the desk (chair position)
-    
-    // Replace Devon's current waypoints with a direct path to the desk
-    devonMovementData.waypoints = [
-      devon.position.clone(), // Current position
-      new THREE.Vector3(-2, 0, -5), // Intermediate position (step forward)
-      chairPosition // Final chair position behind desk
-    ];
-    devonMovementData.currentWaypointIndex = 1; // Start moving to next waypoint
-    devonMovementData.isMoving = true;
-    devonMovementData.currentWaitTime = 0;
-    devonMovementData.moveSpeed = 1.5; // Much faster movement for cinematic effect
+    ]);
+  }
+
+  private completeStory(): void {
+    // Mark story as completed
+    this.storyCompleted = true;
     
-    // Add narrative progression with faster timing
-    setTimeout(() => {
-      window.dispatchEvent(new CustomEvent('storyNarration', {
-        detail: { message: "Devon gets up and walks over to the desk next to mine..." }
-      }));
-    }, 800);
+    // Keep both characters locked at their desks - they've found their places
+    console.log('🎯 Story sequence complete - both characters remain at their desks');
     
-    // Final narrative when he reaches the desk
-    setTimeout(() => {
-      window.dispatchEvent(new CustomEvent('storyNarration', {
-        detail: { message: "Perfect timing! Devon settles in at the desk right next to mine. This is how we first became desk neighbors..." }
-      }));
-      
-      // Update story phase to reflect this key moment
-      this.storyPhase = 'meeting';
-      
-      // Keep camera locked on Devon - don't release it
-      
-      // Trigger scene change after a moment to let the narrative sink in
-      setTimeout(() => {
-        window.dispatchEvent(new CustomEvent('storyNarration', {
-          detail: { message: "Little did I know, this moment would change everything..." }
-        }));
-        
-        // Trigger scene transition after final narration
-        setTimeout(() => {
-          window.dispatchEvent(new CustomEvent('storyNarration', {
-            detail: { message: "And that's how our story began..." }
-          }));
-          
-          // Mark story as completed
-          this.storyCompleted = true;
-          
-          // Keep both characters locked at their desks - they've found their places
-          console.log('🎯 Story sequence complete - both characters remain at their desks');
-          
-          // Stop Devon's normal movement pattern - he's now settled at his desk
-          if (this.npcMovementData[0]) {
-            this.npcMovementData[0].isMoving = false;
-            this.npcMovementData[0].waypoints = []; // Clear waypoints so he stays put
-            console.log('✅ Devon locked at his new desk position');
-          }
-          
-          // Final ending message
-          setTimeout(() => {
-            window.dispatchEvent(new CustomEvent('storyNarration', {
-              detail: { message: "The End. Thank you for playing! 💕" }
-            }));
-            
-            console.log('🎯 Game complete - both characters permanently settled at their desks');
-            
-            // Apply dark filter and show final modal after a brief pause
-            setTimeout(() => {
-              // Apply dark screen filter
-              window.dispatchEvent(new CustomEvent('applyScreenFilter', {
-                detail: { 
-                  type: 'darken',
-                  intensity: 0.4, // 40% darker
-                  duration: 2000 // 2 second fade in
-                }
-              }));
-              
-              // Show final chapter modal after the filter starts
-              setTimeout(() => {
-                window.dispatchEvent(new CustomEvent('showModal', {
-                  detail: { 
-                    title: "Chapter 1: The day we met",
-                    message: "Love you musu",
-                    type: 'ending',
-                    persistent: true // Modal stays on screen
-                  }
-                }));
-              }, 1000); // 1 second delay to let filter start
-              
-            }, 1500); // 1.5 second pause after "The End" message
-            
-          }, 2000);
-          
-        }, 3000);
-      }, 2000);
-      
-    }, 5000);
+    // Stop Devon's normal movement pattern - he's now settled at his desk
+    if (this.npcMovementData[0]) {
+      this.haltNPC(this.npcMovementData[0]);
+      this.npcSystem.getNPC('Devon')?.setSeated(true);
+      console.log('✅ Devon locked at his new desk position');
+    }
+  }
+
+  getCutsceneActor(id: string): THREE.Object3D | null {
+    const npc = this.npcSystem.getNPC(id);
+    return npc ? npc.group : super.getCutsceneActor(id);
+  }
+
+  // NPCs follow the path with their regular waypoint movement and stop at the end
+  moveCutsceneActor(id: string, path: THREE.Vector3[], speed: number): Promise<void> {
+    const actor = this.getCutsceneActor(id);
+    const data = this.npcMovementData.find(movement => movement.npc === actor);
+    if (!data || path.length === 0) {
+      return super.moveCutsceneActor(id, path, speed);
+    }
+
+    this.haltNPC(data);
+    return new Promise(resolve => {
+      data.waypoints = [data.npc.position.clone(), ...path.map(point => point.clone())];
+      data.currentWaypointIndex = 1; // Start moving to next waypoint
+      data.currentWaitTime = 0;
+      data.moveSpeed = speed;
+      data.onPathComplete = resolve;
+      this.startNPCLeg(data);
+    });
+  }
+
+  placeCutsceneActor(id: string, position: THREE.Vector3): void {
+    const actor = this.getCutsceneActor(id);
+    const data = this.npcMovementData.find(movement => movement.npc === actor);
+    if (data) {
+      this.haltNPC(data);
+    }
+    super.placeCutsceneActor(id, position);
+  }
+
+  // Stop an NPC where it stands, finishing any scripted path
+  private haltNPC(data: NPCMovementData): void {
+    data.isMoving = false;
+    data.waypoints = []; // Clear waypoints so it stays put
+    data.route = [];
     
-    console.log('✅ Devon cinematic movement sequence initiated');
+    const onPathComplete = data.onPathComplete;
+    data.onPathComplete = undefined;
+    onPathComplete?.();
   }
 
   private standUpFromDesk(): void {
@@ -608,43 +544,22 @@ export class OfficeFloorScene extends Scene {
     // Prevent standing up if the story sequence is complete
     if (this.storyCompleted) {
       console.log('🔒 Cannot stand up - story sequence complete, game ended');
-      window.dispatchEvent(new CustomEvent('storyNarration', {
-        detail: { message: "This is where our story ends... right here, next to Devon. Perfect." }
-      }));
+      gameEvents.emit('storyNarration', { message: "This is where our story ends... right here, next to Devon. Perfect." });
       return;
     }
     
     console.log('Player standing up from desk');
     const wasTargetDesk = this.playerSittingAt.userData.deskType === 'target';
     this.playerSittingAt = null;
+    gameEvents.emit('playerSeated', { seated: false });
     
     // Unlock player movement and camera if standing up from target desk
     if (wasTargetDesk) {
-      window.dispatchEvent(new CustomEvent('lockPlayerMovement', {
-        detail: { locked: false }
-      }));
-      window.dispatchEvent(new CustomEvent('releaseCameraLock'));
+      gameEvents.emit('lockPlayerMovement', { locked: false });
+      gameEvents.emit('releaseCameraLock');
     }
     
-    window.dispatchEvent(new CustomEvent('storyNarration', {
-      detail: { message: "Standing up from the desk." }
-    }));
-  }
-
-  private getCurrentNearbyDesk(): THREE.Group | null {
-    // Get player's current grid position - we'll need to get this from the movement controller
-    // For now, we'll check all desks and see if any interaction prompt is currently active
-    for (const desk of this.interactiveDesks) {
-      const deskGridX = Math.round(desk.position.x / 2);
-      const deskGridZ = Math.round(desk.position.z / 2);
-      
-      // This is a simplified check - in a real implementation we'd get the actual player position
-      // For now, we'll return the first interactive desk we find
-      // TODO: Get actual player grid position from the movement controller
-    }
-    
-    // Temporary: just return target desk for testing
-    return this.targetDesk;
+    gameEvents.emit('storyNarration', { message: "Standing up from the desk." });
   }
 
   private createMeetingArea(): void {
@@ -880,89 +795,93 @@ export class OfficeFloorScene extends Scene {
   private startStorySequence(): void {
     // Initial narrative
     setTimeout(() => {
-      window.dispatchEvent(new CustomEvent('storyNarration', {
-        detail: { message: "Just another Tuesday at the office. I loved my desk facing the windows..." }
-      }));
+      // A restored save may already be past the opening
+      if (this.storyPhase !== 'arrival') return;
+      gameEvents.emit('storyNarration', { message: "Just another Tuesday at the office. I loved my desk facing the windows..." });
     }, 1000);
 
     // Start the main story sequence after player has a moment to look around
     setTimeout(() => {
+      if (this.storyPhase !== 'arrival') return;
       this.storyPhase = 'working';
       this.triggerDeveloperArrival();
     }, 5000);
   }
 
+  getStoryState(): Record<string, unknown> {
+    return {
+      storyPhase: this.storyPhase,
+      storyCompleted: this.storyCompleted
+    };
+  }
+
+  restoreStoryState(state: Record<string, unknown>): void {
+    const phases: StoryPhase[] = ['arrival', 'working', 'developer-arrives', 'desk-selection', 'meeting'];
+    if (phases.includes(state.storyPhase as StoryPhase)) {
+      this.storyPhase = state.storyPhase as StoryPhase;
+    }
+
+    if (state.storyCompleted === true) {
+      this.storyCompleted = true;
+      this.settleAtDesks();
+    }
+
+    console.log(`💾 Restored office floor story: phase=${this.storyPhase}, completed=${this.storyCompleted}`);
+  }
+
+  // Put both characters at their final desks without replaying the ending
+  private settleAtDesks(): void {
+    this.playerSittingAt = this.herDesk;
+    gameEvents.emit('lockPlayerMovement', { locked: true });
+    gameEvents.emit('playerSeated', { seated: true });
+
+    const devon = this.npcs[0];
+    if (devon) {
+      devon.position.set(-2, 0, -6);
+    }
+    if (this.npcMovementData[0]) {
+      this.haltNPC(this.npcMovementData[0]);
+    }
+    this.npcSystem.getNPC('Devon')?.setSeated(true);
+  }
+
   private triggerDeveloperArrival(): void {
     this.storyPhase = 'developer-arrives';
     
-    window.dispatchEvent(new CustomEvent('storyNarration', {
-      detail: { message: "That's when I heard voices coming from the elevator..." }
-    }));
+    gameEvents.emit('storyNarration', { message: "That's when I heard voices coming from the elevator..." });
 
     // Simulate the new developer and manager arriving
     setTimeout(() => {
       this.storyPhase = 'desk-selection';
-      window.dispatchEvent(new CustomEvent('storyNarration', {
-        detail: { message: "A new developer was being shown around. They were looking for a desk with a good view..." }
-      }));
+      gameEvents.emit('storyNarration', { message: "A new developer was being shown around. They were looking for a desk with a good view..." });
     }, 3000);
 
     // The moment he chooses the desk across from hers
     setTimeout(() => {
       this.storyPhase = 'meeting';
-      window.dispatchEvent(new CustomEvent('storyNarration', {
-        detail: { message: "Of all the window desks, he chose the one right next to mine." }
-      }));
+      gameEvents.emit('storyNarration', { message: "Of all the window desks, he chose the one right next to mine." });
       
       // Final revelation
       setTimeout(() => {
-        window.dispatchEvent(new CustomEvent('storyNarration', {
-          detail: { message: "I didn't know it then, but this ordinary Tuesday would change everything..." }
-        }));
+        gameEvents.emit('storyNarration', { message: "I didn't know it then, but this ordinary Tuesday would change everything..." });
       }, 4000);
       
     }, 6000);
   }
 
-  private setupGridMovementListener(): void {
-    const handleGridMovement = (event: CustomEvent) => {
-      const { position } = event.detail;
+  protected subscribeEvents(events: EventScope): void {
+    // Sitting down goes through the desk interactables; while seated, interact stands up again.
+    // Runs before the player's own handler, which ignores input while movement is locked.
+    events.track(inputManager.on('interact', () => {
+      if (!this.playerSittingAt) return false;
       
-      // Check if character reached her desk area
-      this.checkDeskReached(position.x, position.z);
-      
-      // Check for desk interactions
-      this.checkDeskInteraction(position.x, position.z);
-    };
-    
-    // Handle SPACE key for sitting at desks (except target desk which auto-sits)
-    const handleKeyPress = (event: KeyboardEvent) => {
-      if (event.code === 'Space' && !this.playerSittingAt) {
-        const currentDeskNearby = this.getCurrentNearbyDesk();
-        if (currentDeskNearby && currentDeskNearby.userData.deskType !== 'target') {
-          event.preventDefault();
-          this.sitAtDesk(currentDeskNearby);
-        }
-      } else if (event.code === 'Escape' && this.playerSittingAt) {
-        // Allow standing up with Escape key (unless story is complete)
-        event.preventDefault();
+      // Cutscenes play while seated - don't get up in the middle of one
+      if (!this.cutscenePlayer?.isPlaying()) {
+        // Stand up again (unless story is complete)
         this.standUpFromDesk();
       }
-    };
-    
-    window.addEventListener('gridMoveComplete', handleGridMovement as EventListener);
-    window.addEventListener('keydown', handleKeyPress as EventListener);
-    (this as any).gridMovementListener = handleGridMovement;
-    (this as any).keyPressListener = handleKeyPress;
-  }
-
-  private checkDeskReached(gridX: number, gridZ: number): void {
-    // Her desk is now at world position (-6, -7), grid position (-3, -3.5)
-    if (gridX === -3 && gridZ === -3) {
-      window.dispatchEvent(new CustomEvent('storyNarration', {
-        detail: { message: "Settling in at my desk with the beautiful window view..." }
-      }));
-    }
+      return true;
+    }, 1));
   }
 
   protected registerColliders(): void {
@@ -973,7 +892,7 @@ export class OfficeFloorScene extends Scene {
 
     console.log('🏢 Registering office floor collisions');
 
-    const registerCollision = (name: string, centerX: number, centerZ: number, width: number, depth: number) => {
+    const getGridPositions = (centerX: number, centerZ: number, width: number, depth: number) => {
       const gridSize = 2;
       const positions: {x: number, z: number}[] = [];
       
@@ -987,7 +906,11 @@ export class OfficeFloorScene extends Scene {
           positions.push({x, z});
         }
       }
-      
+      return positions;
+    };
+
+    const registerCollision = (name: string, centerX: number, centerZ: number, width: number, depth: number) => {
+      const positions = getGridPositions(centerX, centerZ, width, depth);
       if (positions.length > 0) {
         this.collisionManager!.addStaticCollider({
           type: 'static',
@@ -1012,11 +935,38 @@ export class OfficeFloorScene extends Scene {
     // Register elevator area as walkable but with some collision for the recess
     registerCollision('elevator-recess', 0, -10.25, 2.5, 0.5);
 
-    // Register key desks along back wall
-    registerCollision('her-desk', -6, -7, 1.5, 1);
-    registerCollision('devon-desk', -2, -7, 1.5, 1);
-    registerCollision('center-right-desk', 2, -7, 1.5, 1);
-    registerCollision('far-right-desk', 6, -7, 1.5, 1);
+    // Desks along the back wall - face one and interact to sit down
+    this.interactiveDesks.forEach(desk => {
+      this.collisionManager!.addInteractableCollider({
+        type: 'interactable',
+        interactionType: 'desk',
+        gridPositions: getGridPositions(desk.position.x, desk.position.z, 1.5, 1),
+        name: desk.name,
+        prompt: () => this.getDeskPrompt(desk),
+        onInteract: () => this.sitAtDesk(desk)
+      });
+    });
+
+    // Her desk is at world (-6, -7) with its chair in grid cell (-3, -3).
+    // Walking up next to the chair sits down automatically - no interact required.
+    this.collisionManager.addTriggerZone({
+      name: 'her-desk-approach',
+      gridPositions: [{ x: -4, z: -3 }, { x: -2, z: -3 }, { x: -3, z: -2 }],
+      onEnter: () => {
+        if (this.targetDesk && !this.playerSittingAt) {
+          console.log('🎯 Auto-sitting at target desk - no interact required');
+          this.sitAtDesk(this.targetDesk);
+        }
+      }
+    });
+
+    this.collisionManager.addTriggerZone({
+      name: 'her-desk-chair',
+      gridPositions: [{ x: -3, z: -3 }],
+      onEnter: () => {
+        gameEvents.emit('storyNarration', { message: "Settling in at my desk with the beautiful window view..." });
+      }
+    });
 
     // Register filing cabinets
     registerCollision('filing-cabinets-left', -8, -4, 1, 0.6);
@@ -1030,19 +980,22 @@ export class OfficeFloorScene extends Scene {
   unload(): void {
     super.unload();
     
+    // Don't leave the player sitting in the next scene
+    if (this.playerSittingAt) {
+      this.playerSittingAt = null;
+      gameEvents.emit('playerSeated', { seated: false });
+    }
+    
     // Clean up NPCs
+    this.npcSystem.dispose();
     this.npcs.forEach(npc => {
-      // Dispose of textures and materials
+      // Skins and model geometry belong to the AssetLoader - only the materials are ours
       npc.traverse((child) => {
         if (child instanceof THREE.Mesh) {
           if (child.material instanceof THREE.Material) {
-            // Check if material has a map property (like MeshLambertMaterial)
-            if ('map' in child.material && child.material.map) {
-              (child.material.map as THREE.Texture).dispose();
-            }
             child.material.dispose();
           }
-          if (child.geometry) {
+          if (child.geometry && !AssetLoader.isShared(child.geometry)) {
             child.geometry.dispose();
           }
         }
@@ -1055,16 +1008,6 @@ export class OfficeFloorScene extends Scene {
     // Clear NPCs array and movement data
     this.npcs = [];
     this.npcMovementData = [];
-    
-    if ((this as any).gridMovementListener) {
-      window.removeEventListener('gridMoveComplete', (this as any).gridMovementListener);
-      (this as any).gridMovementListener = null;
-    }
-    
-    if ((this as any).keyPressListener) {
-      window.removeEventListener('keydown', (this as any).keyPressListener);
-      (this as any).keyPressListener = null;
-    }
   }
 
   update(deltaTime: number): void {
@@ -1103,7 +1046,6 @@ export class OfficeFloorScene extends Scene {
     this.npcMovementData.forEach(data => {
       if (data.waypoints.length === 0) return;
       
-      const currentWaypoint = data.waypoints[data.currentWaypointIndex];
       const npcPosition = data.npc.position;
       
       if (!data.isMoving) {
@@ -1112,43 +1054,86 @@ export class OfficeFloorScene extends Scene {
         
         if (data.currentWaitTime >= data.waitTime) {
           // Start moving to next waypoint
-          data.isMoving = true;
           data.currentWaitTime = 0;
-          
-          // Calculate rotation to face the target waypoint
-          const direction = new THREE.Vector3()
-            .subVectors(currentWaypoint, npcPosition)
-            .normalize();
-          
-          if (direction.length() > 0.1) {
-            const targetRotation = Math.atan2(direction.x, direction.z);
-            data.npc.rotation.y = targetRotation;
-          }
+          this.startNPCLeg(data);
         }
       } else {
-        // NPC is moving toward waypoint
-        const direction = new THREE.Vector3().subVectors(currentWaypoint, npcPosition);
+        // NPC is walking the route toward its waypoint
+        const target = data.route[0];
+        const direction = new THREE.Vector3().subVectors(target, npcPosition);
         const distance = direction.length();
         
         if (distance < 0.1) {
-          // Reached waypoint
-          data.isMoving = false;
-          data.npc.position.copy(currentWaypoint);
+          data.npc.position.copy(target);
+          data.route.shift();
           
-          // Move to next waypoint (loop back to start if at end)
-          data.currentWaypointIndex = (data.currentWaypointIndex + 1) % data.waypoints.length;
+          // Turn the corner and keep walking
+          if (data.route.length > 0) {
+            this.faceTowards(data.npc, data.route[0]);
+            return;
+          }
           
-          // Reset wait time with some randomness
-          data.waitTime = 2 + Math.random() * 3;
+          // Reached waypoint
+          data.isMoving = false;
+          this.advanceWaypoint(data);
         } else {
-          // Move toward waypoint
-          const moveVector = direction.normalize().multiplyScalar(data.moveSpeed * deltaTime);
+          // Move toward the next corner without overshooting it
+          const moveVector = direction.normalize().multiplyScalar(Math.min(data.moveSpeed * deltaTime, distance));
           data.npc.position.add(moveVector);
         }
       }
     });
   }
 
+  // Plan a route around the office furniture to the current waypoint and start walking it
+  private startNPCLeg(data: NPCMovementData): void {
+    const waypoint = data.waypoints[data.currentWaypointIndex];
+    const route = this.pathfinder
+      ? this.pathfinder.findWorldPath(data.npc.position, waypoint, { actor: 'npc' })
+      : [waypoint.clone()];
+    
+    if (!route || route.length === 0) {
+      // Unreachable (or already there) - move on to the next waypoint
+      console.warn(`🧭 ${data.name || 'NPC'} skipping unreachable waypoint`, waypoint);
+      this.advanceWaypoint(data);
+      return;
+    }
+    
+    data.route = route;
+    data.isMoving = true;
+    this.faceTowards(data.npc, route[0]);
+  }
+
+  private advanceWaypoint(data: NPCMovementData): void {
+    // Scripted paths end at their last waypoint instead of looping
+    if (data.onPathComplete) {
+      if (data.currentWaypointIndex === data.waypoints.length - 1) {
+        this.haltNPC(data);
+      } else {
+        data.currentWaypointIndex++;
+        this.startNPCLeg(data);
+      }
+      return;
+    }
+    
+    // Move to next waypoint (loop back to start if at end)
+    data.currentWaypointIndex = (data.currentWaypointIndex + 1) % data.waypoints.length;
+    
+    // Reset wait time with some randomness
+    data.waitTime = 2 + Math.random() * 3;
+  }
+
+  private faceTowards(npc: THREE.Group, target: THREE.Vector3): void {
+    // Calculate rotation to face the target
+    const direction = new THREE.Vector3()
+      .subVectors(target, npc.position)
+      .normalize();
+    
+    if (direction.length() > 0.1) {
+      npc.rotation.y = Math.atan2(direction.x, direction.z);
+    }
+  }
+
   private async loadOfficeNPCs(): Promise<void> {
     console.log('Loading office NPCs with name labels...');
     
@@ -1270,20 +1255,21 @@ export class OfficeFloorScene extends Scene {
       waitTime: waitTime,
       currentWaitTime: waitTime, // Start ready to move immediately
       isMoving: false,
+      route: [],
       name: npc.name
     };
   }
 
   private async createNPC(config: {
     name: string;
-    model: string;
-    skin: string;
+    model: ModelId;
+    skin: TextureId;
     position: { x: number; y: number; z: number };
     rotation: number;
     description: string;
   }): Promise<THREE.Group> {
     // Load the character model
-    const character = await this.assetLoader.loadGLTF(config.model, config.name);
+    const character = await this.assetLoader.loadModel(config.model);
     
     // Scale the character appropriately (1.5x bigger than before: 0.05 * 1.5 = 0.075)
     character.scale.setScalar(0.075);
@@ -1324,5 +1310,9 @@ interface NPCMovementData {
   waitTime: number;
   currentWaitTime: number;
   isMoving: boolean;
+  route: THREE.Vector3[]; // Corners to walk through on the way to the current waypoint
   name: string;
-} 
\ No newline at end of file
+  onPathComplete?: () => void; // Set while following a cutscene path
+}
+
+type StoryPhase = 'arrival' | 'working' | 'developer-arrives' | 'desk-selection' | 'meeting';
@@ -1,17 +1,21 @@
 import * as THREE from 'three';
 import { Scene } from './Scene';
 import { AssetLoader } from '../systems/AssetLoader';
-import { NPCSystem } from '../systems/NPCSystem';
-import type { Memory } from '../types';
+import { NPCSystem, NPC_ASSETS } from '../systems/NPCSystem';
+import type { ModelId } from '../systems/AssetRegistry';
+import type { DialogueTree, Memory } from '../types';
 
 export class OfficeScene extends Scene {
-  private assetLoader: AssetLoader;
   private buildings: THREE.Group[] = [];
   private npcSystem: NPCSystem;
 
   constructor() {
     super('office-scene', 'Where We Met - The Office');
-    this.assetLoader = new AssetLoader();
+    this.music = 'office';
+    this.assets = {
+      models: ['officeBuilding', 'buildingA', 'buildingB', 'buildingC', 'buildingD', 'awningWide', ...NPC_ASSETS.models!],
+      textures: NPC_ASSETS.textures
+    };
     this.npcSystem = new NPCSystem(this, this.assetLoader);
   }
 
@@ -52,44 +56,35 @@ export class OfficeScene extends Scene {
 
   private async createOfficeEnvironment(): Promise<void> {
     // Load main office building - use building-g as it looks office-like
-    const mainBuilding = await this.assetLoader.loadGLTF(
-      'kenney_city-kit-commercial_20/Models/GLB%20format/building-g.glb',
-      'office-main'
-    );
+    const mainBuilding = await this.assetLoader.loadModel('officeBuilding');
     AssetLoader.prepareModel(mainBuilding, 0.2);
     mainBuilding.position.set(0, 0, -5);
     this.add(mainBuilding);
     this.buildings.push(mainBuilding);
 
     // Add surrounding buildings for context
-    const buildingPositions = [
-      { file: 'building-a.glb', pos: [-8, 0, -5], scale: 0.2 },
-      { file: 'building-b.glb', pos: [8, 0, -5], scale: 0.2 },
-      { file: 'building-c.glb', pos: [-5, 0, 5], scale: 0.15 },
-      { file: 'building-d.glb', pos: [5, 0, 5], scale: 0.15 }
+    const buildingPositions: { model: ModelId, pos: number[], scale: number }[] = [
+      { model: 'buildingA', pos: [-8, 0, -5], scale: 0.2 },
+      { model: 'buildingB', pos: [8, 0, -5], scale: 0.2 },
+      { model: 'buildingC', pos: [-5, 0, 5], scale: 0.15 },
+      { model: 'buildingD', pos: [5, 0, 5], scale: 0.15 }
     ];
 
     for (const config of buildingPositions) {
       try {
-        const building = await this.assetLoader.loadGLTF(
-          `kenney_city-kit-commercial_20/Models/GLB%20format/${config.file}`,
-          config.file
-        );
+        const building = await this.assetLoader.loadModel(config.model);
         AssetLoader.prepareModel(building, config.scale);
         building.position.set(config.pos[0], config.pos[1], config.pos[2]);
         this.add(building);
         this.buildings.push(building);
       } catch (error) {
-        console.warn(`Failed to load ${config.file}:`, error);
+        console.warn(`Failed to load ${config.model}:`, error);
       }
     }
 
     // Add some detail elements like awnings
     try {
-      const awning = await this.assetLoader.loadGLTF(
-        'kenney_city-kit-commercial_20/Models/GLB%20format/detail-awning-wide.glb',
-        'awning'
-      );
+      const awning = await this.assetLoader.loadModel('awningWide');
       AssetLoader.prepareModel(awning, 0.2);
       awning.position.set(0, 1, -2);
       this.add(awning);
@@ -118,6 +113,7 @@ export class OfficeScene extends Scene {
       "The coffee machine where we first talked... You asked if I knew how to make it work.",
       {
         highlight: true,
+        dialogue: this.createCoffeeConversation(),
         animation: () => {
           coffeeMachine.rotation.y += 0.02;
         }
@@ -151,7 +147,10 @@ export class OfficeScene extends Scene {
     this.addMemory(
       deskGroup,
       "Your desk... where you sat every day. I would find excuses to walk by.",
-      { highlight: true }
+      {
+        highlight: true,
+        dialogue: this.createDeskConversation()
+      }
     );
 
     // Meeting room door
@@ -169,6 +168,106 @@ export class OfficeScene extends Scene {
     );
   }
 
+  // The first conversation at the coffee machine. What you say here changes the desk memory.
+  private createCoffeeConversation(): DialogueTree {
+    return {
+      id: 'office-coffee',
+      start: 'intro',
+      nodes: {
+        intro: {
+          text: "The coffee machine where we first talked...",
+          next: 'question'
+        },
+        question: {
+          speaker: 'You',
+          text: "Sorry - do you know how to make this thing work? It just keeps blinking at me.",
+          choices: [
+            { text: "Sure, let me show you.", next: 'helped', effects: [{ flag: 'office.helpedWithCoffee', set: true }] },
+            { text: "No idea. I just drink tea.", next: 'tea', effects: [{ flag: 'office.drinksTea', set: true }] },
+            { text: "(Pretend to be busy with your phone)", next: 'avoided' }
+          ]
+        },
+        helped: {
+          speaker: 'Me',
+          text: "You have to hold the button down for three seconds. Nobody tells you that.",
+          next: 'helpedReply'
+        },
+        helpedReply: {
+          speaker: 'You',
+          text: "Three whole seconds! I owe you one.",
+          emotion: 'happy',
+          effects: [{ flag: 'office.warmth', add: 1 }],
+          next: 'outro'
+        },
+        tea: {
+          speaker: 'You',
+          text: "A tea person. I'll remember that.",
+          effects: [{ flag: 'office.warmth', add: 1 }],
+          next: 'outro'
+        },
+        avoided: {
+          text: "I stared at my screen until you gave up and left. I thought about it all afternoon.",
+          emotion: 'sad',
+          next: 'outro'
+        },
+        outro: {
+          text: "You asked if I knew how to make it work. Neither of us knew what would come of it.",
+          emotion: 'nostalgic'
+        }
+      }
+    };
+  }
+
+  // Branches on what happened at the coffee machine
+  private createDeskConversation(): DialogueTree {
+    return {
+      id: 'office-desk',
+      start: 'intro',
+      nodes: {
+        intro: {
+          text: "Your desk... where you sat every day. I would find excuses to walk by.",
+          branches: [
+            { conditions: [{ flag: 'office.helpedWithCoffee' }], next: 'coffeeDebt' },
+            { conditions: [{ flag: 'office.drinksTea' }], next: 'tea' }
+          ],
+          next: 'quiet'
+        },
+        coffeeDebt: {
+          speaker: 'You',
+          text: "Hey, coffee expert! I still owe you one. Lunch?",
+          choices: [
+            { text: "I'd like that.", next: 'lunch', effects: [{ flag: 'office.lunchDate', set: true }] },
+            { text: "Maybe another time.", next: 'later' }
+          ]
+        },
+        tea: {
+          text: "There was a mug of tea waiting on my desk the next morning. No note.",
+          effects: [{ flag: 'office.warmth', add: 1 }],
+          next: 'outro'
+        },
+        quiet: {
+          text: "I never found the right thing to say. Not yet.",
+          next: 'outro'
+        },
+        lunch: {
+          speaker: 'You',
+          text: "It's a date. Well - a lunch. You know what I mean.",
+          emotion: 'excited',
+          next: 'outro'
+        },
+        later: {
+          speaker: 'You',
+          text: "I'll hold you to that.",
+          next: 'outro'
+        },
+        outro: {
+          text: "Walking past your desk became the best part of my day.",
+          emotion: 'nostalgic'
+        }
+      }
+    };
+  }
+
   private async createOfficeNPCs(): Promise<void> {
     // Create the office NPCs using the NPC system
     await this.npcSystem.createOfficeNPCs();
@@ -242,6 +341,11 @@ export class OfficeScene extends Scene {
     return plant;
   }
 
+  unload(): void {
+    super.unload();
+    this.npcSystem.dispose();
+  }
+
   update(deltaTime: number): void {
     super.update(deltaTime);
     
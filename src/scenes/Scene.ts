@@ -1,14 +1,28 @@
 import * as THREE from 'three';
 import type { Memory } from '../types';
 import { CollisionManager } from '../systems/CollisionManager';
+import { Pathfinder } from '../systems/Pathfinding';
+import type { CutscenePlayer, CutsceneStage, CutsceneStep } from '../systems/CutscenePlayer';
+import { gameEvents } from '../systems/EventBus';
+import type { EventScope } from '../systems/EventBus';
+import { AssetLoader, assetLoader } from '../systems/AssetLoader';
+import type { AssetManifest, AssetScope } from '../systems/AssetLoader';
 
-export class Scene extends THREE.Group {
+export class Scene extends THREE.Group implements CutsceneStage {
   public name: string;
   public description: string;
   protected interactables: THREE.Object3D[];
   protected memories: Memory[];
+  protected clickables: { object: THREE.Object3D; onClick: () => void }[] = []; // Clickable things that aren't memories
   protected loaded: boolean;
   protected collisionManager: CollisionManager | null = null;
+  protected pathfinder: Pathfinder | null = null;
+  protected cutscenePlayer: CutscenePlayer | null = null;
+  protected events: EventScope | null = null; // Subscriptions that live while the scene is loaded
+  protected music: string | null = null; // Background music (a synthesized track name or a file), crossfaded in when the scene loads
+  protected assets: AssetManifest = {}; // Fetched behind the loading screen before load()
+  protected nextScene: string | null = null; // Where the player most likely goes next - preloaded in the background
+  protected assetLoader: AssetScope; // Everything loaded through this is released on unload
 
   constructor(name: string, description: string) {
     super();
@@ -17,19 +31,40 @@ export class Scene extends THREE.Group {
     this.interactables = [];
     this.memories = [];
     this.loaded = false;
+    this.assetLoader = assetLoader.scope(name);
+  }
+
+  getMusic(): string | null {
+    return this.music;
+  }
+
+  getAssetManifest(): AssetManifest {
+    return this.assets;
+  }
+
+  getNextScene(): string | null {
+    return this.nextScene;
   }
 
   // Set the collision manager for this scene
   setCollisionManager(collisionManager: CollisionManager): void {
     this.collisionManager = collisionManager;
+    this.pathfinder = new Pathfinder(collisionManager);
     
     // Register colliders immediately when collision manager is set
-    // (only if scene is already loaded)
+    // (only if scene is already loaded). Start from scratch so nothing is registered twice.
     if (this.loaded) {
+      collisionManager.clear();
       this.registerColliders();
     }
   }
 
+  // Set the cutscene player and let the scene register its cutscenes
+  setCutscenePlayer(cutscenePlayer: CutscenePlayer): void {
+    this.cutscenePlayer = cutscenePlayer;
+    this.registerCutscenes();
+  }
+
   // Called when scene is about to be shown
   async load(): Promise<void> {
     if (this.loaded) return;
@@ -48,19 +83,35 @@ export class Scene extends THREE.Group {
       this.registerColliders();
     }
     
+    // Subscribe to game events - removed again in unload
+    this.events = gameEvents.scope(this.name);
+    this.subscribeEvents(this.events);
+    
     this.loaded = true;
   }
 
   // Called when scene is being removed
   unload(): void {
+    // A cutscene can't keep playing in a scene that is gone
+    if (this.cutscenePlayer) {
+      this.cutscenePlayer.stopIfStage(this);
+    }
+    
+    // Remove every event subscription made while loaded
+    if (this.events) {
+      this.events.dispose();
+      this.events = null;
+    }
+    
     // Clear collision data
     if (this.collisionManager) {
       this.collisionManager.clear();
     }
     
-    // Clean up resources
+    // Clean up resources. Loaded models share their geometry with the asset cache,
+    // which disposes it once the last scene using it lets go.
     this.traverse(child => {
-      if ('geometry' in child && child.geometry) {
+      if ('geometry' in child && child.geometry && !AssetLoader.isShared(child.geometry as THREE.BufferGeometry)) {
         (child.geometry as THREE.BufferGeometry).dispose();
       }
       if ('material' in child && child.material) {
@@ -68,9 +119,11 @@ export class Scene extends THREE.Group {
         materials.forEach((material: THREE.Material) => material.dispose());
       }
     });
+    this.assetLoader.releaseAll();
     
     this.interactables = [];
     this.memories = [];
+    this.clickables = [];
     this.loaded = false;
   }
 
@@ -118,6 +171,53 @@ export class Scene extends THREE.Group {
     // Child classes should override this to add their colliders
   }
 
+  // Override this in child classes to subscribe to game events while the scene is loaded
+  protected subscribeEvents(events: EventScope): void {
+    // Subscriptions made through `events` are removed automatically on unload
+  }
+
+  // Override this in child classes to register scene-specific cutscenes
+  protected registerCutscenes(): void {
+    // Child classes should call registerCutscene for each of their cutscenes
+  }
+
+  protected registerCutscene(id: string, steps: CutsceneStep[]): void {
+    if (!this.cutscenePlayer) {
+      console.warn(`No cutscene player set for ${this.name} - cannot register ${id}`);
+      return;
+    }
+    this.cutscenePlayer.register(id, steps, this);
+  }
+
+  protected playCutscene(id: string): Promise<void> {
+    if (!this.cutscenePlayer) {
+      console.warn(`No cutscene player set for ${this.name} - cannot play ${id}`);
+      return Promise.resolve();
+    }
+    return this.cutscenePlayer.play(id);
+  }
+
+  // Cutscene actors are looked up by object name unless a scene overrides this
+  getCutsceneActor(id: string): THREE.Object3D | null {
+    return this.getObjectByName(id) || null;
+  }
+
+  // Scenes without their own movement system just place the actor at the end of the path
+  moveCutsceneActor(id: string, path: THREE.Vector3[], speed: number): Promise<void> {
+    const destination = path[path.length - 1];
+    if (destination) {
+      this.placeCutsceneActor(id, destination);
+    }
+    return Promise.resolve();
+  }
+
+  placeCutsceneActor(id: string, position: THREE.Vector3): void {
+    const actor = this.getCutsceneActor(id);
+    if (actor) {
+      actor.position.copy(position);
+    }
+  }
+
   // Helper method to calculate grid positions from world bounds
   protected calculateGridPositions(object: THREE.Object3D, gridSize: number = 2): { x: number, z: number }[] {
     const positions: { x: number, z: number }[] = [];
@@ -143,6 +243,7 @@ export class Scene extends THREE.Group {
   // Add an interactive memory point
   protected addMemory(object: THREE.Object3D, text: string, options: Partial<Memory> = {}): Memory {
     const memory: Memory = {
+      id: this.createMemoryId(object),
       object,
       text,
       triggered: false,
@@ -160,6 +261,40 @@ export class Scene extends THREE.Group {
     return memory;
   }
 
+  // Memory ids come from the object name, falling back to the creation order
+  // (which is stable because scenes rebuild their memories the same way every load)
+  private createMemoryId(object: THREE.Object3D): string {
+    const nameTaken = this.memories.some(memory => memory.id === object.name);
+    if (object.name && !nameTaken) {
+      return object.name;
+    }
+    return `memory-${this.memories.length}`;
+  }
+
+  getMemories(): Memory[] {
+    return this.memories;
+  }
+
+  // Mark memories discovered or not, as the save has them (used when restoring a save)
+  restoreMemories(memoryIds: string[]): void {
+    // The save is the whole truth - memories it doesn't list haven't been found yet
+    this.memories.forEach(memory => {
+      if (memory.id) {
+        memory.triggered = memoryIds.includes(memory.id);
+      }
+    });
+  }
+
+  // Override in child classes to persist story progress across sessions
+  getStoryState(): Record<string, unknown> {
+    return {};
+  }
+
+  // Override in child classes to restore the state returned by getStoryState
+  restoreStoryState(state: Record<string, unknown>): void {
+    // Nothing to restore by default
+  }
+
   private addInteractiveGlow(object: THREE.Object3D): void {
     // Add a subtle pulsing glow effect
     object.userData.glowIntensity = 0;
@@ -189,21 +324,49 @@ export class Scene extends THREE.Group {
     });
   }
 
-  // Check if a point intersects with any interactable
-  checkInteraction(raycaster: THREE.Raycaster): Memory | null {
+  // Make an object react to clicks and taps without being a memory (e.g. paintings)
+  protected addClickable(object: THREE.Object3D, onClick: () => void): void {
+    this.clickables.push({ object, onClick });
+  }
+
+  getClickableObjects(): THREE.Object3D[] {
+    return this.clickables.map(clickable => clickable.object);
+  }
+
+  // The click handler of the clickable under the ray, if any
+  findClickable(raycaster: THREE.Raycaster): (() => void) | null {
+    const intersects = raycaster.intersectObjects(this.getClickableObjects(), true);
+    if (intersects.length === 0) return null;
+
+    const hit = intersects[0].object;
+    const clickable = this.clickables.find(candidate =>
+      candidate.object === hit || candidate.object.getObjectById(hit.id)
+    );
+    return clickable ? clickable.onClick : null;
+  }
+
+  // Find the memory under the ray without triggering it
+  findMemory(raycaster: THREE.Raycaster): Memory | null {
     const intersects = raycaster.intersectObjects(this.interactables, true);
     
     if (intersects.length > 0) {
       const intersectedObject = intersects[0].object;
-      const memory = this.memories.find(m => 
+      return this.memories.find(m => 
         m.object === intersectedObject || 
         (m.object instanceof THREE.Group && m.object.children.includes(intersectedObject))
-      );
-      
-      if (memory && !memory.triggered) {
-        memory.triggered = true;
-        return memory;
-      }
+      ) || null;
+    }
+    
+    return null;
+  }
+
+  // Check if a point intersects with any interactable
+  checkInteraction(raycaster: THREE.Raycaster): Memory | null {
+    const memory = this.findMemory(raycaster);
+    
+    if (memory && !memory.triggered) {
+      memory.triggered = true;
+      return memory;
     }
     
     return null;
@@ -1,13 +1,37 @@
 import * as THREE from 'three';
 import { Scene } from './Scene';
+import { AssetLoader } from '../systems/AssetLoader';
+import { CharacterAnimator } from '../systems/CharacterAnimator';
+import { CustomizationPanel } from '../systems/CustomizationPanel';
+import { applyAppearance, DEFAULT_APPEARANCE } from '../systems/CharacterAppearance';
+import type { CharacterOptions } from '../types';
+
+// The preview stands left of the panel, in front of the title art (camera at the origin looking down -Z)
+const PREVIEW_POSITION = new THREE.Vector3(-1, -1.1, -3.5);
+const PREVIEW_HEIGHT = 2;
+const PREVIEW_TURN_SPEED = 0.8; // radians per second
 
 export class TitleScreen extends Scene {
   private titleTexture: THREE.Texture | null = null;
+  private menuContainer: HTMLDivElement | null = null;
   private beginButton: HTMLDivElement | null = null;
+  private continueButton: HTMLDivElement | null = null;
   private onBeginCallback: (() => void) | null = null;
+  private onContinueCallback: (() => void) | null = null;
+  private onCustomizeCallback: ((appearance: CharacterOptions) => void) | null = null;
+  private onEndlessCallback: (() => void) | null = null;
+  private continueAvailable: boolean = false;
+  private appearance: CharacterOptions = DEFAULT_APPEARANCE;
+  private customizationPanel: CustomizationPanel | null = null;
+  private preview: THREE.Group | null = null;
+  private previewAnimator: CharacterAnimator | null = null;
+  private previewVersion: number = 0; // Drops skin loads that finish after a newer change
 
   constructor() {
     super('title-screen', 'Our Story - The Beginning');
+    this.music = 'title';
+    this.assets = { textures: ['titleScreen'] };
+    this.nextScene = 'apartment-scene';
   }
 
   // Set the callback for when "Begin your day" is clicked
@@ -15,6 +39,31 @@ export class TitleScreen extends Scene {
     this.onBeginCallback = callback;
   }
 
+  // Set the callback for when "Continue" is clicked
+  setOnContinueCallback(callback: () => void): void {
+    this.onContinueCallback = callback;
+  }
+
+  // Called with the new look when the customization screen is closed with "Done"
+  setOnCustomizeCallback(callback: (appearance: CharacterOptions) => void): void {
+    this.onCustomizeCallback = callback;
+  }
+
+  // Set the callback for the endless road bonus mode
+  setOnEndlessCallback(callback: () => void): void {
+    this.onEndlessCallback = callback;
+  }
+
+  // The player's current look, where the customization screen starts from
+  setAppearance(appearance: CharacterOptions): void {
+    this.appearance = appearance;
+  }
+
+  // Whether a saved game exists (checked before the title screen is shown)
+  setContinueAvailable(available: boolean): void {
+    this.continueAvailable = available;
+  }
+
   protected async loadAssets(): Promise<void> {
     try {
       // Hide the ground for the title screen
@@ -26,8 +75,8 @@ export class TitleScreen extends Scene {
       // Create the title screen background
       await this.createTitleBackground();
       
-      // Create the "Begin your day" button
-      this.createBeginButton();
+      // Create the "Begin your day" / "Continue" buttons
+      this.createMenu();
       
     } catch (error) {
       console.error('Failed to load title screen assets:', error);
@@ -35,96 +84,59 @@ export class TitleScreen extends Scene {
   }
 
   private async createTitleBackground(): Promise<void> {
-    return new Promise((resolve, reject) => {
-      const textureLoader = new THREE.TextureLoader();
-      
-      // Try paths that work with Vite build and GitHub Pages
-      const possiblePaths = [
-        'assets/titleScreen.png',           // Public directory path (preferred)
-        './assets/titleScreen.png',         // Explicit relative path
-        '../public/assets/titleScreen.png', // Development fallback
-        '/ikuikuiku/assets/titleScreen.png' // GitHub Pages base path
-      ];
-      
-      let loadAttempt = 0;
-      
-      const tryLoadTexture = (path: string) => {
-        console.log(`Attempting to load title screen from: ${path}`);
-        
-        textureLoader.load(
-          path,
-          // onLoad - success
-          (texture) => {
-            console.log('✅ Title screen texture loaded successfully');
-            this.titleTexture = texture;
-            
-            // Configure texture
-            texture.colorSpace = THREE.SRGBColorSpace;
-            texture.minFilter = THREE.LinearFilter;
-            texture.magFilter = THREE.LinearFilter;
-            texture.wrapS = THREE.ClampToEdgeWrapping;
-            texture.wrapT = THREE.ClampToEdgeWrapping;
-            
-            // Create appropriately sized plane to display the full title screen
-            const aspectRatio = texture.image.width / texture.image.height;
-            
-            // Calculate plane size based on camera's field of view (50 degrees)
-            // Camera is at z=0, plane at z=-5, so distance = 5
-            const distance = 5;
-            const fov = 50 * Math.PI / 180; // Convert to radians
-            const visibleHeight = 2 * distance * Math.tan(fov / 2);
-            const visibleWidth = visibleHeight * (window.innerWidth / window.innerHeight);
-            
-            // Make image cover the entire viewport (like CSS background-size: cover)
-            // Always scale to the larger dimension needed to fill the screen
-            const scaleToFitWidth = visibleWidth / (visibleHeight * aspectRatio);
-            const scaleToFitHeight = 1;
-            
-            // Use the larger scale to ensure full coverage
-            const scale = Math.max(scaleToFitWidth, scaleToFitHeight);
-            
-            const planeHeight = visibleHeight * scale;
-            const planeWidth = planeHeight * aspectRatio;
-            
-            const geometry = new THREE.PlaneGeometry(planeWidth, planeHeight);
-            const material = new THREE.MeshBasicMaterial({
-              map: texture,
-              transparent: true,
-              side: THREE.DoubleSide
-            });
-            
-            const titlePlane = new THREE.Mesh(geometry, material);
-            titlePlane.position.set(0, 0, -5); // Center the plane
-            titlePlane.name = 'title-background';
-            
-            this.add(titlePlane);
-            resolve();
-          },
-          // onProgress
-          (xhr) => {
-            console.log(`Loading title screen: ${(xhr.loaded / xhr.total * 100)}% loaded`);
-          },
-          // onError
-          (error) => {
-            console.error(`Failed to load texture from ${path}:`, error);
-            loadAttempt++;
-            
-            if (loadAttempt < possiblePaths.length) {
-              // Try next path
-              tryLoadTexture(possiblePaths[loadAttempt]);
-            } else {
-              // All paths failed, create a fallback
-              console.log('Creating fallback title screen');
-              this.createFallbackTitle();
-              resolve();
-            }
-          }
-        );
-      };
-      
-      // Start with the first path
-      tryLoadTexture(possiblePaths[loadAttempt]);
+    let texture: THREE.Texture;
+    try {
+      texture = await this.assetLoader.loadTexture('titleScreen');
+    } catch (error) {
+      // Missing title image, create a fallback
+      console.log('Creating fallback title screen');
+      this.createFallbackTitle();
+      return;
+    }
+
+    console.log('✅ Title screen texture loaded successfully');
+    this.titleTexture = texture;
+
+    // Configure texture
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.wrapS = THREE.ClampToEdgeWrapping;
+    texture.wrapT = THREE.ClampToEdgeWrapping;
+    
+    // Create appropriately sized plane to display the full title screen
+    const aspectRatio = texture.image.width / texture.image.height;
+    
+    // Calculate plane size based on camera's field of view (50 degrees)
+    // Camera is at z=0, plane at z=-5, so distance = 5
+    const distance = 5;
+    const fov = 50 * Math.PI / 180; // Convert to radians
+    const visibleHeight = 2 * distance * Math.tan(fov / 2);
+    const visibleWidth = visibleHeight * (window.innerWidth / window.innerHeight);
+    
+    // Make image cover the entire viewport (like CSS background-size: cover)
+    // Always scale to the larger dimension needed to fill the screen
+    const scaleToFitWidth = visibleWidth / (visibleHeight * aspectRatio);
+    const scaleToFitHeight = 1;
+    
+    // Use the larger scale to ensure full coverage
+    const scale = Math.max(scaleToFitWidth, scaleToFitHeight);
+    
+    const planeHeight = visibleHeight * scale;
+    const planeWidth = planeHeight * aspectRatio;
+    
+    const geometry = new THREE.PlaneGeometry(planeWidth, planeHeight);
+    const material = new THREE.MeshBasicMaterial({
+      map: texture,
+      transparent: true,
+      side: THREE.DoubleSide
     });
+    
+    const titlePlane = new THREE.Mesh(geometry, material);
+    titlePlane.position.set(0, 0, -5); // Center the plane
+    titlePlane.name = 'title-background';
+    
+    this.add(titlePlane);
   }
 
   private createFallbackTitle(): void {
@@ -174,15 +186,58 @@ export class TitleScreen extends Scene {
     this.add(titleText);
   }
 
-  private createBeginButton(): void {
-    // Create HTML button overlay
-    this.beginButton = document.createElement('div');
-    this.beginButton.innerHTML = 'Begin your day';
-    this.beginButton.style.cssText = `
+  private createMenu(): void {
+    // Buttons sit side by side at the bottom of the title art
+    this.menuContainer = document.createElement('div');
+    this.menuContainer.style.cssText = `
       position: fixed;
       bottom: 20%;
       left: 50%;
       transform: translateX(-50%);
+      display: flex;
+      gap: 24px;
+      z-index: 1000;
+    `;
+
+    this.beginButton = this.createMenuButton('Begin your day', () => {
+      console.log('Begin your day clicked!');
+      if (this.onBeginCallback) {
+        this.onBeginCallback();
+      }
+    });
+    this.menuContainer.appendChild(this.beginButton);
+
+    // Only offer "Continue" when there is a save to continue from
+    if (this.continueAvailable) {
+      this.continueButton = this.createMenuButton('Continue', () => {
+        console.log('Continue clicked!');
+        if (this.onContinueCallback) {
+          this.onContinueCallback();
+        }
+      });
+      this.menuContainer.appendChild(this.continueButton);
+    }
+
+    this.menuContainer.appendChild(this.createMenuButton('Customize', () => {
+      this.openCustomization();
+    }));
+
+    // Bonus mode - no story, just the street
+    this.menuContainer.appendChild(this.createMenuButton('Endless Road', () => {
+      console.log('Endless Road clicked!');
+      if (this.onEndlessCallback) {
+        this.onEndlessCallback();
+      }
+    }));
+
+    // Add to DOM
+    document.body.appendChild(this.menuContainer);
+  }
+
+  private createMenuButton(label: string, onClick: () => void): HTMLDivElement {
+    const button = document.createElement('div');
+    button.textContent = label;
+    button.style.cssText = `
       padding: 12px 24px;
       background: #FFE4B5;
       border: 4px solid #8B4513;
@@ -193,7 +248,6 @@ export class TitleScreen extends Scene {
       cursor: pointer;
       text-align: center;
       transition: none;
-      z-index: 1000;
       box-shadow: 4px 4px 0px #5D2F0A, 8px 8px 0px rgba(0, 0, 0, 0.3);
       image-rendering: pixelated;
       image-rendering: -moz-crisp-edges;
@@ -202,34 +256,121 @@ export class TitleScreen extends Scene {
     `;
     
     // Add pixel art hover effects
-    this.beginButton.addEventListener('mouseenter', () => {
-      if (this.beginButton) {
-        this.beginButton.style.background = '#8B4513';
-        this.beginButton.style.color = '#FFE4B5';
-        this.beginButton.style.boxShadow = '2px 2px 0px #5D2F0A, 4px 4px 0px rgba(0, 0, 0, 0.3)';
-        this.beginButton.style.transform = 'translateX(-50%) translateY(2px)';
-      }
+    button.addEventListener('mouseenter', () => {
+      button.style.background = '#8B4513';
+      button.style.color = '#FFE4B5';
+      button.style.boxShadow = '2px 2px 0px #5D2F0A, 4px 4px 0px rgba(0, 0, 0, 0.3)';
+      button.style.transform = 'translateY(2px)';
     });
     
-    this.beginButton.addEventListener('mouseleave', () => {
-      if (this.beginButton) {
-        this.beginButton.style.background = '#FFE4B5';
-        this.beginButton.style.color = '#8B4513';
-        this.beginButton.style.boxShadow = '4px 4px 0px #5D2F0A, 8px 8px 0px rgba(0, 0, 0, 0.3)';
-        this.beginButton.style.transform = 'translateX(-50%) translateY(0px)';
-      }
+    button.addEventListener('mouseleave', () => {
+      button.style.background = '#FFE4B5';
+      button.style.color = '#8B4513';
+      button.style.boxShadow = '4px 4px 0px #5D2F0A, 8px 8px 0px rgba(0, 0, 0, 0.3)';
+      button.style.transform = 'translateY(0px)';
     });
     
-    // Add click handler
-    this.beginButton.addEventListener('click', () => {
-      console.log('Begin your day clicked!');
-      if (this.onBeginCallback) {
-        this.onBeginCallback();
-      }
-    });
+    button.addEventListener('click', onClick);
     
-    // Add to DOM
-    document.body.appendChild(this.beginButton);
+    return button;
+  }
+
+  private openCustomization(): void {
+    if (this.customizationPanel) return;
+
+    if (this.menuContainer) {
+      this.menuContainer.style.display = 'none';
+    }
+
+    this.customizationPanel = new CustomizationPanel(this.appearance, {
+      onChange: (appearance) => this.dressPreview(appearance),
+      onDone: (appearance) => {
+        this.appearance = appearance;
+        this.closeCustomization();
+        this.onCustomizeCallback?.(appearance);
+      },
+      onBack: () => this.closeCustomization()
+    });
+
+    this.loadPreview();
+  }
+
+  private closeCustomization(): void {
+    this.customizationPanel?.dispose();
+    this.customizationPanel = null;
+    this.removePreview();
+
+    if (this.menuContainer) {
+      this.menuContainer.style.display = 'flex';
+    }
+  }
+
+  private async loadPreview(): Promise<void> {
+    const panel = this.customizationPanel;
+    let model: THREE.Group;
+    try {
+      model = await this.assetLoader.loadModel('basicCharacterRigged');
+    } catch (error) {
+      console.warn('👗 Character preview unavailable:', error);
+      return;
+    }
+
+    // Closed (or reopened) while loading
+    if (!panel || panel !== this.customizationPanel) return;
+
+    AssetLoader.fitToHeight(model, PREVIEW_HEIGHT);
+    model.position.copy(PREVIEW_POSITION);
+    model.name = 'customization-preview';
+    this.preview = model;
+    this.previewAnimator = CharacterAnimator.isRigged(model) ? new CharacterAnimator(model) : null;
+    this.add(model);
+
+    await this.dressPreview(panel.getAppearance());
+  }
+
+  private async dressPreview(appearance: CharacterOptions): Promise<void> {
+    const version = ++this.previewVersion;
+
+    let skin: THREE.Texture | null = null;
+    if (appearance.skin) {
+      try {
+        skin = await this.assetLoader.loadTexture(appearance.skin);
+      } catch (error) {
+        console.warn('👗 Failed to load skin for the preview:', error);
+      }
+    }
+
+    if (version !== this.previewVersion || !this.preview) return;
+    applyAppearance(this.preview, appearance, skin);
+  }
+
+  private removePreview(): void {
+    this.previewVersion++;
+    this.previewAnimator?.dispose();
+    this.previewAnimator = null;
+
+    if (this.preview) {
+      this.remove(this.preview);
+      this.preview.traverse((child) => {
+        if (child instanceof THREE.Mesh) {
+          if (!AssetLoader.isShared(child.geometry)) {
+            child.geometry.dispose();
+          }
+          (child.material as THREE.Material).dispose();
+        }
+      });
+      this.preview = null;
+    }
+  }
+
+  update(deltaTime: number): void {
+    super.update(deltaTime);
+
+    // Slow turntable so every side of the outfit can be seen
+    if (this.preview) {
+      this.preview.rotation.y += deltaTime * PREVIEW_TURN_SPEED;
+      this.previewAnimator?.update(deltaTime);
+    }
   }
 
   // Override setupLighting to create a more dramatic title screen atmosphere
@@ -269,19 +410,19 @@ export class TitleScreen extends Scene {
 
   // Clean up when unloading the title screen
   unload(): void {
+    this.closeCustomization();
     super.unload();
     
-    // Remove the HTML button
-    if (this.beginButton && this.beginButton.parentNode) {
-      this.beginButton.parentNode.removeChild(this.beginButton);
-      this.beginButton = null;
+    // Remove the HTML buttons
+    if (this.menuContainer && this.menuContainer.parentNode) {
+      this.menuContainer.parentNode.removeChild(this.menuContainer);
     }
+    this.menuContainer = null;
+    this.beginButton = null;
+    this.continueButton = null;
     
-    // Clean up texture
-    if (this.titleTexture) {
-      this.titleTexture.dispose();
-      this.titleTexture = null;
-    }
+    // The texture itself is released with the scene's assets
+    this.titleTexture = null;
   }
 
   // Title screen doesn't need collision detection
@@ -1,155 +1,324 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { MODELS, getTextureAsset } from './AssetRegistry';
+import type { AssetId, ModelAsset, ModelId, TextureId } from './AssetRegistry';
+
+// What a scene needs before it can be shown. Listed assets are fetched behind
+// the loading screen and cached, so the scene's own load calls resolve instantly.
+export interface AssetManifest {
+  models?: ModelId[];
+  textures?: TextureId[];
+}
+
+export interface LoadProgress {
+  loadedItems: number;
+  totalItems: number;
+  loadedBytes: number;
+  totalBytes: number; // Sum of the sizes reported so far - grows as downloads start
+  failed: AssetId[];
+}
+
+type ProgressListener = (event: ProgressEvent) => void;
+
+interface PendingLoad<T> {
+  promise: Promise<T>;
+  listeners: Set<ProgressListener>;
+}
 
 export class AssetLoader {
+  private baseUrl: string;
   private gltfLoader: GLTFLoader;
-  private textureLoader: THREE.TextureLoader;
-  private loadedAssets: Map<string, any>;
-  private loadingPromises: Map<string, Promise<any>>;
+  private fbxLoader: FBXLoader;
+  private fileLoader: THREE.FileLoader;
+  private models: Map<ModelId, THREE.Group> = new Map();
+  private textures: Map<TextureId, THREE.Texture> = new Map();
+  private pending: Map<AssetId, PendingLoad<any>> = new Map();
+  private refCounts: Map<AssetId, number> = new Map();
+  private deferringDisposal: boolean = false;
+  private unused: Set<AssetId> = new Set(); // Released while disposal was deferred
 
-  constructor() {
+  // The deploy's base URL by default (vite.config `base`), overridable with VITE_ASSET_BASE_URL
+  constructor(baseUrl: string = import.meta.env.VITE_ASSET_BASE_URL || import.meta.env.BASE_URL) {
+    this.baseUrl = baseUrl;
     this.gltfLoader = new GLTFLoader();
-    this.textureLoader = new THREE.TextureLoader();
-    this.loadedAssets = new Map();
-    this.loadingPromises = new Map();
+    this.fbxLoader = new FBXLoader();
+    // Images are downloaded as blobs so their progress can be reported (TextureLoader has none)
+    this.fileLoader = new THREE.FileLoader();
+    this.fileLoader.setResponseType('blob');
+  }
+
+  setBaseUrl(baseUrl: string): void {
+    this.baseUrl = baseUrl;
+  }
+
+  // Public-directory path -> URL under the base URL
+  resolveUrl(path: string): string {
+    const base = this.baseUrl.endsWith('/') ? this.baseUrl : `${this.baseUrl}/`;
+    return encodeURI(base + path.replace(/^\.?\//, ''));
+  }
+
+  // Returns a copy the caller owns: materials are cloned, and rigged models get their own skeleton
+  async loadModel(id: ModelId, onProgress?: ProgressListener): Promise<THREE.Group> {
+    const model = await this.load(id, this.models, (report) => this.fetchModel(id, report), onProgress);
+    return this.cloneModel(model, MODELS[id]);
+  }
+
+  // Textures are shared - configure them, but don't dispose them (release instead)
+  async loadTexture(id: TextureId, onProgress?: ProgressListener): Promise<THREE.Texture> {
+    return this.load(id, this.textures, (report) => this.fetchTexture(id, report), onProgress);
+  }
+
+  // Fetch everything in a manifest. Failures are collected instead of thrown,
+  // so one missing file never blocks a scene from loading.
+  async preload(manifest: AssetManifest, onProgress?: (progress: LoadProgress) => void): Promise<LoadProgress> {
+    const entries = [
+      ...(manifest.models || []).map(id => ({ id: id as AssetId, load: (report: ProgressListener) => this.load(id, this.models, (r) => this.fetchModel(id, r), report) })),
+      ...(manifest.textures || []).map(id => ({ id: id as AssetId, load: (report: ProgressListener) => this.loadTexture(id, report) }))
+    ];
+
+    const bytes: Map<AssetId, { loaded: number; total: number }> = new Map();
+    const progress: LoadProgress = { loadedItems: 0, totalItems: entries.length, loadedBytes: 0, totalBytes: 0, failed: [] };
+
+    const report = () => {
+      progress.loadedBytes = 0;
+      progress.totalBytes = 0;
+      bytes.forEach(({ loaded, total }) => {
+        progress.loadedBytes += loaded;
+        progress.totalBytes += total;
+      });
+      onProgress?.({ ...progress, failed: [...progress.failed] });
+    };
+
+    report();
+    await Promise.all(entries.map(async ({ id, load }) => {
+      try {
+        await load((event) => {
+          bytes.set(id, { loaded: event.loaded, total: event.lengthComputable ? event.total : event.loaded });
+          report();
+        });
+      } catch (error) {
+        progress.failed.push(id);
+      }
+      progress.loadedItems++;
+      report();
+    }));
+
+    return progress;
+  }
+
+  // Reference counting: holders retain what they use and release it when done.
+  // The last release disposes the asset. Assets nobody retained stay cached.
+  retain(id: AssetId): void {
+    this.refCounts.set(id, (this.refCounts.get(id) || 0) + 1);
   }
 
-  async loadGLTF(path: string, name?: string): Promise<THREE.Group> {
-    const assetName = name || path;
-    
-    // Check if already loaded
-    if (this.loadedAssets.has(assetName)) {
-      return this.loadedAssets.get(assetName).clone();
+  release(id: AssetId): void {
+    const count = this.refCounts.get(id) || 0;
+    if (count > 1) {
+      this.refCounts.set(id, count - 1);
+      return;
     }
 
-    // Check if currently loading
-    if (this.loadingPromises.has(assetName)) {
-      const gltf = await this.loadingPromises.get(assetName);
-      return gltf.scene.clone();
+    this.refCounts.delete(id);
+    if (this.deferringDisposal) {
+      this.unused.add(id);
+    } else {
+      this.dispose(id);
     }
+  }
 
-    // Try multiple possible paths for better production compatibility
-    const possiblePaths = [
-      path,                           // Original path
-      `./${path}`,                   // Explicit relative path
-      `/ikuikuiku/${path}`,          // GitHub Pages base path
-      `assets/${path.split('/').pop()}` // Try in assets folder
-    ];
+  // Keep released assets cached until flushDisposal(), e.g. while one scene hands
+  // over to the next, so whatever the incoming scene asks for again isn't thrown away
+  deferDisposal(): void {
+    this.deferringDisposal = true;
+  }
 
-    // Start loading with fallback paths
-    const loadPromise = new Promise<any>((resolve, reject) => {
-      let currentAttempt = 0;
-      
-      const tryLoad = (currentPath: string) => {
-        console.log(`Attempting to load GLTF from: ${currentPath}`);
-        
-        this.gltfLoader.load(
-          currentPath,
-          (gltf) => {
-            // Store the original
-            this.loadedAssets.set(assetName, gltf.scene);
-            this.loadingPromises.delete(assetName);
-            console.log(`✅ Successfully loaded: ${assetName} from ${currentPath}`);
-            resolve(gltf);
-          },
-          (progress) => {
-            // Progress logging commented out to reduce console noise
-            // console.log(`Loading ${assetName}: ${(progress.loaded / progress.total * 100).toFixed(0)}%`);
-          },
-                     (error) => {
-             const errorMessage = error instanceof Error ? error.message : String(error);
-             console.warn(`❌ Failed to load ${assetName} from ${currentPath}:`, errorMessage);
-             currentAttempt++;
-            
-            if (currentAttempt < possiblePaths.length) {
-              // Try next path
-              tryLoad(possiblePaths[currentAttempt]);
-            } else {
-              // All paths failed
-              this.loadingPromises.delete(assetName);
-              console.error(`❌ All attempts failed to load ${assetName}`);
-              reject(new Error(`Failed to load ${assetName} from all attempted paths`));
-            }
-          }
-        );
-      };
-      
-      // Start with first path
-      tryLoad(possiblePaths[currentAttempt]);
+  // Dispose what was released since deferDisposal() and nobody has retained since
+  flushDisposal(): void {
+    this.deferringDisposal = false;
+    const unused = this.unused;
+    this.unused = new Set();
+    unused.forEach(id => {
+      if (!this.refCounts.has(id)) {
+        this.dispose(id);
+      }
     });
+  }
+
+  getRefCount(id: AssetId): number {
+    return this.refCounts.get(id) || 0;
+  }
 
-    this.loadingPromises.set(assetName, loadPromise);
-    const gltf = await loadPromise;
-    
-    // Return a clone so the original can be reused
-    return gltf.scene.clone();
+  // A set of retained assets released together, e.g. everything a scene loaded
+  scope(name: string): AssetScope {
+    return new AssetScope(this, name);
   }
 
-  async loadTexture(path: string, name?: string): Promise<THREE.Texture> {
-    const assetName = name || path;
-    
-    if (this.loadedAssets.has(assetName)) {
-      return this.loadedAssets.get(assetName);
+  // Geometry of cached models is shared by every copy - owners must not dispose it
+  static isShared(geometry: THREE.BufferGeometry): boolean {
+    return geometry.userData.sharedAsset === true;
+  }
+
+  private dispose(id: AssetId): void {
+    const model = this.models.get(id as ModelId);
+    if (model) {
+      model.traverse((child) => {
+        if (child instanceof THREE.Mesh) {
+          child.geometry.dispose();
+          const materials: THREE.Material[] = Array.isArray(child.material) ? child.material : [child.material];
+          materials.forEach(material => disposeMaterial(material));
+        }
+      });
+      this.models.delete(id as ModelId);
     }
 
-    if (this.loadingPromises.has(assetName)) {
-      return await this.loadingPromises.get(assetName);
+    const texture = this.textures.get(id as TextureId);
+    if (texture) {
+      texture.dispose();
+      this.textures.delete(id as TextureId);
     }
+  }
 
-    // Try multiple possible paths for better production compatibility
-    const possiblePaths = [
-      path,                           // Original path
-      `./${path}`,                   // Explicit relative path
-      `/ikuikuiku/${path}`,          // GitHub Pages base path
-      `assets/${path.split('/').pop()}` // Try in assets folder
-    ];
+  // Cached assets resolve immediately. Concurrent requests for the same asset share
+  // one download, and every caller gets its progress events.
+  private load<Id extends AssetId, T>(
+    id: Id,
+    cache: Map<Id, T>,
+    fetch: (report: ProgressListener) => Promise<T>,
+    onProgress?: ProgressListener
+  ): Promise<T> {
+    const cached = cache.get(id);
+    if (cached) {
+      return Promise.resolve(cached);
+    }
+
+    let pending = this.pending.get(id) as PendingLoad<T> | undefined;
+    if (!pending) {
+      const listeners: Set<ProgressListener> = new Set();
+      const promise = fetch(event => listeners.forEach(listener => listener(event)))
+        .then(asset => {
+          cache.set(id, asset);
+          return asset;
+        })
+        .finally(() => this.pending.delete(id));
+      pending = { promise, listeners };
+      this.pending.set(id, pending);
+    }
+
+    if (onProgress) {
+      pending.listeners.add(onProgress);
+    }
+    return pending.promise;
+  }
 
-    const loadPromise = new Promise<THREE.Texture>((resolve, reject) => {
-      let currentAttempt = 0;
-      
-      const tryLoad = (currentPath: string) => {
-        console.log(`Attempting to load texture from: ${currentPath}`);
-        
-        this.textureLoader.load(
-          currentPath,
-          (texture) => {
+  private async fetchModel(id: ModelId, onProgress: ProgressListener): Promise<THREE.Group> {
+    const asset: ModelAsset = MODELS[id];
+    const url = this.resolveUrl(asset.path);
+
+    try {
+      let model: THREE.Group;
+      if (asset.format === 'fbx') {
+        model = await this.fbxLoader.loadAsync(url, onProgress);
+      } else {
+        const gltf = await this.gltfLoader.loadAsync(url, onProgress);
+        model = gltf.scene;
+        model.animations = gltf.animations; // Carried over to every copy
+      }
+
+      model.traverse((child) => {
+        if (child instanceof THREE.Mesh) {
+          child.geometry.userData.sharedAsset = true;
+        }
+      });
+
+      console.log(`✅ Successfully loaded: ${id} from ${url}`);
+      return model;
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      console.error(`❌ Failed to load ${id} from ${url}:`, errorMessage);
+      throw new Error(`Failed to load ${id} from ${url}`);
+    }
+  }
+
+  private fetchTexture(id: TextureId, onProgress: ProgressListener): Promise<THREE.Texture> {
+    const asset = getTextureAsset(id);
+    if (!asset) {
+      console.error(`❌ Unknown texture: ${id}`);
+      return Promise.reject(new Error(`Unknown texture: ${id}`));
+    }
+    const url = this.resolveUrl(asset.path);
+
+    return new Promise<THREE.Texture>((resolve, reject) => {
+      this.fileLoader.load(
+        url,
+        (data) => {
+          const objectUrl = URL.createObjectURL(data as unknown as Blob);
+          const image = new Image();
+          image.onload = () => {
+            URL.revokeObjectURL(objectUrl);
+            const texture = new THREE.Texture(image);
             texture.colorSpace = THREE.SRGBColorSpace;
-            this.loadedAssets.set(assetName, texture);
-            this.loadingPromises.delete(assetName);
-            console.log(`✅ Successfully loaded texture: ${assetName} from ${currentPath}`);
+            texture.name = id;
+            texture.needsUpdate = true;
+            console.log(`✅ Successfully loaded texture: ${id} from ${url}`);
             resolve(texture);
-          },
-          undefined,
-          (error) => {
-            const errorMessage = error instanceof Error ? error.message : String(error);
-            console.warn(`❌ Failed to load texture ${assetName} from ${currentPath}:`, errorMessage);
-            currentAttempt++;
-            
-            if (currentAttempt < possiblePaths.length) {
-              // Try next path
-              tryLoad(possiblePaths[currentAttempt]);
-            } else {
-              // All paths failed
-              this.loadingPromises.delete(assetName);
-              console.error(`❌ All attempts failed to load texture ${assetName}`);
-              reject(new Error(`Failed to load texture ${assetName} from all attempted paths`));
-            }
-          }
-        );
-      };
-      
-      // Start with first path
-      tryLoad(possiblePaths[currentAttempt]);
+          };
+          image.onerror = () => {
+            // e.g. the dev server answering a missing file with index.html
+            URL.revokeObjectURL(objectUrl);
+            reject(new Error(`${url} is not an image`));
+          };
+          image.src = objectUrl;
+        },
+        onProgress,
+        reject
+      );
+    }).catch((error) => {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      console.error(`❌ Failed to load texture ${id} from ${url}:`, errorMessage);
+      throw new Error(`Failed to load texture ${id} from ${url}`);
+    });
+  }
+
+  private cloneModel(model: THREE.Group, asset: ModelAsset): THREE.Group {
+    // Object3D.clone would leave cloned skinned meshes bound to the original bones
+    const copy = (asset.rigged ? SkeletonUtils.clone(model) : model.clone()) as THREE.Group;
+
+    // Materials are per copy so tinting one character doesn't tint them all
+    copy.traverse((child) => {
+      if (child instanceof THREE.Mesh) {
+        child.material = Array.isArray(child.material)
+          ? child.material.map(material => material.clone())
+          : child.material.clone();
+      }
     });
 
-    this.loadingPromises.set(assetName, loadPromise);
-    return await loadPromise;
+    return copy;
+  }
+
+  // Scale a model to a height in world units (models come in different units).
+  // Skinned bounds follow the bones, so the skeletons are posed before measuring.
+  static fitToHeight(model: THREE.Object3D, height: number): void {
+    model.scale.setScalar(1);
+    model.updateMatrixWorld(true);
+    model.traverse((child) => {
+      if (child instanceof THREE.SkinnedMesh) {
+        child.skeleton.update();
+      }
+    });
+
+    const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+    if (size.y > 0) {
+      model.scale.setScalar(height / size.y);
+    }
   }
 
   // Utility to scale and position loaded models
   static prepareModel(model: THREE.Group, scale: number = 1, position?: THREE.Vector3): THREE.Group {
     model.scale.setScalar(scale);
-    
+
     if (position) {
       model.position.copy(position);
     }
@@ -164,26 +333,51 @@ export class AssetLoader {
 
     return model;
   }
+}
 
-  // Clear cached assets to free memory
-  clearCache(): void {
-    this.loadedAssets.forEach((asset, key) => {
-      if (asset instanceof THREE.Texture) {
-        asset.dispose();
-      } else if (asset instanceof THREE.Group) {
-        asset.traverse((child) => {
-          if ('geometry' in child) (child as any).geometry?.dispose();
-          if ('material' in child) {
-            const materials = Array.isArray((child as any).material) 
-              ? (child as any).material 
-              : [(child as any).material];
-            materials.forEach((mat: any) => mat?.dispose());
-          }
-        });
-      }
-    });
-    
-    this.loadedAssets.clear();
-    this.loadingPromises.clear();
+// Loads through the shared AssetLoader and retains everything it loads,
+// so a single releaseAll() hands it all back (like EventScope for events)
+export class AssetScope {
+  private held: AssetId[] = [];
+
+  constructor(private loader: AssetLoader, public readonly name: string) {}
+
+  loadModel(id: ModelId, onProgress?: ProgressListener): Promise<THREE.Group> {
+    this.hold(id);
+    return this.loader.loadModel(id, onProgress);
+  }
+
+  loadTexture(id: TextureId, onProgress?: ProgressListener): Promise<THREE.Texture> {
+    this.hold(id);
+    return this.loader.loadTexture(id, onProgress);
   }
-} 
\ No newline at end of file
+
+  preload(manifest: AssetManifest, onProgress?: (progress: LoadProgress) => void): Promise<LoadProgress> {
+    [...(manifest.models || []), ...(manifest.textures || [])].forEach(id => this.hold(id));
+    return this.loader.preload(manifest, onProgress);
+  }
+
+  releaseAll(): void {
+    const held = this.held;
+    this.held = [];
+    held.forEach(id => this.loader.release(id));
+  }
+
+  private hold(id: AssetId): void {
+    this.loader.retain(id);
+    this.held.push(id);
+  }
+}
+
+function disposeMaterial(material: THREE.Material): void {
+  // Embedded textures belong to the model
+  Object.values(material).forEach(value => {
+    if (value instanceof THREE.Texture) {
+      value.dispose();
+    }
+  });
+  material.dispose();
+}
+
+// Shared by every scene, so assets preloaded for the next scene are already cached when it loads
+export const assetLoader = new AssetLoader();
@@ -0,0 +1,89 @@
+import paintingFiles from 'virtual:paintings';
+
+// Every file the game loads through the AssetLoader, by id. Paths are relative
+// to the public directory and resolved against the asset base URL at load time.
+
+export interface ModelAsset {
+  path: string;
+  format: 'gltf' | 'fbx';
+  rigged?: boolean; // Skinned meshes need a skeleton-aware clone
+}
+
+export interface TextureAsset {
+  path: string;
+}
+
+const BLOCKY_CHARACTERS = 'kenney_blocky-characters';
+const CITY_KIT = 'kenney_city-kit-commercial_20/Models/GLB format';
+
+export const MODELS = {
+  basicCharacter: { path: `${BLOCKY_CHARACTERS}/Models/Non-rigged/glTF/basicCharacter.gltf`, format: 'gltf' },
+  advancedCharacter: { path: `${BLOCKY_CHARACTERS}/Models/Non-rigged/glTF/advancedCharacter.gltf`, format: 'gltf' },
+  basicCharacterRigged: { path: `${BLOCKY_CHARACTERS}/Models/basicCharacter.fbx`, format: 'fbx', rigged: true },
+  advancedCharacterRigged: { path: `${BLOCKY_CHARACTERS}/Models/advancedCharacter.fbx`, format: 'fbx', rigged: true },
+  animatedWoman: { path: 'models/Animated Woman/Animated Woman.fbx', format: 'fbx', rigged: true },
+
+  // City kit for the office street scene
+  officeBuilding: { path: `${CITY_KIT}/building-g.glb`, format: 'gltf' },
+  buildingA: { path: `${CITY_KIT}/building-a.glb`, format: 'gltf' },
+  buildingB: { path: `${CITY_KIT}/building-b.glb`, format: 'gltf' },
+  buildingC: { path: `${CITY_KIT}/building-c.glb`, format: 'gltf' },
+  buildingD: { path: `${CITY_KIT}/building-d.glb`, format: 'gltf' },
+  awningWide: { path: `${CITY_KIT}/detail-awning-wide.glb`, format: 'gltf' }
+} satisfies Record<string, ModelAsset>;
+
+export const TEXTURES = {
+  titleScreen: { path: 'assets/titleScreen.png' },
+
+  // Character skins
+  skinMan: { path: `${BLOCKY_CHARACTERS}/Skins/Basic/skin_man.png` },
+  skinWoman: { path: `${BLOCKY_CHARACTERS}/Skins/Basic/skin_woman.png` },
+  skinManAlternative: { path: `${BLOCKY_CHARACTERS}/Skins/Basic/skin_manAlternative.png` },
+  skinWomanAlternative: { path: `${BLOCKY_CHARACTERS}/Skins/Basic/skin_womanAlternative.png` },
+  skinAdventurer: { path: `${BLOCKY_CHARACTERS}/Skins/Basic/skin_adventurer.png` },
+  skinSoldier: { path: `${BLOCKY_CHARACTERS}/Skins/Basic/skin_soldier.png` },
+  skinOrc: { path: `${BLOCKY_CHARACTERS}/Skins/Basic/skin_orc.png` },
+  skinRobot: { path: `${BLOCKY_CHARACTERS}/Skins/Basic/skin_robot.png` },
+  animatedWomanLightSkin: { path: 'models/Animated Woman/LightSkin.png' }
+} satisfies Record<string, TextureAsset>;
+
+// Her paintings: every image in public/assets/paintings, listed at build time (see vite.config.js).
+// Captions and dates come from an optional paintings.json next to the images.
+export type PaintingId = `painting:${string}`;
+
+export interface PaintingAsset extends TextureAsset {
+  id: PaintingId;
+  file: string;
+  title: string;
+  date?: string;
+}
+
+export const PAINTINGS: PaintingAsset[] = paintingFiles.map(painting => ({
+  id: `painting:${painting.file}` as PaintingId,
+  file: painting.file,
+  path: `assets/paintings/${painting.file}`,
+  title: painting.title || titleFromFileName(painting.file),
+  date: painting.date
+}));
+
+export type ModelId = keyof typeof MODELS;
+export type TextureId = keyof typeof TEXTURES | PaintingId;
+export type AssetId = ModelId | TextureId;
+
+export function getTextureAsset(id: TextureId): TextureAsset | undefined {
+  if (id.startsWith('painting:')) {
+    return PAINTINGS.find(painting => painting.id === id);
+  }
+  return TEXTURES[id as keyof typeof TEXTURES];
+}
+
+// "malle2.jpeg" -> "Malle 2", "june3rd.jpg" -> "June 3rd"
+function titleFromFileName(file: string): string {
+  return file
+    .replace(/\.[^.]+$/, '')
+    .replace(/[-_]+/g, ' ')
+    .replace(/([a-z])(\d)/gi, '$1 $2')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/\b\w/g, letter => letter.toUpperCase());
+}
@@ -0,0 +1,451 @@
+import * as THREE from 'three';
+import { assetLoader } from './AssetLoader';
+
+export type AudioBus = 'music' | 'sfx';
+export type SoundEffect = 'hop' | 'bump' | 'bed' | 'horn' | 'blip' | 'engine' | 'bell' | 'splash';
+
+export interface SoundOptions {
+  volume?: number; // 0..1, multiplied with the SFX bus
+  pitch?: number; // Playback rate multiplier (1 = normal)
+}
+
+interface MusicTrack {
+  path: string;
+  audio: THREE.Audio | null; // null while the track is loading
+}
+
+// A placeholder tune generated in code: chords arpeggiated over a soft pad, one bar each
+interface SynthTrack {
+  tempo: number; // Beats per minute
+  chords: number[][]; // MIDI notes
+}
+
+// A looping sound attached to an object (e.g. a car engine)
+export interface AttachedSound {
+  stop(): void;
+}
+
+const STORAGE_KEY = 'ikuikuiku.audio';
+const DEFAULT_VOLUMES: Record<AudioBus, number> = { music: 0.5, sfx: 0.8 };
+const DEFAULT_MUSIC_FADE = 1000; // ms
+const GESTURE_EVENTS = ['pointerdown', 'keydown', 'touchstart'] as const;
+
+// Scenes name one of these instead of a file until real music is recorded
+const SYNTH_TRACKS: Record<string, SynthTrack> = {
+  title: { tempo: 72, chords: [[60, 64, 67], [57, 60, 64], [53, 57, 60], [55, 59, 62]] },
+  apartment: { tempo: 80, chords: [[62, 65, 69], [58, 62, 65], [60, 64, 67], [57, 61, 64]] },
+  street: { tempo: 112, chords: [[60, 64, 67], [65, 69, 72], [67, 71, 74], [65, 69, 72]] },
+  lobby: { tempo: 90, chords: [[57, 60, 64], [62, 65, 69], [55, 59, 62], [60, 64, 67]] },
+  office: { tempo: 96, chords: [[64, 67, 71], [60, 64, 67], [62, 65, 69], [59, 62, 67]] }
+};
+
+// Music is streamed from files (or generated, see SYNTH_TRACKS); sound effects are synthesized so they need no assets.
+// Browsers only allow audio after a user gesture - until then music requests are remembered
+// and effects are dropped.
+export class AudioManager {
+  private listener: THREE.AudioListener | null = null;
+  private buses: Partial<Record<AudioBus, GainNode>> = {};
+  private volumes: Record<AudioBus, number>;
+  private unlocked: boolean = false;
+  private loader: THREE.AudioLoader = new THREE.AudioLoader();
+  private buffers: Map<string, Promise<AudioBuffer | null>> = new Map();
+  private music: MusicTrack | null = null;
+  private requestedTrack: string | null = null;
+  private pendingLoops: (() => void)[] = [];
+
+  constructor() {
+    this.volumes = this.loadVolumes();
+  }
+
+  // Attach the listener to the camera and wait for the first gesture
+  init(camera: THREE.Camera): void {
+    if (this.listener) return;
+
+    this.listener = new THREE.AudioListener();
+    camera.add(this.listener);
+
+    const context = this.listener.context;
+    (Object.keys(DEFAULT_VOLUMES) as AudioBus[]).forEach(bus => {
+      const gain = context.createGain();
+      gain.gain.value = this.volumes[bus];
+      gain.connect(this.listener!.getInput());
+      this.buses[bus] = gain;
+    });
+
+    const unlock = () => {
+      GESTURE_EVENTS.forEach(type => window.removeEventListener(type, unlock, true));
+      this.unlock();
+    };
+    GESTURE_EVENTS.forEach(type => window.addEventListener(type, unlock, true));
+  }
+
+  isUnlocked(): boolean {
+    return this.unlocked;
+  }
+
+  private unlock(): void {
+    if (!this.listener || this.unlocked) return;
+
+    this.listener.context.resume().then(() => {
+      this.unlocked = true;
+      console.log('🔊 Audio unlocked');
+
+      // Start whatever was asked for before the gesture
+      if (this.requestedTrack) {
+        const track = this.requestedTrack;
+        this.requestedTrack = null;
+        this.playMusic(track);
+      }
+      const loops = this.pendingLoops;
+      this.pendingLoops = [];
+      loops.forEach(start => start());
+    }).catch(error => {
+      console.warn('🔊 Failed to start audio:', error);
+    });
+  }
+
+  // Crossfade to a music track. null fades the current track out.
+  playMusic(path: string | null, fadeDuration: number = DEFAULT_MUSIC_FADE): void {
+    if (!this.unlocked || !this.listener) {
+      this.requestedTrack = path;
+      return;
+    }
+
+    // Also true while the track is still loading, so it isn't started twice
+    if (this.music?.path === path) return;
+
+    if (this.music) {
+      if (this.music.audio) {
+        this.fadeOutAndStop(this.music.audio, fadeDuration);
+      }
+      this.music = null;
+    }
+    if (!path) return;
+
+    const track: MusicTrack = { path, audio: null };
+    this.music = track;
+    this.loadBuffer(path).then(buffer => {
+      // Another track was requested while this one loaded
+      if (!buffer || !this.listener || this.music !== track) return;
+
+      const audio = new THREE.Audio(this.listener);
+      this.route(audio, 'music');
+      audio.setBuffer(buffer);
+      audio.setLoop(true);
+      audio.setVolume(0);
+      audio.play();
+      this.rampVolume(audio, 1, fadeDuration);
+
+      track.audio = audio;
+      console.log(`🎵 Playing music: ${path}`);
+    });
+  }
+
+  stopMusic(fadeDuration: number = DEFAULT_MUSIC_FADE): void {
+    this.playMusic(null, fadeDuration);
+  }
+
+  // One-shot sound effect, optionally placed at an object in the world
+  playSfx(sound: SoundEffect, options: SoundOptions = {}, at?: THREE.Object3D): void {
+    if (!this.unlocked || !this.listener) return;
+
+    const audio = at ? new THREE.PositionalAudio(this.listener) : new THREE.Audio(this.listener);
+    if (audio instanceof THREE.PositionalAudio) {
+      audio.setRefDistance(4);
+      at!.add(audio);
+    }
+    this.route(audio, 'sfx');
+
+    const duration = this.synthesize(sound, audio, options, false);
+    setTimeout(() => audio.removeFromParent(), duration * 1000 + 100);
+  }
+
+  // Looping sound that moves with an object. Starts once audio is unlocked.
+  attachLoop(object: THREE.Object3D, sound: SoundEffect, options: SoundOptions = {}): AttachedSound {
+    let audio: THREE.PositionalAudio | null = null;
+    let stopped = false;
+
+    const start = () => {
+      if (stopped || !this.listener) return;
+
+      audio = new THREE.PositionalAudio(this.listener);
+      audio.setRefDistance(2);
+      audio.setRolloffFactor(2);
+      object.add(audio);
+      this.route(audio, 'sfx');
+      this.synthesize(sound, audio, options, true);
+    };
+
+    if (this.unlocked) {
+      start();
+    } else {
+      this.pendingLoops.push(start);
+    }
+
+    return {
+      stop: () => {
+        stopped = true;
+        if (audio) {
+          audio.userData.stop?.();
+          audio.removeFromParent();
+          audio = null;
+        }
+      }
+    };
+  }
+
+  // Play a sound file once on the SFX bus (used by memories)
+  playFile(path: string, options: SoundOptions = {}): void {
+    if (!this.unlocked || !this.listener) return;
+
+    this.loadBuffer(path).then(buffer => {
+      if (!buffer || !this.listener) return;
+
+      const audio = new THREE.Audio(this.listener);
+      this.route(audio, 'sfx');
+      audio.setBuffer(buffer);
+      audio.setVolume(options.volume ?? 1);
+      audio.setPlaybackRate(options.pitch ?? 1);
+      audio.onEnded = () => {
+        audio.isPlaying = false;
+        audio.disconnect();
+      };
+      audio.play();
+    });
+  }
+
+  setVolume(bus: AudioBus, volume: number): void {
+    this.volumes[bus] = THREE.MathUtils.clamp(volume, 0, 1);
+    const gain = this.buses[bus];
+    if (gain && this.listener) {
+      gain.gain.setTargetAtTime(this.volumes[bus], this.listener.context.currentTime, 0.05);
+    }
+    this.saveVolumes();
+  }
+
+  getVolume(bus: AudioBus): number {
+    return this.volumes[bus];
+  }
+
+  // Send a sound through a bus instead of straight to the listener
+  private route(audio: THREE.Audio<AudioNode>, bus: AudioBus): void {
+    const gain = this.buses[bus];
+    if (!gain) return;
+    audio.gain.disconnect();
+    audio.gain.connect(gain);
+  }
+
+  private loadBuffer(path: string): Promise<AudioBuffer | null> {
+    let buffer = this.buffers.get(path);
+    if (!buffer && SYNTH_TRACKS[path] && this.listener) {
+      buffer = Promise.resolve(this.renderTrack(SYNTH_TRACKS[path], this.listener.context));
+      this.buffers.set(path, buffer);
+    }
+    if (!buffer) {
+      // Paths are relative to the asset base, like models and textures
+      buffer = this.loader.loadAsync(assetLoader.resolveUrl(path)).catch(error => {
+        console.warn(`🔊 Failed to load audio ${path}:`, error);
+        return null;
+      });
+      this.buffers.set(path, buffer);
+    }
+    return buffer;
+  }
+
+  // Render a synth track into a buffer that loops seamlessly (every bar starts and ends silent)
+  private renderTrack(track: SynthTrack, context: BaseAudioContext): AudioBuffer {
+    const rate = context.sampleRate;
+    const beat = 60 / track.tempo;
+    const barLength = Math.round(4 * beat * rate);
+    const buffer = context.createBuffer(1, barLength * track.chords.length, rate);
+    const data = buffer.getChannelData(0);
+    const frequency = (note: number) => 440 * Math.pow(2, (note - 69) / 12);
+
+    track.chords.forEach((chord, bar) => {
+      const offset = bar * barLength;
+      const notes = chord.map(frequency);
+      // Up and down the chord an octave higher, in eighth notes
+      const arpeggio = [...notes, notes[0] * 2, ...notes.slice().reverse().map(note => note * 2), notes[1]];
+      const eighth = beat / 2;
+
+      for (let i = 0; i < barLength; i++) {
+        const t = i / rate;
+        const padEnvelope = Math.min(1, t / 0.3, (barLength / rate - t) / 0.3);
+        let sample = 0;
+        notes.forEach(note => {
+          sample += Math.sin(2 * Math.PI * (note / 2) * t) * 0.05 * padEnvelope;
+        });
+
+        const step = Math.floor(t / eighth);
+        const sinceNote = t - step * eighth;
+        const noteEnvelope = Math.exp(-sinceNote * 6) * Math.min(1, sinceNote / 0.005, (eighth - sinceNote) / 0.005);
+        sample += Math.sin(2 * Math.PI * arpeggio[step % arpeggio.length] * sinceNote) * 0.08 * noteEnvelope;
+        data[offset + i] = sample;
+      }
+    });
+
+    return buffer;
+  }
+
+  private rampVolume(audio: THREE.Audio<AudioNode>, volume: number, duration: number): void {
+    const now = audio.context.currentTime;
+    audio.gain.gain.cancelScheduledValues(now);
+    audio.gain.gain.setValueAtTime(audio.gain.gain.value, now);
+    audio.gain.gain.linearRampToValueAtTime(volume, now + duration / 1000);
+  }
+
+  private fadeOutAndStop(audio: THREE.Audio, duration: number): void {
+    this.rampVolume(audio, 0, duration);
+    setTimeout(() => {
+      if (audio.isPlaying) audio.stop();
+      audio.disconnect();
+    }, duration + 50);
+  }
+
+  // Build a small oscillator patch for a sound and play it through `audio`.
+  // Returns the length of the sound in seconds (loops keep going until stopped).
+  private synthesize(sound: SoundEffect, audio: THREE.Audio<AudioNode>, options: SoundOptions, loop: boolean): number {
+    const context = audio.context;
+    const now = context.currentTime;
+    const pitch = options.pitch ?? 1;
+    const envelope = context.createGain();
+    const oscillators: OscillatorNode[] = [];
+    let output: AudioNode = envelope;
+    let duration = 0.1;
+
+    const oscillator = (type: OscillatorType, frequency: number) => {
+      const node = context.createOscillator();
+      node.type = type;
+      node.frequency.setValueAtTime(frequency * pitch, now);
+      node.connect(envelope);
+      oscillators.push(node);
+      return node;
+    };
+
+    // Quick attack, exponential release
+    const shape = (peak: number, length: number) => {
+      envelope.gain.setValueAtTime(0.0001, now);
+      envelope.gain.exponentialRampToValueAtTime(peak, now + 0.01);
+      envelope.gain.exponentialRampToValueAtTime(0.0001, now + length);
+      duration = length;
+    };
+
+    switch (sound) {
+      case 'hop':
+        oscillator('square', 420).frequency.exponentialRampToValueAtTime(700 * pitch, now + 0.08);
+        shape(0.12, 0.1);
+        break;
+
+      case 'bump':
+        oscillator('triangle', 160).frequency.exponentialRampToValueAtTime(60 * pitch, now + 0.12);
+        shape(0.35, 0.15);
+        break;
+
+      case 'bed':
+        // Soft sliding fifth
+        oscillator('sine', 330).frequency.exponentialRampToValueAtTime(440 * pitch, now + 0.5);
+        oscillator('sine', 494).frequency.exponentialRampToValueAtTime(660 * pitch, now + 0.5);
+        shape(0.1, 0.7);
+        break;
+
+      case 'horn': {
+        oscillator('sawtooth', 370);
+        oscillator('sawtooth', 440);
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 1200;
+        envelope.connect(filter);
+        output = filter;
+        envelope.gain.setValueAtTime(0.0001, now);
+        envelope.gain.exponentialRampToValueAtTime(0.2, now + 0.02);
+        envelope.gain.setValueAtTime(0.2, now + 0.3);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, now + 0.4);
+        duration = 0.4;
+        break;
+      }
+
+      case 'blip':
+        oscillator('square', 880);
+        shape(0.04, 0.04);
+        break;
+
+      case 'bell':
+        // Level crossing ding
+        oscillator('sine', 1320);
+        oscillator('sine', 1980);
+        shape(0.08, 0.35);
+        break;
+
+      case 'splash':
+        oscillator('triangle', 900).frequency.exponentialRampToValueAtTime(80 * pitch, now + 0.4);
+        oscillator('sine', 300).frequency.exponentialRampToValueAtTime(40 * pitch, now + 0.3);
+        shape(0.3, 0.45);
+        break;
+
+      case 'engine': {
+        // Low rumble with a slow wobble
+        const engine = oscillator('sawtooth', 55);
+        const wobble = context.createOscillator();
+        const wobbleDepth = context.createGain();
+        wobble.frequency.value = 6;
+        wobbleDepth.gain.value = 4;
+        wobble.connect(wobbleDepth);
+        wobbleDepth.connect(engine.frequency);
+        oscillators.push(wobble);
+
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 300;
+        envelope.connect(filter);
+        output = filter;
+        envelope.gain.setValueAtTime(0.08, now);
+        duration = Infinity;
+        break;
+      }
+    }
+
+    if (options.volume !== undefined) {
+      const volume = context.createGain();
+      volume.gain.value = options.volume;
+      output.connect(volume);
+      output = volume;
+    }
+
+    // Feed the patch into the sound's own output (panner for positional sounds)
+    output.connect(audio.getOutput());
+    oscillators.forEach(node => node.start(now));
+
+    const finalNode = output;
+    if (loop) {
+      audio.userData.stop = () => {
+        oscillators.forEach(node => node.stop());
+        finalNode.disconnect();
+      };
+    } else {
+      oscillators.forEach(node => node.stop(now + duration + 0.05));
+      oscillators[0].onended = () => finalNode.disconnect();
+    }
+
+    return duration;
+  }
+
+  private loadVolumes(): Record<AudioBus, number> {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      return { ...DEFAULT_VOLUMES, ...saved };
+    } catch {
+      return { ...DEFAULT_VOLUMES };
+    }
+  }
+
+  private saveVolumes(): void {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.volumes));
+    } catch (error) {
+      console.warn('🔊 Failed to save volume settings:', error);
+    }
+  }
+}
+
+// Shared audio manager used by scenes and systems
+export const audioManager = new AudioManager();
@@ -0,0 +1,173 @@
+import * as THREE from 'three';
+
+export type CharacterAnimationState = 'idle' | 'walk' | 'bump' | 'lie' | 'sit';
+
+// Bones shared by the rigged Kenney blocky characters (basic and advanced)
+type RigBone = 'Spine1' | 'Neck1' | 'ArmL1' | 'ArmR1' | 'LegL1' | 'LegR1';
+
+// Rotation away from the rest pose, as Euler angles in model space (the model faces +Z).
+// Negative X swings a limb forward, positive Z raises the left arm sideways.
+type Pose = Partial<Record<RigBone, [number, number, number]>>;
+
+interface ClipDefinition {
+  duration: number;
+  loop: boolean;
+  keys: { time: number; pose: Pose }[];
+}
+
+// One step per 0.25 s hop (GridMovementController.moveDuration), starting and ending
+// each hop with the legs together so stopping mid-stride never happens
+export const STEP_DURATION = 0.25;
+
+const STRIDE: Pose = { LegL1: [-0.7, 0, 0], LegR1: [0.7, 0, 0], ArmL1: [0.6, 0, 0], ArmR1: [-0.6, 0, 0] };
+const OTHER_STRIDE: Pose = { LegL1: [0.7, 0, 0], LegR1: [-0.7, 0, 0], ArmL1: [-0.6, 0, 0], ArmR1: [0.6, 0, 0] };
+const STANDING: Pose = { LegL1: [0, 0, 0], LegR1: [0, 0, 0], ArmL1: [0, 0, 0], ArmR1: [0, 0, 0] };
+
+const CLIPS: Record<CharacterAnimationState, ClipDefinition> = {
+  // Slow breathing with the arms drifting out a little
+  idle: {
+    duration: 2.4,
+    loop: true,
+    keys: [
+      { time: 0, pose: { Spine1: [0, 0, 0], Neck1: [0, 0, 0], ArmL1: [0, 0, 0.04], ArmR1: [0, 0, -0.04] } },
+      { time: 1.2, pose: { Spine1: [-0.04, 0, 0], Neck1: [0.05, 0, 0], ArmL1: [0, 0, 0.1], ArmR1: [0, 0, -0.1] } },
+      { time: 2.4, pose: { Spine1: [0, 0, 0], Neck1: [0, 0, 0], ArmL1: [0, 0, 0.04], ArmR1: [0, 0, -0.04] } }
+    ]
+  },
+  walk: {
+    duration: STEP_DURATION * 2,
+    loop: true,
+    keys: [
+      { time: 0, pose: STANDING },
+      { time: STEP_DURATION * 0.5, pose: STRIDE },
+      { time: STEP_DURATION, pose: STANDING },
+      { time: STEP_DURATION * 1.5, pose: OTHER_STRIDE },
+      { time: STEP_DURATION * 2, pose: STANDING }
+    ]
+  },
+  // Walking into something: flinch back with the arms up (matches the 0.2 s bump)
+  bump: {
+    duration: 0.2,
+    loop: false,
+    keys: [
+      { time: 0, pose: { Spine1: [0, 0, 0], Neck1: [0, 0, 0], ArmL1: [0, 0, 0], ArmR1: [0, 0, 0] } },
+      { time: 0.1, pose: { Spine1: [-0.3, 0, 0], Neck1: [-0.2, 0, 0], ArmL1: [-1.4, 0, 0.3], ArmR1: [-1.4, 0, -0.3] } },
+      { time: 0.2, pose: { Spine1: [-0.1, 0, 0], Neck1: [0, 0, 0], ArmL1: [-0.4, 0, 0.1], ArmR1: [-0.4, 0, -0.1] } }
+    ]
+  },
+  // The bed tips the whole character over - this just relaxes the limbs
+  lie: {
+    duration: 1,
+    loop: false,
+    keys: [
+      { time: 0, pose: { Neck1: [0.25, 0, 0], ArmL1: [0, 0, 0.25], ArmR1: [0, 0, -0.25], LegL1: [0, 0, 0.08], LegR1: [0, 0, -0.08] } }
+    ]
+  },
+  // Legs forward onto the chair, hands on the desk
+  sit: {
+    duration: 1,
+    loop: false,
+    keys: [
+      { time: 0, pose: { LegL1: [-Math.PI / 2, 0, 0], LegR1: [-Math.PI / 2, 0, 0], ArmL1: [-0.9, 0, 0], ArmR1: [-0.9, 0, 0] } }
+    ]
+  }
+};
+
+const CROSSFADE_DURATION = 0.15; // seconds
+
+// Animation state machine for the rigged Kenney characters. The FBX files ship
+// without clips, so the clips are built here from the rig's rest pose.
+// Used by the player (KenneyCharacterController) and every NPC.
+export class CharacterAnimator {
+  private mixer: THREE.AnimationMixer;
+  private actions: Map<CharacterAnimationState, THREE.AnimationAction> = new Map();
+  private state: CharacterAnimationState | null = null;
+
+  constructor(private model: THREE.Object3D) {
+    this.mixer = new THREE.AnimationMixer(model);
+
+    (Object.keys(CLIPS) as CharacterAnimationState[]).forEach(state => {
+      const definition = CLIPS[state];
+      const action = this.mixer.clipAction(this.buildClip(state, definition));
+      if (!definition.loop) {
+        action.setLoop(THREE.LoopOnce, 1);
+        action.clampWhenFinished = true;
+      }
+      this.actions.set(state, action);
+    });
+
+    this.setState('idle');
+  }
+
+  // Only models with the Kenney rig can be animated
+  static isRigged(model: THREE.Object3D): boolean {
+    return model.getObjectByName('Spine1') instanceof THREE.Bone;
+  }
+
+  getState(): CharacterAnimationState | null {
+    return this.state;
+  }
+
+  // Crossfade into a state. Re-entering the current state only updates its speed.
+  setState(state: CharacterAnimationState, timeScale: number = 1): void {
+    const action = this.actions.get(state)!;
+    action.setEffectiveTimeScale(timeScale);
+    if (state === this.state) return;
+
+    const previous = this.state ? this.actions.get(this.state)! : null;
+    this.state = state;
+
+    action.reset().setEffectiveTimeScale(timeScale).setEffectiveWeight(1).play();
+    if (previous) {
+      previous.crossFadeTo(action, CROSSFADE_DURATION, false);
+    }
+  }
+
+  update(deltaTime: number): void {
+    this.mixer.update(deltaTime);
+  }
+
+  dispose(): void {
+    this.mixer.stopAllAction();
+    this.mixer.uncacheRoot(this.model);
+  }
+
+  private buildClip(state: CharacterAnimationState, definition: ClipDefinition): THREE.AnimationClip {
+    const bones = new Set<RigBone>();
+    definition.keys.forEach(key => (Object.keys(key.pose) as RigBone[]).forEach(bone => bones.add(bone)));
+
+    const tracks: THREE.KeyframeTrack[] = [];
+    bones.forEach(name => {
+      const bone = this.model.getObjectByName(name);
+      if (!bone) return;
+
+      const times: number[] = [];
+      const values: number[] = [];
+      definition.keys.forEach(key => {
+        // Bones a key doesn't mention stay at rest
+        const rotation = key.pose[name] || [0, 0, 0];
+        times.push(key.time);
+        values.push(...this.rotateBone(bone, rotation).toArray());
+      });
+
+      tracks.push(new THREE.QuaternionKeyframeTrack(`${name}.quaternion`, times, values));
+    });
+
+    return new THREE.AnimationClip(state, definition.duration, tracks);
+  }
+
+  // The bone's local rotation after turning it by a model-space rotation around its own origin:
+  // parent^-1 * rotation * parent * rest, with parent measured from the model root
+  private rotateBone(bone: THREE.Object3D, rotation: [number, number, number]): THREE.Quaternion {
+    const parent = new THREE.Quaternion();
+    for (let node = bone.parent; node && node !== this.model; node = node.parent) {
+      parent.premultiply(node.quaternion);
+    }
+
+    const modelRotation = new THREE.Quaternion().setFromEuler(new THREE.Euler(...rotation));
+    return parent.clone().invert()
+      .multiply(modelRotation)
+      .multiply(parent)
+      .multiply(bone.quaternion);
+  }
+}
@@ -0,0 +1,234 @@
+import * as THREE from 'three';
+import type { TextureId } from './AssetRegistry';
+import type { CharacterOptions } from '../types';
+
+export interface SkinOption {
+  id: TextureId;
+  label: string;
+  face: string; // Dialogue portrait that goes with the skin
+}
+
+// The Kenney basic skins - they all fit the rigged basicCharacter
+export const SKIN_OPTIONS: SkinOption[] = [
+  { id: 'skinWoman', label: 'Woman', face: 'kenney_blocky-characters/Faces/face_woman.png' },
+  { id: 'skinWomanAlternative', label: 'Woman 2', face: 'kenney_blocky-characters/Faces/face_womanAlternative.png' },
+  { id: 'skinMan', label: 'Man', face: 'kenney_blocky-characters/Faces/face_man.png' },
+  { id: 'skinManAlternative', label: 'Man 2', face: 'kenney_blocky-characters/Faces/face_manAlternative.png' },
+  { id: 'skinAdventurer', label: 'Adventurer', face: 'kenney_blocky-characters/Faces/face_adventurer.png' },
+  { id: 'skinSoldier', label: 'Soldier', face: 'kenney_blocky-characters/Faces/face_soldier.png' },
+  { id: 'skinOrc', label: 'Orc', face: 'kenney_blocky-characters/Faces/face_orc.png' },
+  { id: 'skinRobot', label: 'Robot', face: 'kenney_blocky-characters/Faces/face_robot.png' }
+];
+
+// Multiplied into the skin's shirt - white leaves it as painted
+export const OUTFIT_TINTS: { label: string; color: number }[] = [
+  { label: 'Original', color: 0xFFFFFF },
+  { label: 'Pink', color: 0xFFB6C1 },
+  { label: 'Peach', color: 0xFFD8A8 },
+  { label: 'Mint', color: 0xB8F0C8 },
+  { label: 'Sky', color: 0xADD8FF },
+  { label: 'Lilac', color: 0xD8C0FF }
+];
+
+export type AccessoryId = 'hat' | 'glasses' | 'bow' | 'scarf';
+
+export const ACCESSORY_OPTIONS: { id: AccessoryId; label: string }[] = [
+  { id: 'hat', label: 'Hat' },
+  { id: 'glasses', label: 'Glasses' },
+  { id: 'bow', label: 'Bow' },
+  { id: 'scarf', label: 'Scarf' }
+];
+
+export const DEFAULT_APPEARANCE: CharacterOptions = {
+  name: 'Me',
+  skin: 'skinWoman',
+  outfitColor: 0xFFFFFF,
+  accessories: []
+};
+
+// Kenney rig meshes that the outfit tint applies to
+const OUTFIT_MESHES = ['Body1'];
+// Bone the accessories follow (the head hangs off the neck)
+const HEAD_BONE = 'Neck1';
+const HEAD_MESH = 'Head1';
+
+const STORAGE_KEY = 'ikuikuiku.appearance';
+
+export function loadAppearance(): CharacterOptions {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') as CharacterOptions;
+    const appearance = { ...DEFAULT_APPEARANCE, ...saved };
+    // Skins removed from the list fall back to the default
+    if (!SKIN_OPTIONS.some(option => option.id === appearance.skin)) {
+      appearance.skin = DEFAULT_APPEARANCE.skin;
+    }
+    return appearance;
+  } catch {
+    return { ...DEFAULT_APPEARANCE };
+  }
+}
+
+export function saveAppearance(appearance: CharacterOptions): void {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(appearance));
+  } catch (error) {
+    console.warn('👗 Failed to save character appearance:', error);
+  }
+}
+
+export function getSkinOption(skin: TextureId | undefined): SkinOption {
+  return SKIN_OPTIONS.find(option => option.id === skin) || SKIN_OPTIONS[0];
+}
+
+// Dress a loaded Kenney character: skin texture, outfit tint and accessories.
+// Safe to call again - the previous materials and accessories are replaced.
+export function applyAppearance(model: THREE.Object3D, appearance: CharacterOptions, skin: THREE.Texture | null): void {
+  removeAccessories(model);
+
+  const tint = appearance.outfitColor ?? 0xFFFFFF;
+  model.traverse((child) => {
+    if (child instanceof THREE.Mesh) {
+      const materials: THREE.Material[] = Array.isArray(child.material) ? child.material : [child.material];
+      materials.forEach(material => material.dispose());
+
+      child.material = new THREE.MeshLambertMaterial({
+        map: skin,
+        color: OUTFIT_MESHES.includes(child.name) ? tint : 0xFFFFFF
+      });
+      child.castShadow = true;
+      child.receiveShadow = true;
+    }
+  });
+
+  const head = getHeadBounds(model);
+  (appearance.accessories || []).forEach(id => {
+    const accessory = createAccessory(id as AccessoryId, head);
+    if (accessory) {
+      attachToHead(model, accessory);
+    }
+  });
+}
+
+function removeAccessories(model: THREE.Object3D): void {
+  const accessories: THREE.Object3D[] = [];
+  model.traverse((child) => {
+    if (child.userData.accessory) {
+      accessories.push(child);
+    }
+  });
+
+  accessories.forEach(accessory => {
+    accessory.removeFromParent();
+    accessory.traverse((child) => {
+      if (child instanceof THREE.Mesh) {
+        child.geometry.dispose();
+        (child.material as THREE.Material).dispose();
+      }
+    });
+  });
+}
+
+// The head's box in the model's own space, from the bind pose
+function getHeadBounds(model: THREE.Object3D): THREE.Box3 {
+  const head = model.getObjectByName(HEAD_MESH);
+  const box = new THREE.Box3();
+
+  if (head instanceof THREE.Mesh) {
+    if (!head.geometry.boundingBox) {
+      head.geometry.computeBoundingBox();
+    }
+    box.copy(head.geometry.boundingBox!).applyMatrix4(modelSpaceMatrix(head, model));
+  } else {
+    // Non-rigged models: assume the head is the top half of the character
+    model.traverse((child) => {
+      if (child instanceof THREE.Mesh) {
+        if (!child.geometry.boundingBox) {
+          child.geometry.computeBoundingBox();
+        }
+        box.union(child.geometry.boundingBox!.clone().applyMatrix4(modelSpaceMatrix(child, model)));
+      }
+    });
+    box.min.y = (box.min.y + box.max.y) / 2;
+  }
+
+  return box;
+}
+
+// Place an accessory built in model space under the head bone, so it follows the animations
+function attachToHead(model: THREE.Object3D, accessory: THREE.Object3D): void {
+  const parent = model.getObjectByName(HEAD_BONE) || model;
+  if (parent !== model) {
+    const toBone = modelSpaceMatrix(parent, model).invert().multiply(accessory.matrix);
+    toBone.decompose(accessory.position, accessory.quaternion, accessory.scale);
+  }
+  parent.add(accessory);
+}
+
+function modelSpaceMatrix(node: THREE.Object3D, model: THREE.Object3D): THREE.Matrix4 {
+  const matrix = new THREE.Matrix4();
+  for (let current: THREE.Object3D | null = node; current && current !== model; current = current.parent) {
+    current.updateMatrix();
+    matrix.premultiply(current.matrix);
+  }
+  return matrix;
+}
+
+// Blocky accessories sized to the head (the character faces +Z)
+function createAccessory(id: AccessoryId, head: THREE.Box3): THREE.Group | null {
+  const size = head.getSize(new THREE.Vector3());
+  const center = head.getCenter(new THREE.Vector3());
+  const group = new THREE.Group();
+
+  const box = (width: number, height: number, depth: number, color: number, x: number, y: number, z: number) => {
+    const mesh = new THREE.Mesh(
+      new THREE.BoxGeometry(width, height, depth),
+      new THREE.MeshLambertMaterial({ color })
+    );
+    mesh.position.set(x, y, z);
+    mesh.castShadow = true;
+    group.add(mesh);
+  };
+
+  switch (id) {
+    case 'hat': {
+      const brim = size.y * 0.08;
+      const crown = size.y * 0.4;
+      box(size.x * 1.3, brim, size.z * 1.3, 0x5D4037, 0, brim / 2, 0);
+      box(size.x * 0.85, crown, size.z * 0.85, 0x5D4037, 0, brim + crown / 2, 0);
+      box(size.x * 0.87, crown * 0.25, size.z * 0.87, 0xFF69B4, 0, brim + crown * 0.125, 0);
+      group.position.set(center.x, head.max.y, center.z);
+      break;
+    }
+    case 'glasses': {
+      const lens = size.x * 0.28;
+      const frame = size.y * 0.04;
+      box(lens, lens * 0.8, frame, 0x222222, -size.x * 0.2, 0, 0);
+      box(lens, lens * 0.8, frame, 0x222222, size.x * 0.2, 0, 0);
+      box(size.x * 0.12, frame, frame, 0x222222, 0, lens * 0.2, 0);
+      group.position.set(center.x, head.min.y + size.y * 0.45, head.max.z + frame / 2);
+      break;
+    }
+    case 'bow': {
+      const wing = size.x * 0.22;
+      box(wing, wing * 0.8, wing * 0.5, 0xFF69B4, -wing * 0.6, 0, 0);
+      box(wing, wing * 0.8, wing * 0.5, 0xFF69B4, wing * 0.6, 0, 0);
+      box(wing * 0.35, wing * 0.45, wing * 0.6, 0xC2185B, 0, 0, 0);
+      group.position.set(head.max.x - wing, head.max.y, center.z);
+      break;
+    }
+    case 'scarf': {
+      const height = size.y * 0.14;
+      box(size.x * 0.95, height, size.z * 0.95, 0xE53935, 0, 0, 0);
+      box(size.x * 0.2, height * 2.5, size.z * 0.1, 0xE53935, size.x * 0.2, -height * 1.5, size.z * 0.5);
+      group.position.set(center.x, head.min.y + height / 2, center.z);
+      break;
+    }
+    default:
+      return null;
+  }
+
+  group.name = `accessory:${id}`;
+  group.userData.accessory = true;
+  group.updateMatrix();
+  return group;
+}
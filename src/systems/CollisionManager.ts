@@ -1,21 +1,68 @@
 import { GridPosition } from './GridMovementController';
 
+// Things that move around the grid and can be blocked by colliders
+export type Actor = 'player' | 'npc';
+
+// Returned when adding a collider - pass it to removeCollider
+export type ColliderHandle = string;
+
 export interface Collider {
-  type: 'static' | 'interactable';
+  type: 'static' | 'interactable' | 'dynamic';
   gridPositions: GridPosition[];
   name?: string;
+  blocks?: Actor[]; // Who can't walk through it - defaults to everyone
 }
 
+export type InteractionType = 'bed' | 'door' | 'elevator' | 'memory' | 'desk';
+
 export interface InteractableCollider extends Collider {
   type: 'interactable';
-  interactionType: 'bed' | 'door' | 'elevator' | 'memory';
+  interactionType: InteractionType;
   onInteract?: (position: GridPosition) => void;
+  prompt?: string | (() => string | null); // Shown while the player faces it (null hides the prompt)
+  triggerOnBump?: boolean; // Walking into it interacts as well
+}
+
+// A collider that moves (NPCs, vehicles). Its cells are refreshed every update.
+export interface DynamicCollider extends Collider {
+  type: 'dynamic';
+  getGridPositions: () => GridPosition[];
+}
+
+const EVERYONE: Actor[] = ['player', 'npc'];
+
+export interface TriggerEvent {
+  actor: Actor;
+  id: string; // 'player' or the NPC's name
+  position: GridPosition;
+}
+
+// Walkable region that reports actors walking in and out of it
+export interface TriggerZone {
+  name: string;
+  gridPositions: GridPosition[];
+  actors?: Actor[]; // Who sets it off - defaults to the player only
+  once?: boolean; // Remove the zone after the first onEnter
+  cooldown?: number; // ms before onEnter can fire again
+  onEnter?: (event: TriggerEvent) => void;
+  onExit?: (event: TriggerEvent) => void;
+  onStay?: (event: TriggerEvent, deltaTime: number) => void; // Every frame while inside
+}
+
+interface TriggerZoneState {
+  zone: TriggerZone;
+  cells: Set<string>;
+  occupants: Map<string, TriggerEvent>; // By actor key
+  lastEnter: number;
 }
 
 export class CollisionManager {
-  private staticColliders: Map<string, Collider> = new Map();
-  private interactableColliders: Map<string, InteractableCollider> = new Map();
-  private gridMap: Map<string, Collider> = new Map();
+  private colliders: Map<ColliderHandle, Collider> = new Map();
+  private dynamicColliders: Map<ColliderHandle, DynamicCollider> = new Map();
+  private gridMap: Map<string, Collider[]> = new Map(); // Colliders stack up per cell, newest last
+  private nextHandle: number = 0;
+  private triggerZones: Map<string, TriggerZoneState> = new Map();
+  private actorPositions: Map<string, TriggerEvent> = new Map();
 
   constructor() {
     console.log('CollisionManager initialized');
@@ -27,86 +74,263 @@ export class CollisionManager {
   }
 
   // Add a static collider (walls, furniture)
-  addStaticCollider(collider: Collider): void {
-    const id = `static_${this.staticColliders.size}`;
-    this.staticColliders.set(id, collider);
+  addStaticCollider(collider: Collider): ColliderHandle {
+    const handle = this.register(collider);
+    console.log(`Added static collider: ${collider.name || handle} at positions:`, collider.gridPositions);
+    return handle;
+  }
+
+  // Add an interactable collider (bed, door, etc)
+  addInteractableCollider(collider: InteractableCollider): ColliderHandle {
+    const handle = this.register(collider);
+    console.log(`Added interactable collider: ${collider.name || handle} at positions:`, collider.gridPositions);
+    return handle;
+  }
+
+  // Add a moving collider. gridPositions is filled in from getGridPositions.
+  addDynamicCollider(collider: Omit<DynamicCollider, 'type' | 'gridPositions'>): ColliderHandle {
+    const dynamic: DynamicCollider = { ...collider, type: 'dynamic', gridPositions: collider.getGridPositions() };
+    const handle = this.register(dynamic);
+    this.dynamicColliders.set(handle, dynamic);
+    console.log(`Added dynamic collider: ${collider.name || handle}`);
+    return handle;
+  }
+
+  removeCollider(handle: ColliderHandle): boolean {
+    const collider = this.colliders.get(handle);
+    if (!collider) return false;
     
-    // Add to grid map for fast lookup
+    this.unplace(collider);
+    this.colliders.delete(handle);
+    this.dynamicColliders.delete(handle);
+    return true;
+  }
+
+  // Remove every collider with this name. Returns how many were removed.
+  removeCollidersByName(name: string): number {
+    const handles = Array.from(this.colliders.entries())
+      .filter(([, collider]) => collider.name === name)
+      .map(([handle]) => handle);
+    handles.forEach(handle => this.removeCollider(handle));
+    return handles.length;
+  }
+
+  private register(collider: Collider): ColliderHandle {
+    const handle = `${collider.type}_${this.nextHandle++}`;
+    this.colliders.set(handle, collider);
+    this.place(collider);
+    return handle;
+  }
+
+  // Add to grid map for fast lookup
+  private place(collider: Collider): void {
     collider.gridPositions.forEach(pos => {
       const key = this.getGridKey(pos.x, pos.z);
-      this.gridMap.set(key, collider);
+      const stack = this.gridMap.get(key);
+      if (stack) {
+        stack.push(collider);
+      } else {
+        this.gridMap.set(key, [collider]);
+      }
     });
-    
-    console.log(`Added static collider: ${collider.name || id} at positions:`, collider.gridPositions);
   }
 
-  // Add an interactable collider (bed, door, etc)
-  addInteractableCollider(collider: InteractableCollider): void {
-    const id = `interactable_${this.interactableColliders.size}`;
-    this.interactableColliders.set(id, collider);
-    
-    // Add to grid map
+  private unplace(collider: Collider): void {
     collider.gridPositions.forEach(pos => {
       const key = this.getGridKey(pos.x, pos.z);
-      this.gridMap.set(key, collider);
+      const stack = this.gridMap.get(key)?.filter(existing => existing !== collider);
+      if (stack && stack.length > 0) {
+        this.gridMap.set(key, stack);
+      } else {
+        this.gridMap.delete(key);
+      }
     });
-    
-    console.log(`Added interactable collider: ${collider.name || id} at positions:`, collider.gridPositions);
   }
 
-  // Check if a position is walkable
-  isWalkable(gridX: number, gridZ: number): boolean {
-    const key = this.getGridKey(gridX, gridZ);
-    const collider = this.gridMap.get(key);
-    
-    console.log(`Checking walkable for (${gridX}, ${gridZ}) -> key: ${key}, has collider: ${!!collider}`);
+  // Move dynamic colliders to the cells they cover now
+  private updateDynamicColliders(): void {
+    this.dynamicColliders.forEach(collider => {
+      const positions = collider.getGridPositions();
+      const unchanged = positions.length === collider.gridPositions.length &&
+        positions.every((pos, i) => pos.x === collider.gridPositions[i].x && pos.z === collider.gridPositions[i].z);
+      if (unchanged) return;
+      
+      this.unplace(collider);
+      collider.gridPositions = positions;
+      this.place(collider);
+    });
+  }
+
+  // Call every frame - moves dynamic colliders, then runs trigger zone onStay callbacks
+  update(deltaTime: number): void {
+    this.updateDynamicColliders();
+    this.updateTriggers(deltaTime);
+  }
+
+  // Check if a position is walkable for an actor
+  // (no logging here - pathfinding calls this for every cell it looks at)
+  isWalkable(gridX: number, gridZ: number, actor: Actor = 'player'): boolean {
+    const stack = this.gridMap.get(this.getGridKey(gridX, gridZ));
     
     // If no collider, it's walkable
-    if (!collider) return true;
-    
-    console.log(`Blocked by: ${collider.name || 'unknown'} (type: ${collider.type})`);
+    if (!stack) return true;
     
-    // Static colliders block movement
-    if (collider.type === 'static') return false;
-    
-    // Interactable colliders may or may not block (for now, all block)
-    return false;
+    return !stack.some(collider => this.blocks(collider, actor));
+  }
+
+  private blocks(collider: Collider, actor: Actor): boolean {
+    return (collider.blocks || EVERYONE).includes(actor);
   }
 
   // Check if movement from one position to another is valid
-  canMoveTo(from: GridPosition, to: GridPosition): boolean {
-    const canMove = this.isWalkable(to.x, to.z);
+  canMoveTo(from: GridPosition, to: GridPosition, actor: Actor = 'player'): boolean {
+    const canMove = this.isWalkable(to.x, to.z, actor);
     console.log(`canMoveTo from (${from.x}, ${from.z}) to (${to.x}, ${to.z}): ${canMove}`);
+    
+    if (!canMove) {
+      const blocker = this.getCollidersAt(to.x, to.z).find(collider => this.blocks(collider, actor));
+      console.log(`Blocked by: ${blocker?.name || 'unknown'} (type: ${blocker?.type})`);
+    }
     return canMove;
   }
 
-  // Get collider at a specific position
+  // Every collider in a cell, oldest first
+  getCollidersAt(gridX: number, gridZ: number): Collider[] {
+    return [...(this.gridMap.get(this.getGridKey(gridX, gridZ)) || [])];
+  }
+
+  // Get the topmost (most recently added) collider at a specific position
   getColliderAt(gridX: number, gridZ: number): Collider | null {
-    const key = this.getGridKey(gridX, gridZ);
-    return this.gridMap.get(key) || null;
+    const stack = this.gridMap.get(this.getGridKey(gridX, gridZ));
+    return stack ? stack[stack.length - 1] : null;
   }
 
-  // Get interactable at a specific position
+  // Get the topmost interactable at a specific position
   getInteractableAt(gridX: number, gridZ: number): InteractableCollider | null {
-    const collider = this.getColliderAt(gridX, gridZ);
-    if (collider && collider.type === 'interactable') {
-      return collider as InteractableCollider;
+    const stack = this.getCollidersAt(gridX, gridZ);
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (stack[i].type === 'interactable') {
+        return stack[i] as InteractableCollider;
+      }
     }
     return null;
   }
 
+  // Prompt text for an interactable, if it has one right now
+  getPrompt(interactable: InteractableCollider): string | null {
+    const prompt = interactable.prompt;
+    return typeof prompt === 'function' ? prompt() : prompt ?? null;
+  }
+
+  // Add a trigger zone. Zones don't block movement. Adding a zone with an existing name replaces it.
+  addTriggerZone(zone: TriggerZone): void {
+    const cells = new Set(zone.gridPositions.map(pos => this.getGridKey(pos.x, pos.z)));
+    const state: TriggerZoneState = { zone, cells, occupants: new Map(), lastEnter: -Infinity };
+    
+    // Actors already standing in the zone are inside, but didn't enter it
+    this.actorPositions.forEach((event, key) => {
+      if (this.zoneAccepts(state, event)) {
+        state.occupants.set(key, event);
+      }
+    });
+    
+    this.triggerZones.set(zone.name, state);
+    console.log(`Added trigger zone: ${zone.name} at positions:`, zone.gridPositions);
+  }
+
+  removeTriggerZone(name: string): void {
+    this.triggerZones.delete(name);
+  }
+
+  // Report an actor's grid cell after a move. Fires onExit/onEnter for zones it left or entered.
+  // Placing an actor (teleports, spawning) updates the zones silently.
+  moveActor(actor: Actor, id: string, position: GridPosition, placed: boolean = false): void {
+    const key = `${actor}:${id}`;
+    const previous = this.actorPositions.get(key);
+    if (previous && previous.position.x === position.x && previous.position.z === position.z) return;
+    
+    const event: TriggerEvent = { actor, id, position: { ...position } };
+    this.actorPositions.set(key, event);
+    
+    // Snapshot - callbacks may add or remove zones
+    Array.from(this.triggerZones.values()).forEach(state => {
+      const wasInside = state.occupants.has(key);
+      const isInside = this.zoneAccepts(state, event);
+      
+      if (!isInside) {
+        state.occupants.delete(key);
+        if (wasInside && !placed) {
+          state.zone.onExit?.(event);
+        }
+        return;
+      }
+      
+      const entering = !wasInside && !placed;
+      // An entry the cooldown swallows isn't inside either - no onStay or onExit for it
+      if (entering && this.isCoolingDown(state)) return;
+      
+      state.occupants.set(key, event);
+      if (entering) {
+        this.enterZone(state, event);
+      }
+    });
+  }
+
+  // Forget an actor (e.g. an NPC that left the scene), leaving any zones it was in
+  removeActor(actor: Actor, id: string): void {
+    const key = `${actor}:${id}`;
+    this.actorPositions.delete(key);
+    this.triggerZones.forEach(state => {
+      const event = state.occupants.get(key);
+      if (event) {
+        state.occupants.delete(key);
+        state.zone.onExit?.(event);
+      }
+    });
+  }
+
+  // Run onStay for everyone inside a zone
+  private updateTriggers(deltaTime: number): void {
+    Array.from(this.triggerZones.values()).forEach(state => {
+      if (!state.zone.onStay) return;
+      state.occupants.forEach(event => state.zone.onStay!(event, deltaTime));
+    });
+  }
+
+  private zoneAccepts(state: TriggerZoneState, event: TriggerEvent): boolean {
+    const actors = state.zone.actors || ['player'];
+    return actors.includes(event.actor) && state.cells.has(this.getGridKey(event.position.x, event.position.z));
+  }
+
+  private isCoolingDown(state: TriggerZoneState): boolean {
+    return !!state.zone.cooldown && performance.now() - state.lastEnter < state.zone.cooldown;
+  }
+
+  private enterZone(state: TriggerZoneState, event: TriggerEvent): void {
+    state.lastEnter = performance.now();
+    
+    if (state.zone.once) {
+      this.triggerZones.delete(state.zone.name);
+    }
+    
+    console.log(`🔔 ${event.id} entered trigger zone: ${state.zone.name}`);
+    state.zone.onEnter?.(event);
+  }
+
   // Clear all colliders (useful when changing scenes)
   clear(): void {
-    this.staticColliders.clear();
-    this.interactableColliders.clear();
+    this.colliders.clear();
+    this.dynamicColliders.clear();
     this.gridMap.clear();
+    this.triggerZones.clear();
+    this.actorPositions.clear();
     console.log('CollisionManager cleared');
   }
 
   // Debug: Get all occupied positions
   getOccupiedPositions(): GridPosition[] {
     const positions: GridPosition[] = [];
-    this.gridMap.forEach((collider, key) => {
+    this.gridMap.forEach((stack, key) => {
       const [x, z] = key.split(',').map(Number);
       positions.push({ x, z });
     });
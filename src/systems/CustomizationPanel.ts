@@ -0,0 +1,140 @@
+import type { CharacterOptions } from '../types';
+import { SKIN_OPTIONS, OUTFIT_TINTS, ACCESSORY_OPTIONS } from './CharacterAppearance';
+import type { AccessoryId } from './CharacterAppearance';
+
+const MAX_NAME_LENGTH = 12; // Fits on the dialogue name plate
+
+export interface CustomizationPanelCallbacks {
+  onChange: (appearance: CharacterOptions) => void; // Every edit, for the live preview
+  onDone: (appearance: CharacterOptions) => void;
+  onBack: () => void;
+}
+
+// Side panel of the customization screen: name, skin, outfit tint and accessories.
+// The preview itself is drawn by the title screen.
+export class CustomizationPanel {
+  private element: HTMLDivElement;
+  private appearance: CharacterOptions;
+  private callbacks: CustomizationPanelCallbacks;
+  private skinButtons: Map<string, HTMLButtonElement> = new Map();
+  private tintButtons: Map<number, HTMLButtonElement> = new Map();
+  private accessoryButtons: Map<AccessoryId, HTMLButtonElement> = new Map();
+
+  constructor(appearance: CharacterOptions, callbacks: CustomizationPanelCallbacks) {
+    this.appearance = { ...appearance, accessories: [...(appearance.accessories || [])] };
+    this.callbacks = callbacks;
+
+    this.element = document.createElement('div');
+    this.element.className = 'customize-panel';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Who are you?';
+    this.element.appendChild(title);
+
+    // Name
+    const nameInput = document.createElement('input');
+    nameInput.className = 'customize-name';
+    nameInput.type = 'text';
+    nameInput.maxLength = MAX_NAME_LENGTH;
+    nameInput.placeholder = 'Me';
+    nameInput.value = this.appearance.name && this.appearance.name !== 'Me' ? this.appearance.name : '';
+    nameInput.addEventListener('input', () => {
+      this.update({ name: nameInput.value.trim() || 'Me' });
+    });
+    this.addSection('Name', nameInput);
+
+    // Skin
+    const skins = this.createOptionRow();
+    SKIN_OPTIONS.forEach(option => {
+      const button = this.createOptionButton(option.label, () => this.update({ skin: option.id }));
+      this.skinButtons.set(option.id, button);
+      skins.appendChild(button);
+    });
+    this.addSection('Look', skins);
+
+    // Outfit tint
+    const tints = this.createOptionRow();
+    OUTFIT_TINTS.forEach(tint => {
+      const button = this.createOptionButton('', () => this.update({ outfitColor: tint.color }));
+      button.classList.add('customize-swatch');
+      button.style.background = `#${tint.color.toString(16).padStart(6, '0')}`;
+      button.title = tint.label;
+      this.tintButtons.set(tint.color, button);
+      tints.appendChild(button);
+    });
+    this.addSection('Outfit', tints);
+
+    // Accessories toggle on and off
+    const accessories = this.createOptionRow();
+    ACCESSORY_OPTIONS.forEach(option => {
+      const button = this.createOptionButton(option.label, () => {
+        const worn = this.appearance.accessories || [];
+        this.update({
+          accessories: worn.includes(option.id) ? worn.filter(id => id !== option.id) : [...worn, option.id]
+        });
+      });
+      this.accessoryButtons.set(option.id, button);
+      accessories.appendChild(button);
+    });
+    this.addSection('Accessories', accessories);
+
+    // Done / Back
+    const actions = document.createElement('div');
+    actions.className = 'customize-actions';
+    actions.appendChild(this.createOptionButton('Back', () => this.callbacks.onBack()));
+    const done = this.createOptionButton('Done', () => this.callbacks.onDone(this.getAppearance()));
+    done.classList.add('primary');
+    actions.appendChild(done);
+    this.element.appendChild(actions);
+
+    this.refreshSelection();
+    document.body.appendChild(this.element);
+  }
+
+  getAppearance(): CharacterOptions {
+    return { ...this.appearance, accessories: [...(this.appearance.accessories || [])] };
+  }
+
+  dispose(): void {
+    this.element.remove();
+  }
+
+  private update(change: Partial<CharacterOptions>): void {
+    this.appearance = { ...this.appearance, ...change };
+    this.refreshSelection();
+    this.callbacks.onChange(this.getAppearance());
+  }
+
+  private refreshSelection(): void {
+    this.skinButtons.forEach((button, id) => button.classList.toggle('selected', id === this.appearance.skin));
+    this.tintButtons.forEach((button, color) => button.classList.toggle('selected', color === (this.appearance.outfitColor ?? 0xFFFFFF)));
+    this.accessoryButtons.forEach((button, id) => button.classList.toggle('selected', (this.appearance.accessories || []).includes(id)));
+  }
+
+  private addSection(label: string, content: HTMLElement): void {
+    const section = document.createElement('div');
+    section.className = 'customize-section';
+
+    const heading = document.createElement('div');
+    heading.className = 'customize-label';
+    heading.textContent = label;
+    section.appendChild(heading);
+    section.appendChild(content);
+
+    this.element.appendChild(section);
+  }
+
+  private createOptionRow(): HTMLDivElement {
+    const row = document.createElement('div');
+    row.className = 'customize-options';
+    return row;
+  }
+
+  private createOptionButton(label: string, onClick: () => void): HTMLButtonElement {
+    const button = document.createElement('button');
+    button.className = 'customize-option';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+}
@@ -0,0 +1,376 @@
+import * as THREE from 'three';
+import type { DialogueSystem } from './DialogueSystem';
+import type { DialogueEmotion, DialoguePosition } from '../types';
+import type { TransitionOptions } from './SceneTransitions';
+
+// A single step of a cutscene timeline. Steps run one after another;
+// each step finishes before the next one starts.
+export type CutsceneStep =
+  | {
+      type: 'narrate';
+      message: string;
+      duration?: number;
+      speaker?: string;
+      emotion?: DialogueEmotion;
+      position?: DialoguePosition;
+      anchor?: string; // Actor id - shows the line as a speech bubble above them
+    }
+  | { type: 'waitForDialogue' } // Wait until every queued line has been shown and dismissed
+  | { type: 'wait'; duration: number }
+  | { type: 'moveNPC'; actor: string; path: THREE.Vector3[]; speed?: number; wait?: boolean }
+  | { type: 'lockCamera'; actor: string; zoomLevel?: number }
+  | { type: 'releaseCamera' }
+  | { type: 'lockPlayer'; locked: boolean }
+  | { type: 'filter'; filter: string; intensity: number; duration: number }
+  | { type: 'modal'; title: string; message: string; modalType?: string; persistent?: boolean }
+  | { type: 'loadScene'; sceneName: string; transition?: TransitionOptions }
+  | { type: 'call'; run: () => void }; // Story state changes - also run when skipping
+
+// The scene a cutscene plays in - resolves actor ids to objects and moves them
+export interface CutsceneStage {
+  getCutsceneActor(id: string): THREE.Object3D | null;
+  moveCutsceneActor(id: string, path: THREE.Vector3[], speed: number): Promise<void>;
+  placeCutsceneActor(id: string, position: THREE.Vector3): void;
+}
+
+// Game-level actions a cutscene can trigger
+export interface CutsceneHooks {
+  lockCamera(target: THREE.Object3D, zoomLevel: number): void;
+  releaseCamera(): void;
+  lockPlayerMovement(locked: boolean): void;
+  applyScreenFilter(type: string, intensity: number, duration: number): void;
+  showModal(title: string, message: string, type: string, persistent: boolean): void;
+  loadScene(sceneName: string, transition?: TransitionOptions): Promise<void>;
+}
+
+interface RegisteredCutscene {
+  steps: CutsceneStep[];
+  stage: CutsceneStage | null;
+}
+
+interface PausableTimer {
+  remaining: number;
+  startedAt: number;
+  handle: ReturnType<typeof setTimeout> | null;
+  resolve: () => void;
+}
+
+interface PlayingCutscene {
+  id: string;
+  stage: CutsceneStage | null;
+  skipping: boolean;
+  stopped: boolean;
+  pendingMoves: { actor: string; destination: THREE.Vector3 }[];
+  interruptListeners: (() => void)[];
+}
+
+const DEFAULT_NARRATION_DURATION = 4000;
+const DEFAULT_NPC_SPEED = 1.5;
+
+export class CutscenePlayer {
+  private cutscenes: Map<string, RegisteredCutscene>;
+  private current: PlayingCutscene | null;
+  private timers: Set<PausableTimer>;
+  private paused: boolean;
+  private skipButton: HTMLButtonElement;
+
+  constructor(private dialogueSystem: DialogueSystem, private hooks: CutsceneHooks) {
+    this.cutscenes = new Map();
+    this.current = null;
+    this.timers = new Set();
+    this.paused = false;
+    this.skipButton = this.createSkipButton();
+
+    // Timelines hold still while the tab is in the background
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.pause();
+      } else {
+        this.resume();
+      }
+    });
+  }
+
+  private createSkipButton(): HTMLButtonElement {
+    const button = document.createElement('button');
+    button.textContent = 'Skip ▸▸';
+    button.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      right: 20px;
+      padding: 10px 16px;
+      font-family: 'Press Start 2P', cursive;
+      font-size: 10px;
+      color: #333;
+      background: rgba(255, 255, 255, 0.85);
+      border: 2px solid #333;
+      border-radius: 6px;
+      cursor: pointer;
+      z-index: 1600;
+      display: none;
+    `;
+    button.addEventListener('click', (event) => {
+      // Don't let the click also advance the dialogue box
+      event.stopPropagation();
+      this.skip();
+    });
+    document.body.appendChild(button);
+    return button;
+  }
+
+  register(id: string, steps: CutsceneStep[], stage: CutsceneStage | null = null): void {
+    if (this.cutscenes.has(id)) {
+      console.warn(`🎬 Cutscene "${id}" is already registered - replacing it`);
+    }
+    this.cutscenes.set(id, { steps, stage });
+  }
+
+  has(id: string): boolean {
+    return this.cutscenes.has(id);
+  }
+
+  isPlaying(): boolean {
+    return this.current !== null;
+  }
+
+  // Play a registered cutscene. Resolves once the last step has run (or the cutscene was skipped)
+  async play(id: string): Promise<void> {
+    const cutscene = this.cutscenes.get(id);
+    if (!cutscene) {
+      console.warn(`🎬 Unknown cutscene: ${id}`);
+      return;
+    }
+
+    if (this.current) {
+      console.warn(`🎬 Cannot play "${id}" - "${this.current.id}" is still playing`);
+      return;
+    }
+
+    const playing: PlayingCutscene = {
+      id,
+      stage: cutscene.stage,
+      skipping: false,
+      stopped: false,
+      pendingMoves: [],
+      interruptListeners: []
+    };
+    this.current = playing;
+    this.skipButton.style.display = 'block';
+    console.log(`🎬 Playing cutscene: ${id}`);
+
+    try {
+      for (const step of cutscene.steps) {
+        if (playing.stopped) break;
+        await this.runStep(step, playing);
+      }
+
+      // Moves that were still running in the background snap to their destination
+      if (playing.skipping && !playing.stopped) {
+        this.finishPendingMoves(playing);
+      }
+    } finally {
+      if (this.current === playing) {
+        this.current = null;
+        this.skipButton.style.display = 'none';
+      }
+      console.log(`🎬 Cutscene ${playing.stopped ? 'stopped' : 'finished'}: ${id}`);
+    }
+  }
+
+  // Jump to the end: remaining steps run instantly, narration is dropped
+  skip(): void {
+    if (!this.current || this.current.skipping) return;
+
+    console.log(`🎬 Skipping cutscene: ${this.current.id}`);
+    this.current.skipping = true;
+    this.dialogueSystem.clear();
+    this.interrupt(this.current);
+  }
+
+  // Abort without running the remaining steps (e.g. the scene was unloaded)
+  stop(): void {
+    if (!this.current) return;
+
+    this.current.stopped = true;
+    this.interrupt(this.current);
+  }
+
+  // Stop the running cutscene if it plays in the given scene
+  stopIfStage(stage: CutsceneStage): void {
+    if (this.current && this.current.stage === stage) {
+      this.stop();
+    }
+  }
+
+  pause(): void {
+    if (this.paused) return;
+    this.paused = true;
+
+    const now = Date.now();
+    this.timers.forEach(timer => {
+      if (timer.handle !== null) {
+        clearTimeout(timer.handle);
+        timer.handle = null;
+        timer.remaining = Math.max(0, timer.remaining - (now - timer.startedAt));
+      }
+    });
+    // Narrated lines count down on the dialogue's own timer
+    this.dialogueSystem.pause();
+  }
+
+  resume(): void {
+    if (!this.paused) return;
+    this.paused = false;
+
+    this.timers.forEach(timer => this.startTimer(timer));
+    this.dialogueSystem.resume();
+  }
+
+  private async runStep(step: CutsceneStep, playing: PlayingCutscene): Promise<void> {
+    switch (step.type) {
+      case 'narrate':
+        if (!playing.skipping) {
+          this.dialogueSystem.showWithOptions(step.message, {
+            duration: step.duration ?? DEFAULT_NARRATION_DURATION,
+            speaker: step.speaker,
+            emotion: step.emotion,
+            position: step.position,
+            anchor: step.anchor ? playing.stage?.getCutsceneActor(step.anchor) ?? undefined : undefined
+          });
+        }
+        break;
+
+      case 'waitForDialogue':
+        if (!playing.skipping) {
+          await Promise.race([this.dialogueSystem.whenIdle(), this.waitForSkip(playing)]);
+        }
+        break;
+
+      case 'wait':
+        if (!playing.skipping) {
+          await this.delay(step.duration);
+        }
+        break;
+
+      case 'moveNPC':
+        await this.moveActor(step, playing);
+        break;
+
+      case 'lockCamera': {
+        const target = playing.stage?.getCutsceneActor(step.actor);
+        if (target) {
+          this.hooks.lockCamera(target, step.zoomLevel ?? 1.0);
+        } else {
+          console.warn(`🎬 Cannot lock camera - no actor "${step.actor}" in cutscene ${playing.id}`);
+        }
+        break;
+      }
+
+      case 'releaseCamera':
+        this.hooks.releaseCamera();
+        break;
+
+      case 'lockPlayer':
+        this.hooks.lockPlayerMovement(step.locked);
+        break;
+
+      case 'filter':
+        this.hooks.applyScreenFilter(step.filter, step.intensity, step.duration);
+        break;
+
+      case 'modal':
+        this.hooks.showModal(step.title, step.message, step.modalType ?? 'info', step.persistent ?? false);
+        break;
+
+      case 'loadScene':
+        // The cutscene no longer belongs to the scene being unloaded
+        this.finishPendingMoves(playing);
+        playing.stage = null;
+        await this.hooks.loadScene(step.sceneName, step.transition);
+        break;
+
+      case 'call':
+        step.run();
+        break;
+    }
+  }
+
+  private async moveActor(step: Extract<CutsceneStep, { type: 'moveNPC' }>, playing: PlayingCutscene): Promise<void> {
+    const stage = playing.stage;
+    const destination = step.path[step.path.length - 1];
+    if (!stage || !destination) {
+      console.warn(`🎬 Cannot move "${step.actor}" in cutscene ${playing.id}`);
+      return;
+    }
+
+    if (playing.skipping) {
+      stage.placeCutsceneActor(step.actor, destination);
+      return;
+    }
+
+    const move = { actor: step.actor, destination };
+    playing.pendingMoves.push(move);
+    const movement = stage.moveCutsceneActor(step.actor, step.path, step.speed ?? DEFAULT_NPC_SPEED)
+      .then(() => {
+        playing.pendingMoves = playing.pendingMoves.filter(pending => pending !== move);
+      });
+
+    if (step.wait !== false) {
+      await Promise.race([movement, this.waitForSkip(playing)]);
+    }
+  }
+
+  private finishPendingMoves(playing: PlayingCutscene): void {
+    playing.pendingMoves.forEach(move => {
+      playing.stage?.placeCutsceneActor(move.actor, move.destination);
+    });
+    playing.pendingMoves = [];
+  }
+
+  // Resolves as soon as the cutscene is skipped or stopped
+  private waitForSkip(playing: PlayingCutscene): Promise<void> {
+    if (playing.skipping || playing.stopped) return Promise.resolve();
+    return new Promise(resolve => playing.interruptListeners.push(resolve));
+  }
+
+  private interrupt(playing: PlayingCutscene): void {
+    const listeners = playing.interruptListeners;
+    playing.interruptListeners = [];
+    listeners.forEach(listener => listener());
+    this.flushTimers();
+  }
+
+  // setTimeout that can be paused, resumed and flushed by skip/stop
+  private delay(duration: number): Promise<void> {
+    return new Promise(resolve => {
+      const timer: PausableTimer = {
+        remaining: duration,
+        startedAt: 0,
+        handle: null,
+        resolve: () => {
+          this.timers.delete(timer);
+          resolve();
+        }
+      };
+      this.timers.add(timer);
+
+      if (!this.paused) {
+        this.startTimer(timer);
+      }
+    });
+  }
+
+  private startTimer(timer: PausableTimer): void {
+    timer.startedAt = Date.now();
+    timer.handle = setTimeout(() => timer.resolve(), timer.remaining);
+  }
+
+  private flushTimers(): void {
+    Array.from(this.timers).forEach(timer => {
+      if (timer.handle !== null) {
+        clearTimeout(timer.handle);
+      }
+      timer.resolve();
+    });
+  }
+}
@@ -1,25 +1,112 @@
-import type { DialogueOptions } from '../types';
+import * as THREE from 'three';
+import type { DialogueOptions, DialogueChoice, DialogueEmotion, DialogueNode, DialogueResult, DialogueStep, DialogueTree } from '../types';
+import { StoryFlags } from './StoryFlags';
+import { gameEvents } from './EventBus';
+import { audioManager } from './AudioManager';
+import { inputManager } from './InputManager';
+import { assetLoader } from './AssetLoader';
 
 interface DialogueItem {
   text: string;
   duration: number | null;
+  options: DialogueOptions;
+}
+
+interface DialogueTheme {
+  background: string;
+  border: string;
+  color: string;
+  nameplate: string;
+  typingDelay: number; // ms per character
+  blipPitch: number; // Pitch of the typing blips
+}
+
+const DIALOGUE_THEMES: Record<DialogueEmotion | 'default', DialogueTheme> = {
+  default: { background: 'rgba(255, 182, 193, 0.95)', border: '#FFB6C1', color: '#333', nameplate: '#C2185B', typingDelay: 50, blipPitch: 1 },
+  happy: { background: 'rgba(255, 236, 179, 0.95)', border: '#FFD54F', color: '#4E342E', nameplate: '#F57F17', typingDelay: 40, blipPitch: 1.2 },
+  sad: { background: 'rgba(197, 213, 232, 0.95)', border: '#8FA5C4', color: '#2C3E50', nameplate: '#46607F', typingDelay: 70, blipPitch: 0.7 },
+  nostalgic: { background: 'rgba(238, 222, 196, 0.95)', border: '#C8A27A', color: '#4B3621', nameplate: '#8D6E4A', typingDelay: 60, blipPitch: 0.85 },
+  excited: { background: 'rgba(255, 205, 230, 0.95)', border: '#FF69B4', color: '#333', nameplate: '#E91E63', typingDelay: 30, blipPitch: 1.4 }
+};
+
+// Portraits come from the Kenney blocky character faces, matching the NPC skins.
+// Like every portrait path, they're relative to the asset base URL.
+const SPEAKER_PORTRAITS: Record<string, string> = {
+  'Me': 'kenney_blocky-characters/Faces/face_woman.png',
+  'You': 'kenney_blocky-characters/Faces/face_man.png',
+  'Devon': 'kenney_blocky-characters/Faces/face_man.png',
+  'Lotte': 'kenney_blocky-characters/Faces/face_woman.png',
+  'Joonatan': 'kenney_blocky-characters/Faces/face_manAlternative.png',
+  'Mark': 'kenney_blocky-characters/Faces/face_womanAlternative.png'
+};
+
+const BUBBLE_MARGIN = 16; // Keep anchored bubbles this far inside the screen edges
+const INPUT_PRIORITY = 10; // Dialogue sees actions before movement and scenes
+
+interface Conversation {
+  tree: DialogueTree;
+  node: DialogueNode | null;
+  choices: { choice: DialogueChoice; index: number }[]; // Choices whose conditions hold
+  selected: number;
+  path: DialogueStep[];
+  lockedMovement: boolean; // False when something else had already locked the player
+  resolve: (result: DialogueResult) => void;
 }
 
 export class DialogueSystem {
   private container: HTMLDivElement;
+  private bodyElement: HTMLDivElement;
+  private portraitElement: HTMLImageElement;
+  private tailElement: HTMLDivElement;
   private textElement: HTMLParagraphElement;
+  private speakerElement: HTMLDivElement;
+  private choicesElement: HTMLDivElement;
+  private hintElement: HTMLDivElement;
   private isShowing: boolean;
   private queue: DialogueItem[];
   private currentDialogue: DialogueItem | null;
+  private idleResolvers: (() => void)[];
+  private flags: StoryFlags;
+  private conversation: Conversation | null;
+  private typingId: number;
+  private isTyping: boolean;
+  private portraits: Map<string, string>;
+  private speakerNames: Map<string, string>; // Name plate text for a speaker id, e.g. 'Me' -> the player's name
+  private camera: THREE.Camera | null;
+  private anchor: THREE.Object3D | null;
+  private anchorHeight: number;
+  // Timer that moves a timed line on - kept so it can be paused with the cutscene
+  private autoAdvance: { handle: ReturnType<typeof setTimeout> | null; remaining: number; startedAt: number } | null;
+  private paused: boolean;
+  private movementLocked: boolean; // As last announced on the event bus
 
-  constructor() {
+  constructor(flags: StoryFlags = new StoryFlags()) {
     this.isShowing = false;
     this.queue = [];
     this.currentDialogue = null;
+    this.idleResolvers = [];
+    this.flags = flags;
+    this.conversation = null;
+    this.typingId = 0;
+    this.isTyping = false;
+    this.portraits = new Map(Object.entries(SPEAKER_PORTRAITS));
+    this.speakerNames = new Map();
+    this.camera = null;
+    this.anchor = null;
+    this.anchorHeight = 0;
+    this.autoAdvance = null;
+    this.paused = false;
+    this.movementLocked = false;
     
     // Initialize elements
     this.container = document.createElement('div');
+    this.bodyElement = document.createElement('div');
+    this.portraitElement = document.createElement('img');
+    this.tailElement = document.createElement('div');
     this.textElement = document.createElement('p');
+    this.speakerElement = document.createElement('div');
+    this.choicesElement = document.createElement('div');
+    this.hintElement = document.createElement('div');
     
     this.createElements();
   }
@@ -40,42 +127,154 @@ export class DialogueSystem {
       color: #333;
       max-width: 80%;
       text-align: center;
+      display: flex;
+      align-items: center;
+      gap: 16px;
       opacity: 0;
-      transition: opacity 0.3s ease-in-out;
+      transition: opacity 0.3s ease-in-out, background 0.3s ease-in-out, border-color 0.3s ease-in-out;
       pointer-events: none;
       z-index: 1000;
       box-shadow: 0 4px 20px rgba(0, 0, 0, 0.2);
     `;
     
+    // Create speaker name plate
+    this.speakerElement.style.cssText = `
+      position: absolute;
+      top: -14px;
+      left: 20px;
+      padding: 5px 10px;
+      font-size: 10px;
+      color: #fff;
+      border-radius: 6px;
+      white-space: nowrap;
+      display: none;
+    `;
+    this.container.appendChild(this.speakerElement);
+    
+    // Create portrait
+    this.portraitElement.alt = '';
+    this.portraitElement.style.cssText = `
+      width: 64px;
+      height: 64px;
+      flex-shrink: 0;
+      image-rendering: pixelated;
+      background: rgba(255, 255, 255, 0.8);
+      border: 2px solid #FFB6C1;
+      border-radius: 8px;
+      display: none;
+    `;
+    this.portraitElement.addEventListener('error', () => {
+      this.portraitElement.style.display = 'none';
+    });
+    this.container.appendChild(this.portraitElement);
+    
+    // Text, choices and hint sit next to the portrait
+    this.bodyElement.style.flex = '1';
+    this.container.appendChild(this.bodyElement);
+    
     // Create text element
     this.textElement.style.margin = '0';
-    this.container.appendChild(this.textElement);
+    this.bodyElement.appendChild(this.textElement);
+    
+    // Create choice list
+    this.choicesElement.style.cssText = `
+      display: none;
+      flex-direction: column;
+      gap: 8px;
+      margin-top: 15px;
+      text-align: left;
+    `;
+    this.bodyElement.appendChild(this.choicesElement);
     
     // Add click hint
-    const hint = document.createElement('div');
-    hint.style.cssText = `
+    this.hintElement.style.cssText = `
       font-size: 10px;
       margin-top: 15px;
       opacity: 0.7;
     `;
-    hint.textContent = 'Click to continue...';
-    this.container.appendChild(hint);
+    this.hintElement.textContent = 'Click to continue...';
+    this.bodyElement.appendChild(this.hintElement);
+    
+    // Speech bubble tail (only shown when anchored to an object)
+    this.tailElement.style.cssText = `
+      position: absolute;
+      bottom: -10px;
+      left: 50%;
+      width: 16px;
+      height: 16px;
+      transform: translateX(-50%) rotate(45deg);
+      border-right: 3px solid #FFB6C1;
+      border-bottom: 3px solid #FFB6C1;
+      display: none;
+    `;
+    this.container.appendChild(this.tailElement);
     
     // Add to DOM
     document.body.appendChild(this.container);
     
-    // Add click handler
-    document.addEventListener('click', () => {
-      if (this.isShowing) {
+    // Clicks on the box or the game world advance it - other UI keeps its clicks
+    document.addEventListener('click', (event) => {
+      const target = event.target as Node | null;
+      if (!target || !(this.container.contains(target) || target instanceof HTMLCanvasElement)) return;
+      
+      if (this.conversation) {
+        // Choices handle their own clicks
+        if (this.conversation.choices.length === 0) {
+          this.advanceConversation();
+        }
+        event.stopPropagation();
+      } else if (this.isShowing) {
         this.next();
+        // The click was for the dialogue - don't also walk or interact
+        event.stopPropagation();
       }
     });
+    
+    // Keyboard and gamepad control
+    inputManager.on('advance', () => this.handleAdvance(), INPUT_PRIORITY);
+    inputManager.on('moveForward', () => this.moveSelection(-1), INPUT_PRIORITY);
+    inputManager.on('moveBackward', () => this.moveSelection(1), INPUT_PRIORITY);
+    // Nothing in the world is interacted with while a line is up
+    inputManager.on('interact', () => this.isActive(), INPUT_PRIORITY);
+    
+    // Know whether a conversation needs to lock the player itself
+    gameEvents.on('lockPlayerMovement', ({ locked }) => {
+      this.movementLocked = locked;
+    });
+  }
+
+  // Needed to place speech bubbles anchored to objects in the world
+  setCamera(camera: THREE.Camera): void {
+    this.camera = camera;
+  }
+
+  // Use a custom portrait for a speaker (null removes it)
+  setPortrait(speaker: string, path: string | null): void {
+    if (path) {
+      this.portraits.set(speaker, path);
+    } else {
+      this.portraits.delete(speaker);
+    }
+  }
+
+  // Show a different name on a speaker's name plate (null shows the speaker id again)
+  setSpeakerName(speaker: string, name: string | null): void {
+    if (name) {
+      this.speakerNames.set(speaker, name);
+    } else {
+      this.speakerNames.delete(speaker);
+    }
   }
 
   show(text: string, duration: number | null = null): void {
-    this.queue.push({ text, duration });
+    this.enqueue({ text, duration, options: {} });
+  }
+
+  private enqueue(item: DialogueItem): void {
+    this.queue.push(item);
     
-    if (!this.isShowing) {
+    // Lines queued during a conversation wait until it ends
+    if (!this.isShowing && !this.conversation) {
       this.showNext();
     }
   }
@@ -91,36 +290,203 @@ export class DialogueSystem {
     this.isShowing = true;
     
     // Update text with typewriter effect
-    this.typewriterEffect(dialogue.text);
+    this.applyStyle(dialogue.options);
+    this.typewriterEffect(dialogue.text, this.getTheme(dialogue.options));
     
     // Show container
     this.container.style.opacity = '1';
     this.container.style.pointerEvents = 'auto';
     
     // Auto-hide if duration is specified
+    this.cancelAutoAdvance();
     if (dialogue.duration) {
-      setTimeout(() => {
-        this.next();
-      }, dialogue.duration);
+      this.autoAdvance = { handle: null, remaining: dialogue.duration, startedAt: 0 };
+      if (!this.paused) {
+        this.startAutoAdvance();
+      }
     }
   }
 
-  private typewriterEffect(text: string): void {
+  // Hold the timed line on screen, e.g. while the tab is hidden
+  pause(): void {
+    if (this.paused) return;
+    this.paused = true;
+
+    const timer = this.autoAdvance;
+    if (timer && timer.handle !== null) {
+      clearTimeout(timer.handle);
+      timer.handle = null;
+      timer.remaining = Math.max(0, timer.remaining - (Date.now() - timer.startedAt));
+    }
+  }
+
+  resume(): void {
+    if (!this.paused) return;
+    this.paused = false;
+
+    if (this.autoAdvance && this.autoAdvance.handle === null) {
+      this.startAutoAdvance();
+    }
+  }
+
+  private startAutoAdvance(): void {
+    const timer = this.autoAdvance!;
+    timer.startedAt = Date.now();
+    timer.handle = setTimeout(() => {
+      this.autoAdvance = null;
+      this.next();
+    }, timer.remaining);
+  }
+
+  private cancelAutoAdvance(): void {
+    if (this.autoAdvance && this.autoAdvance.handle !== null) {
+      clearTimeout(this.autoAdvance.handle);
+    }
+    this.autoAdvance = null;
+  }
+
+  private getTheme(options: DialogueOptions): DialogueTheme {
+    return DIALOGUE_THEMES[options.emotion || 'default'];
+  }
+
+  // Theme, placement, name plate and portrait for the line being shown
+  private applyStyle(options: DialogueOptions): void {
+    const theme = this.getTheme(options);
+    const style = this.container.style;
+    
+    style.background = theme.background;
+    style.borderColor = theme.border;
+    style.color = theme.color;
+    this.speakerElement.style.background = theme.nameplate;
+    this.portraitElement.style.borderColor = theme.border;
+    this.tailElement.style.background = theme.background;
+    this.tailElement.style.borderColor = theme.border;
+    
+    // Name plate
+    this.speakerElement.textContent = options.speaker ? (this.speakerNames.get(options.speaker) || options.speaker) : '';
+    this.speakerElement.style.display = options.speaker ? 'block' : 'none';
+    
+    // Portrait - explicit path, else the speaker's face
+    const portrait = options.portrait !== undefined
+      ? options.portrait
+      : (options.speaker ? this.portraits.get(options.speaker) : undefined);
+    if (portrait) {
+      this.portraitElement.src = assetLoader.resolveUrl(portrait);
+      this.portraitElement.style.display = 'block';
+    } else {
+      this.portraitElement.removeAttribute('src');
+      this.portraitElement.style.display = 'none';
+    }
+    
+    // Placement
+    this.setAnchor(options.anchor || null);
+    if (this.anchor) {
+      style.maxWidth = '320px';
+      style.bottom = 'auto';
+      style.transform = `translate(-50%, calc(-100% - ${BUBBLE_MARGIN}px))`;
+      this.tailElement.style.display = 'block';
+      this.update();
+      return;
+    }
+    
+    style.maxWidth = '80%';
+    style.left = '50%';
+    style.visibility = 'visible';
+    this.tailElement.style.display = 'none';
+    
+    switch (options.position || 'bottom') {
+      case 'top':
+        style.top = '12%';
+        style.bottom = 'auto';
+        style.transform = 'translateX(-50%)';
+        break;
+      case 'center':
+        style.top = '50%';
+        style.bottom = 'auto';
+        style.transform = 'translate(-50%, -50%)';
+        break;
+      case 'bottom':
+        style.top = 'auto';
+        style.bottom = '20%';
+        style.transform = 'translateX(-50%)';
+        break;
+    }
+  }
+
+  private setAnchor(anchor: THREE.Object3D | null): void {
+    this.anchor = anchor;
+    if (!anchor) return;
+    
+    // Bubbles sit above the top of the object
+    const bounds = new THREE.Box3().setFromObject(anchor);
+    const origin = anchor.getWorldPosition(new THREE.Vector3());
+    this.anchorHeight = bounds.isEmpty() ? 2 : bounds.max.y - origin.y;
+  }
+
+  // Keep an anchored speech bubble above its object. Called every frame.
+  update(): void {
+    if (!this.anchor || !this.camera) return;
+    
+    const point = this.anchor.getWorldPosition(new THREE.Vector3());
+    point.y += this.anchorHeight;
+    point.project(this.camera);
+    
+    // Behind the camera
+    if (point.z > 1) {
+      this.container.style.visibility = 'hidden';
+      return;
+    }
+    
+    const x = (point.x + 1) / 2 * window.innerWidth;
+    const y = (1 - point.y) / 2 * window.innerHeight;
+    const halfWidth = this.container.offsetWidth / 2;
+    const height = this.container.offsetHeight + BUBBLE_MARGIN;
+    
+    this.container.style.visibility = 'visible';
+    this.container.style.left = `${THREE.MathUtils.clamp(x, halfWidth + BUBBLE_MARGIN, window.innerWidth - halfWidth - BUBBLE_MARGIN)}px`;
+    this.container.style.top = `${THREE.MathUtils.clamp(y, height + BUBBLE_MARGIN, window.innerHeight - BUBBLE_MARGIN)}px`;
+  }
+
+  private typewriterEffect(text: string, theme: DialogueTheme = DIALOGUE_THEMES.default): void {
     let index = 0;
     this.textElement.textContent = '';
     
+    // A newer line stops the previous one from typing over it
+    const typingId = ++this.typingId;
+    this.isTyping = true;
+    
     const type = () => {
+      if (typingId !== this.typingId) return;
+      
       if (index < text.length) {
-        this.textElement.textContent += text.charAt(index);
+        const character = text.charAt(index);
+        this.textElement.textContent += character;
+        
+        // Blip on every other letter so fast text doesn't buzz
+        if (index % 2 === 0 && character.trim() !== '') {
+          audioManager.playSfx('blip', { pitch: theme.blipPitch });
+        }
+        
         index++;
-        setTimeout(type, 50);
+        setTimeout(type, theme.typingDelay);
+      } else {
+        this.isTyping = false;
       }
     };
     
     type();
   }
 
+  private finishTyping(text: string): void {
+    this.typingId++;
+    this.isTyping = false;
+    this.textElement.textContent = text;
+  }
+
   next(): void {
+    // Conversations advance through their own nodes
+    if (this.conversation) return;
+    
     if (this.queue.length > 0) {
       this.showNext();
     } else {
@@ -129,10 +495,30 @@ export class DialogueSystem {
   }
 
   hide(): void {
+    // Keep the conversation on screen until it ends
+    if (this.conversation) return;
+    
+    this.cancelAutoAdvance();
     this.isShowing = false;
     this.currentDialogue = null;
+    this.anchor = null;
     this.container.style.opacity = '0';
     this.container.style.pointerEvents = 'none';
+    
+    // Let anyone waiting for the dialogue to finish continue
+    if (this.queue.length === 0) {
+      const resolvers = this.idleResolvers;
+      this.idleResolvers = [];
+      resolvers.forEach(resolve => resolve());
+    }
+  }
+
+  // Resolves once every queued line has been shown and dismissed
+  whenIdle(): Promise<void> {
+    if (!this.isShowing && !this.conversation && this.queue.length === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleResolvers.push(resolve));
   }
 
   clear(): void {
@@ -140,6 +526,207 @@ export class DialogueSystem {
     this.hide();
   }
 
+  // Play a dialogue tree. Resolves with the nodes visited and choices made.
+  // Player movement is locked while the conversation is open.
+  run(tree: DialogueTree): Promise<DialogueResult> {
+    if (this.conversation) {
+      console.warn(`💬 Cannot start "${tree.id}" - "${this.conversation.tree.id}" is still running`);
+      return Promise.resolve({ treeId: tree.id, path: [], completed: false });
+    }
+    
+    return new Promise(resolve => {
+      this.conversation = {
+        tree,
+        node: null,
+        choices: [],
+        selected: 0,
+        path: [],
+        lockedMovement: !this.movementLocked,
+        resolve
+      };
+      
+      // The conversation takes over the box from any line that was showing
+      this.isShowing = false;
+      this.currentDialogue = null;
+      
+      if (this.conversation.lockedMovement) {
+        gameEvents.emit('lockPlayerMovement', { locked: true });
+      }
+      this.container.style.opacity = '1';
+      this.container.style.pointerEvents = 'auto';
+      this.enterNode(tree.start);
+    });
+  }
+
+  // True while a line or a conversation is on screen
+  isActive(): boolean {
+    return this.isShowing || this.conversation !== null;
+  }
+
+  isInConversation(): boolean {
+    return this.conversation !== null;
+  }
+
+  // End the running conversation early (e.g. the scene is changing)
+  stopConversation(): void {
+    if (this.conversation) {
+      this.endConversation(false);
+    }
+  }
+
+  private enterNode(nodeId: string | undefined): void {
+    const conversation = this.conversation;
+    if (!conversation) return;
+    
+    const node = nodeId ? conversation.tree.nodes[nodeId] : undefined;
+    if (!node) {
+      if (nodeId) {
+        console.warn(`💬 Dialogue "${conversation.tree.id}" has no node "${nodeId}"`);
+      }
+      this.endConversation(true);
+      return;
+    }
+    
+    this.flags.apply(node.effects);
+    conversation.node = node;
+    conversation.path.push({ nodeId: nodeId! });
+    conversation.choices = (node.choices || [])
+      .map((choice, index) => ({ choice, index }))
+      .filter(option => this.flags.matches(option.choice.conditions));
+    conversation.selected = 0;
+    
+    const options: DialogueOptions = { speaker: node.speaker, emotion: node.emotion, position: node.position };
+    this.applyStyle(options);
+    this.typewriterEffect(node.text, this.getTheme(options));
+    this.renderChoices();
+  }
+
+  private renderChoices(): void {
+    const conversation = this.conversation;
+    this.choicesElement.innerHTML = '';
+    
+    if (!conversation || conversation.choices.length === 0) {
+      this.choicesElement.style.display = 'none';
+      this.hintElement.textContent = 'Click to continue...';
+      return;
+    }
+    
+    conversation.choices.forEach((option, visibleIndex) => {
+      const button = document.createElement('button');
+      const selected = visibleIndex === conversation.selected;
+      button.textContent = option.choice.text;
+      button.style.cssText = `
+        font-family: 'Press Start 2P', cursive;
+        font-size: 11px;
+        text-align: left;
+        padding: 8px 12px;
+        color: #333;
+        background: ${selected ? 'rgba(255, 255, 255, 0.9)' : 'rgba(255, 255, 255, 0.4)'};
+        border: 2px solid ${selected ? '#FF69B4' : 'transparent'};
+        border-radius: 8px;
+        cursor: pointer;
+      `;
+      button.addEventListener('mouseenter', () => {
+        conversation.selected = visibleIndex;
+        this.renderChoices();
+      });
+      button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        this.choose(visibleIndex);
+      });
+      this.choicesElement.appendChild(button);
+    });
+    
+    this.choicesElement.style.display = 'flex';
+    this.hintElement.textContent = `↑↓ to choose, ${inputManager.getBindingLabel('advance')} to pick`;
+  }
+
+  // Returns true when the dialogue used the action
+  private handleAdvance(): boolean {
+    const conversation = this.conversation;
+    if (conversation) {
+      if (conversation.choices.length > 0) {
+        this.choose(conversation.selected);
+      } else {
+        this.advanceConversation();
+      }
+      return true;
+    }
+    
+    if (this.isShowing) {
+      this.next();
+      return true;
+    }
+    return false;
+  }
+
+  private moveSelection(step: number): boolean {
+    const conversation = this.conversation;
+    const choiceCount = conversation?.choices.length || 0;
+    if (!conversation || choiceCount === 0) return false;
+    
+    conversation.selected = (conversation.selected + step + choiceCount) % choiceCount;
+    this.renderChoices();
+    return true;
+  }
+
+  // Move on from a node without choices (first press finishes the typewriter)
+  private advanceConversation(): void {
+    const conversation = this.conversation;
+    if (!conversation || !conversation.node) return;
+    
+    if (this.isTyping) {
+      this.finishTyping(conversation.node.text);
+      return;
+    }
+    
+    const node = conversation.node;
+    const branch = (node.branches || []).find(candidate => this.flags.matches(candidate.conditions));
+    this.enterNode(branch ? branch.next : node.next);
+  }
+
+  private choose(visibleIndex: number): void {
+    const conversation = this.conversation;
+    const option = conversation?.choices[visibleIndex];
+    if (!conversation || !option) return;
+    
+    const step = conversation.path[conversation.path.length - 1];
+    step.choice = option.index;
+    step.choiceText = option.choice.text;
+    
+    this.flags.apply(option.choice.effects);
+    this.enterNode(option.choice.next);
+  }
+
+  private endConversation(completed: boolean): void {
+    const conversation = this.conversation;
+    if (!conversation) return;
+    
+    this.conversation = null;
+    this.typingId++;
+    this.isTyping = false;
+    this.choicesElement.style.display = 'none';
+    this.choicesElement.innerHTML = '';
+    this.hintElement.textContent = 'Click to continue...';
+    // Leave a cutscene's (or a scene's) lock in place
+    if (conversation.lockedMovement) {
+      gameEvents.emit('lockPlayerMovement', { locked: false });
+    }
+    
+    conversation.resolve({
+      treeId: conversation.tree.id,
+      path: conversation.path,
+      completed
+    });
+    
+    // Show lines that were queued while we were talking
+    if (this.queue.length > 0) {
+      this.showNext();
+    } else {
+      this.hide();
+    }
+  }
+
   // Show a temporary notification
   notify(text: string, duration: number = 3000): void {
     const notification = document.createElement('div');
@@ -178,12 +765,8 @@ export class DialogueSystem {
     }, duration);
   }
 
-  // Advanced show method with options
+  // Show a line with an emotion theme, placement, speaker and optional anchor
   showWithOptions(text: string, options: DialogueOptions = {}): void {
-    // For now, just use the duration option
-    this.show(text, options.duration || null);
-    
-    // In the future, we can implement emotion-based styling
-    // and different positions based on the options
+    this.enqueue({ text, duration: options.duration || null, options });
   }
 } 
\ No newline at end of file
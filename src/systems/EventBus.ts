@@ -0,0 +1,188 @@
+import * as THREE from 'three';
+import type { InteractionEvent } from '../types';
+import type { HazardKind } from '../scenes/CrossyRoadScene';
+import type { Direction, GridPosition, MovingPlatform } from './GridMovementController';
+
+// Payload schema for every game event. Events without a payload use `undefined`.
+export interface GameEvents {
+  // Scene -> game
+  memoryTriggered: InteractionEvent;
+  playerHit: { kind: HazardKind; message: string; direction: number }; // direction: the way whatever hit her was going (±1 along X, 0 for water)
+  doorReached: { message: string };
+  goalReached: { message: string };
+  elevatorReached: { message: string };
+  storyNarration: { message: string };
+  lockCameraOnTarget: { target: THREE.Object3D; zoomLevel?: number; duration?: number };
+  releaseCameraLock: undefined;
+  forceMoveToPosition: { worldX: number; worldZ: number; animate?: boolean };
+  applyScreenFilter: { type: string; intensity: number; duration: number };
+  showModal: { title: string; message: string; type: string; persistent: boolean };
+  sceneRequested: { sceneName: string };
+
+  // Game -> player movement
+  lockPlayerMovement: { locked: boolean };
+  playerSeated: { seated: boolean };
+  playerPlatform: { platform: MovingPlatform | null };
+
+  // Player movement -> scenes
+  gridMoveComplete: { position: GridPosition; direction: Direction | null };
+  interactionPromptChanged: { prompt: string | null };
+}
+
+export type GameEventName = keyof GameEvents;
+export type GameEventHandler<K extends GameEventName> = (payload: GameEvents[K]) => void;
+
+// Events without a payload are emitted with just their name
+type EmitArgs<K extends GameEventName> = GameEvents[K] extends undefined ? [] : [GameEvents[K]];
+
+export interface EventLogEntry {
+  time: number;
+  name: GameEventName;
+  summary: string;
+  listenerCount: number;
+}
+
+const MAX_LOG_ENTRIES = 50;
+
+export class EventBus {
+  private handlers: Map<GameEventName, Set<GameEventHandler<any>>>;
+  private log: EventLogEntry[];
+  private logListeners: Set<(entry: EventLogEntry) => void>;
+
+  constructor() {
+    this.handlers = new Map();
+    this.log = [];
+    this.logListeners = new Set();
+  }
+
+  // Subscribe to an event. Returns a function that removes the subscription.
+  on<K extends GameEventName>(name: K, handler: GameEventHandler<K>): () => void {
+    let handlers = this.handlers.get(name);
+    if (!handlers) {
+      handlers = new Set();
+      this.handlers.set(name, handlers);
+    }
+    handlers.add(handler);
+
+    return () => this.off(name, handler);
+  }
+
+  off<K extends GameEventName>(name: K, handler: GameEventHandler<K>): void {
+    this.handlers.get(name)?.delete(handler);
+  }
+
+  emit<K extends GameEventName>(name: K, ...args: EmitArgs<K>): void {
+    const payload = args[0] as GameEvents[K];
+    const handlers = Array.from(this.handlers.get(name) || []);
+
+    this.record(name, payload, handlers.length);
+
+    handlers.forEach(handler => {
+      try {
+        handler(payload);
+      } catch (error) {
+        // One broken listener shouldn't stop the others
+        console.error(`❌ Error in "${name}" event handler:`, error);
+      }
+    });
+  }
+
+  // Create a group of subscriptions that can be removed together
+  scope(label: string): EventScope {
+    return new EventScope(this, label);
+  }
+
+  listenerCount(name: GameEventName): number {
+    return this.handlers.get(name)?.size || 0;
+  }
+
+  // Most recent events, oldest first (used by the debug panel)
+  getLog(): readonly EventLogEntry[] {
+    return this.log;
+  }
+
+  onLog(listener: (entry: EventLogEntry) => void): () => void {
+    this.logListeners.add(listener);
+    return () => this.logListeners.delete(listener);
+  }
+
+  private record(name: GameEventName, payload: unknown, listenerCount: number): void {
+    const entry: EventLogEntry = {
+      time: Date.now(),
+      name,
+      summary: describePayload(payload),
+      listenerCount
+    };
+
+    this.log.push(entry);
+    if (this.log.length > MAX_LOG_ENTRIES) {
+      this.log.shift();
+    }
+
+    this.logListeners.forEach(listener => listener(entry));
+  }
+}
+
+// Subscriptions owned by one part of the game (usually a scene).
+// Everything registered through a scope is removed by dispose().
+export class EventScope {
+  private disposers: (() => void)[] = [];
+
+  constructor(private bus: EventBus, public readonly label: string) {}
+
+  on<K extends GameEventName>(name: K, handler: GameEventHandler<K>): void {
+    this.disposers.push(this.bus.on(name, handler));
+  }
+
+  // DOM listeners (keyboard etc.) that should live exactly as long as the scope
+  listen<K extends keyof WindowEventMap>(target: Window, type: K, handler: (event: WindowEventMap[K]) => void): void {
+    target.addEventListener(type, handler);
+    this.disposers.push(() => target.removeEventListener(type, handler));
+  }
+
+  // Any other subscription, given its unsubscribe function (e.g. input actions)
+  track(dispose: () => void): void {
+    this.disposers.push(dispose);
+  }
+
+  dispose(): void {
+    this.disposers.forEach(dispose => dispose());
+    this.disposers = [];
+  }
+}
+
+// Short, circular-safe description of a payload for the event log
+function describePayload(payload: unknown): string {
+  if (payload === undefined) return '';
+  if (typeof payload !== 'object' || payload === null) return String(payload);
+
+  return Object.entries(payload as Record<string, unknown>)
+    .map(([key, value]) => `${key}=${describeValue(value)}`)
+    .join(' ');
+}
+
+function describeValue(value: unknown): string {
+  if (value instanceof THREE.Object3D) {
+    return value.name ? `<${value.name}>` : `<${value.type}>`;
+  }
+  if (value instanceof THREE.Vector3) {
+    return `(${value.x.toFixed(1)}, ${value.z.toFixed(1)})`;
+  }
+  if (typeof value === 'string') {
+    return value.length > 30 ? `"${value.slice(0, 30)}…"` : `"${value}"`;
+  }
+  if (typeof value === 'object' && value !== null) {
+    const record = value as Record<string, unknown>;
+    if (typeof record.x === 'number' && typeof record.z === 'number') {
+      return `(${record.x}, ${record.z})`;
+    }
+    if (typeof record.text === 'string') {
+      return describeValue(record.text);
+    }
+    return '{…}';
+  }
+  return String(value);
+}
+
+// Shared bus used by scenes and systems
+export const gameEvents = new EventBus();
@@ -1,5 +1,9 @@
 import * as THREE from 'three';
 import { CollisionManager } from './CollisionManager';
+import { gameEvents } from './EventBus';
+import { audioManager } from './AudioManager';
+import { inputManager } from './InputManager';
+import type { InputAction } from './InputManager';
 
 export type Direction = 'forward' | 'backward' | 'left' | 'right';
 
@@ -8,6 +12,18 @@ export interface GridPosition {
   z: number;
 }
 
+// Something the player can stand on that moves (e.g. a log on the river)
+export interface MovingPlatform {
+  velocity: THREE.Vector3; // World units per second
+}
+
+const DIRECTION_OFFSETS: Record<Direction, GridPosition> = {
+  forward: { x: 0, z: -1 },
+  backward: { x: 0, z: 1 },
+  left: { x: -1, z: 0 },
+  right: { x: 1, z: 0 }
+};
+
 export class GridMovementController {
   // Grid settings
   private gridSize: number = 2; // Size of each grid square
@@ -34,14 +50,25 @@ export class GridMovementController {
   private bumpStartPosition: THREE.Vector3 = new THREE.Vector3();
   private bumpDistance: number = 0.3; // how far to lunge before bouncing back
   
+  // Knocked over (e.g. by a car): thrown aside and squashed flat
+  private knockBackDuration: number = 0.6;
+  private knockBackTimer: number = 0;
+  private knockBackPush: THREE.Vector3 = new THREE.Vector3();
+  private knockBackStartPosition: THREE.Vector3 = new THREE.Vector3();
+  private knockBackScale: THREE.Vector3 = new THREE.Vector3(); // Scale to restore afterwards
+  private onKnockBackEnd: (() => void) | null = null;
+  
+  // Carried along while standing still on a moving platform; hopping off drops it
+  private platform: MovingPlatform | null = null;
+  
   // Character reference
   private character: THREE.Group | null = null;
   private targetRotation: number = 0;
   private currentDirection: Direction | null = null;
+  private facing: Direction = 'backward'; // Characters start out facing the camera
   
-  // Input handling
-  private keys: Set<string> = new Set();
-  private keyPressed: Map<string, boolean> = new Map();
+  // Prompt for the interactable in front of the player (null when there is none)
+  private interactionPrompt: string | null = null;
 
   // Bed state
   private isInBed: boolean = false;
@@ -57,6 +84,10 @@ export class GridMovementController {
   // Movement locking for cinematic sequences
   private movementLocked: boolean = false;
 
+  // Path following (click/tap-to-move) - fed into the movement queue one step at a time
+  private pathQueue: Direction[] = [];
+  private onPathEnd: ((arrived: boolean) => void) | null = null;
+
   constructor() {
     this.setupControls();
     this.setupEventListeners();
@@ -79,6 +110,9 @@ export class GridMovementController {
   }
 
   setInBed(inBed: boolean): void {
+    if (this.isInBed !== inBed) {
+      audioManager.playSfx('bed', { pitch: inBed ? 1 : 0.8 });
+    }
     this.isInBed = inBed;
     // Transition will be handled in update
   }
@@ -90,61 +124,166 @@ export class GridMovementController {
   }
 
   private setupControls(): void {
-    window.addEventListener('keydown', (e) => {
-      const key = e.key.toLowerCase();
-      
-      // Prevent key repeat
-      if (this.keyPressed.get(key)) return;
-      this.keyPressed.set(key, true);
-      
-      // Check if movement is locked
-      if (this.movementLocked) {
-        console.log('Movement locked - ignoring input');
-        return;
-      }
-      
-      // Debug: check if collision manager is set
-      if (!this.collisionManager) {
-        console.warn('CollisionManager not set! Movement will not be blocked.');
-      }
-      
-      // Queue moves based on key press
-      if ((key === 'w' || key === 'arrowup') && this.canQueueMove()) {
-        this.queueMove('forward');
-      } else if ((key === 's' || key === 'arrowdown') && this.canQueueMove()) {
-        this.queueMove('backward');
-      } else if ((key === 'a' || key === 'arrowleft') && this.canQueueMove()) {
-        this.queueMove('left');
-      } else if ((key === 'd' || key === 'arrowright') && this.canQueueMove()) {
-        this.queueMove('right');
-      }
+    const moves: [InputAction, Direction][] = [
+      ['moveForward', 'forward'],
+      ['moveBackward', 'backward'],
+      ['moveLeft', 'left'],
+      ['moveRight', 'right']
+    ];
+
+    moves.forEach(([action, direction]) => {
+      inputManager.on(action, () => {
+        // Check if movement is locked
+        if (this.movementLocked) {
+          console.log('Movement locked - ignoring input');
+          return;
+        }
+        
+        // Direct input takes over from any click-to-move path
+        this.cancelPath();
+        
+        // Debug: check if collision manager is set
+        if (!this.collisionManager) {
+          console.warn('CollisionManager not set! Movement will not be blocked.');
+        }
+        
+        if (this.canQueueMove()) {
+          this.queueMove(direction);
+        }
+      });
     });
 
-    window.addEventListener('keyup', (e) => {
-      const key = e.key.toLowerCase();
-      this.keyPressed.set(key, false);
-    });
+    // Returns true when something was in front of us, so nothing else handles the press
+    inputManager.on('interact', () => this.interact());
   }
 
   private setupEventListeners(): void {
     // Listen for movement lock events
-    window.addEventListener('lockPlayerMovement', ((event: CustomEvent) => {
-      console.log('🔒 GridMovementController received lockPlayerMovement:', event.detail.locked);
-      this.movementLocked = event.detail.locked;
+    gameEvents.on('lockPlayerMovement', ({ locked }) => {
+      console.log('🔒 GridMovementController received lockPlayerMovement:', locked);
+      this.movementLocked = locked;
       
       // Clear movement queue when locking
       if (this.movementLocked) {
         this.movementQueue = [];
+        this.cancelPath();
       }
-    }) as EventListener);
+    });
+
+    // Scenes say what the player landed on
+    gameEvents.on('playerPlatform', ({ platform }) => {
+      this.platform = platform;
+    });
   }
 
   private canQueueMove(): boolean {
     return this.movementQueue.length < this.maxQueueSize;
   }
 
+  // Walk a path of grid cells (the first cell is the current position).
+  // onEnd is called with true on arrival, false if the path was interrupted.
+  // Returns false if movement is currently locked.
+  followPath(path: GridPosition[], onEnd?: (arrived: boolean) => void): boolean {
+    this.cancelPath();
+    if (this.movementLocked) return false;
+    
+    const directions: Direction[] = [];
+    for (let i = 1; i < path.length; i++) {
+      const direction = this.getDirectionBetween(path[i - 1], path[i]);
+      if (!direction) {
+        console.warn('Path has a gap between', path[i - 1], path[i]);
+        break;
+      }
+      directions.push(direction);
+    }
+    
+    if (directions.length === 0) {
+      onEnd?.(true);
+      return true;
+    }
+    
+    // Drop keyboard moves that were still queued
+    this.movementQueue = [];
+    this.pathQueue = directions;
+    this.onPathEnd = onEnd || null;
+    return true;
+  }
+
+  cancelPath(): void {
+    if (this.pathQueue.length === 0 && !this.onPathEnd) return;
+    
+    this.pathQueue = [];
+    this.finishPath(false);
+  }
+
+  isFollowingPath(): boolean {
+    return this.pathQueue.length > 0 || this.onPathEnd !== null;
+  }
+
+  private finishPath(arrived: boolean): void {
+    const onPathEnd = this.onPathEnd;
+    this.onPathEnd = null;
+    onPathEnd?.(arrived);
+  }
+
+  private getDirectionBetween(from: GridPosition, to: GridPosition): Direction | null {
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    if (dx === 0 && dz === -1) return 'forward';
+    if (dx === 0 && dz === 1) return 'backward';
+    if (dx === -1 && dz === 0) return 'left';
+    if (dx === 1 && dz === 0) return 'right';
+    return null;
+  }
+
+  isMovementLocked(): boolean {
+    return this.movementLocked;
+  }
+
+  // Turn to face a neighbouring (or any) grid cell without moving
+  faceTowards(target: GridPosition): void {
+    const dx = target.x - this.gridPosition.x;
+    const dz = target.z - this.gridPosition.z;
+    if (dx === 0 && dz === 0) return;
+    
+    if (Math.abs(dx) > Math.abs(dz)) {
+      this.targetRotation = dx > 0 ? Math.PI / 2 : -Math.PI / 2;
+      this.facing = dx > 0 ? 'right' : 'left';
+    } else {
+      this.targetRotation = dz > 0 ? 0 : Math.PI;
+      this.facing = dz > 0 ? 'backward' : 'forward';
+    }
+  }
+
+  // The grid cell directly in front of the character
+  getFacingPosition(): GridPosition {
+    const offset = DIRECTION_OFFSETS[this.facing];
+    return { x: this.gridPosition.x + offset.x, z: this.gridPosition.z + offset.z };
+  }
+
+  // Interact with the interactable in front of the character.
+  // Returns false if there is nothing there (or we can't interact right now).
+  interact(): boolean {
+    if (this.movementLocked || !this.collisionManager || this._isMoving || this._isBumping) return false;
+    
+    const position = this.getFacingPosition();
+    const interactable = this.collisionManager.getInteractableAt(position.x, position.z);
+    if (!interactable) return false;
+    
+    console.log(`Interacting with ${interactable.name || interactable.interactionType} at (${position.x}, ${position.z})`);
+    
+    // Beds are walked onto - arriving on one lies down
+    if (interactable.interactionType === 'bed' && !this.isInBed) {
+      this.cancelPath();
+      this.queueMove(this.facing);
+    }
+    
+    interactable.onInteract?.(position);
+    return true;
+  }
+
   queueMove(direction: Direction): void {
-    if (!this.canQueueMove()) return;
+    if (!this.canQueueMove() || this.isKnockedBack()) return;
     
     // Don't queue moves while bumping
     if (this._isBumping) return;
@@ -163,6 +302,12 @@ export class GridMovementController {
   update(deltaTime: number): void {
     if (!this.character) return;
 
+    // Nothing else happens until the player is back on their feet
+    if (this.isKnockedBack()) {
+      this.animateKnockBack(deltaTime);
+      return;
+    }
+
     // Handle bed transition animation
     const targetBedTransition = this.isInBed ? 1 : 0;
     if (this.bedTransition !== targetBedTransition) {
@@ -218,6 +363,16 @@ export class GridMovementController {
       this.animateBump(deltaTime);
     }
 
+    // Ride along on whatever the player is standing on
+    if (this.platform && !this._isMoving) {
+      this.carry(this.platform.velocity.clone().multiplyScalar(deltaTime));
+    }
+
+    // Feed the next path step once the previous one is done
+    if (!this._isMoving && !this._isBumping && this.movementQueue.length === 0 && this.pathQueue.length > 0) {
+      this.queueMove(this.pathQueue.shift()!);
+    }
+
     // Process movement queue (only if not moving and not bumping and not in bed transition)
     if (!this._isMoving && !this._isBumping && this.movementQueue.length > 0 && this.bedTransition === 0) {
       this.startMove(this.movementQueue.shift()!);
@@ -228,6 +383,8 @@ export class GridMovementController {
       this.animateMove(deltaTime);
     }
 
+    this.updateInteractionPrompt();
+
     // Smooth rotation
     if (this.character.rotation.y !== this.targetRotation && this.bedTransition === 0) {
       const rotationSpeed = 10; // radians per second
@@ -250,6 +407,7 @@ export class GridMovementController {
 
   private startMove(direction: Direction): void {
     this.currentDirection = direction;
+    this.facing = direction;
     
     // Store start position
     this.startPosition.copy(this.visualPosition);
@@ -279,16 +437,19 @@ export class GridMovementController {
     if (this.collisionManager && !this.collisionManager.canMoveTo(this.gridPosition, newGridPos)) {
       console.log(`Movement blocked from (${this.gridPosition.x}, ${this.gridPosition.z}) to (${newGridPos.x}, ${newGridPos.z})`);
       
-      // Check if it's an interactable
-      const interactable = this.collisionManager.getInteractableAt(newGridPos.x, newGridPos.z);
-      if (interactable) {
-        console.log('Found interactable:', interactable.interactionType);
-        // Handle interaction (will implement later)
-      }
+      // Something is in the way - give up on the current path
+      this.cancelPath();
       
       // Start bump animation toward blocked direction
       this.startBumpAnimation(direction);
       
+      // Some interactables (doors, elevators) also respond to being walked into
+      const interactable = this.collisionManager.getInteractableAt(newGridPos.x, newGridPos.z);
+      if (interactable?.triggerOnBump) {
+        console.log('Bumped into interactable:', interactable.interactionType);
+        interactable.onInteract?.(newGridPos);
+      }
+      
       return; // Block the movement
     }
     
@@ -296,7 +457,9 @@ export class GridMovementController {
     console.log(`Moving from (${this.gridPosition.x}, ${this.gridPosition.z}) to (${newGridPos.x}, ${newGridPos.z})`);
     
     // Movement is allowed, proceed as normal
+    audioManager.playSfx('hop', { pitch: 0.9 + Math.random() * 0.2 });
     this._isMoving = true;
+    this.platform = null; // Jumped off whatever she was riding
     this.moveTimer = 0;
     
     // Update grid position immediately (for game logic)
@@ -315,7 +478,9 @@ export class GridMovementController {
     
     this._isBumping = true;
     this.bumpTimer = 0;
+    audioManager.playSfx('bump');
     this.currentDirection = direction;
+    this.facing = direction;
     
     // Store current position as bump start
     this.bumpStartPosition.copy(this.visualPosition);
@@ -396,6 +561,79 @@ export class GridMovementController {
     }
   }
 
+  // Throw the player along `push`, squashed flat. Whatever was going on is dropped;
+  // onEnd runs once the animation is over (e.g. to respawn somewhere safe).
+  knockBack(push: THREE.Vector3, onEnd: () => void): void {
+    if (!this.character || this.isKnockedBack()) return;
+    
+    this.movementQueue = [];
+    this.cancelPath();
+    this._isMoving = false;
+    this._isBumping = false;
+    this.bumpTimer = 0;
+    this.platform = null;
+    
+    this.knockBackTimer = 0;
+    this.knockBackPush.copy(push);
+    this.knockBackStartPosition.set(this.character.position.x, this.normalYPosition, this.character.position.z);
+    this.knockBackScale.copy(this.character.scale);
+    this.onKnockBackEnd = onEnd;
+  }
+
+  isKnockedBack(): boolean {
+    return this.onKnockBackEnd !== null;
+  }
+
+  private animateKnockBack(deltaTime: number): void {
+    if (!this.character) return;
+    
+    this.knockBackTimer += deltaTime;
+    const progress = Math.min(1, this.knockBackTimer / this.knockBackDuration);
+    
+    // Thrown along the push in a low arc, slowing down as she lands
+    const eased = 1 - (1 - progress) * (1 - progress);
+    const position = this.knockBackStartPosition.clone().addScaledVector(this.knockBackPush, eased);
+    this.character.position.set(position.x, this.normalYPosition + Math.sin(progress * Math.PI) * 0.5, position.z);
+    this.visualPosition.set(position.x, 0, position.z);
+    
+    // Squashed flat on impact, and stays that way until getting up
+    const squash = Math.min(1, progress / 0.15);
+    this.character.scale.set(
+      this.knockBackScale.x * (1 + 0.5 * squash),
+      this.knockBackScale.y * (1 - 0.6 * squash),
+      this.knockBackScale.z * (1 + 0.5 * squash)
+    );
+    
+    if (progress >= 1) {
+      this.character.scale.copy(this.knockBackScale);
+      this.character.position.y = this.normalYPosition;
+      
+      const onEnd = this.onKnockBackEnd;
+      this.onKnockBackEnd = null;
+      onEnd?.();
+    }
+  }
+
+  // Move with a platform. The grid position follows to the nearest cell, so the next
+  // hop starts from wherever the platform took her and lands on a whole cell again.
+  private carry(delta: THREE.Vector3): void {
+    if (!this.character) return;
+    
+    this.visualPosition.add(delta);
+    this.bumpStartPosition.add(delta);
+    this.character.position.x += delta.x;
+    this.character.position.z += delta.z;
+    
+    const cell = {
+      x: Math.round(this.visualPosition.x / this.gridSize),
+      z: Math.round(this.visualPosition.z / this.gridSize)
+    };
+    if (cell.x !== this.gridPosition.x || cell.z !== this.gridPosition.z) {
+      this.gridPosition = cell;
+      this.collisionManager?.moveActor('player', 'player', this.gridPosition, true);
+    }
+  }
+
   private animateMove(deltaTime: number): void {
     if (!this.character) return;
     
@@ -430,23 +668,55 @@ export class GridMovementController {
         this.character.position.y = this.normalYPosition;
       }
       
-      // Check if we moved onto the bed
-      if (this.bedPosition && 
-          this.gridPosition.x === this.bedPosition.x && 
-          this.gridPosition.z === this.bedPosition.z) {
+      // Check if we moved onto the bed (just passing over it doesn't count)
+      const stopsHere = this.movementQueue.length === 0 && this.pathQueue.length === 0;
+      if (stopsHere && this.isBedAt(this.gridPosition)) {
+        this.bedPosition = { ...this.gridPosition };
         this.setInBed(true);
       }
       
+      // Trigger zones fire before anyone else hears about the move
+      this.collisionManager?.moveActor('player', 'player', this.gridPosition);
+      
       // Dispatch event for other systems
-      window.dispatchEvent(new CustomEvent('gridMoveComplete', {
-        detail: {
-          position: this.gridPosition,
-          direction: this.currentDirection
-        }
-      }));
+      gameEvents.emit('gridMoveComplete', {
+        position: { ...this.gridPosition },
+        direction: this.currentDirection
+      });
+      
+      // Last step of a click-to-move path
+      if (this.onPathEnd && this.pathQueue.length === 0 && this.movementQueue.length === 0) {
+        this.finishPath(true);
+      }
     }
   }
 
+  // Beds are either registered as interactables or set explicitly with setBedPosition
+  private isBedAt(position: GridPosition): boolean {
+    const interactable = this.collisionManager?.getInteractableAt(position.x, position.z);
+    if (interactable?.interactionType === 'bed') return true;
+    
+    return this.bedPosition !== null &&
+      position.x === this.bedPosition.x &&
+      position.z === this.bedPosition.z;
+  }
+
+  // Let the UI know when what's in front of the player changes
+  private updateInteractionPrompt(): void {
+    let prompt: string | null = null;
+    if (this.collisionManager && !this.movementLocked && !this._isMoving && !this.isInBed) {
+      const position = this.getFacingPosition();
+      const interactable = this.collisionManager.getInteractableAt(position.x, position.z);
+      if (interactable) {
+        prompt = this.collisionManager.getPrompt(interactable);
+      }
+    }
+    
+    if (prompt === this.interactionPrompt) return;
+    this.interactionPrompt = prompt;
+    gameEvents.emit('interactionPromptChanged', { prompt });
+  }
+
   private smoothStep(t: number): number {
     // Smooth step function for more natural movement
     return t * t * (3 - 2 * t);
@@ -494,9 +764,19 @@ export class GridMovementController {
     return this._isBumping;
   }
 
+  // In bed, or on the way in or out of it
+  isLyingDown(): boolean {
+    return this.isInBed || this.bedTransition > 0;
+  }
+
   setGridPosition(x: number, z: number): void {
     console.log(`Setting grid position to (${x}, ${z})`);
+    this.cancelPath();
+    this.platform = null;
     this.gridPosition = { x, z };
     this.updateCharacterPosition();
+    
+    // Teleporting into a trigger zone doesn't count as walking into it
+    this.collisionManager?.moveActor('player', 'player', this.gridPosition, true);
   }
 }
\ No newline at end of file
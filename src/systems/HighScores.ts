@@ -0,0 +1,35 @@
+// Local leaderboard for the endless road, kept in the browser
+
+export interface HighScore {
+  name: string;
+  score: number;
+  date: string; // ISO date of the run
+}
+
+const STORAGE_KEY = 'ikuikuiku.highScores';
+const MAX_SCORES = 5;
+
+export function loadHighScores(): HighScore[] {
+  try {
+    const scores = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]') as HighScore[];
+    return Array.isArray(scores) ? scores.slice(0, MAX_SCORES) : [];
+  } catch {
+    return [];
+  }
+}
+
+// Add a finished run. Returns the updated board and the run's place on it (-1 if it didn't make it).
+export function recordHighScore(name: string, score: number): { scores: HighScore[]; rank: number } {
+  const entry: HighScore = { name, score, date: new Date().toISOString() };
+  const scores = [...loadHighScores(), entry]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SCORES);
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(scores));
+  } catch (error) {
+    console.warn('🏆 Failed to save high scores:', error);
+  }
+
+  return { scores, rank: scores.indexOf(entry) };
+}
@@ -0,0 +1,322 @@
+export type InputAction =
+  | 'moveForward'
+  | 'moveBackward'
+  | 'moveLeft'
+  | 'moveRight'
+  | 'interact'
+  | 'advance' // Advance dialogue / confirm a choice
+  | 'pause'
+  | 'journal'
+  | 'debug';
+
+export type InputDevice = 'keyboard' | 'mouse' | 'gamepad' | 'touch';
+
+export type InputBinding =
+  | { device: 'keyboard'; code: string } // KeyboardEvent.code, so bindings survive keyboard layouts
+  | { device: 'mouse'; button: number }
+  | { device: 'gamepad'; button: number }; // Standard gamepad mapping button index
+
+export interface InputActionEvent {
+  action: InputAction;
+  device: InputDevice;
+}
+
+// Return true to stop lower-priority handlers from seeing the action
+export type InputActionHandler = (event: InputActionEvent) => boolean | void;
+
+interface RegisteredHandler {
+  handler: InputActionHandler;
+  priority: number;
+}
+
+// A press bound to several actions goes to the first of them that uses it, so Space
+// dismisses a line before it would interact, and an interaction doesn't dismiss the line it opened
+export const INPUT_ACTIONS: InputAction[] = [
+  'moveForward', 'moveBackward', 'moveLeft', 'moveRight', 'advance', 'interact', 'pause', 'journal', 'debug'
+];
+
+const DEFAULT_BINDINGS: Record<InputAction, InputBinding[]> = {
+  moveForward: [{ device: 'keyboard', code: 'KeyW' }, { device: 'keyboard', code: 'ArrowUp' }, { device: 'gamepad', button: 12 }],
+  moveBackward: [{ device: 'keyboard', code: 'KeyS' }, { device: 'keyboard', code: 'ArrowDown' }, { device: 'gamepad', button: 13 }],
+  moveLeft: [{ device: 'keyboard', code: 'KeyA' }, { device: 'keyboard', code: 'ArrowLeft' }, { device: 'gamepad', button: 14 }],
+  moveRight: [{ device: 'keyboard', code: 'KeyD' }, { device: 'keyboard', code: 'ArrowRight' }, { device: 'gamepad', button: 15 }],
+  interact: [{ device: 'keyboard', code: 'KeyE' }, { device: 'keyboard', code: 'Space' }, { device: 'gamepad', button: 0 }],
+  advance: [{ device: 'keyboard', code: 'Enter' }, { device: 'keyboard', code: 'Space' }, { device: 'gamepad', button: 0 }],
+  pause: [{ device: 'keyboard', code: 'Escape' }, { device: 'gamepad', button: 9 }],
+  journal: [{ device: 'keyboard', code: 'KeyJ' }, { device: 'gamepad', button: 3 }],
+  debug: [{ device: 'keyboard', code: 'Backquote' }, { device: 'gamepad', button: 8 }]
+};
+
+// The left stick also drives movement
+const STICK_DEADZONE = 0.5;
+const STICK_ACTIONS: { axis: number; sign: number; action: InputAction }[] = [
+  { axis: 1, sign: -1, action: 'moveForward' },
+  { axis: 1, sign: 1, action: 'moveBackward' },
+  { axis: 0, sign: -1, action: 'moveLeft' },
+  { axis: 0, sign: 1, action: 'moveRight' }
+];
+
+const STORAGE_KEY = 'ikuikuiku.input';
+
+// Maps keyboard, mouse and gamepad input to game actions.
+// Systems subscribe to actions instead of listening for raw DOM events.
+export class InputManager {
+  private bindings: Record<InputAction, InputBinding[]>;
+  private handlers: Map<InputAction, RegisteredHandler[]> = new Map();
+  private held: Set<string> = new Set(); // Inputs currently down, by binding key
+  private gamepadPolling: number | null = null;
+  private capture: ((binding: InputBinding | null) => void) | null = null;
+
+  constructor() {
+    this.bindings = this.loadBindings();
+
+    window.addEventListener('keydown', (event) => this.handleKeyDown(event));
+    window.addEventListener('keyup', (event) => this.release({ device: 'keyboard', code: event.code }));
+    window.addEventListener('mousedown', (event) => this.handleMouseDown(event));
+    window.addEventListener('mouseup', (event) => this.release({ device: 'mouse', button: event.button }));
+    window.addEventListener('blur', () => this.held.clear());
+
+    // Gamepads have no input events - poll while one is connected
+    window.addEventListener('gamepadconnected', (event) => {
+      console.log(`🎮 Gamepad connected: ${event.gamepad.id}`);
+      this.startGamepadPolling();
+    });
+  }
+
+  // Subscribe to an action. Higher priority handlers run first. Returns an unsubscribe function.
+  on(action: InputAction, handler: InputActionHandler, priority: number = 0): () => void {
+    const handlers = this.handlers.get(action) || [];
+    handlers.push({ handler, priority });
+    handlers.sort((a, b) => b.priority - a.priority);
+    this.handlers.set(action, handlers);
+
+    return () => {
+      const remaining = (this.handlers.get(action) || []).filter(entry => entry.handler !== handler);
+      this.handlers.set(action, remaining);
+    };
+  }
+
+  // Fire an action from a virtual control (on-screen buttons, swipes)
+  trigger(action: InputAction, device: InputDevice = 'touch'): void {
+    this.dispatch({ action, device });
+  }
+
+  isHeld(action: InputAction): boolean {
+    return this.bindings[action].some(binding => this.held.has(this.bindingKey(binding)));
+  }
+
+  getBindings(action: InputAction): readonly InputBinding[] {
+    return this.bindings[action];
+  }
+
+  // Human readable list of an action's keyboard bindings, e.g. "E / Space"
+  getBindingLabel(action: InputAction, device: InputDevice = 'keyboard'): string {
+    return this.bindings[action]
+      .filter(binding => binding.device === device)
+      .map(binding => describeBinding(binding))
+      .join(' / ');
+  }
+
+  // Wait for the next key, mouse or gamepad button and bind it to the action,
+  // replacing the action's existing bindings for that device. Escape cancels.
+  rebind(action: InputAction): Promise<InputBinding | null> {
+    this.capture?.(null);
+
+    return new Promise(resolve => {
+      this.capture = (binding) => {
+        this.capture = null;
+        if (binding) {
+          this.bindings[action] = [
+            ...this.bindings[action].filter(existing => existing.device !== binding.device),
+            binding
+          ];
+          this.saveBindings();
+          console.log(`🎮 ${action} bound to ${describeBinding(binding)}`);
+        }
+        resolve(binding);
+      };
+    });
+  }
+
+  isRebinding(): boolean {
+    return this.capture !== null;
+  }
+
+  resetBindings(): void {
+    this.bindings = cloneBindings(DEFAULT_BINDINGS);
+    this.saveBindings();
+  }
+
+  private handleKeyDown(event: KeyboardEvent): void {
+    // Typing into a text field is not game input
+    if (isTextField(event.target)) return;
+
+    if (this.capture) {
+      event.preventDefault();
+      this.capture(event.code === 'Escape' ? null : { device: 'keyboard', code: event.code });
+      return;
+    }
+
+    const binding: InputBinding = { device: 'keyboard', code: event.code };
+    const actions = this.actionsFor(binding);
+    if (actions.length > 0) {
+      event.preventDefault(); // Keep arrows and space from scrolling the page
+    }
+    if (event.repeat) return;
+
+    this.press(binding, actions);
+  }
+
+  private handleMouseDown(event: MouseEvent): void {
+    if (this.capture) {
+      event.preventDefault();
+      this.capture({ device: 'mouse', button: event.button });
+      return;
+    }
+
+    const binding: InputBinding = { device: 'mouse', button: event.button };
+    this.press(binding, this.actionsFor(binding));
+  }
+
+  private press(binding: InputBinding, actions: InputAction[]): void {
+    const key = this.bindingKey(binding);
+    if (this.held.has(key)) return;
+    this.held.add(key);
+
+    for (const action of actions) {
+      if (this.dispatch({ action, device: binding.device })) break;
+    }
+  }
+
+  private release(binding: InputBinding): void {
+    this.held.delete(this.bindingKey(binding));
+  }
+
+  // Returns true when a handler used the action
+  private dispatch(event: InputActionEvent): boolean {
+    const handlers = [...(this.handlers.get(event.action) || [])];
+    for (const { handler } of handlers) {
+      try {
+        if (handler(event) === true) return true;
+      } catch (error) {
+        console.error(`❌ Error in "${event.action}" input handler:`, error);
+      }
+    }
+    return false;
+  }
+
+  private startGamepadPolling(): void {
+    if (this.gamepadPolling !== null) return;
+
+    const poll = () => {
+      const gamepads = navigator.getGamepads().filter((pad): pad is Gamepad => pad !== null);
+      if (gamepads.length === 0) {
+        this.gamepadPolling = null;
+        return;
+      }
+
+      gamepads.forEach(pad => this.pollGamepad(pad));
+      this.gamepadPolling = requestAnimationFrame(poll);
+    };
+
+    this.gamepadPolling = requestAnimationFrame(poll);
+  }
+
+  private pollGamepad(pad: Gamepad): void {
+    pad.buttons.forEach((button, index) => {
+      this.updateGamepadInput(`gamepad:${pad.index}:${index}`, button.pressed, { device: 'gamepad', button: index });
+    });
+
+    STICK_ACTIONS.forEach(({ axis, sign, action }) => {
+      const value = (pad.axes[axis] || 0) * sign;
+      this.updateGamepadInput(`stick:${pad.index}:${action}`, value > STICK_DEADZONE, null, action);
+    });
+  }
+
+  // Edge-detect a gamepad button or stick direction
+  private updateGamepadInput(key: string, pressed: boolean, binding: InputBinding | null, stickAction?: InputAction): void {
+    const wasPressed = this.held.has(key);
+    if (pressed === wasPressed) return;
+
+    if (!pressed) {
+      this.held.delete(key);
+      if (binding) this.release(binding);
+      return;
+    }
+
+    this.held.add(key);
+    if (this.capture && binding) {
+      this.capture(binding);
+      return;
+    }
+
+    if (binding) {
+      this.press(binding, this.actionsFor(binding));
+    } else if (stickAction) {
+      this.dispatch({ action: stickAction, device: 'gamepad' });
+    }
+  }
+
+  private actionsFor(binding: InputBinding): InputAction[] {
+    const key = this.bindingKey(binding);
+    return INPUT_ACTIONS.filter(action =>
+      this.bindings[action].some(candidate => this.bindingKey(candidate) === key)
+    );
+  }
+
+  private bindingKey(binding: InputBinding): string {
+    return binding.device === 'keyboard' ? `keyboard:${binding.code}` : `${binding.device}:${binding.button}`;
+  }
+
+  private loadBindings(): Record<InputAction, InputBinding[]> {
+    const bindings = cloneBindings(DEFAULT_BINDINGS);
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') as Partial<Record<InputAction, InputBinding[]>>;
+      INPUT_ACTIONS.forEach(action => {
+        if (Array.isArray(saved[action])) {
+          bindings[action] = saved[action]!;
+        }
+      });
+    } catch (error) {
+      console.warn('🎮 Ignoring unreadable key bindings:', error);
+    }
+    return bindings;
+  }
+
+  private saveBindings(): void {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+    } catch (error) {
+      console.warn('🎮 Failed to save key bindings:', error);
+    }
+  }
+}
+
+export function describeBinding(binding: InputBinding): string {
+  switch (binding.device) {
+    case 'keyboard':
+      if (binding.code.startsWith('Key')) return binding.code.slice(3);
+      if (binding.code.startsWith('Digit')) return binding.code.slice(5);
+      if (binding.code.startsWith('Arrow')) return `${binding.code.slice(5)} Arrow`;
+      if (binding.code === 'Backquote') return '`';
+      return binding.code;
+    case 'mouse':
+      return ['Left Click', 'Middle Click', 'Right Click'][binding.button] || `Mouse ${binding.button}`;
+    case 'gamepad':
+      return `Pad ${binding.button}`;
+  }
+}
+
+function cloneBindings(bindings: Record<InputAction, InputBinding[]>): Record<InputAction, InputBinding[]> {
+  return Object.fromEntries(
+    Object.entries(bindings).map(([action, list]) => [action, list.map(binding => ({ ...binding }))])
+  ) as Record<InputAction, InputBinding[]>;
+}
+
+function isTextField(target: EventTarget | null): boolean {
+  return target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement ||
+    (target instanceof HTMLElement && target.isContentEditable);
+}
+
+// Shared input layer used by the game and the standalone crossy road page
+export const inputManager = new InputManager();
@@ -0,0 +1,49 @@
+import { gameEvents } from './EventBus';
+import { inputManager } from './InputManager';
+
+// Small "E / Space  Leave for work" hint shown while the player faces an interactable.
+// Tapping it interacts too, so it doubles as a button on touch devices.
+export class InteractionPrompt {
+  private element: HTMLDivElement;
+  private keyElement: HTMLSpanElement;
+  private textElement: HTMLSpanElement;
+
+  constructor() {
+    this.element = document.createElement('div');
+    this.element.className = 'interaction-prompt';
+
+    this.keyElement = document.createElement('span');
+    this.keyElement.className = 'interaction-prompt-key';
+    this.element.appendChild(this.keyElement);
+
+    this.textElement = document.createElement('span');
+    this.element.appendChild(this.textElement);
+
+    this.element.addEventListener('click', (event) => {
+      event.stopPropagation();
+      inputManager.trigger('interact', 'mouse');
+    });
+
+    document.body.appendChild(this.element);
+
+    gameEvents.on('interactionPromptChanged', ({ prompt }) => {
+      if (prompt) {
+        this.show(prompt);
+      } else {
+        this.hide();
+      }
+    });
+  }
+
+  show(text: string): void {
+    // Bindings can change at any time, so look the label up when showing
+    const touch = window.matchMedia('(pointer: coarse)').matches;
+    this.keyElement.textContent = touch ? '●' : inputManager.getBindingLabel('interact');
+    this.textElement.textContent = text;
+    this.element.classList.add('visible');
+  }
+
+  hide(): void {
+    this.element.classList.remove('visible');
+  }
+}
@@ -1,7 +1,20 @@
 import * as THREE from 'three';
 import type { Scene } from '../scenes/Scene';
 import type { DialogueSystem } from './DialogueSystem';
-import type { InteractionEvent } from '../types';
+import type { InteractionEvent, Memory } from '../types';
+import type { GridPosition } from './GridMovementController';
+import { Pathfinder } from './Pathfinding';
+import { gameEvents } from './EventBus';
+import { audioManager } from './AudioManager';
+
+// Something that can walk the player along the grid (the character controller)
+export interface ClickToMoveTarget {
+  walkTo(target: GridPosition, onEnd?: (arrived: boolean) => void): boolean;
+  walkNextTo(target: GridPosition, onEnd?: (arrived: boolean) => void): boolean;
+}
+
+// Browsers fire a synthetic click shortly after a tap
+const SYNTHETIC_CLICK_WINDOW = 600; // ms
 
 export class InteractionSystem {
   private raycaster: THREE.Raycaster;
@@ -10,6 +23,10 @@ export class InteractionSystem {
   private scene: Scene | null;
   private dialogueSystem: DialogueSystem;
   private isEnabled: boolean;
+  private mover: ClickToMoveTarget | null = null;
+  private groundPlane: THREE.Plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+  private destinationMarker: THREE.Mesh;
+  private lastTouchTime: number = 0;
 
   constructor(camera: THREE.Camera, dialogueSystem: DialogueSystem) {
     this.raycaster = new THREE.Raycaster();
@@ -18,20 +35,39 @@ export class InteractionSystem {
     this.scene = null;
     this.dialogueSystem = dialogueSystem;
     this.isEnabled = true;
+    this.destinationMarker = this.createDestinationMarker();
 
     this.setupEventListeners();
   }
 
+  private createDestinationMarker(): THREE.Mesh {
+    const marker = new THREE.Mesh(
+      new THREE.RingGeometry(0.5, 0.75, 24),
+      new THREE.MeshBasicMaterial({ color: 0xFF69B4, transparent: true, opacity: 0.8, side: THREE.DoubleSide })
+    );
+    marker.rotation.x = -Math.PI / 2;
+    marker.position.y = 0.05; // Just above the floor
+    marker.name = 'destination-marker';
+    marker.visible = false;
+    return marker;
+  }
+
   private setupEventListeners(): void {
     window.addEventListener('click', this.onMouseClick.bind(this));
     window.addEventListener('mousemove', this.onMouseMove.bind(this));
-    window.addEventListener('touchstart', this.onTouchStart.bind(this));
   }
 
   setScene(scene: Scene | null): void {
+    this.hideDestinationMarker();
+    this.destinationMarker.removeFromParent();
     this.scene = scene;
   }
 
+  // Enable click/tap-to-move by giving the system something to move (null turns it off)
+  setMover(mover: ClickToMoveTarget | null): void {
+    this.mover = mover;
+  }
+
   setEnabled(enabled: boolean): void {
     this.isEnabled = enabled;
   }
@@ -50,56 +86,130 @@ export class InteractionSystem {
   private onMouseClick(event: MouseEvent): void {
     if (!this.isEnabled || !this.scene) return;
 
+    // Ignore the click the browser fires after a tap - the tap was already handled
+    if (Date.now() - this.lastTouchTime < SYNTHETIC_CLICK_WINDOW) return;
+
     // Update mouse position
     this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
     this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
-    this.checkInteraction();
+    this.checkInteraction(this.isWorldTarget(event.target));
   }
 
-  private onTouchStart(event: TouchEvent): void {
-    if (!this.isEnabled || !this.scene || event.touches.length === 0) return;
+  // A tap on the game canvas. Touch gestures are recognised by TouchControls,
+  // which only passes on taps so swipes don't also walk somewhere.
+  tapAt(clientX: number, clientY: number, target: EventTarget | null): void {
+    if (!this.isEnabled || !this.scene) return;
 
-    const touch = event.touches[0];
-    this.mouse.x = (touch.clientX / window.innerWidth) * 2 - 1;
-    this.mouse.y = -(touch.clientY / window.innerHeight) * 2 + 1;
+    this.lastTouchTime = Date.now();
+    this.mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    this.mouse.y = -(clientY / window.innerHeight) * 2 + 1;
 
-    this.checkInteraction();
+    this.checkInteraction(this.isWorldTarget(target));
   }
 
-  private checkInteraction(): void {
+  // Clicks on buttons and overlays shouldn't move the player
+  private isWorldTarget(target: EventTarget | null): boolean {
+    return target instanceof HTMLCanvasElement;
+  }
+
+  private checkInteraction(allowMovement: boolean = true): void {
     if (!this.scene) return;
 
     // Update raycaster
     this.raycaster.setFromCamera(this.mouse, this.camera);
 
-    // Check for intersections
-    const memory = this.scene.checkInteraction(this.raycaster);
-
+    // Clicked a memory: walk up to it first, then trigger it
+    const memory = this.scene.findMemory(this.raycaster);
     if (memory) {
-      // Show the memory dialogue
-      this.dialogueSystem.show(memory.text);
-
-      // Trigger any associated animation
-      if (memory.animation) {
-        memory.animation();
+      if (memory.triggered) return;
+      
+      const walking = allowMovement && this.mover && this.mover.walkNextTo(
+        Pathfinder.toGrid(memory.object.getWorldPosition(new THREE.Vector3())),
+        (arrived) => {
+          if (arrived && !memory.triggered) {
+            this.triggerMemory(memory);
+          }
+        }
+      );
+      
+      // Can't walk there (or no mover) - trigger it from where we stand
+      if (!walking) {
+        this.triggerMemory(memory);
       }
+      return;
+    }
 
-      // Play any associated audio
-      if (memory.audio) {
-        this.playAudio(memory.audio);
-      }
+    // Other clickable things (paintings) react right away, from wherever the player is
+    const onClick = this.scene.findClickable(this.raycaster);
+    if (onClick) {
+      onClick();
+      return;
+    }
+
+    // Clicked the floor: walk there
+    if (allowMovement && this.mover) {
+      this.moveToPointer();
+    }
+  }
+
+  private moveToPointer(): void {
+    if (!this.mover || !this.scene) return;
+
+    const point = this.raycaster.ray.intersectPlane(this.groundPlane, new THREE.Vector3());
+    if (!point) return;
 
-      // Emit custom event
-      const event: InteractionEvent = {
-        object: memory.object,
-        point: this.raycaster.ray.origin.clone(),
-        memory
-      };
-      window.dispatchEvent(new CustomEvent('memoryTriggered', { detail: event }));
+    const target = Pathfinder.toGrid(point);
+    const walking = this.mover.walkTo(target, () => this.hideDestinationMarker());
+    if (walking) {
+      this.showDestinationMarker(target);
     }
   }
 
+  private showDestinationMarker(target: GridPosition): void {
+    if (!this.scene) return;
+
+    const position = Pathfinder.toWorld(target, this.destinationMarker.position.y);
+    this.destinationMarker.position.copy(position);
+    this.destinationMarker.visible = true;
+    if (this.destinationMarker.parent !== this.scene) {
+      this.scene.add(this.destinationMarker);
+    }
+  }
+
+  private hideDestinationMarker(): void {
+    this.destinationMarker.visible = false;
+  }
+
+  private triggerMemory(memory: Memory): void {
+    memory.triggered = true;
+
+    // Show the memory dialogue - memories with a conversation play it instead of a single line
+    if (memory.dialogue) {
+      this.dialogueSystem.run(memory.dialogue);
+    } else {
+      this.dialogueSystem.show(memory.text);
+    }
+
+    // Trigger any associated animation
+    if (memory.animation) {
+      memory.animation();
+    }
+
+    // Play any associated audio
+    if (memory.audio) {
+      audioManager.playFile(memory.audio);
+    }
+
+    // Emit custom event
+    const event: InteractionEvent = {
+      object: memory.object,
+      point: memory.object.getWorldPosition(new THREE.Vector3()),
+      memory
+    };
+    gameEvents.emit('memoryTriggered', event);
+  }
+
   private checkHover(): void {
     if (!this.scene) return;
 
@@ -107,7 +217,7 @@ export class InteractionSystem {
     this.raycaster.setFromCamera(this.mouse, this.camera);
 
     // Get all interactables from the scene
-    const interactables = (this.scene as any).interactables || [];
+    const interactables = [...((this.scene as any).interactables || []), ...this.scene.getClickableObjects()];
     const intersects = this.raycaster.intersectObjects(interactables, true);
 
     // Update cursor style
@@ -118,20 +228,16 @@ export class InteractionSystem {
     }
   }
 
-  private playAudio(audioPath: string): void {
-    const audio = new Audio(audioPath);
-    audio.play().catch(error => {
-      console.warn('Failed to play audio:', error);
-    });
-  }
-
   update(): void {
-    // Can be used for continuous interaction checks if needed
+    // Gentle pulse on the destination marker
+    if (this.destinationMarker.visible) {
+      const pulse = 1 + Math.sin(Date.now() * 0.008) * 0.1;
+      this.destinationMarker.scale.setScalar(pulse);
+    }
   }
 
   dispose(): void {
     window.removeEventListener('click', this.onMouseClick.bind(this));
     window.removeEventListener('mousemove', this.onMouseMove.bind(this));
-    window.removeEventListener('touchstart', this.onTouchStart.bind(this));
   }
 } 
\ No newline at end of file
@@ -1,133 +1,154 @@
 import * as THREE from 'three';
-import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
 import { AssetLoader } from './AssetLoader';
+import type { AssetScope } from './AssetLoader';
+import type { ModelId, TextureId } from './AssetRegistry';
 import { GridMovementController } from './GridMovementController';
+import type { GridPosition } from './GridMovementController';
 import { CollisionManager } from './CollisionManager';
+import { Pathfinder } from './Pathfinding';
+import { gameEvents } from './EventBus';
+import { CharacterAnimator } from './CharacterAnimator';
+import type { CharacterAnimationState } from './CharacterAnimator';
+import { applyAppearance } from './CharacterAppearance';
+import type { CharacterOptions } from '../types';
+import type { Hazard, HazardKind } from '../scenes/CrossyRoadScene';
+
+export const CHARACTER_HEIGHT = 1.2; // World units, the same as the NPCs
+// How far getting hit throws the player
+const KNOCKBACK_DISTANCE: Record<HazardKind, number> = { vehicle: 1.5, train: 4, water: 0 };
 
 export class KenneyCharacterController {
   private character: THREE.Group | null = null;
-  private mixer: THREE.AnimationMixer | null = null;
-  private assetLoader: AssetLoader;
+  private animator: CharacterAnimator | null = null;
+  private seated: boolean = false;
+  private appearance: CharacterOptions | null = null;
+  private assetLoader: AssetScope;
   private gridMovement: GridMovementController;
-  private currentScene: any = null; // Reference to current scene for vehicle collision checking
+  private currentScene: any = null; // Reference to current scene for traffic and river hazards
   private collisionManager: CollisionManager | null = null;
+  private pathfinder: Pathfinder | null = null;
+  private playerBox: THREE.Box3 = new THREE.Box3(); // Reused every frame for the hazard check
 
-  constructor(assetLoader: AssetLoader) {
+  constructor(assetLoader: AssetScope) {
     this.assetLoader = assetLoader;
     this.gridMovement = new GridMovementController();
+
+    // Scenes with chairs say when the player sits down and gets up
+    gameEvents.on('playerSeated', ({ seated }) => {
+      this.seated = seated;
+    });
   }
 
   setCollisionManager(collisionManager: CollisionManager): void {
     this.collisionManager = collisionManager;
+    this.pathfinder = new Pathfinder(collisionManager);
     this.gridMovement.setCollisionManager(collisionManager);
   }
 
-  // Set the current scene (needed for crossy road vehicle collision detection)
-  setCurrentScene(scene: any): void {
-    this.currentScene = scene;
+  // Walk to a grid cell along a path around colliders (click/tap-to-move).
+  // Returns false if there is no way to get there.
+  walkTo(target: GridPosition, onEnd?: (arrived: boolean) => void): boolean {
+    if (!this.pathfinder) return false;
+
+    const result = this.pathfinder.findPath(this.gridMovement.getGridPosition(), target, { allowPartial: false });
+    if (!result) return false;
+
+    return this.gridMovement.followPath(result.path, onEnd);
   }
 
-  // Check for vehicle collisions at a specific grid position
-  private checkVehicleCollision(gridX: number, gridZ: number): boolean {
-    if (!this.currentScene || typeof this.currentScene.getVehiclePositions !== 'function') {
-      return false; // No vehicle collision checking for this scene
+  // Walk to the closest free tile next to a target (e.g. an interactable), then face it
+  walkNextTo(target: GridPosition, onEnd?: (arrived: boolean) => void): boolean {
+    if (!this.pathfinder || !this.collisionManager || this.gridMovement.isMovementLocked()) return false;
+
+    const start = this.gridMovement.getGridPosition();
+    const distanceToTarget = Math.max(Math.abs(start.x - target.x), Math.abs(start.z - target.z));
+    if (distanceToTarget <= 1) {
+      this.gridMovement.faceTowards(target);
+      onEnd?.(true);
+      return true;
     }
 
-    const vehicles = this.currentScene.getVehiclePositions();
-    const worldX = gridX * 2; // Convert grid to world coordinates (grid size = 2)
-    const worldZ = gridZ * 2;
-    
-    for (const vehicle of vehicles) {
-      // Check if character position overlaps with vehicle
-      const distanceX = Math.abs(worldX - vehicle.x);
-      const distanceZ = Math.abs(worldZ - vehicle.y); // vehicle.y is actually the Z coordinate in world space
-      
-      // Character collision box (roughly 1x1 units)
-      const characterHalfWidth = 1.0; // Increased for better collision detection
-      const characterHalfDepth = 1.0;
-      
-      // Vehicle collision box
-      const vehicleHalfWidth = vehicle.width / 2;
-      const vehicleHalfDepth = vehicle.height / 2;
-      
-      // Check collision on the same road (Z axis) and overlapping X positions
-      if (distanceZ < (characterHalfDepth + vehicleHalfDepth) && 
-          distanceX < (characterHalfWidth + vehicleHalfWidth)) {
-        console.log(`🚗 Vehicle collision detected at grid (${gridX}, ${gridZ}) with vehicle at (${vehicle.x.toFixed(1)}, ${vehicle.y.toFixed(1)})`);
-        return true;
+    // Tiles around the target, nearest to the player first
+    const candidates: GridPosition[] = [];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        const tile = { x: target.x + dx, z: target.z + dz };
+        if ((dx !== 0 || dz !== 0) && this.collisionManager.isWalkable(tile.x, tile.z)) {
+          candidates.push(tile);
+        }
       }
     }
-    
+    candidates.sort((a, b) =>
+      (Math.abs(a.x - start.x) + Math.abs(a.z - start.z)) - (Math.abs(b.x - start.x) + Math.abs(b.z - start.z))
+    );
+
+    for (const tile of candidates) {
+      const result = this.pathfinder.findPath(start, tile, { allowPartial: false });
+      if (result) {
+        return this.gridMovement.followPath(result.path, (arrived) => {
+          if (arrived) {
+            this.gridMovement.faceTowards(target);
+          }
+          onEnd?.(arrived);
+        });
+      }
+    }
+
     return false;
   }
 
-  // Override grid movement to include vehicle collision checking
-  private canMoveToPosition(gridX: number, gridZ: number): boolean {
-    // First check static collisions through collision manager
-    if (this.collisionManager && !this.collisionManager.canMoveTo(this.gridMovement.getGridPosition(), { x: gridX, z: gridZ })) {
-      return false;
-    }
-    
-    // Then check vehicle collisions
-    if (this.checkVehicleCollision(gridX, gridZ)) {
-      // Reset player to a safe position and show message
-      this.handleVehicleCollision();
-      return false;
-    }
-    
-    return true;
+  cancelWalk(): void {
+    this.gridMovement.cancelPath();
   }
 
-  private handleVehicleCollision(): void {
-    console.log('💥 Hit by a vehicle! Respawning...');
-    
-    // Find the nearest safe position (grass area) behind the player
-    const currentPos = this.gridMovement.getGridPosition();
-    let safeZ = currentPos.z;
-    
-    // Move back until we find a safe spot (no vehicles)
-    for (let z = currentPos.z - 1; z >= -2; z--) {
-      if (!this.checkVehicleCollision(currentPos.x, z)) {
-        safeZ = z;
-        break;
-      }
+  // Set the current scene (needed for crossy road vehicle collision detection)
+  setCurrentScene(scene: any): void {
+    this.currentScene = scene;
+  }
+
+  // Traffic, trains and water: the player's box (where she is right now, mid-hop or not)
+  // against whatever the scene can hurt her with
+  private checkHazards(): void {
+    if (!this.character || !this.currentScene || typeof this.currentScene.checkPlayerHazard !== 'function') {
+      return; // Nothing dangerous in this scene
     }
+    if (this.gridMovement.isKnockedBack()) return;
+
+    this.playerBox.setFromObject(this.character);
+    const grounded = !this.gridMovement.isMoving();
+    const hazard: Hazard | null = this.currentScene.checkPlayerHazard(this.playerBox, grounded);
+    if (!hazard) return;
+
+    console.log(`💥 Hit by ${hazard.kind}!`);
     
-    // Reset position
-    this.gridMovement.setGridPosition(currentPos.x, safeZ);
+    // Thrown the way the vehicle was going (or sinking on the spot), then back on her feet somewhere safe
+    const push = new THREE.Vector3(hazard.direction * KNOCKBACK_DISTANCE[hazard.kind], 0, 0);
+    this.gridMovement.knockBack(push, () => this.respawnAfterHit());
     
-    // Dispatch event for game to handle (show message, reset score, etc.)
-    window.dispatchEvent(new CustomEvent('vehicleCollision', {
-      detail: { 
-        message: 'Watch out for the traffic! Try again.',
-        resetPosition: { x: currentPos.x, z: safeZ }
-      }
-    }));
+    gameEvents.emit('playerHit', { ...hazard });
   }
 
-  // Check for vehicle collision in current update loop
-  private checkCurrentPositionVehicleCollision(): void {
-    const currentPos = this.gridMovement.getGridPosition();
-    if (this.checkVehicleCollision(currentPos.x, currentPos.z)) {
-      this.handleVehicleCollision();
-    }
+  private respawnAfterHit(): void {
+    const position: GridPosition = this.currentScene?.getRespawnPosition?.() ?? this.gridMovement.getGridPosition();
+    this.gridMovement.setGridPosition(position.x, position.z);
   }
 
-  async loadCharacter(skinTexturePath?: string): Promise<THREE.Group> {
+  async loadCharacter(skinTextureId?: TextureId): Promise<THREE.Group> {
     try {
       // Load the basic character model
-      const characterPath = 'kenney_blocky-characters/Models/Non-rigged/glTF/basicCharacter.gltf';
-      this.character = await this.assetLoader.loadGLTF(characterPath, 'player-character');
+      const character = await this.assetLoader.loadModel('basicCharacter');
+      this.character = character;
       
       // Scale the character to be more visible
-      this.character.scale.setScalar(0.05); // Increased from 0.01
+      character.scale.setScalar(0.05); // Increased from 0.01
       
       // Apply custom skin if provided
-      if (skinTexturePath) {
-        const texture = await this.assetLoader.loadTexture(skinTexturePath);
+      if (skinTextureId) {
+        // The loaded texture is shared with the rigged models, which need the default flipY
+        const texture = (await this.assetLoader.loadTexture(skinTextureId)).clone();
         texture.flipY = false; // GLTF textures don't need flipping
         
-        this.character.traverse((child) => {
+        character.traverse((child) => {
           if (child instanceof THREE.Mesh) {
             child.material = new THREE.MeshLambertMaterial({
               map: texture,
@@ -140,12 +161,12 @@ export class KenneyCharacterController {
       }
 
       // Position character above ground
-      this.character.position.y = 0;
+      character.position.y = 0;
       
       // Set character in grid movement controller
-      this.gridMovement.setCharacter(this.character);
+      this.gridMovement.setCharacter(character);
       
-      return this.character;
+      return character;
     } catch (error) {
       console.error('Failed to load character:', error);
       // Fallback to a simple cube character
@@ -193,13 +214,21 @@ export class KenneyCharacterController {
     // Update grid movement
     this.gridMovement.update(deltaTime);
 
-    // Update animations if mixer exists
-    if (this.mixer) {
-      this.mixer.update(deltaTime);
+    if (this.animator) {
+      this.animator.setState(this.getAnimationState());
+      this.animator.update(deltaTime);
     }
 
-    // Check for vehicle collision in current update loop
-    this.checkCurrentPositionVehicleCollision();
+    this.checkHazards();
+  }
+
+  // Lying in bed and sitting hold their pose; anything else follows the grid movement
+  private getAnimationState(): CharacterAnimationState {
+    if (this.gridMovement.isLyingDown()) return 'lie';
+    if (this.gridMovement.isBumping() || this.gridMovement.isKnockedBack()) return 'bump';
+    if (this.gridMovement.isMoving()) return 'walk';
+    if (this.seated) return 'sit';
+    return 'idle';
   }
 
   getCharacter(): THREE.Group | null {
@@ -250,50 +279,41 @@ export class KenneyCharacterController {
     this.gridMovement.setInBed(inBed);
   }
 
-  async loadFBXCharacter(modelPath: string, texturePath?: string): Promise<THREE.Group> {
+  // Skin, tint and accessories from the customization screen. Also used for characters loaded later.
+  async setAppearance(appearance: CharacterOptions): Promise<void> {
+    this.appearance = appearance;
+    if (this.character && CharacterAnimator.isRigged(this.character)) {
+      await this.dress(this.character, appearance);
+    }
+  }
+
+  private async dress(model: THREE.Group, appearance: CharacterOptions): Promise<void> {
+    let skin: THREE.Texture | null = null;
+    if (appearance.skin) {
+      try {
+        skin = await this.assetLoader.loadTexture(appearance.skin);
+      } catch (error) {
+        console.warn('Failed to load player skin, dressing without it:', error);
+      }
+    }
+    applyAppearance(model, appearance, skin);
+  }
+
+  async loadFBXCharacter(modelId: ModelId, textureId?: TextureId): Promise<THREE.Group> {
     try {
-      console.log('Loading FBX character from:', modelPath);
+      console.log('Loading FBX character:', modelId);
       
-      const fbxLoader = new FBXLoader();
-      
-      // Load the FBX model
-      const fbxModel = await new Promise<THREE.Group>((resolve, reject) => {
-        fbxLoader.load(
-          modelPath,
-          (object) => {
-            console.log('FBX model loaded successfully');
-            resolve(object);
-          },
-          (progress) => {
-            console.log('FBX loading progress:', (progress.loaded / progress.total * 100) + '%');
-          },
-          (error) => {
-            console.error('FBX loading error:', error);
-            reject(error);
-          }
-        );
-      });
+      // Rigged models come back with their own skeleton
+      const fbxModel = await this.assetLoader.loadModel(modelId);
 
-      // Scale the character appropriately
-      fbxModel.scale.setScalar(0.0027); // Reduced from 0.004 - 1.5x smaller for better proportion
+      // FBX exports come in different units - scale to a fixed height instead
+      AssetLoader.fitToHeight(fbxModel, CHARACTER_HEIGHT);
       
-      // Apply custom texture if provided
-      if (texturePath) {
-        const textureLoader = new THREE.TextureLoader();
-        const texture = await new Promise<THREE.Texture>((resolve, reject) => {
-          textureLoader.load(
-            texturePath,
-            (tex) => {
-              console.log('Texture loaded successfully:', texturePath);
-              resolve(tex);
-            },
-            undefined,
-            (error) => {
-              console.error('Texture loading error:', error);
-              reject(error);
-            }
-          );
-        });
+      // A customized look wins over the default texture
+      if (this.appearance && CharacterAnimator.isRigged(fbxModel)) {
+        await this.dress(fbxModel, this.appearance);
+      } else if (textureId) {
+        const texture = await this.assetLoader.loadTexture(textureId);
 
         // Apply texture to all meshes
         fbxModel.traverse((child) => {
@@ -308,19 +328,12 @@ export class KenneyCharacterController {
         });
       }
 
-      // Handle animations if present
-      if (fbxModel.animations && fbxModel.animations.length > 0) {
-        console.log('Found animations:', fbxModel.animations.length);
-        this.mixer = new THREE.AnimationMixer(fbxModel);
-        
-        // You can add specific animation handling here
-        // For example, idle animation:
-        // const idleAction = this.mixer.clipAction(fbxModel.animations[0]);
-        // idleAction.play();
-      }
+      // Kenney rigs get idle/walk/bump/lie/sit
+      this.animator?.dispose();
+      this.animator = CharacterAnimator.isRigged(fbxModel) ? new CharacterAnimator(fbxModel) : null;
 
-      // Position character above ground
-      fbxModel.position.y = 0.2;
+      // Position character on the ground
+      fbxModel.position.y = 0;
       
       this.character = fbxModel;
       
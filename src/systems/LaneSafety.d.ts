@@ -0,0 +1,26 @@
+// Types for LaneSafety.js
+
+export interface LaneVehicle {
+  x: number; // Centre along the lane
+  length: number;
+}
+
+export interface Lane {
+  vehicles: LaneVehicle[];
+  length: number; // Distance after which vehicles wrap around
+  speed: number; // Units per second
+}
+
+export interface Crosser {
+  width: number; // Along the lane
+  crossingTime: number; // Seconds spent in the lane (stepping in and out)
+}
+
+export declare function widestGap(lane: Lane): number;
+export declare function hasCrossingWindow(lane: Lane, crosser: Crosser): boolean;
+export declare function ensureCrossingWindow<T extends LaneVehicle>(
+  vehicles: T[],
+  lane: Omit<Lane, 'vehicles'>,
+  crosser: Crosser
+): T[];
+export declare function longestWaitForRide(lane: Lane): number;
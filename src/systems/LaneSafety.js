@@ -0,0 +1,39 @@
+// Solvability checks for generated lanes. Vehicles in a lane share one speed and wrap
+// around, so the gaps between them never change - if one gap is wide enough to step into the
+// lane and out again before the next vehicle arrives, the lane can always be crossed.
+// Plain JS (typed in LaneSafety.d.ts) so the headless road rules can use it from Node too.
+
+// Widest stretch of open road between two vehicles, measured bumper to bumper
+export function widestGap(lane) {
+  if (lane.vehicles.length === 0) return lane.length;
+
+  const wrap = (x) => ((x % lane.length) + lane.length) % lane.length;
+  const sorted = lane.vehicles
+    .map(vehicle => ({ start: wrap(vehicle.x - vehicle.length / 2), length: vehicle.length }))
+    .sort((a, b) => a.start - b.start);
+
+  return Math.max(...sorted.map((vehicle, index) => {
+    const next = sorted[(index + 1) % sorted.length];
+    const nextStart = index === sorted.length - 1 ? next.start + lane.length : next.start;
+    return nextStart - (vehicle.start + vehicle.length);
+  }));
+}
+
+export function hasCrossingWindow(lane, crosser) {
+  return widestGap(lane) >= crosser.width + lane.speed * crosser.crossingTime;
+}
+
+// Take vehicles off the lane (last generated first) until it can be crossed
+export function ensureCrossingWindow(vehicles, lane, crosser) {
+  const kept = [...vehicles];
+  while (kept.length > 0 && !hasCrossingWindow({ ...lane, vehicles: kept }, crosser)) {
+    kept.pop();
+  }
+  return kept;
+}
+
+// Rivers are the other way round: the player rides the logs, so what matters is how long
+// the widest gap takes to drift past
+export function longestWaitForRide(lane) {
+  return widestGap(lane) / lane.speed;
+}
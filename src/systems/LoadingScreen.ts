@@ -0,0 +1,109 @@
+import type { LoadProgress } from './AssetLoader';
+
+const SHOW_DELAY = 250; // ms - cached scenes load faster than this and never flash the screen
+const FAILURE_NOTICE_DURATION = 6000; // ms
+
+// Progress screen shown while a scene's assets download, on top of the transition cover.
+// Assets that fail are listed, and stay listed in a notice after the scene appears.
+export class LoadingScreen {
+  private element: HTMLDivElement;
+  private titleElement: HTMLDivElement;
+  private fillElement: HTMLDivElement;
+  private statusElement: HTMLDivElement;
+  private failedElement: HTMLUListElement;
+  private noticeElement: HTMLDivElement;
+  private showTimer: ReturnType<typeof setTimeout> | null = null;
+  private noticeTimer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor() {
+    this.element = document.createElement('div');
+    this.element.className = 'loading hidden';
+
+    const content = document.createElement('div');
+    content.className = 'loading-content';
+
+    this.titleElement = document.createElement('div');
+    this.titleElement.className = 'loading-text';
+    content.appendChild(this.titleElement);
+
+    const bar = document.createElement('div');
+    bar.className = 'loading-bar';
+    this.fillElement = document.createElement('div');
+    this.fillElement.className = 'loading-bar-fill';
+    bar.appendChild(this.fillElement);
+    content.appendChild(bar);
+
+    this.statusElement = document.createElement('div');
+    this.statusElement.className = 'loading-status';
+    content.appendChild(this.statusElement);
+
+    this.failedElement = document.createElement('ul');
+    this.failedElement.className = 'loading-failed';
+    content.appendChild(this.failedElement);
+
+    this.element.appendChild(content);
+    document.body.appendChild(this.element);
+
+    this.noticeElement = document.createElement('div');
+    this.noticeElement.className = 'loading-failed-notice';
+    document.body.appendChild(this.noticeElement);
+  }
+
+  show(title: string): void {
+    this.titleElement.textContent = title;
+    this.update({ loadedItems: 0, totalItems: 0, loadedBytes: 0, totalBytes: 0, failed: [] });
+
+    if (this.showTimer === null) {
+      this.showTimer = setTimeout(() => this.element.classList.remove('hidden'), SHOW_DELAY);
+    }
+  }
+
+  update(progress: LoadProgress): void {
+    // Bytes are the better measure once sizes are known, items until then
+    const fraction = progress.totalBytes > 0
+      ? progress.loadedBytes / progress.totalBytes
+      : progress.totalItems > 0 ? progress.loadedItems / progress.totalItems : 0;
+    this.fillElement.style.width = `${Math.round(Math.min(fraction, 1) * 100)}%`;
+
+    const items = `${progress.loadedItems} / ${progress.totalItems}`;
+    this.statusElement.textContent = progress.totalBytes > 0
+      ? `${items} · ${formatMegabytes(progress.loadedBytes)} / ${formatMegabytes(progress.totalBytes)} MB`
+      : items;
+
+    this.failedElement.replaceChildren(...progress.failed.map(path => {
+      const item = document.createElement('li');
+      item.textContent = `Couldn't load ${path}`;
+      return item;
+    }));
+  }
+
+  hide(failed: string[] = []): void {
+    if (this.showTimer !== null) {
+      clearTimeout(this.showTimer);
+      this.showTimer = null;
+    }
+    this.element.classList.add('hidden');
+
+    if (failed.length > 0) {
+      this.showFailureNotice(failed);
+    }
+  }
+
+  private showFailureNotice(failed: string[]): void {
+    const names = failed.map(path => decodeURIComponent(path.split('/').pop() || path));
+    this.noticeElement.textContent = `⚠️ Some things didn't load: ${names.join(', ')}`;
+    this.noticeElement.classList.add('visible');
+
+    if (this.noticeTimer !== null) {
+      clearTimeout(this.noticeTimer);
+    }
+    this.noticeTimer = setTimeout(() => {
+      this.noticeElement.classList.remove('visible');
+      this.noticeTimer = null;
+    }, FAILURE_NOTICE_DURATION);
+  }
+}
+
+function formatMegabytes(bytes: number): string {
+  return (bytes / (1024 * 1024)).toFixed(1);
+}
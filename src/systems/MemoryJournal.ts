@@ -0,0 +1,281 @@
+import * as THREE from 'three';
+import type { Memory } from '../types';
+import type { Scene } from '../scenes/Scene';
+import type { DialogueSystem } from './DialogueSystem';
+import type { SaveSystem } from './SaveSystem';
+import { audioManager } from './AudioManager';
+
+export interface JournalChapter {
+  scene: string;
+  title: string;
+}
+
+// What the journal remembers about a memory, so chapters can be listed without loading their scene
+interface JournalEntry {
+  id: string;
+  text: string;
+  audio?: string;
+  thumbnail?: string; // Data URL, captured once the memory has been discovered
+}
+
+const STORAGE_KEY = 'ikuikuiku.journal';
+const THUMBNAIL_SIZE = 96; // px
+const TITLE_LENGTH = 40; // characters of the memory text shown in the list
+
+// Overlay listing every chapter's memories: discovered ones can be read (and heard) again,
+// undiscovered ones stay hidden. Scenes are catalogued as they load, and the catalogue is
+// kept in the browser so chapters visited in earlier sessions can still be listed.
+export class MemoryJournal {
+  private element: HTMLDivElement;
+  private listElement: HTMLDivElement;
+  private chapters: JournalChapter[] = [];
+  private catalog: Record<string, JournalEntry[]>;
+  private currentScene: Scene | null = null;
+  private thumbnailRenderer: THREE.WebGLRenderer | null = null;
+  private open: boolean = false;
+
+  constructor(private dialogueSystem: DialogueSystem, private saveSystem: SaveSystem) {
+    this.catalog = this.loadCatalog();
+
+    this.element = document.createElement('div');
+    this.element.className = 'journal';
+
+    const book = document.createElement('div');
+    book.className = 'journal-book';
+
+    const header = document.createElement('div');
+    header.className = 'journal-header';
+    const title = document.createElement('h2');
+    title.textContent = 'Memory Journal';
+    header.appendChild(title);
+    const close = document.createElement('button');
+    close.className = 'journal-close';
+    close.textContent = '✕';
+    close.addEventListener('click', () => this.hide());
+    header.appendChild(close);
+    book.appendChild(header);
+
+    this.listElement = document.createElement('div');
+    this.listElement.className = 'journal-chapters';
+    book.appendChild(this.listElement);
+
+    this.element.appendChild(book);
+    document.body.appendChild(this.element);
+  }
+
+  // Story scenes in play order
+  setChapters(chapters: JournalChapter[]): void {
+    this.chapters = chapters;
+  }
+
+  // Record a freshly loaded scene's memories, and photograph the ones already discovered
+  catalogScene(scene: Scene): void {
+    this.currentScene = scene;
+    if (!this.chapters.some(chapter => chapter.scene === scene.name)) return;
+
+    const previous = new Map((this.catalog[scene.name] || []).map(entry => [entry.id, entry]));
+    this.catalog[scene.name] = scene.getMemories()
+      .filter(memory => memory.id)
+      .map(memory => {
+        const entry: JournalEntry = { id: memory.id!, text: memory.text, audio: memory.audio };
+        const thumbnail = previous.get(memory.id!)?.thumbnail || (memory.triggered ? this.captureThumbnail(memory.object) : null);
+        if (thumbnail) {
+          entry.thumbnail = thumbnail;
+        }
+        return entry;
+      });
+
+    this.saveCatalog();
+  }
+
+  // A memory was just triggered in the current scene
+  recordDiscovery(sceneName: string, memory: Memory): void {
+    const entry = (this.catalog[sceneName] || []).find(candidate => candidate.id === memory.id);
+    if (!entry || entry.thumbnail) return;
+
+    const thumbnail = this.captureThumbnail(memory.object);
+    if (thumbnail) {
+      entry.thumbnail = thumbnail;
+      this.saveCatalog();
+    }
+  }
+
+  isOpen(): boolean {
+    return this.open;
+  }
+
+  show(): void {
+    this.render();
+    this.open = true;
+    this.element.classList.add('visible');
+  }
+
+  hide(): void {
+    this.open = false;
+    this.element.classList.remove('visible');
+  }
+
+  toggle(): void {
+    if (this.open) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  // Discovered / total for a chapter - chapters never visited have no known memories yet
+  getCompletion(sceneName: string): { discovered: number; total: number } {
+    const entries = this.catalog[sceneName] || [];
+    const discovered = this.saveSystem.getTriggeredMemories(sceneName);
+    return {
+      discovered: entries.filter(entry => discovered.includes(entry.id)).length,
+      total: entries.length
+    };
+  }
+
+  private render(): void {
+    this.listElement.innerHTML = '';
+
+    this.chapters.forEach((chapter, index) => {
+      const entries = this.catalog[chapter.scene] || [];
+      const discovered = this.saveSystem.getTriggeredMemories(chapter.scene);
+      const { discovered: found, total } = this.getCompletion(chapter.scene);
+      const percent = total > 0 ? Math.round((found / total) * 100) : 0;
+
+      const section = document.createElement('section');
+      section.className = 'journal-chapter';
+
+      const heading = document.createElement('div');
+      heading.className = 'journal-chapter-heading';
+      heading.innerHTML = `
+        <span>${index + 1}. ${chapter.title}</span>
+        <span class="journal-completion">${percent}%</span>
+      `;
+      section.appendChild(heading);
+
+      const bar = document.createElement('div');
+      bar.className = 'journal-progress';
+      const fill = document.createElement('div');
+      fill.className = 'journal-progress-fill';
+      fill.style.width = `${percent}%`;
+      bar.appendChild(fill);
+      section.appendChild(bar);
+
+      if (entries.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'journal-empty';
+        empty.textContent = 'Not visited yet...';
+        section.appendChild(empty);
+      }
+
+      entries.forEach(entry => {
+        section.appendChild(this.createEntry(chapter.scene, entry, discovered.includes(entry.id)));
+      });
+
+      this.listElement.appendChild(section);
+    });
+  }
+
+  private createEntry(sceneName: string, entry: JournalEntry, discovered: boolean): HTMLElement {
+    const row = document.createElement('button');
+    row.className = discovered ? 'journal-entry' : 'journal-entry locked';
+    row.disabled = !discovered;
+
+    const thumbnail = document.createElement('div');
+    thumbnail.className = 'journal-thumbnail';
+    if (discovered && entry.thumbnail) {
+      thumbnail.style.backgroundImage = `url(${entry.thumbnail})`;
+    } else {
+      thumbnail.textContent = discovered ? '★' : '?';
+    }
+    row.appendChild(thumbnail);
+
+    const text = document.createElement('span');
+    text.className = 'journal-entry-text';
+    text.textContent = discovered ? this.getTitle(entry.text) : 'An undiscovered memory';
+    row.appendChild(text);
+
+    if (discovered) {
+      row.title = 'Relive this memory';
+      row.addEventListener('click', () => this.replay(sceneName, entry));
+    }
+
+    return row;
+  }
+
+  private getTitle(text: string): string {
+    return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH).trimEnd()}...` : text;
+  }
+
+  // Play a memory again - as a conversation if it has one and its scene is loaded
+  private replay(sceneName: string, entry: JournalEntry): void {
+    this.hide();
+
+    const memory = this.currentScene?.name === sceneName
+      ? this.currentScene.getMemories().find(candidate => candidate.id === entry.id)
+      : undefined;
+
+    if (memory?.dialogue) {
+      this.dialogueSystem.run(memory.dialogue);
+    } else {
+      this.dialogueSystem.show(entry.text);
+    }
+
+    if (entry.audio) {
+      audioManager.playFile(entry.audio);
+    }
+  }
+
+  // Render the memory's object on its own into a small image
+  private captureThumbnail(object: THREE.Object3D): string | null {
+    try {
+      if (!this.thumbnailRenderer) {
+        this.thumbnailRenderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true });
+        this.thumbnailRenderer.setSize(THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+        this.thumbnailRenderer.setClearColor(0xFFF8E7);
+      }
+
+      // The copy shares geometry and materials with the original - nothing to dispose
+      const copy = object.clone();
+      object.updateWorldMatrix(true, false);
+      object.matrixWorld.decompose(copy.position, copy.quaternion, copy.scale);
+
+      const stage = new THREE.Scene();
+      stage.add(new THREE.AmbientLight(0xFFFFFF, 0.8));
+      const light = new THREE.DirectionalLight(0xFFFFFF, 1);
+      light.position.set(3, 5, 4);
+      stage.add(light);
+      stage.add(copy);
+
+      const bounds = new THREE.Box3().setFromObject(copy).getBoundingSphere(new THREE.Sphere());
+      if (bounds.isEmpty() || !Number.isFinite(bounds.radius)) return null;
+
+      const camera = new THREE.PerspectiveCamera(35, 1, 0.01, 1000);
+      const distance = bounds.radius / Math.sin(THREE.MathUtils.degToRad(camera.fov / 2));
+      camera.position.copy(bounds.center).add(new THREE.Vector3(1, 0.8, 1).normalize().multiplyScalar(distance));
+      camera.lookAt(bounds.center);
+
+      this.thumbnailRenderer.render(stage, camera);
+      return this.thumbnailRenderer.domElement.toDataURL('image/jpeg', 0.8);
+    } catch (error) {
+      console.warn('📔 Failed to capture memory thumbnail:', error);
+      return null;
+    }
+  }
+
+  private loadCatalog(): Record<string, JournalEntry[]> {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    } catch {
+      return {};
+    }
+  }
+
+  private saveCatalog(): void {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.catalog));
+    } catch (error) {
+      console.warn('📔 Failed to save the memory journal:', error);
+    }
+  }
+}
@@ -1,5 +1,9 @@
 import * as THREE from 'three';
-import { AssetLoader } from './AssetLoader';
+import type { AssetManifest, AssetScope } from './AssetLoader';
+import type { ModelId, TextureId } from './AssetRegistry';
+import { Pathfinder } from './Pathfinding';
+import type { CollisionManager } from './CollisionManager';
+import { CharacterAnimator, STEP_DURATION } from './CharacterAnimator';
 
 export interface NPCConfig {
   name: string;
@@ -10,6 +14,29 @@ export interface NPCConfig {
   idleAnimation?: boolean;
 }
 
+// Skin texture per NPC name
+const NPC_SKINS: Record<string, TextureId> = {
+  'Devon': 'skinMan',
+  'Lotte': 'skinWoman',
+  'Joonatan': 'skinManAlternative',
+  'Mark': 'skinWomanAlternative'
+};
+const DEFAULT_NPC_SKIN: TextureId = 'skinMan';
+
+const NPC_MODELS: Record<'basic' | 'advanced', ModelId> = {
+  basic: 'basicCharacterRigged',
+  advanced: 'advancedCharacterRigged'
+};
+
+// The player covers one 2-unit cell per step - NPCs walking at that pace play the walk at normal speed
+const WALK_SPEED = 2 / STEP_DURATION;
+
+// Everything an NPC can be built from, for the manifests of scenes with NPCs
+export const NPC_ASSETS: AssetManifest = {
+  models: Object.values(NPC_MODELS),
+  textures: Object.values(NPC_SKINS)
+};
+
 export class NPC {
   public group: THREE.Group;
   public name: string;
@@ -17,9 +44,13 @@ export class NPC {
   private model: THREE.Group | null = null;
   private idleAnimation: boolean;
   private idleTime: number = 0;
+  private animator: CharacterAnimator | null = null;
+  private seated: boolean = false;
+  private lastPosition: THREE.Vector3 = new THREE.Vector3();
 
   constructor(config: NPCConfig) {
     this.group = new THREE.Group();
+    this.group.name = config.name;
     this.name = config.name;
     this.idleAnimation = config.idleAnimation ?? true;
     
@@ -30,6 +61,7 @@ export class NPC {
     
     // Set position
     this.group.position.copy(config.position);
+    this.lastPosition.copy(config.position);
   }
 
   private createNameLabel(name: string): THREE.Sprite {
@@ -75,10 +107,9 @@ export class NPC {
     return sprite;
   }
 
-  async loadModel(assetLoader: AssetLoader, modelType: 'basic' | 'advanced' = 'basic'): Promise<void> {
+  async loadModel(assetLoader: AssetScope, modelType: 'basic' | 'advanced' = 'basic'): Promise<void> {
     try {
-      const modelPath = `kenney_blocky-characters/Models/Non-rigged/glTF/${modelType}Character.gltf`;
-      this.model = await assetLoader.loadGLTF(modelPath, `npc-${this.name}`);
+      this.model = await assetLoader.loadModel(NPC_MODELS[modelType]);
       
       if (this.model) {
         // Use the same scaling approach as OfficeFloorScene (0.075 instead of 0.8)
@@ -89,6 +120,10 @@ export class NPC {
         
         this.model.position.set(0, 0, 0);
         this.group.add(this.model);
+
+        if (CharacterAnimator.isRigged(this.model)) {
+          this.animator = new CharacterAnimator(this.model);
+        }
         
         console.log(`Successfully loaded model for ${this.name}`);
       }
@@ -99,21 +134,13 @@ export class NPC {
     }
   }
 
-  private async applySkinTexture(assetLoader: AssetLoader, modelType: 'basic' | 'advanced'): Promise<void> {
+  private async applySkinTexture(assetLoader: AssetScope, modelType: 'basic' | 'advanced'): Promise<void> {
     if (!this.model) return;
 
     try {
-      // Choose skin texture based on NPC name and model type
-      const skinTextures = {
-        'Devon': 'kenney_blocky-characters/Skins/Basic/skin_man.png',
-        'Lotte': 'kenney_blocky-characters/Skins/Basic/skin_woman.png', 
-        'Joonatan': 'kenney_blocky-characters/Skins/Basic/skin_manAlternative.png',
-        'Mark': 'kenney_blocky-characters/Skins/Basic/skin_womanAlternative.png'
-      };
-
-      const skinPath = skinTextures[this.name as keyof typeof skinTextures] || 'kenney_blocky-characters/Skins/Basic/skin_man.png';
+      // Choose skin texture based on NPC name
+      const skinPath = NPC_SKINS[this.name] || DEFAULT_NPC_SKIN;
       const skinTexture = await assetLoader.loadTexture(skinPath);
-      skinTexture.flipY = false; // GLTF textures don't need flipping
       
       // Apply the skin to all meshes
       this.model.traverse((child) => {
@@ -158,7 +185,18 @@ export class NPC {
   }
 
   update(deltaTime: number): void {
-    if (this.idleAnimation) {
+    // Scenes move NPCs around directly, so walking is read from how far they moved this frame
+    const speed = deltaTime > 0 ? this.group.position.distanceTo(this.lastPosition) / deltaTime : 0;
+    this.lastPosition.copy(this.group.position);
+
+    if (this.animator) {
+      if (speed > 0.05) {
+        this.animator.setState('walk', THREE.MathUtils.clamp(speed / WALK_SPEED, 0.5, 1.5));
+      } else {
+        this.animator.setState(this.seated ? 'sit' : 'idle');
+      }
+      this.animator.update(deltaTime);
+    } else if (this.idleAnimation) {
       this.idleTime += deltaTime;
       
       // Gentle floating animation
@@ -188,14 +226,26 @@ export class NPC {
   setNameLabelVisibility(visible: boolean): void {
     this.nameLabel.visible = visible;
   }
+
+  // Sit down on the spot (e.g. at a desk) until moved again
+  setSeated(seated: boolean): void {
+    this.seated = seated;
+  }
+
+  dispose(): void {
+    this.animator?.dispose();
+    this.animator = null;
+  }
 }
 
 export class NPCSystem {
   private npcs: Map<string, NPC> = new Map();
-  private assetLoader: AssetLoader;
+  private assetLoader: AssetScope;
   private scene: THREE.Group;
+  private pathfinder: Pathfinder | null = null;
+  private collisionManager: CollisionManager | null = null;
 
-  constructor(scene: THREE.Group, assetLoader: AssetLoader) {
+  constructor(scene: THREE.Group, assetLoader: AssetScope) {
     this.scene = scene;
     this.assetLoader = assetLoader;
   }
@@ -206,6 +256,7 @@ export class NPCSystem {
     
     this.npcs.set(config.name, npc);
     this.scene.add(npc.group);
+    this.addCollider(npc);
     
     console.log(`Created NPC: ${config.name} at position`, config.position);
     console.log(`NPC group children:`, npc.group.children);
@@ -227,8 +278,11 @@ export class NPCSystem {
   removeNPC(name: string): boolean {
     const npc = this.npcs.get(name);
     if (npc) {
+      npc.dispose();
       this.scene.remove(npc.group);
       this.npcs.delete(name);
+      this.collisionManager?.removeCollidersByName(`npc:${name}`);
+      this.collisionManager?.removeActor('npc', name);
       return true;
     }
     return false;
@@ -237,9 +291,16 @@ export class NPCSystem {
   update(deltaTime: number): void {
     for (const npc of this.npcs.values()) {
       npc.update(deltaTime);
+      
+      // Let trigger zones know which cell each NPC is in
+      this.collisionManager?.moveActor('npc', npc.name, Pathfinder.toGrid(npc.group.position));
     }
   }
 
+  dispose(): void {
+    this.npcs.forEach(npc => npc.dispose());
+  }
+
   // Helper method to create all office NPCs at once
   async createOfficeNPCs(): Promise<void> {
     const npcConfigs: NPCConfig[] = [
@@ -274,17 +335,62 @@ export class NPCSystem {
     }
   }
 
+  // Route NPC movement around colliders (without a pathfinder NPCs walk in straight lines)
+  setPathfinder(pathfinder: Pathfinder | null): void {
+    this.pathfinder = pathfinder;
+  }
+
+  setCollisionManager(collisionManager: CollisionManager | null): void {
+    this.collisionManager = collisionManager;
+    this.npcs.forEach(npc => this.addCollider(npc));
+  }
+
+  // NPCs stand in the player's way (but not in each other's - scripted routes would get stuck)
+  private addCollider(npc: NPC): void {
+    if (!this.collisionManager) return;
+    
+    const name = `npc:${npc.name}`;
+    this.collisionManager.removeCollidersByName(name);
+    this.collisionManager.addDynamicCollider({
+      name,
+      blocks: ['player'],
+      getGridPositions: () => [Pathfinder.toGrid(npc.group.position)]
+    });
+  }
+
   // Method to animate an NPC moving to a target position
   moveNPCTo(npcName: string, targetPosition: THREE.Vector3, duration: number = 2): Promise<void> {
+    const npc = this.getNPC(npcName);
+    if (!npc) {
+      console.warn(`NPC ${npcName} not found`);
+      return Promise.resolve();
+    }
+
+    const startPosition = npc.group.position.clone();
+    let route = [targetPosition.clone()];
+    if (this.pathfinder) {
+      const path = this.pathfinder.findWorldPath(startPosition, targetPosition, { actor: 'npc' });
+      if (!path) {
+        console.warn(`NPC ${npcName} cannot reach`, targetPosition);
+        return Promise.resolve();
+      }
+      route = path;
+    }
+
+    // Distance along the route at each corner, so speed stays even across legs
+    const points = [startPosition, ...route];
+    const distances = [0];
+    for (let i = 1; i < points.length; i++) {
+      distances.push(distances[i - 1] + points[i].distanceTo(points[i - 1]));
+    }
+    const totalDistance = distances[distances.length - 1];
+
     return new Promise((resolve) => {
-      const npc = this.getNPC(npcName);
-      if (!npc) {
-        console.warn(`NPC ${npcName} not found`);
+      if (totalDistance === 0) {
         resolve();
         return;
       }
 
-      const startPosition = npc.group.position.clone();
       const startTime = Date.now();
 
       const animateMovement = () => {
@@ -293,12 +399,20 @@ export class NPCSystem {
         
         // Ease-in-out animation
         const easeProgress = 0.5 * (1 - Math.cos(progress * Math.PI));
+        const travelled = easeProgress * totalDistance;
         
-        npc.group.position.lerpVectors(startPosition, targetPosition, easeProgress);
+        // Find the leg we are on
+        let leg = 1;
+        while (leg < points.length - 1 && distances[leg] < travelled) {
+          leg++;
+        }
+        const legLength = distances[leg] - distances[leg - 1];
+        const legProgress = legLength > 0 ? (travelled - distances[leg - 1]) / legLength : 1;
+        npc.group.position.lerpVectors(points[leg - 1], points[leg], Math.min(legProgress, 1));
         
-        // Make NPC look towards target while moving
+        // Make NPC look towards the corner it is heading for
         if (progress < 1) {
-          const direction = targetPosition.clone().sub(npc.group.position).normalize();
+          const direction = points[leg].clone().sub(npc.group.position).normalize();
           if (direction.length() > 0) {
             npc.lookAt(npc.group.position.clone().add(direction));
           }
@@ -0,0 +1,141 @@
+import type { PaintingAsset } from './AssetRegistry';
+import { assetLoader } from './AssetLoader';
+import { inputManager } from './InputManager';
+import type { InputAction } from './InputManager';
+
+const INPUT_PRIORITY = 20; // Above dialogue - the viewer covers everything while open
+
+// Full-screen view of a painting with its caption and date. Left/right (buttons,
+// arrow keys, d-pad or swipe) browses through the whole collection.
+export class PaintingViewer {
+  private element: HTMLDivElement;
+  private imageElement: HTMLImageElement;
+  private titleElement: HTMLDivElement;
+  private dateElement: HTMLDivElement;
+  private counterElement: HTMLDivElement;
+  private paintings: PaintingAsset[] = [];
+  private index: number = 0;
+  private unsubscribers: (() => void)[] = [];
+  private touchStartX: number | null = null;
+
+  constructor() {
+    this.element = document.createElement('div');
+    this.element.className = 'painting-viewer';
+
+    // Clicks stop here, so they never reach the game world behind the viewer
+    this.element.addEventListener('click', (event) => {
+      event.stopPropagation();
+      if (event.target === this.element) {
+        this.close();
+      }
+    });
+    this.element.addEventListener('touchstart', (event) => {
+      event.stopPropagation();
+      this.touchStartX = event.touches[0].clientX;
+    }, { passive: true });
+    this.element.addEventListener('touchend', (event) => {
+      event.stopPropagation();
+      if (this.touchStartX === null) return;
+      const distance = event.changedTouches[0].clientX - this.touchStartX;
+      this.touchStartX = null;
+      if (Math.abs(distance) > 40) {
+        this.step(distance < 0 ? 1 : -1);
+      }
+    });
+
+    const previous = this.createButton('◀', 'painting-viewer-previous', () => this.step(-1));
+    const next = this.createButton('▶', 'painting-viewer-next', () => this.step(1));
+    const close = this.createButton('✕', 'painting-viewer-close', () => this.close());
+
+    const figure = document.createElement('figure');
+    figure.className = 'painting-viewer-figure';
+    this.imageElement = document.createElement('img');
+    figure.appendChild(this.imageElement);
+
+    const caption = document.createElement('figcaption');
+    this.titleElement = document.createElement('div');
+    this.titleElement.className = 'painting-viewer-title';
+    this.dateElement = document.createElement('div');
+    this.dateElement.className = 'painting-viewer-date';
+    this.counterElement = document.createElement('div');
+    this.counterElement.className = 'painting-viewer-counter';
+    caption.append(this.titleElement, this.dateElement, this.counterElement);
+    figure.appendChild(caption);
+
+    this.element.append(previous, figure, next, close);
+    document.body.appendChild(this.element);
+  }
+
+  isOpen(): boolean {
+    return this.element.classList.contains('visible');
+  }
+
+  // Show one painting, browsing through the rest of the collection
+  open(paintings: PaintingAsset[], index: number): void {
+    if (paintings.length === 0) return;
+
+    this.paintings = paintings;
+    this.index = index;
+    this.render();
+
+    if (!this.isOpen()) {
+      this.element.classList.add('visible');
+      this.subscribeInput();
+    }
+  }
+
+  close(): void {
+    this.element.classList.remove('visible');
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  dispose(): void {
+    this.close();
+    this.element.remove();
+  }
+
+  private step(direction: number): void {
+    this.index = (this.index + direction + this.paintings.length) % this.paintings.length;
+    this.render();
+  }
+
+  private render(): void {
+    const painting = this.paintings[this.index];
+    this.imageElement.src = assetLoader.resolveUrl(painting.path);
+    this.imageElement.alt = painting.title;
+    this.titleElement.textContent = painting.title;
+    this.dateElement.textContent = painting.date || '';
+    this.dateElement.style.display = painting.date ? 'block' : 'none';
+    this.counterElement.textContent = `${this.index + 1} / ${this.paintings.length}`;
+  }
+
+  // While open the viewer takes all game input: left/right browse, everything else closes it
+  private subscribeInput(): void {
+    const actions: [InputAction, () => void][] = [
+      ['moveLeft', () => this.step(-1)],
+      ['moveRight', () => this.step(1)],
+      ['moveForward', () => undefined],
+      ['moveBackward', () => undefined],
+      ['interact', () => this.close()],
+      ['advance', () => this.close()],
+      ['pause', () => this.close()]
+    ];
+
+    this.unsubscribers = actions.map(([action, handler]) => inputManager.on(action, () => {
+      handler();
+      return true;
+    }, INPUT_PRIORITY));
+  }
+
+  private createButton(label: string, className: string, onClick: () => void): HTMLButtonElement {
+    const button = document.createElement('button');
+    button.className = `painting-viewer-button ${className}`;
+    button.textContent = label;
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+}
@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+import type { Actor, CollisionManager } from './CollisionManager';
+import type { GridPosition } from './GridMovementController';
+
+export interface PathfindingOptions {
+  maxIterations?: number; // Give up after expanding this many cells
+  searchRadius?: number; // How far (in cells) around start and goal the search may wander
+  allowPartial?: boolean; // If the goal is unreachable, return a path to the closest reachable cell
+  actor?: Actor; // Who is walking - colliders can block only some actors (default 'player')
+}
+
+export interface PathResult {
+  path: GridPosition[]; // Includes the start cell
+  reachedGoal: boolean;
+}
+
+interface PathNode {
+  position: GridPosition;
+  g: number;
+  f: number;
+  parent: PathNode | null;
+}
+
+const GRID_SIZE = 2;
+const DEFAULT_MAX_ITERATIONS = 2000;
+const DEFAULT_SEARCH_RADIUS = 12;
+
+const NEIGHBOUR_OFFSETS: GridPosition[] = [
+  { x: 0, z: -1 },
+  { x: 0, z: 1 },
+  { x: -1, z: 0 },
+  { x: 1, z: 0 }
+];
+
+// A* over the collision grid. Moves are 4-directional like the player's grid movement.
+export class Pathfinder {
+  constructor(private collisionManager: CollisionManager) {}
+
+  static toGrid(position: THREE.Vector3): GridPosition {
+    return {
+      x: Math.round(position.x / GRID_SIZE),
+      z: Math.round(position.z / GRID_SIZE)
+    };
+  }
+
+  static toWorld(position: GridPosition, y: number = 0): THREE.Vector3 {
+    return new THREE.Vector3(position.x * GRID_SIZE, y, position.z * GRID_SIZE);
+  }
+
+  // Returns null when there is no path (and allowPartial is off)
+  findPath(start: GridPosition, goal: GridPosition, options: PathfindingOptions = {}): PathResult | null {
+    const maxIterations = options.maxIterations ?? DEFAULT_MAX_ITERATIONS;
+    const searchRadius = options.searchRadius ?? DEFAULT_SEARCH_RADIUS;
+    const allowPartial = options.allowPartial ?? true;
+    const actor = options.actor ?? 'player';
+
+    if (start.x === goal.x && start.z === goal.z) {
+      return { path: [{ ...start }], reachedGoal: true };
+    }
+
+    // Keep the search inside a box around start and goal so blocked goals can't flood the whole map
+    const bounds = {
+      minX: Math.min(start.x, goal.x) - searchRadius,
+      maxX: Math.max(start.x, goal.x) + searchRadius,
+      minZ: Math.min(start.z, goal.z) - searchRadius,
+      maxZ: Math.max(start.z, goal.z) + searchRadius
+    };
+
+    const key = (position: GridPosition) => `${position.x},${position.z}`;
+    const startNode: PathNode = { position: { ...start }, g: 0, f: this.heuristic(start, goal), parent: null };
+    const open: PathNode[] = [startNode];
+    const openByKey = new Map<string, PathNode>([[key(start), startNode]]);
+    const closed = new Set<string>();
+    let closest = startNode;
+    let iterations = 0;
+
+    while (open.length > 0 && iterations < maxIterations) {
+      iterations++;
+
+      // Take the node with the lowest f score
+      let bestIndex = 0;
+      for (let i = 1; i < open.length; i++) {
+        if (open[i].f < open[bestIndex].f) bestIndex = i;
+      }
+      const current = open.splice(bestIndex, 1)[0];
+      const currentKey = key(current.position);
+      openByKey.delete(currentKey);
+      closed.add(currentKey);
+
+      if (current.position.x === goal.x && current.position.z === goal.z) {
+        return { path: this.buildPath(current), reachedGoal: true };
+      }
+
+      if (this.heuristic(current.position, goal) < this.heuristic(closest.position, goal)) {
+        closest = current;
+      }
+
+      for (const offset of NEIGHBOUR_OFFSETS) {
+        const neighbour = { x: current.position.x + offset.x, z: current.position.z + offset.z };
+        const neighbourKey = key(neighbour);
+
+        if (closed.has(neighbourKey)) continue;
+        if (neighbour.x < bounds.minX || neighbour.x > bounds.maxX ||
+            neighbour.z < bounds.minZ || neighbour.z > bounds.maxZ) continue;
+        if (!this.collisionManager.isWalkable(neighbour.x, neighbour.z, actor)) continue;
+
+        const g = current.g + 1;
+        const existing = openByKey.get(neighbourKey);
+        if (existing) {
+          if (g < existing.g) {
+            existing.g = g;
+            existing.f = g + this.heuristic(neighbour, goal);
+            existing.parent = current;
+          }
+          continue;
+        }
+
+        const node: PathNode = { position: neighbour, g, f: g + this.heuristic(neighbour, goal), parent: current };
+        open.push(node);
+        openByKey.set(neighbourKey, node);
+      }
+    }
+
+    if (!allowPartial || closest === startNode) {
+      console.warn(`🧭 No path from (${start.x}, ${start.z}) to (${goal.x}, ${goal.z})`);
+      return null;
+    }
+
+    console.warn(`🧭 (${goal.x}, ${goal.z}) is unreachable - stopping at (${closest.position.x}, ${closest.position.z})`);
+    return { path: this.buildPath(closest), reachedGoal: false };
+  }
+
+  // Path between world positions, as world-space corner points (start excluded).
+  // Straight runs are merged so movers don't stop on every cell.
+  findWorldPath(from: THREE.Vector3, to: THREE.Vector3, options: PathfindingOptions = {}): THREE.Vector3[] | null {
+    const result = this.findPath(Pathfinder.toGrid(from), Pathfinder.toGrid(to), options);
+    if (!result) return null;
+
+    const corners = this.simplify(result.path).slice(1).map(position => Pathfinder.toWorld(position, to.y));
+
+    // End exactly on the requested point when we got there
+    if (result.reachedGoal) {
+      if (corners.length > 0) {
+        corners[corners.length - 1] = to.clone();
+      } else {
+        corners.push(to.clone());
+      }
+    }
+
+    return corners;
+  }
+
+  // Drop cells in the middle of straight lines
+  private simplify(path: GridPosition[]): GridPosition[] {
+    if (path.length <= 2) return path;
+
+    const result = [path[0]];
+    for (let i = 1; i < path.length - 1; i++) {
+      const previous = path[i - 1];
+      const next = path[i + 1];
+      const sameLine = (previous.x === path[i].x && path[i].x === next.x) ||
+                       (previous.z === path[i].z && path[i].z === next.z);
+      if (!sameLine) {
+        result.push(path[i]);
+      }
+    }
+    result.push(path[path.length - 1]);
+    return result;
+  }
+
+  private buildPath(node: PathNode): GridPosition[] {
+    const path: GridPosition[] = [];
+    let current: PathNode | null = node;
+    while (current) {
+      path.unshift(current.position);
+      current = current.parent;
+    }
+    return path;
+  }
+
+  private heuristic(a: GridPosition, b: GridPosition): number {
+    return Math.abs(a.x - b.x) + Math.abs(a.z - b.z);
+  }
+}
@@ -0,0 +1,16 @@
+// Types for Random.js
+
+export declare class Random {
+  readonly seed: number;
+  private state;
+  constructor(seed: number);
+  static derive(seed: number, key: number): Random;
+  next(): number;
+  int(min: number, max: number): number;
+  range(min: number, max: number): number;
+  chance(probability: number): boolean;
+  pick<T>(items: readonly T[]): T;
+}
+
+export declare function randomSeed(): number;
+export declare function getSeedFromUrl(): number | null;
@@ -0,0 +1,66 @@
+// Seeded pseudo-random numbers for procedural generation, so a level can be rebuilt from its seed
+// (e.g. from a bug report). Pass ?seed=<number or word> in the URL to replay a specific level.
+// Plain JS (typed in Random.d.ts) so the headless road rules can use it from Node too.
+
+const SEED_PARAM = 'seed';
+
+export class Random {
+  constructor(seed) {
+    this.seed = seed;
+    this.state = seed >>> 0;
+  }
+
+  // Its own generator for one part of a level (e.g. a row), so that part doesn't change
+  // when more or less is generated before it
+  static derive(seed, key) {
+    return new Random(hash(`${seed}:${key}`));
+  }
+
+  // 0 (inclusive) to 1 (exclusive) - mulberry32
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Whole number from min to max, both inclusive
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+}
+
+// A fresh seed for when none was asked for
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// The ?seed= URL parameter: numbers are used as they are, anything else is hashed
+export function getSeedFromUrl() {
+  const value = new URLSearchParams(window.location.search).get(SEED_PARAM);
+  if (!value) return null;
+  return /^\d+$/.test(value) ? Number(value) >>> 0 : hash(value);
+}
+
+// FNV-1a
+function hash(text) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
@@ -0,0 +1,123 @@
+import heartIcon from '../assets/heartIcon.png';
+import type { HighScore } from './HighScores';
+import { inputManager } from './InputManager';
+
+const INPUT_PRIORITY = 20; // Above dialogue - the result screen takes the confirm button
+
+export interface RoadHudCallbacks {
+  onRetry?: () => void;
+  onQuit?: () => void;
+}
+
+// Lives while crossing the road, plus the score and the game-over screen with the
+// leaderboard on the endless road
+export class RoadHud {
+  private element: HTMLDivElement;
+  private heartsElement: HTMLDivElement;
+  private scoreElement: HTMLDivElement;
+  private resultElement: HTMLDivElement;
+  private finalScoreElement: HTMLDivElement;
+  private leaderboardElement: HTMLOListElement;
+  private callbacks: RoadHudCallbacks;
+  private unsubscribers: (() => void)[] = [];
+
+  constructor(callbacks: RoadHudCallbacks = {}) {
+    this.callbacks = callbacks;
+
+    this.element = document.createElement('div');
+    this.element.className = 'road-hud';
+    this.heartsElement = document.createElement('div');
+    this.heartsElement.className = 'road-hearts';
+    this.scoreElement = document.createElement('div');
+    this.scoreElement.className = 'road-score';
+    this.element.append(this.heartsElement, this.scoreElement);
+
+    this.resultElement = document.createElement('div');
+    this.resultElement.className = 'road-result';
+    // Clicks on the result screen never reach the game world behind it
+    this.resultElement.addEventListener('click', (event) => event.stopPropagation());
+
+    const panel = document.createElement('div');
+    panel.className = 'road-result-panel';
+    const title = document.createElement('h2');
+    title.textContent = 'Late for work!';
+    this.finalScoreElement = document.createElement('div');
+    this.finalScoreElement.className = 'road-final-score';
+    this.leaderboardElement = document.createElement('ol');
+    this.leaderboardElement.className = 'road-leaderboard';
+
+    const actions = document.createElement('div');
+    actions.className = 'road-actions';
+    actions.append(
+      this.createButton('Title', () => this.callbacks.onQuit?.()),
+      this.createButton('Retry', () => this.callbacks.onRetry?.(), 'primary')
+    );
+
+    panel.append(title, this.finalScoreElement, this.leaderboardElement, actions);
+    this.resultElement.appendChild(panel);
+
+    document.body.append(this.element, this.resultElement);
+  }
+
+  setLives(lives: number, maxLives: number): void {
+    this.heartsElement.innerHTML = '';
+    for (let i = 0; i < maxLives; i++) {
+      const heart = document.createElement('img');
+      heart.src = heartIcon;
+      heart.alt = i < lives ? 'Life' : 'Lost life';
+      heart.className = i < lives ? 'road-heart' : 'road-heart lost';
+      this.heartsElement.appendChild(heart);
+    }
+  }
+
+  setScore(score: number): void {
+    this.scoreElement.textContent = score.toString();
+  }
+
+  // Game over: the run's score and the leaderboard, with the run highlighted if it made it
+  showResult(score: number, scores: HighScore[], rank: number): void {
+    this.finalScoreElement.textContent = rank === 0 ? `New best: ${score}!` : `Score: ${score}`;
+
+    this.leaderboardElement.innerHTML = '';
+    scores.forEach((entry, index) => {
+      const item = document.createElement('li');
+      item.className = index === rank ? 'current' : '';
+      const name = document.createElement('span');
+      name.textContent = entry.name;
+      const points = document.createElement('span');
+      points.textContent = entry.score.toString();
+      item.append(name, points);
+      this.leaderboardElement.appendChild(item);
+    });
+
+    this.resultElement.classList.add('visible');
+
+    // Confirm retries straight away (keyboard and gamepad)
+    if (this.unsubscribers.length === 0) {
+      this.unsubscribers = (['interact', 'advance'] as const).map(action => inputManager.on(action, () => {
+        this.callbacks.onRetry?.();
+        return true;
+      }, INPUT_PRIORITY));
+    }
+  }
+
+  hideResult(): void {
+    this.resultElement.classList.remove('visible');
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  dispose(): void {
+    this.hideResult();
+    this.element.remove();
+    this.resultElement.remove();
+  }
+
+  private createButton(label: string, onClick: () => void, className: string = ''): HTMLButtonElement {
+    const button = document.createElement('button');
+    button.className = `road-button ${className}`.trim();
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+}
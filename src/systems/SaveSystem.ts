@@ -0,0 +1,182 @@
+import type { GridPosition } from './GridMovementController';
+import type { StoryFlagValue } from '../types';
+
+export type SaveSlotId = 'autosave' | 'slot-1' | 'slot-2' | 'slot-3';
+
+export interface SaveData {
+  version: number;
+  slot: SaveSlotId;
+  savedAt: number;
+  sceneName: string;
+  playerPosition: GridPosition | null;
+  memories: Record<string, string[]>; // scene name -> ids of triggered memories
+  sceneState: Record<string, Record<string, unknown>>; // scene name -> story state
+  flags: Record<string, StoryFlagValue>; // story flags set by dialogue choices
+}
+
+export interface SaveSlotInfo {
+  slot: SaveSlotId;
+  savedAt: number;
+  sceneName: string;
+}
+
+const SAVE_VERSION = 1;
+const STORAGE_PREFIX = 'ikuikuiku.save.';
+
+export class SaveSystem {
+  public static readonly slots: SaveSlotId[] = ['autosave', 'slot-1', 'slot-2', 'slot-3'];
+
+  // Progress of the current run - written to a slot on save
+  private progress: SaveData;
+
+  constructor() {
+    this.progress = this.createEmptyProgress();
+  }
+
+  private createEmptyProgress(): SaveData {
+    return {
+      version: SAVE_VERSION,
+      slot: 'autosave',
+      savedAt: 0,
+      sceneName: '',
+      playerPosition: null,
+      memories: {},
+      sceneState: {},
+      flags: {}
+    };
+  }
+
+  private getStorageKey(slot: SaveSlotId): string {
+    return `${STORAGE_PREFIX}${slot}`;
+  }
+
+  // Start a fresh run (used by "Begin your day")
+  startNewGame(): void {
+    this.progress = this.createEmptyProgress();
+  }
+
+  // Record where the player currently is
+  setLocation(sceneName: string, playerPosition: GridPosition | null): void {
+    this.progress.sceneName = sceneName;
+    this.progress.playerPosition = playerPosition ? { ...playerPosition } : null;
+  }
+
+  recordMemory(sceneName: string, memoryId: string): void {
+    const triggered = this.progress.memories[sceneName] || [];
+    if (!triggered.includes(memoryId)) {
+      triggered.push(memoryId);
+    }
+    this.progress.memories[sceneName] = triggered;
+  }
+
+  getTriggeredMemories(sceneName: string): string[] {
+    return [...(this.progress.memories[sceneName] || [])];
+  }
+
+  recordSceneState(sceneName: string, state: Record<string, unknown>): void {
+    if (Object.keys(state).length === 0) return;
+    this.progress.sceneState[sceneName] = { ...state };
+  }
+
+  getSceneState(sceneName: string): Record<string, unknown> | null {
+    return this.progress.sceneState[sceneName] || null;
+  }
+
+  setFlags(flags: Record<string, StoryFlagValue>): void {
+    this.progress.flags = { ...flags };
+  }
+
+  getFlags(): Record<string, StoryFlagValue> {
+    return { ...this.progress.flags };
+  }
+
+  save(slot: SaveSlotId): boolean {
+    if (!this.progress.sceneName) {
+      console.warn('💾 Nothing to save yet - no scene has been entered');
+      return false;
+    }
+
+    const data: SaveData = {
+      ...this.progress,
+      slot,
+      savedAt: Date.now()
+    };
+
+    try {
+      localStorage.setItem(this.getStorageKey(slot), JSON.stringify(data));
+      console.log(`💾 Saved progress to ${slot} (${data.sceneName})`);
+      return true;
+    } catch (error) {
+      console.error(`💾 Failed to save to ${slot}:`, error);
+      return false;
+    }
+  }
+
+  autosave(): boolean {
+    return this.save('autosave');
+  }
+
+  // Load a slot and make it the current run
+  load(slot: SaveSlotId): SaveData | null {
+    const data = this.readSlot(slot);
+    if (!data) return null;
+
+    this.progress = data;
+    console.log(`💾 Loaded progress from ${slot} (${data.sceneName})`);
+    return data;
+  }
+
+  // Load whichever slot was written most recently
+  loadLatest(): SaveData | null {
+    const latest = this.listSlots()[0];
+    return latest ? this.load(latest.slot) : null;
+  }
+
+  hasSave(): boolean {
+    return this.listSlots().length > 0;
+  }
+
+  // All filled slots, newest first
+  listSlots(): SaveSlotInfo[] {
+    const infos: SaveSlotInfo[] = [];
+
+    SaveSystem.slots.forEach(slot => {
+      const data = this.readSlot(slot);
+      if (data) {
+        infos.push({ slot, savedAt: data.savedAt, sceneName: data.sceneName });
+      }
+    });
+
+    return infos.sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  deleteSlot(slot: SaveSlotId): void {
+    try {
+      localStorage.removeItem(this.getStorageKey(slot));
+    } catch (error) {
+      console.warn(`💾 Failed to delete ${slot}:`, error);
+    }
+  }
+
+  private readSlot(slot: SaveSlotId): SaveData | null {
+    try {
+      const raw = localStorage.getItem(this.getStorageKey(slot));
+      if (!raw) return null;
+
+      const data = JSON.parse(raw) as SaveData;
+      if (data.version !== SAVE_VERSION || !data.sceneName) {
+        console.warn(`💾 Ignoring incompatible save in ${slot}`);
+        return null;
+      }
+
+      return {
+        ...this.createEmptyProgress(),
+        ...data,
+        slot
+      };
+    } catch (error) {
+      console.warn(`💾 Failed to read ${slot}:`, error);
+      return null;
+    }
+  }
+}
@@ -1,10 +1,19 @@
 import * as THREE from 'three';
 import type { Scene } from '../scenes/Scene';
+import { audioManager } from './AudioManager';
+import { assetLoader } from './AssetLoader';
+import type { AssetScope } from './AssetLoader';
+import type { SceneTransitions, TransitionOptions } from './SceneTransitions';
+import type { LoadingScreen } from './LoadingScreen';
 
 export class SceneManager {
   private scenes: Map<string, Scene>;
   private currentScene: Scene | null;
   private transitioning: boolean;
+  private transitions: SceneTransitions | null = null;
+  private loadingScreen: LoadingScreen | null = null;
+  private sceneAssets: AssetScope | null = null; // The current scene's manifest
+  private preloadedAssets: AssetScope | null = null; // The likely next scene's manifest
   public sceneContainer: THREE.Group;
 
   constructor() {
@@ -18,102 +27,112 @@ export class SceneManager {
     this.scenes.set(name, scene);
   }
 
-  async loadScene(name: string, transitionDuration: number = 1000): Promise<Scene | undefined> {
+  // Transitions are drawn by the game's render loop
+  setTransitions(transitions: SceneTransitions): void {
+    this.transitions = transitions;
+  }
+
+  setLoadingScreen(loadingScreen: LoadingScreen): void {
+    this.loadingScreen = loadingScreen;
+  }
+
+  // beforeReveal runs once the new scene is in place but still covered (e.g. to place the player)
+  async loadScene(
+    name: string,
+    transition: TransitionOptions = {},
+    beforeReveal?: (scene: Scene) => void
+  ): Promise<Scene | undefined> {
     if (this.transitioning || !this.scenes.has(name)) return;
     
     this.transitioning = true;
     const newScene = this.scenes.get(name)!;
 
-    // Fade out current scene
-    if (this.currentScene) {
-      await this.fadeOut(this.currentScene, transitionDuration / 2);
-      this.sceneContainer.remove(this.currentScene);
-      if (this.currentScene.unload) {
-        this.currentScene.unload();
+    let revealed = false;
+    try {
+      // Music crossfades over the whole transition
+      audioManager.playMusic(newScene.getMusic(), transition.duration);
+
+      // The very first scene has nothing to cross over from
+      const options = this.currentScene || transition.type !== 'crossfade' ? transition : { ...transition, type: 'fade' as const };
+      await this.transitions?.cover(options);
+
+      // Load the new scene while the screen is covered. Its assets come first, with
+      // progress on the loading screen - anything preloaded earlier is already cached.
+      // The new manifest is retained before the old scene lets go of its assets, and
+      // nothing is disposed until the new scene has loaded, so anything the two share stays cached.
+      this.loadingScreen?.show(newScene.description);
+      const sceneAssets = assetLoader.scope(name);
+      const preloading = sceneAssets.preload(newScene.getAssetManifest(), update => this.loadingScreen?.update(update));
+
+      assetLoader.deferDisposal();
+      if (this.currentScene) {
+        this.sceneContainer.remove(this.currentScene);
+        if (this.currentScene.unload) {
+          this.currentScene.unload();
+        }
+        // Gone now, whether or not the new scene manages to load
+        this.currentScene = null;
+      }
+      this.sceneAssets?.releaseAll();
+      this.preloadedAssets?.releaseAll();
+      this.sceneAssets = sceneAssets;
+      this.preloadedAssets = null;
+
+      const progress = await preloading;
+
+      if (newScene.load) {
+        await newScene.load();
+      }
+      assetLoader.flushDisposal();
+      this.loadingScreen?.hide(progress.failed);
+      
+      this.sceneContainer.add(newScene);
+      this.currentScene = newScene;
+      beforeReveal?.(newScene);
+      
+      await this.transitions?.reveal();
+      revealed = true;
+    } catch (error) {
+      // Leave no half-loaded scene in place - the caller decides where to go instead
+      this.sceneContainer.remove(newScene);
+      this.currentScene = null;
+      throw error;
+    } finally {
+      // A scene that fails to load mustn't leave the screen covered or block every later change
+      this.transitioning = false;
+      if (!revealed) {
+        assetLoader.flushDisposal();
+        this.loadingScreen?.hide();
+        await this.transitions?.reveal();
       }
     }
 
-    // Load and fade in new scene
-    if (newScene.load) {
-      await newScene.load();
+    // Fetch where the player is probably going next while they play this scene
+    const nextScene = newScene.getNextScene();
+    if (nextScene) {
+      this.preloadScene(nextScene);
     }
-    
-    this.sceneContainer.add(newScene);
-    this.currentScene = newScene;
-    
-    await this.fadeIn(newScene, transitionDuration / 2);
-    this.transitioning = false;
 
     return newScene;
   }
 
-  private fadeOut(scene: THREE.Object3D, duration: number): Promise<void> {
-    return new Promise(resolve => {
-      const startOpacity = 1;
-      const startTime = Date.now();
-
-      const animate = () => {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        
-        scene.traverse(child => {
-          if ('material' in child && child.material instanceof THREE.Material) {
-            child.material.opacity = startOpacity * (1 - progress);
-            child.material.transparent = true;
-          }
-        });
-
-        if (progress < 1) {
-          requestAnimationFrame(animate);
-        } else {
-          resolve();
-        }
-      };
-
-      animate();
-    });
-  }
-
-  private fadeIn(scene: THREE.Object3D, duration: number): Promise<void> {
-    return new Promise(resolve => {
-      const targetOpacity = 1;
-      const startTime = Date.now();
-
-      // Set initial opacity
-      scene.traverse(child => {
-        if ('material' in child && child.material instanceof THREE.Material) {
-          child.material.opacity = 0;
-          child.material.transparent = true;
-        }
-      });
-
-      const animate = () => {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        
-        scene.traverse(child => {
-          if ('material' in child && child.material instanceof THREE.Material) {
-            child.material.opacity = targetOpacity * progress;
-          }
-        });
-
-        if (progress < 1) {
-          requestAnimationFrame(animate);
-        } else {
-          // Reset transparency for non-transparent materials
-          scene.traverse(child => {
-            if ('material' in child && child.material instanceof THREE.Material) {
-              if ((child.material.userData as any).originallyTransparent !== true) {
-                child.material.transparent = false;
-              }
-            }
-          });
-          resolve();
-        }
-      };
-
-      animate();
-    });
+  // Download a scene's assets in the background without loading the scene
+  async preloadScene(name: string): Promise<void> {
+    const scene = this.scenes.get(name);
+    if (!scene) return;
+
+    // Held until the next scene change, whichever scene that turns out to be
+    this.preloadedAssets?.releaseAll();
+    const preloadedAssets = assetLoader.scope(`preload:${name}`);
+    this.preloadedAssets = preloadedAssets;
+
+    const startTime = performance.now();
+    const progress = await preloadedAssets.preload(scene.getAssetManifest());
+    const elapsed = Math.round(performance.now() - startTime);
+    console.log(`📦 Preloaded ${name}: ${progress.loadedItems - progress.failed.length}/${progress.totalItems} assets in ${elapsed}ms`);
+    if (progress.failed.length > 0) {
+      console.warn(`📦 Could not preload for ${name}:`, progress.failed);
+    }
   }
 
   update(deltaTime: number): void {
@@ -0,0 +1,233 @@
+import * as THREE from 'three';
+
+export type TransitionType = 'none' | 'fade' | 'crossfade' | 'iris' | 'dream';
+
+export interface TransitionOptions {
+  type?: TransitionType;
+  duration?: number; // ms for the whole transition (cover + reveal)
+  color?: THREE.ColorRepresentation; // fade / iris color, the wash for dream
+}
+
+interface ActiveTransition {
+  type: Exclude<TransitionType, 'none'>;
+  duration: number;
+}
+
+const DEFAULT_DURATION = 1000; // ms
+const MODES: Record<ActiveTransition['type'], number> = { fade: 0, crossfade: 1, iris: 2, dream: 3 };
+
+const vertexShader = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+const fragmentShader = `
+  uniform int mode;
+  uniform float amount;
+  uniform vec3 color;
+  uniform sampler2D map;
+  uniform vec2 texelSize;
+  uniform vec2 center;
+  uniform float aspect;
+  varying vec2 vUv;
+
+  void main() {
+    if (mode == 0) {
+      // Fade to color
+      gl_FragColor = vec4(color, amount);
+    } else if (mode == 1) {
+      // Crossfade - the old scene's last frame on top of the new scene
+      gl_FragColor = vec4(texture2D(map, vUv).rgb, amount);
+    } else if (mode == 2) {
+      // Iris - everything outside a shrinking circle is covered
+      float radius = (1.0 - amount) * 1.5;
+      float dist = length((vUv - center) * vec2(aspect, 1.0));
+      float covered = amount >= 1.0 ? 1.0 : smoothstep(radius, radius + 0.02, dist);
+      gl_FragColor = vec4(color, covered);
+    } else {
+      // Dream - the live scene blurs and washes out
+      vec3 sum = vec3(0.0);
+      float spread = amount * 6.0;
+      for (int x = -2; x <= 2; x++) {
+        for (int y = -2; y <= 2; y++) {
+          sum += texture2D(map, vUv + vec2(float(x), float(y)) * texelSize * spread).rgb;
+        }
+      }
+      gl_FragColor = vec4(mix(sum / 25.0, color, amount * 0.6), 1.0);
+    }
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+  }
+`;
+
+// Scene transitions drawn as a full-screen pass on top of the rendered frame,
+// so scene materials are never touched. Replaces renderer.render in the game loop.
+export class SceneTransitions {
+  private overlayScene: THREE.Scene = new THREE.Scene();
+  private overlayCamera: THREE.OrthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  private quad: THREE.Mesh;
+  private uniforms = {
+    mode: { value: 0 },
+    amount: { value: 0 },
+    color: { value: new THREE.Color(0x000000) },
+    map: { value: null as THREE.Texture | null },
+    texelSize: { value: new THREE.Vector2() },
+    center: { value: new THREE.Vector2(0.5, 0.5) },
+    aspect: { value: 1 }
+  };
+  // Color-only modes must not be tone mapped, scene snapshots must be (like the scene itself)
+  private colorMaterial: THREE.ShaderMaterial;
+  private imageMaterial: THREE.ShaderMaterial;
+  private target: THREE.WebGLRenderTarget = new THREE.WebGLRenderTarget(1, 1);
+  private active: ActiveTransition | null = null;
+  private lastScene: THREE.Scene | null = null;
+  private lastCamera: THREE.Camera | null = null;
+  private getFocus: (() => THREE.Vector3 | null) | null = null;
+  private projected: THREE.Vector3 = new THREE.Vector3();
+
+  constructor(private renderer: THREE.WebGLRenderer) {
+    const materialOptions = {
+      uniforms: this.uniforms,
+      vertexShader,
+      fragmentShader,
+      transparent: true,
+      depthTest: false,
+      depthWrite: false
+    };
+    this.colorMaterial = new THREE.ShaderMaterial({ ...materialOptions, toneMapped: false });
+    this.imageMaterial = new THREE.ShaderMaterial(materialOptions);
+
+    this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.colorMaterial);
+    this.quad.frustumCulled = false;
+    this.overlayScene.add(this.quad);
+  }
+
+  // The iris closes and opens on this point (the player)
+  setFocus(getFocus: () => THREE.Vector3 | null): void {
+    this.getFocus = getFocus;
+  }
+
+  isActive(): boolean {
+    return this.active !== null;
+  }
+
+  // Hide the current scene. Resolves once the screen is fully covered.
+  async cover(options: TransitionOptions = {}): Promise<void> {
+    const type = options.type ?? 'fade';
+    if (type === 'none') {
+      this.active = null;
+      return;
+    }
+
+    const duration = options.duration ?? DEFAULT_DURATION;
+    this.active = { type, duration };
+    this.uniforms.mode.value = MODES[type];
+    this.uniforms.color.value.set(options.color ?? (type === 'dream' ? 0xFFFFFF : 0x000000));
+    this.quad.material = type === 'fade' || type === 'iris' ? this.colorMaterial : this.imageMaterial;
+
+    if (type === 'crossfade') {
+      // Freeze the last frame of the old scene - it stays up until reveal
+      this.captureSnapshot();
+      this.uniforms.amount.value = 1;
+      return;
+    }
+
+    await this.tween(0, 1, duration / 2);
+  }
+
+  // Show the new scene again
+  async reveal(): Promise<void> {
+    if (!this.active) return;
+
+    const duration = this.active.type === 'crossfade' ? this.active.duration : this.active.duration / 2;
+    await this.tween(1, 0, duration);
+    this.active = null;
+    this.uniforms.map.value = null;
+  }
+
+  render(scene: THREE.Scene, camera: THREE.Camera): void {
+    this.lastScene = scene;
+    this.lastCamera = camera;
+
+    if (!this.active) {
+      this.renderer.render(scene, camera);
+      return;
+    }
+
+    if (this.active.type === 'dream') {
+      // The blur needs the live frame as a texture
+      this.renderInto(scene, camera);
+    } else {
+      this.renderer.render(scene, camera);
+    }
+
+    if (this.active.type === 'iris') {
+      this.updateIrisCenter(camera);
+    }
+
+    const autoClear = this.renderer.autoClear;
+    this.renderer.autoClear = false;
+    this.renderer.render(this.overlayScene, this.overlayCamera);
+    this.renderer.autoClear = autoClear;
+  }
+
+  private captureSnapshot(): void {
+    if (this.lastScene && this.lastCamera) {
+      this.renderInto(this.lastScene, this.lastCamera);
+    }
+  }
+
+  private renderInto(scene: THREE.Scene, camera: THREE.Camera): void {
+    const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+    if (this.target.width !== size.x || this.target.height !== size.y) {
+      this.target.setSize(size.x, size.y);
+    }
+
+    this.renderer.setRenderTarget(this.target);
+    this.renderer.render(scene, camera);
+    this.renderer.setRenderTarget(null);
+
+    this.uniforms.map.value = this.target.texture;
+    this.uniforms.texelSize.value.set(1 / size.x, 1 / size.y);
+  }
+
+  private updateIrisCenter(camera: THREE.Camera): void {
+    const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+    this.uniforms.aspect.value = size.x / size.y;
+
+    const focus = this.getFocus?.();
+    if (!focus) {
+      this.uniforms.center.value.set(0.5, 0.5);
+      return;
+    }
+
+    this.projected.copy(focus).project(camera);
+    this.uniforms.center.value.set(
+      THREE.MathUtils.clamp(this.projected.x * 0.5 + 0.5, 0, 1),
+      THREE.MathUtils.clamp(this.projected.y * 0.5 + 0.5, 0, 1)
+    );
+  }
+
+  private tween(from: number, to: number, duration: number): Promise<void> {
+    return new Promise(resolve => {
+      const startTime = Date.now();
+
+      const animate = () => {
+        const progress = duration > 0 ? Math.min((Date.now() - startTime) / duration, 1) : 1;
+        this.uniforms.amount.value = from + (to - from) * progress;
+
+        if (progress < 1) {
+          requestAnimationFrame(animate);
+        } else {
+          resolve();
+        }
+      };
+
+      animate();
+    });
+  }
+}
@@ -0,0 +1,54 @@
+import type { FlagCondition, FlagEffect, StoryFlagValue } from '../types';
+
+export class StoryFlags {
+  private flags: Map<string, StoryFlagValue> = new Map();
+
+  get(flag: string): StoryFlagValue | undefined {
+    return this.flags.get(flag);
+  }
+
+  set(flag: string, value: StoryFlagValue): void {
+    this.flags.set(flag, value);
+    console.log(`🚩 Story flag ${flag} = ${value}`);
+  }
+
+  has(flag: string): boolean {
+    return this.flags.has(flag);
+  }
+
+  // True when every condition holds (an empty list always holds)
+  matches(conditions: FlagCondition[] = []): boolean {
+    return conditions.every(condition => {
+      const value = this.flags.get(condition.flag);
+
+      if (condition.equals !== undefined) return value === condition.equals;
+      if (condition.notEquals !== undefined) return value !== condition.notEquals;
+      if (condition.atLeast !== undefined) return typeof value === 'number' && value >= condition.atLeast;
+      return Boolean(value);
+    });
+  }
+
+  apply(effects: FlagEffect[] = []): void {
+    effects.forEach(effect => {
+      if (effect.set !== undefined) {
+        this.set(effect.flag, effect.set);
+      }
+      if (effect.add !== undefined) {
+        const current = this.flags.get(effect.flag);
+        this.set(effect.flag, (typeof current === 'number' ? current : 0) + effect.add);
+      }
+    });
+  }
+
+  toJSON(): Record<string, StoryFlagValue> {
+    return Object.fromEntries(this.flags);
+  }
+
+  load(flags: Record<string, StoryFlagValue>): void {
+    this.flags = new Map(Object.entries(flags));
+  }
+
+  clear(): void {
+    this.flags.clear();
+  }
+}
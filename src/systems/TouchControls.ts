@@ -0,0 +1,192 @@
+import type { DialogueSystem } from './DialogueSystem';
+import type { InteractionSystem } from './InteractionSystem';
+import { inputManager } from './InputManager';
+import type { InputAction } from './InputManager';
+
+const SWIPE_MIN_DISTANCE = 30; // px - shorter movements count as taps
+const SWIPE_MAX_DURATION = 500; // ms
+const HOLD_REPEAT_INTERVAL = 250; // ms - matches one hop, so a held button keeps walking
+
+interface TrackedTouch {
+  id: number;
+  startX: number;
+  startY: number;
+  startTime: number;
+  target: EventTarget | null;
+}
+
+// On-screen d-pad, swipe-to-hop and tap-to-advance for touch devices.
+// Owns touches on the game canvas: swipes become move actions, taps are passed
+// to the InteractionSystem for memories and tap-to-move.
+export class TouchControls {
+  private root: HTMLDivElement;
+  private advanceZone: HTMLDivElement;
+  private enabled: boolean = true;
+  private touch: TrackedTouch | null = null;
+  private repeatTimers: Map<HTMLElement, ReturnType<typeof setInterval>> = new Map();
+
+  constructor(private dialogueSystem: DialogueSystem, private interactionSystem: InteractionSystem) {
+    this.root = this.createControls();
+    this.advanceZone = this.createAdvanceZone();
+
+    // Show the controls as soon as we know this is a touch device
+    if (window.matchMedia('(pointer: coarse)').matches) {
+      this.show();
+    }
+    window.addEventListener('touchstart', () => this.show(), { once: true, passive: true });
+
+    window.addEventListener('touchstart', (event) => this.onTouchStart(event), { passive: true });
+    window.addEventListener('touchend', (event) => this.onTouchEnd(event));
+    window.addEventListener('touchcancel', () => { this.touch = null; });
+  }
+
+  private createControls(): HTMLDivElement {
+    const root = document.createElement('div');
+    root.className = 'touch-controls';
+
+    const dpad = document.createElement('div');
+    dpad.className = 'touch-dpad';
+    const buttons: [InputAction, string][] = [
+      ['moveForward', '▲'],
+      ['moveLeft', '◀'],
+      ['moveRight', '▶'],
+      ['moveBackward', '▼']
+    ];
+    buttons.forEach(([action, label]) => {
+      dpad.appendChild(this.createButton(action, label, true));
+    });
+    root.appendChild(dpad);
+
+    const interact = this.createButton('interact', '●', false);
+    interact.classList.add('touch-interact');
+    root.appendChild(interact);
+
+    const journal = this.createButton('journal', '📔', false);
+    journal.classList.add('touch-journal');
+    root.appendChild(journal);
+
+    document.body.appendChild(root);
+    return root;
+  }
+
+  private createButton(action: InputAction, label: string, repeat: boolean): HTMLButtonElement {
+    const button = document.createElement('button');
+    button.className = 'touch-button';
+    button.dataset.action = action;
+    button.textContent = label;
+
+    button.addEventListener('touchstart', (event) => {
+      // No synthetic click, no double-tap zoom, no raycast through the button
+      event.preventDefault();
+      event.stopPropagation();
+      button.classList.add('pressed');
+      inputManager.trigger(action);
+
+      if (repeat) {
+        this.stopRepeat(button);
+        this.repeatTimers.set(button, setInterval(() => inputManager.trigger(action), HOLD_REPEAT_INTERVAL));
+      }
+    });
+
+    const release = (event: TouchEvent) => {
+      event.preventDefault();
+      event.stopPropagation();
+      button.classList.remove('pressed');
+      this.stopRepeat(button);
+    };
+    button.addEventListener('touchend', release);
+    button.addEventListener('touchcancel', release);
+
+    return button;
+  }
+
+  private stopRepeat(button: HTMLElement): void {
+    const timer = this.repeatTimers.get(button);
+    if (timer !== undefined) {
+      clearInterval(timer);
+      this.repeatTimers.delete(button);
+    }
+  }
+
+  private createAdvanceZone(): HTMLDivElement {
+    const zone = document.createElement('div');
+    zone.className = 'touch-advance-zone';
+
+    zone.addEventListener('touchstart', (event) => {
+      event.stopPropagation();
+    });
+    zone.addEventListener('touchend', (event) => {
+      // preventDefault stops the synthetic click, which would advance a second time
+      event.preventDefault();
+      event.stopPropagation();
+      inputManager.trigger('advance');
+    });
+
+    document.body.appendChild(zone);
+    return zone;
+  }
+
+  show(): void {
+    this.root.classList.add('visible');
+  }
+
+  // Hide the d-pad where it makes no sense (e.g. the title screen)
+  setEnabled(enabled: boolean): void {
+    this.enabled = enabled;
+    this.root.style.visibility = enabled ? 'visible' : 'hidden';
+    if (!enabled) {
+      this.repeatTimers.forEach(timer => clearInterval(timer));
+      this.repeatTimers.clear();
+    }
+  }
+
+  // Called every frame - the advance zone only exists while dialogue is open
+  update(): void {
+    const active = this.enabled && this.root.classList.contains('visible') && this.dialogueSystem.isActive();
+    this.advanceZone.classList.toggle('active', active);
+  }
+
+  private onTouchStart(event: TouchEvent): void {
+    // Only single-finger gestures that start on the game canvas
+    if (event.touches.length !== 1 || !(event.target instanceof HTMLCanvasElement)) {
+      this.touch = null;
+      return;
+    }
+
+    const touch = event.touches[0];
+    this.touch = {
+      id: touch.identifier,
+      startX: touch.clientX,
+      startY: touch.clientY,
+      startTime: Date.now(),
+      target: event.target
+    };
+  }
+
+  private onTouchEnd(event: TouchEvent): void {
+    const tracked = this.touch;
+    this.touch = null;
+    if (!tracked) return;
+
+    const touch = Array.from(event.changedTouches).find(candidate => candidate.identifier === tracked.id);
+    if (!touch) return;
+
+    const dx = touch.clientX - tracked.startX;
+    const dy = touch.clientY - tracked.startY;
+    const distance = Math.hypot(dx, dy);
+
+    if (distance < SWIPE_MIN_DISTANCE) {
+      this.interactionSystem.tapAt(tracked.startX, tracked.startY, tracked.target);
+      return;
+    }
+
+    if (!this.enabled || Date.now() - tracked.startTime > SWIPE_MAX_DURATION) return;
+
+    // Swipe up hops away from the camera, like the forward key
+    if (Math.abs(dx) > Math.abs(dy)) {
+      inputManager.trigger(dx > 0 ? 'moveRight' : 'moveLeft');
+    } else {
+      inputManager.trigger(dy > 0 ? 'moveBackward' : 'moveForward');
+    }
+  }
+}
@@ -1,13 +1,16 @@
 import * as THREE from 'three';
+import type { TextureId } from '../systems/AssetRegistry';
 
 // Memory/interaction types
 export interface Memory {
+  id?: string; // Stable id used to persist discovery between sessions
   object: THREE.Object3D;
   text: string;
   triggered: boolean;
   audio?: string;
   animation?: () => void;
   highlight?: boolean;
+  dialogue?: DialogueTree; // Play a conversation instead of showing `text`
 }
 
 // Scene metadata
@@ -24,13 +27,75 @@ export interface CharacterOptions {
   outfitColor?: number;
   skinTone?: number;
   accessories?: string[];
+  skin?: TextureId; // Kenney skin texture (rigged characters)
+  name?: string; // Shown on the player's dialogue name plate
 }
 
 // Dialogue options
+export type DialogueEmotion = 'happy' | 'sad' | 'nostalgic' | 'excited';
+export type DialoguePosition = 'bottom' | 'top' | 'center';
+
 export interface DialogueOptions {
   duration?: number;
-  emotion?: 'happy' | 'sad' | 'nostalgic' | 'excited';
-  position?: 'bottom' | 'top' | 'center';
+  emotion?: DialogueEmotion;
+  position?: DialoguePosition;
+  speaker?: string; // Shown on a name plate
+  portrait?: string | null; // Image path under the asset base URL - defaults to the speaker's portrait, null hides it
+  anchor?: THREE.Object3D; // Show as a speech bubble above this object instead of a fixed box
+}
+
+// Story flags - set by dialogue effects and saved with the game
+export type StoryFlagValue = boolean | number | string;
+
+// With no comparison the flag just has to be truthy
+export interface FlagCondition {
+  flag: string;
+  equals?: StoryFlagValue;
+  notEquals?: StoryFlagValue;
+  atLeast?: number;
+}
+
+export interface FlagEffect {
+  flag: string;
+  set?: StoryFlagValue;
+  add?: number;
+}
+
+// Branching dialogue
+export interface DialogueChoice {
+  text: string;
+  next?: string; // Node id - the conversation ends when missing
+  conditions?: FlagCondition[]; // Hidden unless all conditions hold
+  effects?: FlagEffect[];
+}
+
+export interface DialogueNode {
+  speaker?: string;
+  text: string;
+  emotion?: DialogueEmotion;
+  position?: DialoguePosition;
+  choices?: DialogueChoice[];
+  branches?: { conditions: FlagCondition[]; next: string }[]; // Checked in order before `next`
+  next?: string;
+  effects?: FlagEffect[]; // Applied when the node is shown
+}
+
+export interface DialogueTree {
+  id: string;
+  start: string;
+  nodes: Record<string, DialogueNode>;
+}
+
+export interface DialogueStep {
+  nodeId: string;
+  choice?: number; // Index into the node's choices
+  choiceText?: string;
+}
+
+export interface DialogueResult {
+  treeId: string;
+  path: DialogueStep[];
+  completed: boolean; // False if the conversation was cut short
 }
 
 // Interaction event
@@ -1 +1,11 @@
-/// <reference types="vite/client" /> 
\ No newline at end of file
+/// <reference types="vite/client" />
+
+interface ImportMetaEnv {
+  readonly VITE_ASSET_BASE_URL?: string; // Serve assets from somewhere other than the app's base URL (e.g. a CDN)
+}
+
+// Generated from public/assets/paintings by the paintings-manifest plugin (vite.config.js)
+declare module 'virtual:paintings' {
+  const paintings: { file: string; title?: string; date?: string }[];
+  export default paintings;
+}
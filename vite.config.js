@@ -1,9 +1,70 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
 import { defineConfig } from 'vite';
 
+const PAINTINGS_DIR = fileURLToPath(new URL('./public/assets/paintings', import.meta.url));
+const PAINTING_METADATA = 'paintings.json'; // Optional captions and dates, keyed by file name
+const IMAGE_FILE = /\.(png|jpe?g|webp)$/i;
+
+// Lists public/assets/paintings as the `virtual:paintings` module - at build time, and live
+// while the dev server runs - so new images end up on the apartment walls without code changes
+function paintingsManifest() {
+  const virtualId = 'virtual:paintings';
+  const resolvedId = '\0' + virtualId;
+
+  const readManifest = () => {
+    if (!fs.existsSync(PAINTINGS_DIR)) return [];
+
+    let metadata = {};
+    const metadataPath = path.join(PAINTINGS_DIR, PAINTING_METADATA);
+    if (fs.existsSync(metadataPath)) {
+      try {
+        metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+      } catch (error) {
+        console.warn(`🖼️ Ignoring ${PAINTING_METADATA}: ${error.message}`);
+      }
+    }
+
+    return fs.readdirSync(PAINTINGS_DIR)
+      .filter(file => IMAGE_FILE.test(file))
+      .sort()
+      .map(file => ({ ...(metadata[file] || {}), file }));
+  };
+
+  return {
+    name: 'paintings-manifest',
+    resolveId(id) {
+      return id === virtualId ? resolvedId : null;
+    },
+    load(id) {
+      return id === resolvedId ? `export default ${JSON.stringify(readManifest())};` : null;
+    },
+    configureServer(server) {
+      server.watcher.add(PAINTINGS_DIR);
+
+      const refresh = (file) => {
+        if (path.dirname(file) !== PAINTINGS_DIR) return;
+        const module = server.moduleGraph.getModuleById(resolvedId);
+        if (module) {
+          server.moduleGraph.invalidateModule(module);
+        }
+        server.ws.send({ type: 'full-reload' });
+      };
+      server.watcher.on('add', refresh);
+      server.watcher.on('unlink', refresh);
+      server.watcher.on('change', (file) => {
+        if (path.basename(file) === PAINTING_METADATA) refresh(file);
+      });
+    }
+  };
+}
+
 export default defineConfig({
   root: 'src',
   publicDir: '../public',
   base: '/ikuikuiku/',
+  plugins: [paintingsManifest()],
   server: {
     open: true,
     fs: {
@@ -19,4 +80,4 @@ export default defineConfig({
     // Ensure symlinks are followed
     preserveSymlinks: true
   }
-}); 
\ No newline at end of file
+});